@@ -1,13 +1,57 @@
 import { Logger } from '../logging/logger.js';
 import { ToolRegistry } from './tools/tool-registry.js';
+import { ToolPermissions } from './tools/base-tool.js';
 
 // Import all tools
 import { ListTasksTool } from './tools/taskwerk/list-tasks.js';
 import { AddTaskTool } from './tools/taskwerk/add-task.js';
 import { UpdateTaskTool } from './tools/taskwerk/update-task.js';
+import { ShowTaskTool } from './tools/taskwerk/show-task.js';
+import { SearchTasksTool } from './tools/taskwerk/search-tasks.js';
+import { AddNoteTool } from './tools/taskwerk/add-note.js';
+import { TagTaskTool } from './tools/taskwerk/tag-task.js';
+import { SplitTaskTool } from './tools/taskwerk/split-task.js';
+import { AddDependencyTool } from './tools/taskwerk/add-dependency.js';
+import { RemoveDependencyTool } from './tools/taskwerk/remove-dependency.js';
+import { DeleteTaskTool } from './tools/taskwerk/delete-task.js';
 import { ReadFileTool } from './tools/filesystem/read-file.js';
 import { WriteFileTool } from './tools/filesystem/write-file.js';
+import { EditFileTool } from './tools/filesystem/edit-file.js';
 import { ListFilesTool } from './tools/filesystem/list-files.js';
+import { SearchCodeTool } from './tools/filesystem/search-code.js';
+import { McpTool, mcpToolName } from './tools/mcp/mcp-tool.js';
+import { McpClient } from '../mcp/client.js';
+import { loadMcpServers } from '../mcp/config.js';
+
+// Permission modes: ask (questions), agent (asks before each change), yolo (never asks)
+export const PERMISSION_MODES = ['ask', 'agent', 'yolo'];
+
+/**
+ * Get the tool permissions a mode allows
+ * @param {string} mode - ask, agent or yolo
+ * @returns {string[]} Allowed permissions
+ */
+export function permissionsForMode(mode) {
+  switch (mode) {
+    case 'ask':
+      return [ToolPermissions.READ_FILES, ToolPermissions.MODIFY_TASKS];
+
+    case 'agent':
+    case 'yolo':
+      return [
+        ToolPermissions.READ_FILES,
+        ToolPermissions.WRITE_FILES,
+        ToolPermissions.DELETE_FILES,
+        ToolPermissions.MODIFY_TASKS,
+        ToolPermissions.EXECUTE_COMMANDS,
+        ToolPermissions.MCP_ACCESS,
+        ToolPermissions.NETWORK_ACCESS,
+      ];
+
+    default:
+      return [];
+  }
+}
 
 /**
  * Executes tool calls from LLM responses
@@ -20,6 +64,7 @@ export class ToolExecutor {
     this.mode = config.mode || 'ask'; // 'ask', 'agent', or 'yolo'
     this.confirmPermission = config.confirmPermission;
     this.verbose = config.verbose || false;
+    this.mcpClients = [];
 
     // Initialize tools
     this.initializeTools();
@@ -30,16 +75,26 @@ export class ToolExecutor {
 
     // Taskwerk tools
     this.registry.register('list_tasks', new ListTasksTool(toolConfig));
+    this.registry.register('search_tasks', new SearchTasksTool(toolConfig));
+    this.registry.register('show_task', new ShowTaskTool(toolConfig));
     this.registry.register('add_task', new AddTaskTool(toolConfig));
     this.registry.register('update_task', new UpdateTaskTool(toolConfig));
+    this.registry.register('add_note', new AddNoteTool(toolConfig));
+    this.registry.register('tag_task', new TagTaskTool(toolConfig));
+    this.registry.register('split_task', new SplitTaskTool(toolConfig));
+    this.registry.register('add_dependency', new AddDependencyTool(toolConfig));
+    this.registry.register('remove_dependency', new RemoveDependencyTool(toolConfig));
 
     // File system tools
     this.registry.register('read_file', new ReadFileTool(toolConfig));
     this.registry.register('list_files', new ListFilesTool(toolConfig));
+    this.registry.register('search_code', new SearchCodeTool(toolConfig));
 
-    // Only register write tools in agent mode
+    // Only register write and delete tools in agent mode
     if (this.mode === 'agent' || this.mode === 'yolo') {
       this.registry.register('write_file', new WriteFileTool(toolConfig));
+      this.registry.register('edit_file', new EditFileTool(toolConfig));
+      this.registry.register('delete_task', new DeleteTaskTool(toolConfig));
     }
 
     // Only log in verbose mode
@@ -48,6 +103,53 @@ export class ToolExecutor {
     }
   }
 
+  /**
+   * Start the MCP servers in .taskwerk/mcp-config.yml and register their tools
+   * as mcp__<server>__<tool>. Only modes with MCP access connect; a server that
+   * fails to start is reported and skipped.
+   * @returns {Promise<Array<{name: string, tools?: number, error?: string}>>} One entry per server
+   * @throws {ConfigurationError} If the config file is invalid
+   */
+  async connectMcpServers() {
+    if (!this.getPermissionsForMode().includes(ToolPermissions.MCP_ACCESS)) {
+      return [];
+    }
+
+    const results = [];
+    for (const server of loadMcpServers(this.workDir)) {
+      const client = new McpClient(server);
+      try {
+        await client.connect();
+        const tools = await client.listTools();
+        for (const spec of tools) {
+          this.registry.register(
+            mcpToolName(server.name, spec.name),
+            new McpTool(client, spec, { workDir: this.workDir })
+          );
+        }
+        this.mcpClients.push(client);
+        results.push({ name: server.name, tools: tools.length });
+
+        if (this.verbose) {
+          this.logger.info(`Connected to MCP server ${server.name} (${tools.length} tools)`);
+        }
+      } catch (error) {
+        await client.close();
+        this.logger.debug(`MCP server ${server.name} failed: ${error.message}`);
+        results.push({ name: server.name, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Stop the MCP servers started by connectMcpServers()
+   */
+  async close() {
+    await Promise.all(this.mcpClients.map(client => client.close()));
+    this.mcpClients = [];
+  }
+
   /**
    * Get tool specifications for LLM
    * @returns {Object[]} Tool specifications
@@ -110,35 +212,7 @@ export class ToolExecutor {
    * @returns {string[]} Allowed permissions
    */
   getPermissionsForMode() {
-    const ToolPermissions = {
-      READ_FILES: 'read_files',
-      WRITE_FILES: 'write_files',
-      DELETE_FILES: 'delete_files',
-      EXECUTE_COMMANDS: 'execute_commands',
-      MODIFY_TASKS: 'modify_tasks',
-      NETWORK_ACCESS: 'network_access',
-      MCP_ACCESS: 'mcp_access',
-    };
-
-    switch (this.mode) {
-      case 'ask':
-        return [ToolPermissions.READ_FILES, ToolPermissions.MODIFY_TASKS];
-
-      case 'agent':
-      case 'yolo':
-        return [
-          ToolPermissions.READ_FILES,
-          ToolPermissions.WRITE_FILES,
-          ToolPermissions.DELETE_FILES,
-          ToolPermissions.MODIFY_TASKS,
-          ToolPermissions.EXECUTE_COMMANDS,
-          ToolPermissions.MCP_ACCESS,
-          ToolPermissions.NETWORK_ACCESS,
-        ];
-
-      default:
-        return [];
-    }
+    return permissionsForMode(this.mode);
   }
 
   /**
@@ -49,6 +49,16 @@ export class BaseTool {
     return false;
   }
 
+  /**
+   * Describe the change a call would make, shown when asking for permission
+   * @param {Object} params - Tool parameters
+   * @returns {Promise<Object|null>} Preview such as { path, diff }, or null
+   * @throws {Error} If the call cannot succeed, so the user is not asked for nothing
+   */
+  async preview(_params) {
+    return null;
+  }
+
   /**
    * Format result for display
    * @param {Object} result - Tool execution result
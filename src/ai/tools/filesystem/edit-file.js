@@ -0,0 +1,147 @@
+import { BaseTool, ToolPermissions } from '../base-tool.js';
+import { readFile, writeFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { resolve, relative } from 'path';
+import {
+  applyHunks,
+  createUnifiedDiff,
+  diffLines,
+  parseUnifiedDiff,
+  splitLines,
+} from '../../../utils/diff.js';
+
+/**
+ * Change part of a file, either by replacing exact text or by applying the
+ * hunks of a unified diff. Nothing is written unless every edit applies.
+ */
+export class EditFileTool extends BaseTool {
+  constructor(config = {}) {
+    super({
+      ...config,
+      description:
+        'Edit an existing file by replacing exact text or applying unified-diff hunks. ' +
+        'Prefer this over write_file for changes to existing files',
+      permissions: [ToolPermissions.WRITE_FILES],
+    });
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'File path relative to working directory',
+        },
+        edits: {
+          type: 'array',
+          description: 'Replacements, applied in order',
+          items: {
+            type: 'object',
+            properties: {
+              old_text: {
+                type: 'string',
+                description:
+                  'Exact text to replace, including whitespace; include enough lines to be unique',
+              },
+              new_text: {
+                type: 'string',
+                description: 'Replacement text',
+              },
+              replace_all: {
+                type: 'boolean',
+                description: 'Replace every occurrence instead of requiring exactly one',
+                default: false,
+              },
+            },
+            required: ['old_text', 'new_text'],
+          },
+        },
+        patch: {
+          type: 'string',
+          description: 'Unified diff for this file (@@ hunks); use instead of edits',
+        },
+      },
+      required: ['path'],
+    };
+  }
+
+  async execute(params, _context) {
+    const { fullPath, content, updated } = await this.applyEdits(params);
+    await writeFile(fullPath, updated, 'utf-8');
+
+    const operations = diffLines(splitLines(content), splitLines(updated));
+    return {
+      path: params.path,
+      lines_added: operations.filter(operation => operation.type === '+').length,
+      lines_removed: operations.filter(operation => operation.type === '-').length,
+    };
+  }
+
+  async preview(params) {
+    const { content, updated } = await this.applyEdits(params);
+    return { path: params.path, diff: createUnifiedDiff(content, updated, { path: params.path }) };
+  }
+
+  requiresPermission(params) {
+    return `Edit file: ${params.path}`;
+  }
+
+  /**
+   * Work out the new content without writing it
+   * @returns {Promise<{fullPath: string, content: string, updated: string}>}
+   * @throws {Error} If the file is missing or an edit does not apply
+   */
+  async applyEdits(params) {
+    const fullPath = resolve(this.workDir, params.path);
+    if (relative(this.workDir, fullPath).startsWith('..')) {
+      throw new Error('Cannot edit files outside working directory');
+    }
+    if (!existsSync(fullPath)) {
+      throw new Error(`File not found: ${params.path} (use write_file to create files)`);
+    }
+
+    const hasEdits = Array.isArray(params.edits) && params.edits.length > 0;
+    if (hasEdits === !!params.patch) {
+      throw new Error('Give either edits or patch');
+    }
+
+    const content = await readFile(fullPath, 'utf-8');
+    const updated = hasEdits
+      ? replaceText(content, params.edits)
+      : applyHunks(content, parseUnifiedDiff(params.patch));
+
+    if (updated === content) {
+      throw new Error(`Edits leave ${params.path} unchanged`);
+    }
+    return { fullPath, content, updated };
+  }
+}
+
+function replaceText(content, edits) {
+  // Edits are written with \n; match the file's line endings
+  const crlf = content.includes('\r\n');
+  const withEol = text => (crlf ? text.replace(/\r?\n/g, '\r\n') : text);
+
+  return edits.reduce((text, edit, index) => {
+    const oldText = withEol(edit.old_text ?? '');
+    const newText = withEol(edit.new_text ?? '');
+    if (!oldText) {
+      throw new Error(`Edit ${index + 1}: old_text is empty`);
+    }
+
+    const count = text.split(oldText).length - 1;
+    if (count === 0) {
+      throw new Error(`Edit ${index + 1}: old_text not found in file`);
+    }
+    if (count > 1 && !edit.replace_all) {
+      throw new Error(
+        `Edit ${index + 1}: old_text found ${count} times; add surrounding lines ` +
+          'to make it unique or set replace_all'
+      );
+    }
+    return edit.replace_all
+      ? text.split(oldText).join(newText)
+      : text.replace(oldText, () => newText);
+  }, content);
+}
@@ -1,16 +1,38 @@
-import { BaseTool } from '../base-tool.js';
-import { execSync } from 'child_process';
-import { join } from 'path';
+import { BaseTool, ToolPermissions } from '../base-tool.js';
+import { open, readdir, readFile, realpath } from 'fs/promises';
+import { join, relative, resolve, sep } from 'path';
+import { globToRegex, isIgnored, parseGitignore } from '../../../utils/gitignore.js';
+
+// Never searched, even without a .gitignore
+const ALWAYS_SKIPPED = ['.git', 'node_modules'];
+
+// Files larger than this are skipped
+const MAX_FILE_SIZE = 1024 * 1024;
+
+// Bytes checked for a NUL byte to recognise binary files
+const BINARY_SAMPLE_SIZE = 8000;
+
+// Stop walking after this many files
+const MAX_FILES = 10000;
+
+const MAX_RESULTS = 200;
+const MAX_CONTEXT_LINES = 10;
+const MAX_LINE_LENGTH = 300;
 
 /**
- * Tool for searching code patterns in the project
+ * Search file contents in the working directory with a regular expression.
+ * Walks the tree in Node (no shell), stays inside the working directory,
+ * follows .gitignore files and skips binary and very large files.
  */
 export class SearchCodeTool extends BaseTool {
   constructor(config = {}) {
-    super(config);
-    this.name = 'search_code';
-    this.description = 'Search for code patterns in the project using grep';
-    this.permissions = ['read_files'];
+    super({
+      ...config,
+      description:
+        'Search file contents in the working directory with a regular expression. ' +
+        'Skips files ignored by .gitignore and binary files',
+      permissions: [ToolPermissions.READ_FILES],
+    });
   }
 
   getParameters() {
@@ -19,27 +41,31 @@ export class SearchCodeTool extends BaseTool {
       properties: {
         pattern: {
           type: 'string',
-          description: 'The pattern to search for (supports regex)',
+          description: 'Regular expression to search for (JavaScript syntax)',
         },
         path: {
           type: 'string',
-          description: 'Optional path to search in (relative to working directory)',
+          description: 'File or directory to search, relative to working directory',
           default: '.',
         },
-        filePattern: {
+        file_pattern: {
           type: 'string',
-          description: 'Optional file pattern to filter (e.g., "*.js")',
-          default: '*',
+          description: 'Only search files matching this glob (e.g. "*.js" or "src/**/*.ts")',
         },
-        caseSensitive: {
+        case_sensitive: {
           type: 'boolean',
-          description: 'Whether the search should be case sensitive',
+          description: 'Match case exactly',
           default: true,
         },
-        maxResults: {
+        context_lines: {
           type: 'integer',
-          description: 'Maximum number of results to return',
-          default: 20,
+          description: `Lines of context before and after each match (max ${MAX_CONTEXT_LINES})`,
+          default: 0,
+        },
+        max_results: {
+          type: 'integer',
+          description: `Maximum number of matching lines to return (max ${MAX_RESULTS})`,
+          default: 50,
         },
       },
       required: ['pattern'],
@@ -47,79 +73,206 @@ export class SearchCodeTool extends BaseTool {
   }
 
   async execute(params, _context) {
-    const {
-      pattern,
-      path = '.',
-      filePattern = '*',
-      caseSensitive = true,
-      maxResults = 20,
-    } = params;
+    if (!params.pattern) {
+      throw new Error('pattern is required');
+    }
 
+    let regex;
     try {
-      // Validate path is within working directory
-      const fullPath = join(this.workDir, path);
-      if (!fullPath.startsWith(this.workDir)) {
-        throw new Error('Access denied: path must be within working directory');
+      regex = new RegExp(params.pattern, params.case_sensitive === false ? 'i' : '');
+    } catch (error) {
+      throw new Error(`Invalid pattern: ${error.message}`);
+    }
+
+    const fileFilter = params.file_pattern ? fileMatcher(params.file_pattern) : null;
+    const contextLines = clamp(params.context_lines ?? 0, 0, MAX_CONTEXT_LINES);
+    const maxResults = clamp(params.max_results ?? 50, 1, MAX_RESULTS);
+
+    const root = await realpath(this.workDir);
+    const target = await this.resolveTarget(root, params.path || '.');
+
+    const search = {
+      regex,
+      fileFilter,
+      contextLines,
+      maxResults,
+      matches: [],
+      filesSearched: 0,
+      truncated: false,
+    };
+
+    const rules = await this.loadIgnoreRules(root, target);
+    const relativeTarget = toPosix(relative(root, target.path));
+    if (target.isDirectory) {
+      await this.searchDirectory(root, target.path, relativeTarget, rules, search);
+    } else if (!isIgnored(rules, relativeTarget)) {
+      await this.searchFile(target.path, relativeTarget, search);
+    }
+
+    return {
+      pattern: params.pattern,
+      path: params.path || '.',
+      files_searched: search.filesSearched,
+      match_count: search.matches.length,
+      matches: search.matches,
+      truncated: search.truncated,
+    };
+  }
+
+  /**
+   * Resolve the search path, refusing anything outside the working directory
+   * (including through symbolic links)
+   */
+  async resolveTarget(root, path) {
+    let fullPath;
+    try {
+      fullPath = await realpath(resolve(root, path));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Path not found: ${path}`);
       }
+      throw error;
+    }
+
+    if (fullPath !== root && !fullPath.startsWith(root + sep)) {
+      throw new Error('Cannot search outside working directory');
+    }
 
-      // Build grep command
-      const flags = caseSensitive ? '' : '-i';
-      const includeFlag = filePattern !== '*' ? `--include="${filePattern}"` : '';
-
-      // Use grep to search (cross-platform alternative would use a Node.js library)
-      const command = `grep ${flags} -r -n ${includeFlag} "${pattern}" "${fullPath}" | head -${maxResults}`;
-
-      try {
-        const output = execSync(command, {
-          encoding: 'utf8',
-          cwd: this.workDir,
-          maxBuffer: 1024 * 1024, // 1MB buffer
-        });
-
-        // Parse grep output
-        const matches = output
-          .trim()
-          .split('\n')
-          .filter(Boolean)
-          .map(line => {
-            const match = line.match(/^([^:]+):(\d+):(.*)$/);
-            if (match) {
-              return {
-                file: match[1].replace(fullPath + '/', ''),
-                line: parseInt(match[2]),
-                content: match[3].trim(),
-              };
-            }
-            return null;
-          })
-          .filter(Boolean);
-
-        return {
-          pattern,
-          path,
-          matchCount: matches.length,
-          matches,
-          truncated: matches.length >= maxResults,
-        };
-      } catch (error) {
-        // grep returns non-zero exit code when no matches found
-        if (error.status === 1) {
-          return {
-            pattern,
-            path,
-            matchCount: 0,
-            matches: [],
-          };
-        }
-        throw error;
+    const entries = await readdir(fullPath).catch(() => null);
+    return { path: fullPath, isDirectory: entries !== null };
+  }
+
+  /**
+   * Rules of the .gitignore files from the working directory down to the
+   * search path, so searching a subdirectory honours its parents' rules
+   */
+  async loadIgnoreRules(root, target) {
+    const rules = [];
+    const parts = toPosix(relative(root, target.path)).split('/').filter(Boolean);
+
+    // A directory reads its own .gitignore when it is searched
+    for (let i = 0; i < parts.length; i++) {
+      rules.push(...(await readGitignore(root, parts.slice(0, i).join('/'))));
+    }
+    return rules;
+  }
+
+  async searchDirectory(root, dirPath, relativeDir, parentRules, search) {
+    const rules = [...parentRules, ...(await readGitignore(root, relativeDir))];
+    const entries = await readdir(dirPath, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      if (search.truncated) {
+        return;
       }
-    } catch (error) {
-      throw new Error(`Search failed: ${error.message}`);
+      // Symbolic links could lead outside the working directory
+      if (entry.isSymbolicLink() || ALWAYS_SKIPPED.includes(entry.name)) {
+        continue;
+      }
+
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (isIgnored(rules, relativePath, entry.isDirectory())) {
+        continue;
+      }
+
+      const fullPath = join(dirPath, entry.name);
+      if (entry.isDirectory()) {
+        await this.searchDirectory(root, fullPath, relativePath, rules, search);
+      } else if (entry.isFile()) {
+        await this.searchFile(fullPath, relativePath, search);
+      }
+    }
+  }
+
+  async searchFile(fullPath, relativePath, search) {
+    if (search.fileFilter && !search.fileFilter(relativePath)) {
+      return;
+    }
+    if (search.filesSearched >= MAX_FILES) {
+      search.truncated = true;
+      return;
+    }
+
+    const content = await readText(fullPath);
+    if (content === null) {
+      return;
+    }
+    search.filesSearched++;
+
+    const lines = content.split(/\r?\n/);
+    for (let index = 0; index < lines.length; index++) {
+      if (!search.regex.test(lines[index])) {
+        continue;
+      }
+      if (search.matches.length >= search.maxResults) {
+        search.truncated = true;
+        return;
+      }
+
+      const match = { file: relativePath, line: index + 1, content: trimLine(lines[index]) };
+      if (search.contextLines > 0) {
+        match.before = lines.slice(Math.max(index - search.contextLines, 0), index).map(trimLine);
+        match.after = lines.slice(index + 1, index + 1 + search.contextLines).map(trimLine);
+      }
+      search.matches.push(match);
     }
   }
 
   requiresPermission(_params) {
-    // This is a read-only operation
-    return null;
+    // Read-only
+    return false;
   }
 }
+
+async function readGitignore(root, relativeDir) {
+  try {
+    const content = await readFile(join(root, relativeDir, '.gitignore'), 'utf8');
+    return parseGitignore(content, relativeDir);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Read a text file, or null for binary and very large files
+ */
+async function readText(fullPath) {
+  const handle = await open(fullPath, 'r');
+  try {
+    const { size } = await handle.stat();
+    if (size > MAX_FILE_SIZE) {
+      return null;
+    }
+
+    const buffer = await handle.readFile();
+    if (buffer.subarray(0, BINARY_SAMPLE_SIZE).includes(0)) {
+      return null;
+    }
+    return buffer.toString('utf8');
+  } finally {
+    await handle.close();
+  }
+}
+
+// Globs with a slash match the whole relative path, others just the file name
+function fileMatcher(glob) {
+  const regex = new RegExp(`^${globToRegex(glob.replace(/^\.?\//, ''))}$`);
+  return glob.includes('/')
+    ? path => regex.test(path)
+    : path => regex.test(path.slice(path.lastIndexOf('/') + 1));
+}
+
+function trimLine(line) {
+  const trimmed = line.trimEnd();
+  return trimmed.length > MAX_LINE_LENGTH ? `${trimmed.slice(0, MAX_LINE_LENGTH)}…` : trimmed;
+}
+
+function clamp(value, min, max) {
+  const number = Number.parseInt(value, 10);
+  return Number.isNaN(number) ? min : Math.min(Math.max(number, min), max);
+}
+
+function toPosix(path) {
+  return path.split(sep).join('/');
+}
@@ -2,6 +2,7 @@ import { BaseTool, ToolPermissions } from '../base-tool.js';
 import { writeFile, mkdir, readFile } from 'fs/promises';
 import { resolve, relative, dirname } from 'path';
 import { existsSync } from 'fs';
+import { createUnifiedDiff } from '../../../utils/diff.js';
 
 export class WriteFileTool extends BaseTool {
   constructor(config = {}) {
@@ -76,6 +77,21 @@ export class WriteFileTool extends BaseTool {
     };
   }
 
+  async preview(params) {
+    const fullPath = resolve(this.workDir, params.path);
+    if (relative(this.workDir, fullPath).startsWith('..')) {
+      return null;
+    }
+
+    if (params.mode === 'create' && existsSync(fullPath)) {
+      throw new Error(`File already exists: ${params.path}`);
+    }
+
+    const existing = existsSync(fullPath) ? await readFile(fullPath, 'utf-8') : '';
+    const content = params.mode === 'append' ? existing + params.content : params.content;
+    return { path: params.path, diff: createUnifiedDiff(existing, content, { path: params.path }) };
+  }
+
   requiresPermission(params) {
     const action = existsSync(resolve(this.workDir, params.path))
       ? `Overwrite file: ${params.path}`
@@ -0,0 +1,57 @@
+import { BaseTool, ToolPermissions } from '../base-tool.js';
+
+// Longest tool name LLM providers accept
+const MAX_NAME_LENGTH = 64;
+
+/**
+ * Registry name for a tool of an MCP server: mcp__<server>__<tool>, limited
+ * to the characters and length LLM providers accept
+ * @param {string} server - Server name from the config
+ * @param {string} tool - Tool name on the server
+ * @returns {string} Namespaced name
+ */
+export function mcpToolName(server, tool) {
+  return `mcp__${server}__${tool}`.replace(/[^A-Za-z0-9_-]/g, '_').slice(0, MAX_NAME_LENGTH);
+}
+
+/**
+ * A tool offered by an external MCP server. The server cannot tell us what a
+ * tool changes, so every call asks for confirmation outside yolo mode.
+ */
+export class McpTool extends BaseTool {
+  /**
+   * @param {import('../../../mcp/client.js').McpClient} client - Connected client
+   * @param {Object} spec - Tool from the server's tools/list
+   * @param {Object} config - Tool configuration
+   */
+  constructor(client, spec, config = {}) {
+    super({
+      ...config,
+      description: `[${client.name}] ${spec.description || spec.title || spec.name}`,
+      permissions: [ToolPermissions.MCP_ACCESS],
+    });
+    this.client = client;
+    this.toolName = spec.name;
+    this.inputSchema = spec.inputSchema || { type: 'object', properties: {} };
+  }
+
+  getParameters() {
+    return this.inputSchema;
+  }
+
+  async execute(params, _context) {
+    const result = await this.client.callTool(this.toolName, params);
+    const text = (result.content || [])
+      .map(part => (part.type === 'text' ? part.text : `[${part.type} content]`))
+      .join('\n');
+
+    if (result.isError) {
+      throw new Error(text || `${this.toolName} failed on ${this.client.name}`);
+    }
+    return result.structuredContent ?? text;
+  }
+
+  requiresPermission(_params) {
+    return `Run ${this.toolName} on MCP server "${this.client.name}"`;
+  }
+}
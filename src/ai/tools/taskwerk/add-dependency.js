@@ -0,0 +1,45 @@
+import { BaseTool, ToolPermissions } from '../base-tool.js';
+import { TaskwerkAPI } from '../../../api/taskwerk-api.js';
+
+export class AddDependencyTool extends BaseTool {
+  constructor(config = {}) {
+    super({
+      ...config,
+      description: 'Make a task wait for another task; it stays blocked until that one is done',
+      permissions: [ToolPermissions.MODIFY_TASKS],
+    });
+    this.api = new TaskwerkAPI();
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Task that has to wait',
+        },
+        depends_on: {
+          type: 'string',
+          description: 'Task that must be finished first',
+        },
+      },
+      required: ['id', 'depends_on'],
+    };
+  }
+
+  async execute(params) {
+    await this.api.addTaskDependency(params.id, params.depends_on);
+    const task = this.api.getTask(params.id);
+
+    return {
+      id: task.id,
+      status: task.status,
+      blocked_by: this.api.getTaskDependencies(task.id).map(dependency => dependency.id),
+    };
+  }
+
+  requiresPermission(params) {
+    return `Make task ${params.id} depend on ${params.depends_on}`;
+  }
+}
@@ -0,0 +1,49 @@
+import { BaseTool, ToolPermissions } from '../base-tool.js';
+import { TaskwerkAPI } from '../../../api/taskwerk-api.js';
+
+export class AddNoteTool extends BaseTool {
+  constructor(config = {}) {
+    super({
+      ...config,
+      description: 'Add a note to a task, e.g. progress, findings or a summary of changes',
+      permissions: [ToolPermissions.MODIFY_TASKS],
+    });
+    this.api = new TaskwerkAPI();
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Task ID',
+        },
+        note: {
+          type: 'string',
+          description: 'Short note',
+        },
+        content: {
+          type: 'string',
+          description: 'Optional longer Markdown content',
+        },
+      },
+      required: ['id', 'note'],
+    };
+  }
+
+  async execute(params) {
+    const task = this.api.getTask(params.id);
+    await this.api.addTaskNote(task.id, params.note, 'system', params.content || null);
+
+    return {
+      id: task.id,
+      note: params.note,
+      added: true,
+    };
+  }
+
+  requiresPermission(params) {
+    return `Add note to task ${params.id}: "${params.note}"`;
+  }
+}
@@ -21,7 +21,7 @@ export class AddTaskTool extends BaseTool {
         },
         priority: {
           type: 'string',
-          enum: ['high', 'medium', 'low'],
+          enum: ['critical', 'high', 'medium', 'low'],
           description: 'Task priority',
           default: 'medium',
         },
@@ -63,13 +63,13 @@ export class AddTaskTool extends BaseTool {
 
     // Add tags if provided
     if (params.tags && params.tags.length > 0) {
-      await this.api.addTags(task.id, params.tags);
+      await this.api.addTaskTags(task.id, params.tags);
     }
 
     // Add notes if provided
     if (params.notes && params.notes.length > 0) {
       for (const note of params.notes) {
-        await this.api.addNote(task.id, note);
+        await this.api.addTaskNote(task.id, note);
       }
     }
 
@@ -0,0 +1,53 @@
+import { BaseTool, ToolPermissions } from '../base-tool.js';
+import { TaskwerkAPI } from '../../../api/taskwerk-api.js';
+
+export class DeleteTaskTool extends BaseTool {
+  constructor(config = {}) {
+    super({
+      ...config,
+      description:
+        'Delete a task and its subtasks. They go to the trash (restorable with ' +
+        "'twrk trash restore <id>') unless permanent is set",
+      permissions: [ToolPermissions.MODIFY_TASKS],
+    });
+    this.api = new TaskwerkAPI();
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Task ID to delete',
+        },
+        permanent: {
+          type: 'boolean',
+          description: 'Delete for good instead of moving to the trash',
+          default: false,
+        },
+      },
+      required: ['id'],
+    };
+  }
+
+  async execute(params) {
+    const task = this.api.getTask(params.id);
+    const subtasks = this.api.getSubtreeIds(task.id, { deleted_at: null }).length - 1;
+    await this.api.deleteTask(task.id, 'system', { permanent: !!params.permanent });
+
+    return {
+      id: task.id,
+      name: task.name,
+      deleted: true,
+      permanent: !!params.permanent,
+      subtasks_deleted: subtasks,
+    };
+  }
+
+  requiresPermission(params) {
+    return params.permanent
+      ? `Permanently delete task ${params.id} and its subtasks (cannot be restored)`
+      : `Move task ${params.id} and its subtasks to the trash`;
+  }
+}
@@ -27,7 +27,7 @@ export class ListTasksTool extends BaseTool {
           type: 'array',
           items: {
             type: 'string',
-            enum: ['high', 'medium', 'low'],
+            enum: ['critical', 'high', 'medium', 'low'],
           },
           description: 'Filter by priority',
         },
@@ -63,8 +63,8 @@ export class ListTasksTool extends BaseTool {
       category: params.category,
       tags: params.tags,
       limit: params.limit || 20,
-      orderBy: 'created_at',
-      orderDir: 'DESC',
+      order_by: 'created_at',
+      order_dir: 'DESC',
     });
 
     return tasks.map(task => ({
@@ -0,0 +1,45 @@
+import { BaseTool, ToolPermissions } from '../base-tool.js';
+import { TaskwerkAPI } from '../../../api/taskwerk-api.js';
+
+export class RemoveDependencyTool extends BaseTool {
+  constructor(config = {}) {
+    super({
+      ...config,
+      description: 'Remove a dependency between two tasks',
+      permissions: [ToolPermissions.MODIFY_TASKS],
+    });
+    this.api = new TaskwerkAPI();
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Task that is waiting',
+        },
+        depends_on: {
+          type: 'string',
+          description: 'Task it no longer waits for',
+        },
+      },
+      required: ['id', 'depends_on'],
+    };
+  }
+
+  async execute(params) {
+    await this.api.removeTaskDependency(params.id, params.depends_on);
+    const task = this.api.getTask(params.id);
+
+    return {
+      id: task.id,
+      status: task.status,
+      blocked_by: this.api.getTaskDependencies(task.id).map(dependency => dependency.id),
+    };
+  }
+
+  requiresPermission(params) {
+    return `Remove dependency of task ${params.id} on ${params.depends_on}`;
+  }
+}
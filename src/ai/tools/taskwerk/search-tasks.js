@@ -0,0 +1,60 @@
+import { BaseTool } from '../base-tool.js';
+import { TaskwerkAPI } from '../../../api/taskwerk-api.js';
+
+export class SearchTasksTool extends BaseTool {
+  constructor(config = {}) {
+    super({
+      ...config,
+      description:
+        'Full-text search over task names, descriptions, content, notes and tags, best match first',
+      permissions: [], // Read-only, no permissions needed
+    });
+    this.api = new TaskwerkAPI();
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Words to search for; supports "exact phrases", OR, NOT and prefix*',
+        },
+        status: {
+          type: 'string',
+          enum: ['todo', 'in-progress', 'done', 'blocked', 'cancelled'],
+          description: 'Only tasks with this status',
+        },
+        assignee: {
+          type: 'string',
+          description: 'Only tasks assigned to this person',
+        },
+        limit: {
+          type: 'integer',
+          description: 'Maximum number of results',
+          minimum: 1,
+          maximum: 100,
+          default: 20,
+        },
+      },
+      required: ['query'],
+    };
+  }
+
+  async execute(params) {
+    const tasks = this.api.searchTasks(params.query, {
+      status: params.status,
+      assignee: params.assignee,
+      limit: params.limit || 20,
+    });
+
+    return tasks.map(task => ({
+      id: task.id,
+      name: task.name,
+      status: task.status,
+      priority: task.priority,
+      assignee: task.assignee,
+      snippet: task.snippet,
+    }));
+  }
+}
@@ -0,0 +1,50 @@
+import { BaseTool } from '../base-tool.js';
+import { TaskwerkAPI } from '../../../api/taskwerk-api.js';
+
+export class ShowTaskTool extends BaseTool {
+  constructor(config = {}) {
+    super({
+      ...config,
+      description:
+        'Show a task in full: description, tags, notes, subtasks, dependencies and linked commits',
+      permissions: [], // Read-only, no permissions needed
+    });
+    this.api = new TaskwerkAPI();
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Task ID (e.g. TASK-001, or just 1)',
+        },
+      },
+      required: ['id'],
+    };
+  }
+
+  async execute(params) {
+    const task = this.api.getTask(params.id);
+
+    return {
+      ...task,
+      tags: this.api.getTaskTags(task.id),
+      notes: this.api.getTaskNotes(task.id).map(note => ({
+        note: note.note,
+        content: note.content,
+        user: note.user,
+        created: note.created_at,
+      })),
+      subtasks: this.api.getSubtasks(task.id).map(subtask => ({
+        id: subtask.id,
+        name: subtask.name,
+        status: subtask.status,
+      })),
+      blocked_by: this.api.getTaskDependencies(task.id),
+      blocking: this.api.getDependentTasks(task.id),
+      links: this.api.getTaskLinks(task.id),
+    };
+  }
+}
@@ -0,0 +1,56 @@
+import { BaseTool, ToolPermissions } from '../base-tool.js';
+import { TaskwerkAPI } from '../../../api/taskwerk-api.js';
+
+export class SplitTaskTool extends BaseTool {
+  constructor(config = {}) {
+    super({
+      ...config,
+      description:
+        'Split a task into subtasks, which take over its priority, assignee, category and tags',
+      permissions: [ToolPermissions.MODIFY_TASKS],
+    });
+    this.api = new TaskwerkAPI();
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Task ID to split',
+        },
+        names: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Names of the subtasks to create',
+        },
+        divide_estimate: {
+          type: 'boolean',
+          description: "Share the task's estimate equally among the subtasks",
+          default: false,
+        },
+      },
+      required: ['id', 'names'],
+    };
+  }
+
+  async execute(params) {
+    const result = await this.api.splitTask(params.id, params.names, {
+      divide_estimate: params.divide_estimate,
+    });
+
+    return {
+      id: result.parent.id,
+      status: result.parent.status,
+      subtasks: result.subtasks.map(subtask => ({ id: subtask.id, name: subtask.name })),
+      tags: result.tags,
+      estimate_per_subtask: result.estimate,
+    };
+  }
+
+  requiresPermission(params) {
+    const names = params.names || [];
+    return `Split task ${params.id} into ${names.length} subtasks: ${names.join(', ')}`;
+  }
+}
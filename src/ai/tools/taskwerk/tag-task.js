@@ -0,0 +1,65 @@
+import { BaseTool, ToolPermissions } from '../base-tool.js';
+import { TaskwerkAPI } from '../../../api/taskwerk-api.js';
+
+export class TagTaskTool extends BaseTool {
+  constructor(config = {}) {
+    super({
+      ...config,
+      description: 'Add or remove tags on a task',
+      permissions: [ToolPermissions.MODIFY_TASKS],
+    });
+    this.api = new TaskwerkAPI();
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Task ID',
+        },
+        add: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Tags to add',
+        },
+        remove: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Tags to remove',
+        },
+      },
+      required: ['id'],
+    };
+  }
+
+  async execute(params) {
+    const task = this.api.getTask(params.id);
+    const add = params.add || [];
+    const remove = params.remove || [];
+    if (add.length === 0 && remove.length === 0) {
+      throw new Error('Give tags to add or remove');
+    }
+
+    if (add.length > 0) {
+      await this.api.addTaskTags(task.id, add);
+    }
+    if (remove.length > 0) {
+      await this.api.removeTaskTags(task.id, remove);
+    }
+
+    return {
+      id: task.id,
+      tags: this.api.getTaskTags(task.id),
+    };
+  }
+
+  requiresPermission(params) {
+    const changes = [
+      ...(params.add || []).map(tag => `+${tag}`),
+      ...(params.remove || []).map(tag => `-${tag}`),
+    ];
+    return `Change tags of task ${params.id}: ${changes.join(' ')}`;
+  }
+}
@@ -1,6 +1,9 @@
 import { BaseTool, ToolPermissions } from '../base-tool.js';
 import { TaskwerkAPI } from '../../../api/taskwerk-api.js';
 
+// Task fields this tool may change; any other parameter is ignored
+const UPDATABLE_FIELDS = ['name', 'status', 'priority', 'assignee', 'category'];
+
 export class UpdateTaskTool extends BaseTool {
   constructor(config = {}) {
     super({
@@ -30,7 +33,7 @@ export class UpdateTaskTool extends BaseTool {
         },
         priority: {
           type: 'string',
-          enum: ['high', 'medium', 'low'],
+          enum: ['critical', 'high', 'medium', 'low'],
           description: 'New priority',
         },
         assignee: {
@@ -61,7 +64,15 @@ export class UpdateTaskTool extends BaseTool {
   }
 
   async execute(params) {
-    const { id, add_tags, remove_tags, add_note, ...updates } = params;
+    const { id: taskId, add_tags, remove_tags, add_note } = params;
+    const updates = Object.fromEntries(
+      UPDATABLE_FIELDS.filter(field => params[field] !== undefined).map(field => [
+        field,
+        params[field],
+      ])
+    );
+    // Resolve fuzzy IDs such as "1" once, so tags and notes land on the right task
+    const id = this.api.getTask(taskId).id;
 
     // Update basic fields
     if (Object.keys(updates).length > 0) {
@@ -70,15 +81,15 @@ export class UpdateTaskTool extends BaseTool {
 
     // Handle tags
     if (add_tags && add_tags.length > 0) {
-      await this.api.addTags(id, add_tags);
+      await this.api.addTaskTags(id, add_tags);
     }
     if (remove_tags && remove_tags.length > 0) {
-      await this.api.removeTags(id, remove_tags);
+      await this.api.removeTaskTags(id, remove_tags);
     }
 
     // Add note
     if (add_note) {
-      await this.api.addNote(id, add_note);
+      await this.api.addTaskNote(id, add_note);
     }
 
     // Get updated task
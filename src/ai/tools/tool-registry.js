@@ -89,7 +89,17 @@ export class ToolRegistry {
         throw new Error('Permission confirmation callback required');
       }
 
-      const granted = await context.confirmPermission(name, requiredPermission, params);
+      let preview;
+      try {
+        preview = await tool.preview?.(params);
+      } catch (error) {
+        return {
+          success: false,
+          error: error.message,
+        };
+      }
+
+      const granted = await context.confirmPermission(name, requiredPermission, params, preview);
       if (!granted) {
         return {
           success: false,
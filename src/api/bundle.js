@@ -0,0 +1,324 @@
+import { ValidationError } from '../errors/base-error.js';
+import { SCHEMA_VERSION } from '../db/schema.js';
+import { insertRow } from '../db/utils.js';
+import { parseTaskId } from '../db/task-id.js';
+
+/**
+ * Full-fidelity project bundles for `twrk export -f bundle` and
+ * `twrk import -f bundle`.
+ *
+ * A bundle is JSON holding every row of the task tables and the chat tables,
+ * trashed and archived tasks included. Importing into an empty project
+ * restores it exactly, row IDs and timestamps included. Importing into a
+ * project that already has tasks gives colliding task and chat IDs the next
+ * free number and rewrites every reference to them. The undo journal is not
+ * part of a bundle, and an import cannot be undone.
+ */
+
+export const BUNDLE_FORMAT = 'taskwerk-bundle';
+export const BUNDLE_VERSION = 1;
+
+// Tables whose rows belong to a task, in insert order (dependencies are handled separately)
+const TASK_TABLES = [
+  'task_tags',
+  'task_notes',
+  'task_timeline',
+  'task_time_entries',
+  'task_history',
+  'task_links',
+];
+
+// Sentinel thrown to roll back a dry run
+const DRY_RUN = Symbol('dry run');
+
+/**
+ * Create a bundle of the whole project
+ * @param {Object} db - SQLite connection
+ * @returns {Object} Bundle
+ */
+export function createBundle(db) {
+  const tables = {
+    tasks: db.prepare('SELECT * FROM tasks ORDER BY rowid').all(),
+  };
+
+  for (const table of [...TASK_TABLES, 'task_dependencies', 'chat_contexts', 'chat_turns']) {
+    tables[table] = tableExists(db, table)
+      ? db.prepare(`SELECT * FROM ${table} ORDER BY rowid`).all()
+      : [];
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    schema_version: SCHEMA_VERSION,
+    exported_at: new Date().toISOString(),
+    tables,
+  };
+}
+
+/**
+ * Import a bundle made by createBundle
+ * @param {Object} db - SQLite connection
+ * @param {Object} bundle - Parsed bundle
+ * @param {Object} options - Import options
+ * @param {boolean} options.dryRun - Work out the result without changing anything
+ * @returns {{counts: Object, remapped: {tasks: Object, chats: Object}}} Rows imported
+ *   per table, and the task and chat IDs that were renumbered (old ID to new ID)
+ * @throws {ValidationError} If the bundle is not valid or is from a newer version
+ */
+export function importBundle(db, bundle, options = {}) {
+  validateBundle(bundle);
+
+  const rows = table => bundle.tables[table] || [];
+  const hasChats = tableExists(db, 'chat_contexts');
+  const fresh =
+    !db.prepare('SELECT 1 FROM tasks LIMIT 1').get() &&
+    !(hasChats && db.prepare('SELECT 1 FROM chat_contexts LIMIT 1').get());
+
+  const tasks = parentsFirst(rows('tasks'));
+  const chatIds = planIds(
+    rows('chat_contexts').map(context => ({ id: context.id })),
+    hasChats ? db.prepare('SELECT id FROM chat_contexts').pluck().all() : []
+  );
+  const taskIds = planIds(tasks, db.prepare('SELECT id FROM tasks').pluck().all());
+
+  const taskId = id => (id === null || id === undefined ? id : taskIds.get(id) || id);
+  const chatId = id => (id === null || id === undefined ? id : chatIds.get(id) || id);
+
+  // Child rows keep their own IDs only when nothing can collide with them
+  const copy = row => {
+    const result = { ...row };
+    if (!fresh) {
+      delete result.id;
+    }
+    return result;
+  };
+
+  // Rows actually inserted; rows already in the database are ignored
+  const counted = ['tasks', ...TASK_TABLES, 'task_dependencies', 'chat_contexts', 'chat_turns'];
+  const counts = Object.fromEntries(counted.map(table => [table, 0]));
+  const insert = (table, row) => {
+    counts[table] += insertRow(db, table, row);
+  };
+  const taskExists = db.prepare('SELECT 1 FROM tasks WHERE id = ?');
+
+  const run = db.transaction(() => {
+    if (hasChats) {
+      for (const context of rows('chat_contexts')) {
+        insert('chat_contexts', { ...context, id: chatId(context.id) });
+      }
+    }
+
+    for (const task of tasks) {
+      const parentId = taskId(task.parent_id);
+      insert('tasks', {
+        ...task,
+        id: taskId(task.id),
+        parent_id: parentId && taskExists.get(parentId) ? parentId : null,
+        series_id: taskId(task.series_id),
+        context_id: chatId(task.context_id),
+      });
+    }
+
+    // Insert triggers add their own timeline entries; the bundle has the real ones
+    const clearTimeline = db.prepare('DELETE FROM task_timeline WHERE task_id = ?');
+    for (const task of tasks) {
+      clearTimeline.run(taskId(task.id));
+    }
+
+    for (const table of TASK_TABLES) {
+      for (const row of rows(table)) {
+        insert(table, { ...copy(row), task_id: taskId(row.task_id) });
+      }
+    }
+
+    for (const row of rows('task_dependencies')) {
+      const dependency = {
+        ...copy(row),
+        task_id: taskId(row.task_id),
+        depends_on_id: taskId(row.depends_on_id),
+      };
+      if (taskExists.get(dependency.task_id) && taskExists.get(dependency.depends_on_id)) {
+        insert('task_dependencies', dependency);
+      }
+    }
+
+    if (hasChats) {
+      for (const turn of rows('chat_turns')) {
+        insert('chat_turns', {
+          ...copy(turn),
+          context_id: chatId(turn.context_id),
+          created_task_ids: remapIdList(turn.created_task_ids, taskId),
+        });
+      }
+
+      // Adding turns bumps the context counters; put back the exported values
+      const resetContext = db.prepare(
+        'UPDATE chat_contexts SET turn_count = ?, last_active = ? WHERE id = ?'
+      );
+      for (const context of rows('chat_contexts')) {
+        resetContext.run(context.turn_count, context.last_active, chatId(context.id));
+      }
+    }
+
+    if (options.dryRun) {
+      throw DRY_RUN;
+    }
+  });
+
+  try {
+    run();
+  } catch (error) {
+    if (error !== DRY_RUN) {
+      throw error;
+    }
+  }
+
+  return {
+    counts,
+    remapped: {
+      tasks: changedIds(taskIds),
+      chats: changedIds(chatIds),
+    },
+  };
+}
+
+/**
+ * Check the envelope of a bundle
+ * @param {Object} bundle - Parsed bundle
+ * @throws {ValidationError} If it is not a bundle this version can read
+ */
+function validateBundle(bundle) {
+  if (!bundle || bundle.format !== BUNDLE_FORMAT || typeof bundle.tables !== 'object') {
+    throw new ValidationError(
+      'Not a taskwerk bundle. Create one with: twrk export -f bundle',
+      'format',
+      bundle?.format
+    );
+  }
+
+  if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) {
+    throw new ValidationError(
+      `Unsupported bundle version ${bundle.version}. This taskwerk reads version ${BUNDLE_VERSION} and older`,
+      'version',
+      bundle.version
+    );
+  }
+}
+
+/**
+ * Assign an ID to every incoming row. IDs already in the database get the next
+ * free number; subtasks follow a renumbered parent (TASK-001.2 under TASK-007
+ * becomes TASK-007.2).
+ * @param {Array<Object>} incoming - Rows with id (and parent_id), parents first
+ * @param {Array<string>} existing - IDs already in the database
+ * @returns {Map<string, string>} Incoming ID to assigned ID
+ */
+function planIds(incoming, existing) {
+  const used = new Set(existing);
+  const ids = new Map();
+  const counters = new Map();
+
+  // Numbers are counted past the incoming IDs too, so a new ID never takes one a later row keeps
+  const nextNumber = prefix => {
+    if (!counters.has(prefix)) {
+      let max = 0;
+      for (const id of [...existing, ...incoming.map(row => row.id)]) {
+        const parsed = parseTaskId(id);
+        if (parsed?.prefix === prefix) {
+          max = Math.max(max, parsed.number);
+        }
+      }
+      counters.set(prefix, max);
+    }
+    counters.set(prefix, counters.get(prefix) + 1);
+    return counters.get(prefix);
+  };
+
+  for (const row of incoming) {
+    const parentId = row.parent_id ? ids.get(row.parent_id) || row.parent_id : null;
+    let id = row.id;
+
+    if (parentId !== (row.parent_id || null) && id.startsWith(`${row.parent_id}.`)) {
+      id = parentId + id.slice(row.parent_id.length);
+    }
+
+    if (used.has(id)) {
+      if (parentId) {
+        let number = 1;
+        while (used.has(`${parentId}.${number}`)) {
+          number++;
+        }
+        id = `${parentId}.${number}`;
+      } else {
+        const prefix = parseTaskId(row.id)?.prefix || 'TASK';
+        id = `${prefix}-${String(nextNumber(prefix)).padStart(3, '0')}`;
+      }
+    }
+
+    used.add(id);
+    ids.set(row.id, id);
+  }
+
+  return ids;
+}
+
+/**
+ * Order tasks so every parent comes before its subtasks
+ * @param {Array<Object>} tasks - Task rows
+ * @returns {Array<Object>} Ordered rows
+ */
+function parentsFirst(tasks) {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const seen = new Set();
+  const ordered = [];
+
+  const visit = task => {
+    if (seen.has(task.id)) {
+      return;
+    }
+    seen.add(task.id);
+    if (byId.has(task.parent_id)) {
+      visit(byId.get(task.parent_id));
+    }
+    ordered.push(task);
+  };
+
+  tasks.forEach(visit);
+  return ordered;
+}
+
+/**
+ * Rewrite a JSON array of task IDs
+ * @param {string|null} value - JSON text
+ * @param {Function} mapId - ID mapping
+ * @returns {string|null} Rewritten JSON text
+ */
+function remapIdList(value, mapId) {
+  if (!value) {
+    return value;
+  }
+  try {
+    const ids = JSON.parse(value);
+    return Array.isArray(ids) ? JSON.stringify(ids.map(mapId)) : value;
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * @param {Map<string, string>} ids - ID mapping
+ * @returns {Object} Only the IDs that changed
+ */
+function changedIds(ids) {
+  return Object.fromEntries([...ids].filter(([from, to]) => from !== to));
+}
+
+/**
+ * @param {Object} db - SQLite connection
+ * @param {string} table - Table name
+ * @returns {boolean} Whether the table exists
+ */
+function tableExists(db, table) {
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+}
@@ -0,0 +1,353 @@
+import { InvalidQueryError } from '../errors/task-errors.js';
+import { levenshteinDistance } from '../utils/fuzzy-match.js';
+import { parseDate, DATE_FORMATS_HELP } from '../utils/date-parser.js';
+
+/**
+ * Filter expression language used by `twrk list --query` and QueryBuilder#filter.
+ *
+ *   status:todo priority>=high tag:backend -assignee:@bob due<7d login
+ *
+ * Terms are ANDed together. Each term is `[-]field<op>value` or a bare word,
+ * which is matched against the full-text search index. A leading `-` negates
+ * the term, a comma separated value matches any of the values and `none`
+ * matches an empty field. `assignee:@me` matches tasks assigned to the
+ * current user, with or without the leading @.
+ */
+
+const TERM_PATTERN = /^(-?)([A-Za-z_]+)(>=|<=|!=|:|=|>|<)(.*)$/;
+
+const STATUSES = [
+  'todo',
+  'in-progress',
+  'in_progress',
+  'blocked',
+  'done',
+  'completed',
+  'cancelled',
+];
+
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+// Who @me is by default: the user the CLI records as created_by and updated_by
+const DEFAULT_USER = 'user';
+
+const FIELDS = {
+  id: { type: 'text', column: 'tasks.id' },
+  status: { type: 'enum', column: 'tasks.status', values: STATUSES },
+  priority: { type: 'ordered', column: 'tasks.priority', values: PRIORITIES },
+  assignee: { type: 'text', column: 'tasks.assignee', nullable: true },
+  category: { type: 'text', column: 'tasks.category', nullable: true },
+  parent: { type: 'text', column: 'tasks.parent_id', nullable: true },
+  tag: { type: 'tag' },
+  name: { type: 'contains', column: 'tasks.name' },
+  description: { type: 'contains', column: 'tasks.description' },
+  progress: { type: 'number', column: 'tasks.progress' },
+  due: { type: 'date', column: 'tasks.due_date', nullable: true },
+  created: { type: 'date', column: 'tasks.created_at' },
+  updated: { type: 'date', column: 'tasks.updated_at' },
+  started: { type: 'date', column: 'tasks.started_at', nullable: true },
+  completed: { type: 'date', column: 'tasks.completed_at', nullable: true },
+};
+
+const FIELD_ALIASES = {
+  s: 'status',
+  p: 'priority',
+  a: 'assignee',
+  t: 'tag',
+  tags: 'tag',
+  desc: 'description',
+};
+
+/**
+ * Parse a filter expression into SQL conditions
+ * @param {string} expression - Filter expression
+ * @param {Object} options - Parse options
+ * @param {Date} options.now - Reference time for relative dates
+ * @param {string} options.user - User that @me stands for
+ * @returns {Array<{field: string, operator: string, negated: boolean, sql: string, values: Array}>}
+ * @throws {InvalidQueryError} If the expression cannot be parsed
+ */
+export function parseFilterExpression(expression, options = {}) {
+  const now = options.now || new Date();
+  const user = options.user || DEFAULT_USER;
+
+  return tokenize(expression).map(token => {
+    const fail = (message, offset = 0) => {
+      throw new InvalidQueryError(message, expression, token.position + offset);
+    };
+
+    const match = TERM_PATTERN.exec(token.raw);
+    if (!match) {
+      const negated = token.raw.startsWith('-');
+      const text = unquote(negated ? token.raw.slice(1) : token.raw);
+      if (!text) {
+        fail('Missing search term after "-"');
+      }
+      return negate(
+        {
+          field: 'text',
+          operator: ':',
+          negated,
+          sql: 'tasks.id IN (SELECT task_id FROM task_search WHERE task_search MATCH ?)',
+          values: [`"${text.replace(/"/g, '""')}"`],
+        },
+        negated
+      );
+    }
+
+    const [, minus, rawField, operator, rawValue] = match;
+    const field = FIELD_ALIASES[rawField.toLowerCase()] || rawField.toLowerCase();
+    const definition = FIELDS[field];
+    const valueOffset = minus.length + rawField.length + operator.length;
+
+    if (!definition) {
+      const suggestion = suggestField(field);
+      fail(
+        `Unknown field "${rawField}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`,
+        minus.length
+      );
+    }
+
+    const value = unquote(rawValue);
+    if (!value) {
+      fail(`Missing value for "${rawField}"`, valueOffset);
+    }
+
+    const values = value.split(',').map(v => v.trim());
+    if (values.some(v => !v)) {
+      fail(`Empty value in list for "${rawField}"`, valueOffset);
+    }
+
+    const resolved =
+      field === 'assignee'
+        ? values.flatMap(v => (v.toLowerCase() === '@me' ? [user, `@${user}`] : [v]))
+        : values;
+    const clause = compileTerm(field, definition, operator, resolved, now, message =>
+      fail(message, valueOffset)
+    );
+
+    // `-status!=done` is a double negation
+    const negated = (minus === '-') !== (operator === '!=');
+    return negate({ field, operator, negated, ...clause }, negated);
+  });
+}
+
+/**
+ * Split an expression on whitespace, keeping double-quoted values together
+ * @param {string} expression - Filter expression
+ * @returns {Array<{raw: string, position: number}>} Tokens with their offsets
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    if (/\s/.test(expression[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let quote = null;
+    let quoteStart = 0;
+    while (i < expression.length && (quote || !/\s/.test(expression[i]))) {
+      if (quote && expression[i] === quote) {
+        quote = null;
+      } else if (!quote && expression[i] === '"') {
+        quote = expression[i];
+        quoteStart = i;
+      }
+      i++;
+    }
+
+    if (quote) {
+      throw new InvalidQueryError('Unterminated quote', expression, quoteStart);
+    }
+
+    tokens.push({ raw: expression.slice(start, i), position: start });
+  }
+
+  return tokens;
+}
+
+/**
+ * Build the positive SQL condition for a single field term
+ * @param {string} field - Canonical field name
+ * @param {Object} definition - Field definition from FIELDS
+ * @param {string} operator - Comparison operator
+ * @param {Array<string>} values - Values to compare against
+ * @param {Date} now - Reference time for relative dates
+ * @param {Function} fail - Raises an InvalidQueryError for this term
+ * @returns {{sql: string, values: Array}} Condition and bound values
+ */
+function compileTerm(field, definition, operator, values, now, fail) {
+  const isComparison = !['!=', ':', '='].includes(operator);
+  const hasNone = values.includes('none');
+  const others = values.filter(v => v !== 'none');
+
+  if (isComparison && !['ordered', 'number', 'date'].includes(definition.type)) {
+    fail(`Operator "${operator}" is not supported for ${field}`);
+  }
+  if (isComparison && values.length > 1) {
+    fail(`Operator "${operator}" takes a single value`);
+  }
+  if (hasNone && !definition.nullable && definition.type !== 'tag') {
+    fail(`${field} is never empty, "none" is not allowed`);
+  }
+
+  const conditions = [];
+  const params = [];
+  const column = definition.column;
+
+  if (hasNone) {
+    conditions.push(
+      definition.type === 'tag'
+        ? 'tasks.id NOT IN (SELECT task_id FROM task_tags)'
+        : `${column} IS NULL`
+    );
+  }
+
+  if (others.length > 0) {
+    switch (definition.type) {
+      case 'enum':
+      case 'ordered': {
+        const invalid = others.find(v => !definition.values.includes(v.toLowerCase()));
+        if (invalid) {
+          fail(`Invalid ${field} "${invalid}". Expected one of: ${definition.values.join(', ')}`);
+        }
+        let allowed = others.map(v => v.toLowerCase());
+        if (isComparison) {
+          const index = definition.values.indexOf(allowed[0]);
+          allowed = definition.values.filter((_, i) => compare(i, operator, index));
+        }
+        conditions.push(inList(column, allowed));
+        params.push(...allowed);
+        break;
+      }
+
+      case 'text':
+        conditions.push(inList(column, others));
+        params.push(...others);
+        break;
+
+      case 'contains':
+        others.forEach(v => {
+          conditions.push(`${column} LIKE ?`);
+          params.push(`%${v}%`);
+        });
+        break;
+
+      case 'tag':
+        conditions.push(
+          `tasks.id IN (SELECT task_id FROM task_tags WHERE ${inList('tag', others)})`
+        );
+        params.push(...others);
+        break;
+
+      case 'number': {
+        const invalid = others.find(v => !/^\d+(\.\d+)?$/.test(v));
+        if (invalid) {
+          fail(`Invalid number "${invalid}" for ${field}`);
+        }
+        const sqlOperator = isComparison ? operator : '=';
+        others.forEach(v => {
+          conditions.push(`${column} ${sqlOperator} ?`);
+          params.push(Number(v));
+        });
+        break;
+      }
+
+      case 'date':
+        others.forEach(v => {
+          const date = parseDate(v, { now });
+          if (!date) {
+            fail(`Invalid date "${v}". Use ${DATE_FORMATS_HELP}`);
+          }
+          // Whole days compare by calendar date, offsets and timestamps by instant
+          const fn = date.day ? 'date' : 'datetime';
+          const sqlOperator = isComparison ? operator : '=';
+          conditions.push(`${fn}(${column}) ${sqlOperator} ${fn}(?)`);
+          params.push(date.value);
+        });
+        break;
+    }
+  }
+
+  return {
+    sql: conditions.length === 1 ? conditions[0] : `(${conditions.join(' OR ')})`,
+    values: params,
+  };
+}
+
+/**
+ * Wrap a condition in NOT, treating NULL as "does not match"
+ * @param {Object} clause - Compiled clause
+ * @param {boolean} negated - Whether to negate
+ * @returns {Object} Clause
+ */
+function negate(clause, negated) {
+  if (negated) {
+    clause.sql = `NOT COALESCE(${clause.sql}, 0)`;
+  }
+  return clause;
+}
+
+/**
+ * Build an equality or IN condition
+ * @param {string} column - Column name
+ * @param {Array} values - Values to match
+ * @returns {string} SQL condition
+ */
+function inList(column, values) {
+  return values.length === 1
+    ? `${column} = ?`
+    : `${column} IN (${values.map(() => '?').join(', ')})`;
+}
+
+/**
+ * Compare two positions of an ordered field
+ * @param {number} a - Position of the candidate value
+ * @param {string} operator - Comparison operator
+ * @param {number} b - Position of the value from the expression
+ * @returns {boolean} Comparison result
+ */
+function compare(a, operator, b) {
+  switch (operator) {
+    case '>':
+      return a > b;
+    case '>=':
+      return a >= b;
+    case '<':
+      return a < b;
+    default:
+      return a <= b;
+  }
+}
+
+/**
+ * Strip double quotes from a token
+ * @param {string} value - Raw token text
+ * @returns {string} Unquoted text
+ */
+function unquote(value) {
+  return value.replace(/"/g, '');
+}
+
+/**
+ * Suggest the closest known field name for a typo
+ * @param {string} field - Unknown field name
+ * @returns {string|null} Suggested field name
+ */
+function suggestField(field) {
+  const prefixed = Object.keys(FIELDS).find(name => name.startsWith(field));
+  if (prefixed) {
+    return prefixed;
+  }
+
+  const candidates = [...Object.keys(FIELDS), ...Object.keys(FIELD_ALIASES)];
+  const [best] = candidates
+    .map(name => ({ name, distance: levenshteinDistance(field, name) }))
+    .filter(c => c.distance <= 2)
+    .sort((a, b) => a.distance - b.distance);
+  return best ? FIELD_ALIASES[best.name] || best.name : null;
+}
@@ -0,0 +1,88 @@
+import { taskIdFromBranch } from '../utils/git.js';
+
+/**
+ * Finding task references in commit messages for `twrk git scan`.
+ *
+ * A commit mentions a task when its subject or body contains the task ID
+ * (TASK-042, TASK-001.2). A closing keyword in front of the ID marks the
+ * task as finished by that commit:
+ *
+ *   close, closes, closed, fix, fixes, fixed, resolve, resolves, resolved
+ *
+ * Pull request numbers are taken from GitHub merge commits ("Merge pull
+ * request #12 from owner/task-042-login", whose branch name also names the
+ * task) and from squash merges ("Fix login (#12)").
+ */
+
+const TASK_ID = /\b[A-Z]+-\d+(?:\.\d+)*\b/g;
+const CLOSING = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?):?\s+([A-Z]+-\d+(?:\.\d+)*)\b/gi;
+const MERGE_PULL_REQUEST = /^Merge pull request #(\d+) from [^/\s]+\/(\S+)/;
+const SQUASH_PULL_REQUEST = /\(#(\d+)\)\s*$/;
+
+/**
+ * Find the tasks a commit mentions
+ * @param {Object} commit - Commit from readCommits()
+ * @returns {{taskIds: Array<string>, closes: Array<string>, pullRequest: number|null}}
+ *   Mentioned task IDs, the ones it closes and its pull request number
+ */
+export function findCommitReferences(commit) {
+  const message = `${commit.subject}\n${commit.body || ''}`;
+  const taskIds = new Set(message.match(TASK_ID) || []);
+  const closes = new Set();
+
+  for (const match of message.matchAll(CLOSING)) {
+    const taskId = match[1].toUpperCase();
+    taskIds.add(taskId);
+    closes.add(taskId);
+  }
+
+  let pullRequest = null;
+  const merge = commit.subject.match(MERGE_PULL_REQUEST);
+  if (merge) {
+    pullRequest = Number(merge[1]);
+    const branchTaskId = taskIdFromBranch(merge[2]);
+    if (branchTaskId) {
+      taskIds.add(branchTaskId);
+    }
+  } else {
+    const squash = commit.subject.match(SQUASH_PULL_REQUEST);
+    if (squash) {
+      pullRequest = Number(squash[1]);
+    }
+  }
+
+  return { taskIds: [...taskIds], closes: [...closes], pullRequest };
+}
+
+/**
+ * Links to record for a commit on one task
+ * @param {Object} commit - Commit from readCommits()
+ * @param {number|null} pullRequest - Pull request number of the commit
+ * @param {string|null} repoUrl - GitHub web address of the repository
+ * @returns {Array<Object>} Links for linkTask()
+ */
+export function commitLinks(commit, pullRequest, repoUrl = null) {
+  const links = [
+    {
+      type: 'commit',
+      ref: commit.sha,
+      title: commit.subject,
+      author: commit.author,
+      url: repoUrl ? `${repoUrl}/commit/${commit.sha}` : null,
+      linked_at: commit.date,
+    },
+  ];
+
+  if (pullRequest) {
+    links.push({
+      type: 'pull_request',
+      ref: `#${pullRequest}`,
+      title: commit.subject,
+      author: commit.author,
+      url: repoUrl ? `${repoUrl}/pull/${pullRequest}` : null,
+      linked_at: commit.date,
+    });
+  }
+
+  return links;
+}
@@ -0,0 +1,134 @@
+import { ValidationError } from '../errors/base-error.js';
+
+/**
+ * Field-level merging for `twrk import --merge`.
+ *
+ * A task in the import file is compared with the task of the same ID in the
+ * database, field by field. Fields the file leaves out are not compared, so
+ * a file with only a few columns never clears the rest. The strategy picks
+ * the winner for each field that differs:
+ *
+ *   theirs  the file wins
+ *   ours    the database wins; fields it leaves empty are filled from the file
+ *   newest  the side with the later updated_at wins; a file task without
+ *           updated_at is treated as older
+ *
+ * Merging the same file twice changes nothing the second time.
+ */
+
+export const MERGE_STRATEGIES = ['ours', 'theirs', 'newest'];
+
+// Task columns a merge may change, in display order
+export const MERGE_FIELDS = [
+  'name',
+  'description',
+  'content',
+  'status',
+  'priority',
+  'assignee',
+  'estimate',
+  'progress',
+  'due_date',
+  'category',
+  'parent_id',
+];
+
+/**
+ * Compare a task from an import file with the stored task
+ * @param {Object} current - Task in the database
+ * @param {Array<string>} currentTags - Its tags
+ * @param {Object} incoming - Task from the file
+ * @returns {Array<{field: string, ours: *, theirs: *}>} Fields that differ
+ */
+export function diffTask(current, currentTags, incoming) {
+  const diff = [];
+
+  for (const field of MERGE_FIELDS) {
+    if (incoming[field] === undefined) {
+      continue;
+    }
+    if (normalize(current[field]) !== normalize(incoming[field])) {
+      diff.push({ field, ours: current[field] ?? null, theirs: incoming[field] ?? null });
+    }
+  }
+
+  if (Array.isArray(incoming.tags)) {
+    const ours = [...currentTags].sort();
+    const theirs = [...new Set(incoming.tags.map(tag => String(tag).trim()))].sort();
+    if (ours.join('\n') !== theirs.join('\n')) {
+      diff.push({ field: 'tags', ours, theirs });
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Decide which differing fields take the file's value
+ * @param {Object} current - Task in the database
+ * @param {Object} incoming - Task from the file
+ * @param {Array<Object>} diff - Result of diffTask
+ * @param {string} strategy - One of MERGE_STRATEGIES
+ * @returns {Array<{field: string, ours: *, theirs: *, apply: boolean}>} Diff with the decision
+ * @throws {ValidationError} If the strategy is unknown
+ */
+export function resolveMerge(current, incoming, diff, strategy) {
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new ValidationError(
+      `Unknown merge strategy: ${strategy}. Use ${MERGE_STRATEGIES.join(', ')}`
+    );
+  }
+
+  const theirsWins =
+    strategy === 'theirs' ||
+    (strategy === 'newest' && isNewer(incoming.updated_at, current.updated_at));
+
+  return diff.map(change => ({
+    ...change,
+    apply: theirsWins || isEmpty(change.ours),
+  }));
+}
+
+/**
+ * @param {*} value - Field value
+ * @returns {string|null} Value in a form that compares equal across file formats
+ */
+function normalize(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  return String(value).trim();
+}
+
+/**
+ * @param {*} value - Field value
+ * @returns {boolean} Whether the value is unset
+ */
+function isEmpty(value) {
+  return normalize(value) === null || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * @param {string|undefined} theirs - updated_at from the file
+ * @param {string|undefined} ours - updated_at in the database
+ * @returns {boolean} Whether the file's timestamp is later
+ */
+function isNewer(theirs, ours) {
+  if (!theirs) {
+    return false;
+  }
+  if (!ours) {
+    return true;
+  }
+  return toTime(theirs) > toTime(ours);
+}
+
+/**
+ * @param {string} value - ISO or SQLite timestamp
+ * @returns {number} Milliseconds since the epoch
+ */
+function toTime(value) {
+  // SQLite timestamps (2025-01-31 09:00:00) are UTC
+  const normalized = /^\d{4}-\d{2}-\d{2} \d/.test(value) ? `${value.replace(' ', 'T')}Z` : value;
+  return new Date(normalized).getTime();
+}
@@ -0,0 +1,250 @@
+/**
+ * Two-way sync between the task list and a Markdown checklist, for
+ * `twrk sync markdown`.
+ *
+ * The file holds one bullet per task, subtasks indented under their parent:
+ *
+ *   - [ ] TASK-001: Ship release !high
+ *     - [x] TASK-001.1: Write changelog
+ *   - [ ] Draft the announcement
+ *
+ * The checkbox is the status, a trailing !low, !high or !critical is the
+ * priority (medium is left out), and bullets without an ID are new tasks.
+ *
+ * Each sync compares three versions of every task: the file, the database,
+ * and the snapshot taken at the previous sync. A field changed on one side
+ * only takes that side's value. A field changed differently on both sides is
+ * a conflict and keeps the database value. Removing a line never deletes a
+ * task; the next sync writes it back.
+ */
+
+export const SNAPSHOT_VERSION = 1;
+
+// Checkbox mark for each status
+const STATUS_MARKS = [
+  ['todo', ' '],
+  ['in-progress', '~'],
+  ['blocked', '!'],
+  ['done', 'x'],
+  ['cancelled', '-'],
+];
+
+const STATUS_ALIASES = { in_progress: 'in-progress', completed: 'done' };
+
+const SYNCED_FIELDS = ['name', 'status', 'priority'];
+
+const ITEM_PATTERN = /^(\s*)[-*+]\s+(?:\[(.)\]\s+)?(.*)$/;
+const ID_PATTERN = /^([A-Z]+-\d+(?:\.\d+)*):\s*/;
+const PRIORITY_PATTERN = /\s+!(low|medium|high|critical)$/i;
+
+/**
+ * Render tasks as a sync checklist
+ * @param {Array<Object>} tasks - Tasks in display order
+ * @returns {string} File content
+ */
+export function formatTaskList(tasks) {
+  const ids = new Set(tasks.map(task => task.id));
+  const children = new Map();
+  for (const task of tasks) {
+    const parent = ids.has(task.parent_id) ? task.parent_id : null;
+    if (!children.has(parent)) {
+      children.set(parent, []);
+    }
+    children.get(parent).push(task);
+  }
+
+  const lines = [
+    '# Tasks',
+    '',
+    '<!-- Synced with taskwerk. Tick boxes, rename tasks, change priorities or add',
+    '     "- [ ] New task" bullets, then run: twrk sync markdown <this file>',
+    '     [ ] todo  [~] in progress  [!] blocked  [x] done  [-] cancelled',
+    '     !low  !high  !critical -->',
+    '',
+  ];
+
+  const write = (parent, depth) => {
+    for (const task of children.get(parent) || []) {
+      const item = toItem(task);
+      const priority = item.priority === 'medium' ? '' : ` !${item.priority}`;
+      lines.push(
+        `${'  '.repeat(depth)}- [${markFor(item.status)}] ${task.id}: ${item.name}${priority}`
+      );
+      write(task.id, depth + 1);
+    }
+  };
+  write(null, 0);
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Read the bullets of a sync checklist
+ * @param {string} content - File content
+ * @returns {Array<{id: string|null, name: string, status: string|undefined, priority: string,
+ *   parent: number|null}>} Items in file order; parent is the index of the enclosing item
+ */
+export function parseTaskList(content) {
+  const items = [];
+  const stack = [];
+  let inComment = false;
+
+  for (const line of content.split('\n')) {
+    if (inComment || line.trim().startsWith('<!--')) {
+      inComment = !line.includes('-->');
+      continue;
+    }
+
+    const match = line.match(ITEM_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const indent = match[1].replace(/\t/g, '  ').length;
+    let text = match[3].trim();
+
+    const idMatch = text.match(ID_PATTERN);
+    const id = idMatch ? idMatch[1] : null;
+    if (idMatch) {
+      text = text.slice(idMatch[0].length);
+    }
+
+    let priority = 'medium';
+    const priorityMatch = text.match(PRIORITY_PATTERN);
+    if (priorityMatch) {
+      priority = priorityMatch[1].toLowerCase();
+      text = text.slice(0, priorityMatch.index);
+    }
+
+    const name = text.trim();
+    if (!name) {
+      continue;
+    }
+
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+
+    items.push({
+      id,
+      name,
+      status: statusFor(match[2] === undefined ? ' ' : match[2]),
+      priority,
+      parent: stack.length > 0 ? stack[stack.length - 1].index : null,
+    });
+    stack.push({ indent, index: items.length - 1 });
+  }
+
+  return items;
+}
+
+/**
+ * Work out what a sync changes in the database
+ * @param {Array<Object>} tasks - Tasks in the database
+ * @param {Array<Object>} items - Result of parseTaskList
+ * @param {Object|null} snapshot - Snapshot saved by the previous sync
+ * @returns {{updates: Array<{id: string, fields: Object}>, creations: Array<Object>,
+ *   conflicts: Array<{id: string, field: string, file: string, database: string}>,
+ *   unknown: Array<string>}} Sync plan
+ */
+export function planSync(tasks, items, snapshot) {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const base = snapshot?.tasks || {};
+  const plan = { updates: [], creations: [], conflicts: [], unknown: [] };
+  const seen = new Set();
+
+  items.forEach((item, index) => {
+    if (!item.id) {
+      const parent = item.parent === null ? null : items[item.parent];
+      plan.creations.push({
+        index,
+        name: item.name,
+        status: item.status || 'todo',
+        priority: item.priority,
+        parent_index: parent && !parent.id ? item.parent : null,
+        parent_id: parent?.id && byId.has(parent.id) ? parent.id : null,
+      });
+      return;
+    }
+
+    if (seen.has(item.id)) {
+      return;
+    }
+    seen.add(item.id);
+
+    const task = byId.get(item.id);
+    if (!task) {
+      plan.unknown.push(item.id);
+      return;
+    }
+
+    const ours = toItem(task);
+    const before = base[item.id];
+    const fields = {};
+
+    for (const field of SYNCED_FIELDS) {
+      const theirs = item[field];
+      if (theirs === undefined || theirs === ours[field]) {
+        continue;
+      }
+      if (before && theirs === before[field]) {
+        // Only the database changed; the rewritten file picks it up
+        continue;
+      }
+      if (before && ours[field] === before[field]) {
+        fields[field] = theirs;
+      } else {
+        plan.conflicts.push({ id: task.id, field, file: theirs, database: ours[field] });
+      }
+    }
+
+    if (Object.keys(fields).length > 0) {
+      plan.updates.push({ id: task.id, fields });
+    }
+  });
+
+  return plan;
+}
+
+/**
+ * Record what the file says about each task after a sync
+ * @param {Array<Object>} tasks - Tasks written to the file
+ * @returns {Object} Snapshot for the next sync
+ */
+export function createSnapshot(tasks) {
+  return {
+    version: SNAPSHOT_VERSION,
+    synced_at: new Date().toISOString(),
+    tasks: Object.fromEntries(tasks.map(task => [task.id, toItem(task)])),
+  };
+}
+
+/**
+ * @param {Object} task - Task
+ * @returns {{name: string, status: string, priority: string}} Fields as the file shows them
+ */
+function toItem(task) {
+  const status = STATUS_ALIASES[task.status] || task.status;
+  return {
+    name: task.name.replace(/\s+/g, ' ').trim(),
+    status: STATUS_MARKS.some(([known]) => known === status) ? status : 'todo',
+    priority: task.priority || 'medium',
+  };
+}
+
+/**
+ * @param {string} status - Task status
+ * @returns {string} Checkbox mark
+ */
+function markFor(status) {
+  return STATUS_MARKS.find(([known]) => known === status)[1];
+}
+
+/**
+ * @param {string} mark - Checkbox mark
+ * @returns {string|undefined} Status, or undefined for a mark that means nothing
+ */
+function statusFor(mark) {
+  const found = STATUS_MARKS.find(([, known]) => known === mark.toLowerCase());
+  return found ? found[0] : undefined;
+}
@@ -1,4 +1,5 @@
 import { Logger } from '../logging/logger.js';
+import { parseFilterExpression } from './filter-expression.js';
 
 export class QueryBuilder {
   constructor(db) {
@@ -45,12 +46,12 @@ export class QueryBuilder {
   /**
    * Add WHERE condition
    * @param {string} field - Field name
-   * @param {string} operator - Operator (=, !=, >, <, >=, <=, LIKE, IN)
+   * @param {string} operator - Operator (=, !=, >, <, >=, <=, LIKE, IN, NOT IN)
    * @param {*} value - Value to compare
    * @returns {QueryBuilder}
    */
   where(field, operator, value) {
-    if (operator === 'IN' && Array.isArray(value)) {
+    if ((operator === 'IN' || operator === 'NOT IN') && Array.isArray(value)) {
       const placeholders = value.map(() => '?').join(', ');
       this.whereConditions.push(`${field} ${operator} (${placeholders})`);
       this.whereValues.push(...value);
@@ -85,7 +86,7 @@ export class QueryBuilder {
     }
 
     // Add OR condition with special prefix
-    if (operator === 'IN' && Array.isArray(value)) {
+    if ((operator === 'IN' || operator === 'NOT IN') && Array.isArray(value)) {
       const placeholders = value.map(() => '?').join(', ');
       this.whereConditions.push(`OR ${field} ${operator} (${placeholders})`);
       this.whereValues.push(...value);
@@ -97,6 +98,33 @@ export class QueryBuilder {
     return this;
   }
 
+  /**
+   * Add a raw WHERE condition with its bound values
+   * @param {string} condition - SQL condition using ? placeholders
+   * @param {Array} values - Values for the placeholders
+   * @returns {QueryBuilder}
+   */
+  whereRaw(condition, values = []) {
+    this.whereConditions.push(condition);
+    this.whereValues.push(...values);
+    return this;
+  }
+
+  /**
+   * Add conditions from a filter expression such as
+   * `status:todo priority>=high tag:backend -assignee:@bob due<7d`
+   * @param {string} expression - Filter expression (see filter-expression.js)
+   * @param {Object} options - Parse options (e.g. `now` for relative dates)
+   * @returns {QueryBuilder}
+   * @throws {InvalidQueryError} If the expression cannot be parsed
+   */
+  filter(expression, options = {}) {
+    for (const clause of parseFilterExpression(expression, options)) {
+      this.whereRaw(clause.sql, clause.values);
+    }
+    return this;
+  }
+
   /**
    * Add LIKE condition for text search
    * @param {string} field - Field name
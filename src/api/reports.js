@@ -0,0 +1,237 @@
+import { formatLocalDate } from '../utils/date-parser.js';
+
+/**
+ * Project reports for `twrk report`: burndown, weekly throughput, lead and
+ * cycle time, and estimate accuracy.
+ *
+ * Each task's history is rebuilt from its status changes in the timeline,
+ * falling back to the started_at and completed_at columns:
+ *
+ *   lead time   created until finished
+ *   cycle time  first moved to in-progress until finished; tasks that were
+ *               never started are left out
+ *
+ * Cancelled tasks leave the burndown when they are cancelled but do not
+ * count as completed work. Days and weeks (starting on Monday) are local
+ * calendar days; the range includes both ends.
+ */
+
+export const REPORT_TYPES = ['burndown', 'throughput', 'cycle-time', 'estimates'];
+
+const HOUR = 3600 * 1000;
+
+const STARTED_STATUSES = ['in-progress', 'in_progress'];
+const DONE_STATUSES = ['done', 'completed'];
+const CLOSED_STATUSES = [...DONE_STATUSES, 'cancelled'];
+
+// Tracked time within this share of the estimate counts as on target
+const ESTIMATE_TOLERANCE = 0.2;
+
+/**
+ * Work out when a task was created, started and finished
+ * @param {Object} task - Task row
+ * @param {Array<{timestamp: string, status: string}>} statusChanges - Its status changes,
+ *   oldest first
+ * @returns {{created: Date, started: Date|null, closed: Date|null, done: boolean}} Lifecycle;
+ *   closed is set for finished tasks, done tells completed work from cancelled
+ */
+export function taskLifecycle(task, statusChanges = []) {
+  const created = toDate(task.created_at);
+
+  const startChange = statusChanges.find(change => STARTED_STATUSES.includes(change.status));
+  let started = toDate(task.started_at) || toDate(startChange?.timestamp);
+
+  let closed = null;
+  if (CLOSED_STATUSES.includes(task.status)) {
+    const closeChange = statusChanges.filter(change => CLOSED_STATUSES.includes(change.status));
+    closed =
+      toDate(task.completed_at) ||
+      toDate(closeChange[closeChange.length - 1]?.timestamp) ||
+      toDate(task.updated_at);
+  }
+
+  if (started && closed && started > closed) {
+    started = null;
+  }
+
+  return { created, started, closed, done: DONE_STATUSES.includes(task.status) };
+}
+
+/**
+ * Open tasks at the end of each day
+ * @param {Array<Object>} lifecycles - From taskLifecycle()
+ * @param {{from: Date, to: Date}} range - Report range
+ * @returns {Array<{date: string, remaining: number, ideal: number|null}>} One point per
+ *   day; ideal falls in a straight line to zero from the first day with open tasks
+ */
+export function burndown(lifecycles, range) {
+  const points = [];
+
+  for (const day of eachDay(range)) {
+    const end = addDays(day, 1);
+    const remaining = lifecycles.filter(
+      lifecycle => lifecycle.created < end && !(lifecycle.closed && lifecycle.closed < end)
+    ).length;
+    points.push({ date: formatLocalDate(day), remaining });
+  }
+
+  // The ideal line starts on the first day with open tasks
+  const first = points.findIndex(point => point.remaining > 0);
+  const start = first >= 0 ? points[first].remaining : 0;
+  const steps = Math.max(points.length - 1 - first, 1);
+  return points.map((point, index) => ({
+    ...point,
+    ideal: first >= 0 && index >= first ? round(start - (start * (index - first)) / steps) : null,
+  }));
+}
+
+/**
+ * Tasks completed each week
+ * @param {Array<Object>} lifecycles - From taskLifecycle()
+ * @param {{from: Date, to: Date}} range - Report range
+ * @returns {Array<{week: string, completed: number}>} Weeks by their Monday
+ */
+export function throughput(lifecycles, range) {
+  const weeks = [];
+  const last = startOfDay(range.to);
+
+  for (let week = startOfWeek(range.from); week <= last; week = addDays(week, 7)) {
+    const end = addDays(week, 7);
+    const completed = lifecycles.filter(
+      lifecycle =>
+        lifecycle.done &&
+        lifecycle.closed >= week &&
+        lifecycle.closed < end &&
+        inRange(lifecycle.closed, range)
+    ).length;
+    weeks.push({ week: formatLocalDate(week), completed });
+  }
+
+  return weeks;
+}
+
+/**
+ * Average lead and cycle time of the tasks completed in the range
+ * @param {Array<{task: Object, lifecycle: Object}>} entries - Tasks with their lifecycles
+ * @param {{from: Date, to: Date}} range - Report range
+ * @param {Function} groupOf - Returns the group name for a task
+ * @returns {Array<{group: string, count: number, lead_hours: number, cycle_hours: number|null}>}
+ *   One row per group, largest first
+ */
+export function cycleTimes(entries, range, groupOf) {
+  const groups = new Map();
+
+  for (const { task, lifecycle } of completedIn(entries, range)) {
+    const group = groupOf(task);
+    if (!groups.has(group)) {
+      groups.set(group, { lead: [], cycle: [] });
+    }
+    const times = groups.get(group);
+    times.lead.push(lifecycle.closed - lifecycle.created);
+    if (lifecycle.started) {
+      times.cycle.push(lifecycle.closed - lifecycle.started);
+    }
+  }
+
+  return [...groups.entries()]
+    .map(([group, times]) => ({
+      group,
+      count: times.lead.length,
+      lead_hours: averageHours(times.lead),
+      cycle_hours: averageHours(times.cycle),
+    }))
+    .sort((a, b) => b.count - a.count || a.group.localeCompare(b.group));
+}
+
+/**
+ * Compare estimates with tracked time for the tasks completed in the range
+ * @param {Array<{task: Object, lifecycle: Object, tracked: number}>} entries - Tasks with
+ *   their lifecycles and tracked seconds
+ * @param {{from: Date, to: Date}} range - Report range
+ * @returns {Object} Totals in hours, the actual/estimate ratio, how many tasks were on
+ *   target (within 20%), over or under, and the compared tasks
+ */
+export function estimateAccuracy(entries, range) {
+  const tasks = completedIn(entries, range)
+    .filter(({ task, tracked }) => task.estimate > 0 && tracked > 0)
+    .map(({ task, tracked }) => {
+      const actual = round(tracked / 3600);
+      return {
+        id: task.id,
+        name: task.name,
+        estimate: task.estimate,
+        actual,
+        ratio: round(actual / task.estimate, 2),
+      };
+    });
+
+  const estimated = tasks.reduce((sum, task) => sum + task.estimate, 0);
+  const actual = tasks.reduce((sum, task) => sum + task.actual, 0);
+
+  return {
+    count: tasks.length,
+    estimated_hours: round(estimated),
+    actual_hours: round(actual),
+    ratio: estimated > 0 ? round(actual / estimated, 2) : null,
+    on_target: tasks.filter(task => Math.abs(task.ratio - 1) <= ESTIMATE_TOLERANCE).length,
+    over: tasks.filter(task => task.ratio > 1 + ESTIMATE_TOLERANCE).length,
+    under: tasks.filter(task => task.ratio < 1 - ESTIMATE_TOLERANCE).length,
+    tasks,
+  };
+}
+
+function completedIn(entries, range) {
+  return entries.filter(({ lifecycle }) => lifecycle.done && inRange(lifecycle.closed, range));
+}
+
+function inRange(date, range) {
+  return date >= startOfDay(range.from) && date < addDays(startOfDay(range.to), 1);
+}
+
+function* eachDay(range) {
+  const last = startOfDay(range.to);
+  for (let day = startOfDay(range.from); day <= last; day = addDays(day, 1)) {
+    yield day;
+  }
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function startOfWeek(date) {
+  const day = startOfDay(date);
+  return addDays(day, -((day.getDay() + 6) % 7));
+}
+
+// Calendar arithmetic, so days stay aligned across daylight saving changes
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function averageHours(durations) {
+  if (durations.length === 0) {
+    return null;
+  }
+  const total = durations.reduce((sum, duration) => sum + duration, 0);
+  return round(total / durations.length / HOUR);
+}
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * @param {string|null} value - ISO or SQLite timestamp
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  if (!value) {
+    return null;
+  }
+  // SQLite timestamps (2025-01-31 09:00:00) are UTC
+  const normalized = /^\d{4}-\d{2}-\d{2} \d/.test(value) ? `${value.replace(' ', 'T')}Z` : value;
+  const date = new Date(normalized);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
@@ -1,16 +1,48 @@
 import { getDatabase } from '../db/database.js';
 import { generateTaskId, generateSubtaskId, taskIdExists } from '../db/task-id.js';
-import { TaskNotFoundError, DuplicateTaskIdError } from '../errors/task-errors.js';
+import {
+  TaskNotFoundError,
+  DuplicateTaskIdError,
+  TaskDependencyError,
+  CircularDependencyError,
+} from '../errors/task-errors.js';
 import { ValidationError } from '../errors/base-error.js';
 import { Logger } from '../logging/logger.js';
 import { query } from './query-builder.js';
+import { SEARCH_REBUILD_SQL } from '../db/schema.js';
 import { TaskValidator } from './validation.js';
+import { UndoLog, snapshotTask } from './undo-log.js';
+import { createBundle, importBundle } from './bundle.js';
+import { diffTask, resolveMerge } from './import-merge.js';
+import { commitLinks, findCommitReferences } from './git-links.js';
+import { createSnapshot, formatTaskList, parseTaskList, planSync } from './markdown-sync.js';
+import { burndown, cycleTimes, estimateAccuracy, taskLifecycle, throughput } from './reports.js';
+import { taskIdFromBranch } from '../utils/git.js';
 import { fuzzyMatchTaskId, formatTaskNotFoundError } from '../utils/fuzzy-match.js';
+import { parseRecurrence, nextOccurrence } from '../utils/recurrence.js';
+import { formatLocalDate } from '../utils/date-parser.js';
+import { formatDuration, secondsToHours } from '../utils/duration.js';
+
+// Statuses that count as finished when resolving dependencies
+const CLOSED_STATUSES = ['done', 'completed', 'cancelled'];
+
+// Statuses that get switched to 'blocked' while dependencies are unfinished
+const BLOCKABLE_STATUSES = ['todo', 'in-progress', 'in_progress'];
+
+// Statuses that complete a recurring task and spawn its next occurrence
+const DONE_STATUSES = ['done', 'completed'];
+
+// Relative weight of each priority when ranking actionable tasks
+const PRIORITY_WEIGHT = { critical: 4, high: 3, medium: 2, low: 1 };
+
+// bm25 weights for the task_search columns: task_id, name, description, content, notes, tags
+const SEARCH_COLUMN_WEIGHTS = [0, 10, 5, 2, 2, 4];
 
 export class TaskwerkAPI {
   constructor(database = null) {
     this.db = database || getDatabase();
     this.logger = new Logger('api');
+    this.undoLog = new UndoLog(this);
   }
 
   /**
@@ -78,19 +110,27 @@ export class TaskwerkAPI {
       due_date: taskData.due_date || null,
       content: taskData.content || null,
       category: taskData.category || null,
+      recurrence: taskData.recurrence || null,
+      // A recurring task starts its own series unless it continues one
+      series_id: taskData.series_id || (taskData.recurrence ? taskData.id : null),
       metadata: taskData.metadata ? JSON.stringify(taskData.metadata) : '{}',
       context: taskData.context ? JSON.stringify(taskData.context) : '{}',
+      // Imports keep when the item was created and closed in the other tool
+      created_at: taskData.created_at || null,
+      completed_at: taskData.completed_at || null,
     };
 
+    this.undoLog.begin();
     try {
       const stmt = db.prepare(`
         INSERT INTO tasks (
           id, name, description, status, priority, assignee,
           created_by, updated_by, estimate, actual, estimated, actual_time,
           progress, parent_id, branch_name, due_date, content, category,
-          metadata, context
+          recurrence, series_id, metadata, context, created_at, completed_at
         ) VALUES (
-          ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+          ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+          COALESCE(?, CURRENT_TIMESTAMP), ?
         )
       `);
 
@@ -113,14 +153,19 @@ export class TaskwerkAPI {
         task.due_date,
         task.content,
         task.category,
+        task.recurrence,
+        task.series_id,
         task.metadata,
-        task.context
+        task.context,
+        task.created_at,
+        task.completed_at
       );
 
       if (result.changes === 0) {
         throw new ValidationError('Failed to create task');
       }
 
+      this.undoLog.record('create', task.id, null, null, task.created_by);
       this.logger.info(`Created task ${task.id}: ${task.name}`);
 
       // Add to timeline
@@ -130,15 +175,19 @@ export class TaskwerkAPI {
     } catch (error) {
       this.logger.error(`Failed to create task: ${error.message}`);
       throw error;
+    } finally {
+      this.undoLog.end();
     }
   }
 
   /**
    * Get a task by ID (case-insensitive with fuzzy matching)
    * @param {string} taskId - Task ID
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.include_deleted - Also return tasks in the trash
    * @returns {Object} Task data
    */
-  getTask(taskId) {
+  getTask(taskId, options = {}) {
     const db = this.getDatabase();
 
     // Try exact match first
@@ -164,6 +213,12 @@ export class TaskwerkAPI {
       throw new TaskNotFoundError(formatTaskNotFoundError(taskId, db));
     }
 
+    if (task.deleted_at && !options.include_deleted) {
+      throw new TaskNotFoundError(
+        `${task.id} is in the trash. Restore it with: twrk trash restore ${task.id}`
+      );
+    }
+
     // Parse JSON fields
     try {
       task.metadata = JSON.parse(task.metadata || '{}');
@@ -198,6 +253,11 @@ export class TaskwerkAPI {
     const currentTask = this.getTask(taskId);
     const actualTaskId = currentTask.id;
 
+    // Adding a rule to a one-off task starts a new series
+    if (updates.recurrence && !currentTask.series_id) {
+      updates = { ...updates, series_id: actualTaskId };
+    }
+
     // Track changes for timeline
     const changes = {};
     const updateFields = [];
@@ -232,6 +292,7 @@ export class TaskwerkAPI {
     const sql = `UPDATE tasks SET ${updateFields.join(', ')} WHERE id = ?`;
     values.push(actualTaskId);
 
+    this.undoLog.begin();
     try {
       const stmt = db.prepare(sql);
       const result = stmt.run(...values);
@@ -240,49 +301,435 @@ export class TaskwerkAPI {
         throw new ValidationError('Failed to update task');
       }
 
+      const before = {};
+      const after = {};
+      for (const [field, change] of Object.entries(changes)) {
+        before[field] = change.old === undefined ? null : change.old;
+        after[field] = change.new;
+      }
+      this.undoLog.record('update', actualTaskId, before, after, updatedBy);
       this.logger.info(`Updated task ${actualTaskId}`);
 
       // Add to timeline
       await this.addTimelineEvent(actualTaskId, 'updated', updatedBy, 'Task updated', changes);
 
-      return this.getTask(actualTaskId);
+      // A status change may finish (or reopen) a blocker for other tasks
+      if (changes.status && changes.status.old !== changes.status.new) {
+        for (const dependent of this.getDependentTasks(actualTaskId)) {
+          await this.refreshBlockedState(dependent.id, updatedBy);
+        }
+      }
+
+      const updatedTask = this.getTask(actualTaskId);
+      if (
+        updatedTask.recurrence &&
+        DONE_STATUSES.includes(updatedTask.status) &&
+        !DONE_STATUSES.includes(currentTask.status)
+      ) {
+        updatedTask.next_occurrence = await this.createNextOccurrence(updatedTask, updatedBy);
+      }
+
+      return updatedTask;
     } catch (error) {
       this.logger.error(`Failed to update task ${taskId}: ${error.message}`);
       throw error;
+    } finally {
+      this.undoLog.end();
     }
   }
 
   /**
-   * Delete a task
+   * Create the next task in a recurring series
+   * @param {Object} task - Completed recurring task
+   * @param {string} user - User completing the task
+   * @returns {Object|null} New task, or null if this occurrence already has a live successor
+   */
+  async createNextOccurrence(task, user = 'system') {
+    const db = this.getDatabase();
+
+    // Reopening and completing a task again must not fork the series, but a
+    // successor removed since (e.g. by undo) no longer counts
+    const existing = db
+      .prepare(
+        `SELECT 1 FROM task_timeline tl
+         JOIN tasks t ON t.id = json_extract(tl.changes, '$.next_id')
+         WHERE tl.task_id = ? AND tl.action = 'recurred' AND t.deleted_at IS NULL`
+      )
+      .get(task.id);
+    if (existing) {
+      return null;
+    }
+
+    const seriesId = task.series_id || task.id;
+    const next = await this.createTask({
+      name: task.name,
+      description: task.description,
+      priority: task.priority,
+      assignee: task.assignee,
+      estimate: task.estimate,
+      estimated: task.estimated,
+      parent_id: task.parent_id,
+      due_date: nextDueDate(task.recurrence, task.due_date),
+      content: task.content,
+      category: task.category,
+      recurrence: task.recurrence,
+      series_id: seriesId,
+      created_by: user,
+    });
+
+    const tags = this.getTaskTags(task.id);
+    if (tags.length > 0) {
+      await this.addTaskTags(next.id, tags, user);
+    }
+
+    await this.addTimelineEvent(
+      task.id,
+      'recurred',
+      user,
+      `Next occurrence: ${next.id}${next.due_date ? ` (due ${next.due_date})` : ''}`,
+      { next_id: next.id, series_id: seriesId }
+    );
+    await this.addTimelineEvent(
+      next.id,
+      'recurrence',
+      user,
+      `Occurrence of series ${seriesId}, following ${task.id}`,
+      { previous_id: task.id, series_id: seriesId }
+    );
+
+    this.logger.info(`Created ${next.id} as the next occurrence of ${task.id}`);
+
+    return this.getTask(next.id);
+  }
+
+  /**
+   * Delete a task. By default the task and its subtasks are moved to the trash,
+   * where they keep their tags, notes and history until restored or purged.
    * @param {string} taskId - Task ID
    * @param {string} deletedBy - User deleting the task
+   * @param {Object} options - Delete options
+   * @param {boolean} options.permanent - Delete the task for good (also works on trashed tasks)
    * @returns {boolean} Success
    */
-  async deleteTask(taskId, _deletedBy = 'system') {
+  async deleteTask(taskId, deletedBy = 'system', options = {}) {
     const db = this.getDatabase();
 
     // Check if task exists and get the actual ID (handles case-insensitive lookup)
-    const task = this.getTask(taskId);
+    const task = this.getTask(taskId, { include_deleted: !!options.permanent });
     const actualTaskId = task.id;
+    let dependents;
 
+    this.undoLog.begin();
     try {
-      const stmt = db.prepare('DELETE FROM tasks WHERE id = ?');
-      const result = stmt.run(actualTaskId);
+      if (options.permanent) {
+        dependents = this.getDependentTasks(actualTaskId);
+
+        // Subtasks, tags, notes and history cascade away, so keep a copy for undo
+        this.undoLog.record(
+          'delete',
+          actualTaskId,
+          snapshotTask(db, actualTaskId),
+          null,
+          deletedBy
+        );
 
-      if (result.changes === 0) {
-        throw new ValidationError('Failed to delete task');
+        const result = db.prepare('DELETE FROM tasks WHERE id = ?').run(actualTaskId);
+        if (result.changes === 0) {
+          throw new ValidationError('Failed to delete task');
+        }
+
+        this.logger.info(`Deleted task ${actualTaskId}`);
+      } else {
+        const trash = { deleted_at: new Date().toISOString(), deleted_by: deletedBy };
+        const stmt = db.prepare('UPDATE tasks SET deleted_at = ?, deleted_by = ? WHERE id = ?');
+
+        // Subtasks already in the trash keep their own deletion time
+        const ids = this.getSubtreeIds(actualTaskId, { deleted_at: null });
+        for (const id of ids) {
+          stmt.run(trash.deleted_at, trash.deleted_by, id);
+          this.undoLog.record(
+            'update',
+            id,
+            { deleted_at: null, deleted_by: null },
+            trash,
+            deletedBy
+          );
+        }
+
+        dependents = ids.flatMap(id => this.getDependentTasks(id));
+
+        this.logger.info(`Moved task ${actualTaskId} to the trash`);
+        await this.addTimelineEvent(actualTaskId, 'deleted', deletedBy, 'Moved to trash');
+      }
+
+      // Deleted tasks no longer block anything, so tasks waiting on this one may be free now
+      for (const dependent of dependents) {
+        await this.refreshBlockedState(dependent.id);
       }
 
-      this.logger.info(`Deleted task ${actualTaskId}`);
       return true;
     } catch (error) {
       this.logger.error(`Failed to delete task ${actualTaskId}: ${error.message}`);
       throw error;
+    } finally {
+      this.undoLog.end();
+    }
+  }
+
+  /**
+   * Restore a task from the trash, together with the subtasks trashed with it
+   * @param {string} taskId - Task ID
+   * @param {string} restoredBy - User restoring the task
+   * @returns {Object} Restored task
+   * @throws {ValidationError} If the task is not in the trash or its parent still is
+   */
+  async restoreTask(taskId, restoredBy = 'system') {
+    const db = this.getDatabase();
+    const task = this.getTask(taskId, { include_deleted: true });
+
+    if (!task.deleted_at) {
+      throw new ValidationError(`Task ${task.id} is not in the trash`, 'id', task.id);
+    }
+
+    const parent = task.parent_id
+      ? db.prepare('SELECT id, deleted_at FROM tasks WHERE id = ?').get(task.parent_id)
+      : null;
+    if (parent?.deleted_at) {
+      throw new ValidationError(
+        `Cannot restore ${task.id}: its parent ${parent.id} is in the trash. Restore ${parent.id} instead`,
+        'parent_id',
+        parent.id
+      );
+    }
+
+    this.undoLog.begin();
+    try {
+      const ids = this.getSubtreeIds(task.id, { deleted_at: task.deleted_at });
+      const stmt = db.prepare('UPDATE tasks SET deleted_at = NULL, deleted_by = NULL WHERE id = ?');
+
+      for (const id of ids) {
+        const before = db.prepare('SELECT deleted_at, deleted_by FROM tasks WHERE id = ?').get(id);
+        stmt.run(id);
+        this.undoLog.record(
+          'update',
+          id,
+          before,
+          { deleted_at: null, deleted_by: null },
+          restoredBy
+        );
+      }
+
+      this.logger.info(`Restored task ${task.id} from the trash`);
+      await this.addTimelineEvent(task.id, 'restored', restoredBy, 'Restored from trash');
+
+      for (const id of ids) {
+        for (const dependent of this.getDependentTasks(id)) {
+          await this.refreshBlockedState(dependent.id, restoredBy);
+        }
+        await this.refreshBlockedState(id, restoredBy);
+      }
+
+      return this.getTask(task.id);
+    } finally {
+      this.undoLog.end();
+    }
+  }
+
+  /**
+   * List tasks in the trash, most recently deleted first
+   * @param {Object} options - Query options
+   * @param {string} options.before - Only tasks deleted at or before this ISO time
+   * @returns {Array} Trashed tasks
+   */
+  listTrash(options = {}) {
+    const builder = this.query().whereNotNull('deleted_at').orderBy('deleted_at', 'DESC');
+
+    if (options.before) {
+      builder.whereRaw('datetime(deleted_at) <= datetime(?)', [options.before]);
+    }
+
+    return builder.get();
+  }
+
+  /**
+   * Permanently delete tasks from the trash
+   * @param {Object} options - Purge options
+   * @param {string} options.before - Only purge tasks deleted at or before this ISO time
+   * @param {string} user - User purging
+   * @returns {Array} Purged tasks
+   */
+  async purgeTrash(options = {}, user = 'system') {
+    const db = this.getDatabase();
+    const purged = [];
+
+    for (const task of this.listTrash(options)) {
+      // Subtasks go with their parent
+      if (db.prepare('SELECT 1 FROM tasks WHERE id = ?').get(task.id)) {
+        await this.deleteTask(task.id, user, { permanent: true });
+      }
+      purged.push(task);
+    }
+
+    return purged;
+  }
+
+  /**
+   * Archive a finished task together with its subtasks. Archived tasks are
+   * left out of lists and searches unless asked for, but stay in the database.
+   * @param {string} taskId - Task ID
+   * @param {string} archivedBy - User archiving the task
+   * @returns {Array<string>} IDs of the archived task and subtasks
+   * @throws {ValidationError} If the task is not finished or already archived
+   */
+  async archiveTask(taskId, archivedBy = 'system') {
+    const db = this.getDatabase();
+    const task = this.getTask(taskId);
+
+    if (task.archived_at) {
+      throw new ValidationError(`Task ${task.id} is already archived`, 'id', task.id);
+    }
+    if (!CLOSED_STATUSES.includes(task.status)) {
+      throw new ValidationError(
+        `Cannot archive ${task.id}: only finished tasks can be archived (status is ${task.status})`,
+        'status',
+        task.status
+      );
+    }
+
+    this.undoLog.begin();
+    try {
+      const archive = { archived_at: new Date().toISOString(), archived_by: archivedBy };
+      const stmt = db.prepare('UPDATE tasks SET archived_at = ?, archived_by = ? WHERE id = ?');
+
+      const ids = this.getSubtreeIds(task.id, { archived_at: null, deleted_at: null });
+      for (const id of ids) {
+        stmt.run(archive.archived_at, archive.archived_by, id);
+        this.undoLog.record(
+          'update',
+          id,
+          { archived_at: null, archived_by: null },
+          archive,
+          archivedBy
+        );
+      }
+
+      this.logger.info(`Archived task ${task.id}`);
+      await this.addTimelineEvent(task.id, 'archived', archivedBy, 'Archived');
+
+      return ids;
+    } finally {
+      this.undoLog.end();
+    }
+  }
+
+  /**
+   * Move an archived task, and the subtasks archived with it, back to the active list
+   * @param {string} taskId - Task ID
+   * @param {string} user - User unarchiving the task
+   * @returns {Array<string>} IDs of the unarchived task and subtasks
+   * @throws {ValidationError} If the task is not archived or its parent still is
+   */
+  async unarchiveTask(taskId, user = 'system') {
+    const db = this.getDatabase();
+    const task = this.getTask(taskId);
+
+    if (!task.archived_at) {
+      throw new ValidationError(`Task ${task.id} is not archived`, 'id', task.id);
+    }
+
+    const parent = task.parent_id ? this.getTask(task.parent_id) : null;
+    if (parent?.archived_at) {
+      throw new ValidationError(
+        `Cannot unarchive ${task.id}: its parent ${parent.id} is archived. Unarchive ${parent.id} instead`,
+        'parent_id',
+        parent.id
+      );
+    }
+
+    this.undoLog.begin();
+    try {
+      const ids = this.getSubtreeIds(task.id, { archived_at: task.archived_at });
+      const stmt = db.prepare(
+        'UPDATE tasks SET archived_at = NULL, archived_by = NULL WHERE id = ?'
+      );
+
+      for (const id of ids) {
+        const before = db
+          .prepare('SELECT archived_at, archived_by FROM tasks WHERE id = ?')
+          .get(id);
+        stmt.run(id);
+        this.undoLog.record('update', id, before, { archived_at: null, archived_by: null }, user);
+      }
+
+      this.logger.info(`Unarchived task ${task.id}`);
+      await this.addTimelineEvent(task.id, 'unarchived', user, 'Moved out of the archive');
+
+      return ids;
+    } finally {
+      this.undoLog.end();
+    }
+  }
+
+  /**
+   * Archive every finished task completed before a cutoff. Tasks that were
+   * never marked completed fall back to their last update time.
+   * @param {Object} options - Archive options
+   * @param {string} options.before - Only tasks finished at or before this ISO time
+   * @param {string} user - User archiving the tasks
+   * @returns {Array<string>} IDs of the archived tasks, including subtasks
+   */
+  async archiveFinishedTasks(options = {}, user = 'system') {
+    const builder = this.query()
+      .select('id')
+      .where('status', 'IN', CLOSED_STATUSES)
+      .whereNull('archived_at')
+      .whereNull('deleted_at')
+      .orderBy('id', 'ASC');
+
+    if (options.before) {
+      builder.whereRaw('datetime(COALESCE(completed_at, updated_at)) <= datetime(?)', [
+        options.before,
+      ]);
+    }
+
+    const archived = [];
+    for (const { id } of builder.get()) {
+      // Subtasks may already have gone with their parent
+      if (!archived.includes(id)) {
+        archived.push(...(await this.archiveTask(id, user)));
+      }
+    }
+
+    return archived;
+  }
+
+  /**
+   * IDs of a task and its subtasks (parents before children), following only
+   * subtasks whose columns match the given values
+   * @param {string} taskId - Root task ID
+   * @param {Object} match - Column values subtasks must have (null matches NULL)
+   * @returns {Array<string>} Task IDs
+   */
+  getSubtreeIds(taskId, match = {}) {
+    const db = this.getDatabase();
+    const columns = Object.keys(match);
+    const children = db.prepare(
+      `SELECT id FROM tasks WHERE parent_id = ?${columns.map(c => ` AND ${c} IS ?`).join('')}
+       ORDER BY id`
+    );
+
+    const ids = [taskId];
+    for (let i = 0; i < ids.length; i++) {
+      ids.push(...children.all(ids[i], ...Object.values(match)).map(row => row.id));
     }
+
+    return ids;
   }
 
   /**
-   * List tasks with optional filtering
+   * List tasks with optional filtering. Tasks in the trash or the archive are
+   * left out unless include_deleted / include_archived is set; archived: true
+   * lists only archived tasks.
    * @param {Object} options - Query options
    * @returns {Array} List of tasks
    */
@@ -293,6 +740,17 @@ export class TaskwerkAPI {
     const values = [];
     let joins = '';
 
+    if (!options.include_deleted) {
+      conditions.push('tasks.deleted_at IS NULL');
+    }
+
+    // Archived tasks only show up when asked for (archived: true lists nothing else)
+    if (options.archived) {
+      conditions.push('tasks.archived_at IS NOT NULL');
+    } else if (!options.include_archived) {
+      conditions.push('tasks.archived_at IS NULL');
+    }
+
     // Build WHERE conditions
     if (options.status) {
       conditions.push('tasks.status = ?');
@@ -452,60 +910,98 @@ export class TaskwerkAPI {
   }
 
   /**
-   * Search tasks by text
-   * @param {string} searchTerm - Search term
-   * @param {Object} options - Search options
-   * @returns {Array} Matching tasks
+   * Full-text search over task names, descriptions, content, notes and tags.
+   * Accepts FTS5 query syntax ("exact phrase", prefix*, AND / OR / NOT); input
+   * that is not valid FTS5 syntax is searched as plain words instead.
+   * @param {string} searchTerm - Search query
+   * @param {Object} options - Search options (filters, query expression, order_by, limit, highlight function)
+   * @returns {Array} Matching tasks, best match first, with `snippet` and `rank`
    */
   searchTasks(searchTerm, options = {}) {
+    if (searchTerm && !this.isValidSearchQuery(searchTerm)) {
+      this.logger.debug(`Searching "${searchTerm}" as plain words`);
+      searchTerm = toPlainSearchQuery(searchTerm);
+    }
+
     const builder = this.query();
+    const highlight = options.highlight || (match => `**${match}**`);
 
     if (searchTerm) {
-      // Group the OR conditions together
-      const searchConditions = ['name LIKE ?', 'description LIKE ?', 'content LIKE ?'].join(' OR ');
+      builder
+        .select(
+          'tasks.*',
+          "snippet(task_search, -1, char(2), char(3), '…', 12) AS snippet",
+          `bm25(task_search, ${SEARCH_COLUMN_WEIGHTS.join(', ')}) AS rank`
+        )
+        .join('task_search', 'task_search.task_id = tasks.id')
+        .where('task_search', 'MATCH', searchTerm);
+    }
+
+    if (!options.include_deleted) {
+      builder.whereNull('tasks.deleted_at');
+    }
 
-      builder.whereConditions.push(`(${searchConditions})`);
-      builder.whereValues.push(`%${searchTerm}%`, `%${searchTerm}%`, `%${searchTerm}%`);
+    if (options.archived) {
+      builder.whereNotNull('tasks.archived_at');
+    } else if (!options.include_archived) {
+      builder.whereNull('tasks.archived_at');
+    }
+
+    if (options.query) {
+      builder.filter(options.query);
     }
 
     // Apply filters
     if (options.status) {
-      builder.andWhere('status', '=', options.status);
+      builder.andWhere('tasks.status', '=', options.status);
     }
 
     if (options.priority) {
-      builder.andWhere('priority', '=', options.priority);
+      builder.andWhere('tasks.priority', '=', options.priority);
     }
 
     if (options.assignee) {
-      builder.andWhere('assignee', '=', options.assignee);
+      builder.andWhere('tasks.assignee', '=', options.assignee);
     }
 
     if (options.category) {
-      builder.andWhere('category', '=', options.category);
+      builder.andWhere('tasks.category', '=', options.category);
+    }
+
+    if (options.tags && options.tags.length > 0) {
+      const placeholders = options.tags.map(() => '?').join(', ');
+      builder.whereRaw(
+        `tasks.id IN (SELECT task_id FROM task_tags WHERE tag IN (${placeholders}))`,
+        options.tags
+      );
     }
 
     // Apply date filters
     if (options.created_after) {
-      builder.andWhere('created_at', '>=', options.created_after);
+      builder.andWhere('tasks.created_at', '>=', options.created_after);
     }
 
     if (options.created_before) {
-      builder.andWhere('created_at', '<=', options.created_before);
+      builder.andWhere('tasks.created_at', '<=', options.created_before);
     }
 
+    // Calendar-date bounds include the whole day
     if (options.due_after) {
-      builder.andWhere('due_date', '>=', options.due_after);
+      const fn = isCalendarDate(options.due_after) ? 'date' : 'datetime';
+      builder.whereRaw(`${fn}(tasks.due_date) >= ${fn}(?)`, [options.due_after]);
     }
 
     if (options.due_before) {
-      builder.andWhere('due_date', '<=', options.due_before);
+      const fn = isCalendarDate(options.due_before) ? 'date' : 'datetime';
+      builder.whereRaw(`${fn}(tasks.due_date) <= ${fn}(?)`, [options.due_before]);
     }
 
-    // Apply ordering and pagination
-    const orderBy = options.order_by || 'created_at';
-    const orderDir = options.order_dir || 'DESC';
-    builder.orderBy(orderBy, orderDir);
+    // Best match first unless an explicit ordering was requested
+    if (options.order_by || !searchTerm) {
+      builder.orderBy(`tasks.${options.order_by || 'created_at'}`, options.order_dir || 'DESC');
+    } else {
+      builder.orderBy('rank', 'ASC');
+    }
 
     if (options.limit) {
       builder.limit(options.limit);
@@ -517,8 +1013,10 @@ export class TaskwerkAPI {
 
     const results = builder.get();
 
-    // Parse JSON fields
     return results.map(task => {
+      if (task.snippet) {
+        task.snippet = highlightSnippet(task.snippet, highlight);
+      }
       try {
         task.metadata = JSON.parse(task.metadata || '{}');
         task.context = JSON.parse(task.context || '{}');
@@ -531,6 +1029,45 @@ export class TaskwerkAPI {
     });
   }
 
+  /**
+   * List tasks matching a filter expression, e.g. `status:todo priority>=high due<7d`
+   * @param {string} expression - Filter expression
+   * @param {Object} options - Extra filters, ordering and pagination (as for searchTasks)
+   * @returns {Array} Matching tasks
+   * @throws {InvalidQueryError} If the expression cannot be parsed
+   */
+  queryTasks(expression, options = {}) {
+    return this.searchTasks(null, { ...options, query: expression });
+  }
+
+  /**
+   * Check whether a query is valid FTS5 syntax
+   * @param {string} searchTerm - FTS5 query
+   * @returns {boolean} True if the index accepts the query
+   */
+  isValidSearchQuery(searchTerm) {
+    try {
+      this.getDatabase()
+        .prepare('SELECT 1 FROM task_search WHERE task_search MATCH ? LIMIT 1')
+        .get(searchTerm);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Rebuild the full-text search index from scratch
+   * @returns {number} Number of indexed tasks
+   */
+  rebuildSearchIndex() {
+    const db = this.getDatabase();
+    db.transaction(() => db.exec(SEARCH_REBUILD_SQL))();
+    const { count } = db.prepare('SELECT COUNT(*) AS count FROM task_search').get();
+    this.logger.info(`Rebuilt search index for ${count} tasks`);
+    return count;
+  }
+
   /**
    * Get tasks by status
    * @param {string} status - Task status
@@ -540,6 +1077,7 @@ export class TaskwerkAPI {
   getTasksByStatus(status, options = {}) {
     const builder = this.query()
       .where('status', '=', status)
+      .whereNull('deleted_at')
       .orderBy(options.order_by || 'created_at', options.order_dir || 'DESC');
 
     if (options.limit) {
@@ -562,6 +1100,7 @@ export class TaskwerkAPI {
   getTasksByAssignee(assignee, options = {}) {
     const builder = this.query()
       .where('assignee', '=', assignee)
+      .whereNull('deleted_at')
       .orderBy(options.order_by || 'created_at', options.order_dir || 'DESC');
 
     if (options.limit) {
@@ -584,21 +1123,83 @@ export class TaskwerkAPI {
   getSubtasks(parentId, options = {}) {
     return this.query()
       .where('parent_id', '=', parentId)
+      .whereNull('deleted_at')
       .orderBy(options.order_by || 'created_at', options.order_dir || 'ASC')
       .get();
   }
 
   /**
-   * Get overdue tasks
+   * Split a task into subtasks that take over its priority, assignee, category
+   * and tags. A parent still in todo moves to in-progress.
+   * @param {string} taskId - Task ID
+   * @param {Array<string>} names - Subtask names
+   * @param {Object} options - Split options
+   * @param {boolean} options.divide_estimate - Share the parent's estimate equally
+   * @param {string} user - User splitting the task
+   * @returns {Object} Parent (after any status change), created subtasks, copied tags
+   *   and the estimate given to each subtask (null if not divided)
+   * @throws {ValidationError} If no subtask names are given
+   */
+  async splitTask(taskId, names, options = {}, user = 'system') {
+    const parent = this.getTask(taskId);
+    const subtaskNames = (names || []).map(name => String(name).trim()).filter(Boolean);
+    if (subtaskNames.length === 0) {
+      throw new ValidationError('At least one subtask name is required', 'names', names);
+    }
+
+    const tags = this.getTaskTags(parent.id);
+    const estimate =
+      options.divide_estimate && parent.estimate
+        ? Math.ceil(parent.estimate / subtaskNames.length)
+        : null;
+
+    this.undoLog.begin();
+    try {
+      const subtasks = [];
+      for (const name of subtaskNames) {
+        const subtask = await this.createTask({
+          name,
+          description: `Subtask of ${parent.id}`,
+          status: 'todo',
+          priority: parent.priority,
+          assignee: parent.assignee,
+          parent_id: parent.id,
+          created_by: user,
+          category: parent.category,
+          ...(estimate ? { estimate } : {}),
+        });
+
+        if (tags.length > 0) {
+          await this.addTaskTags(subtask.id, tags, user);
+        }
+        subtasks.push(subtask);
+      }
+
+      const updatedParent =
+        parent.status === 'todo'
+          ? await this.updateTask(parent.id, { status: 'in-progress' }, user)
+          : parent;
+
+      return { parent: updatedParent, subtasks, tags, estimate };
+    } finally {
+      this.undoLog.end();
+    }
+  }
+
+  /**
+   * Get overdue tasks: open tasks due before today (local calendar day), so a
+   * task due today is not overdue yet
    * @param {Object} options - Query options
    * @returns {Array} Overdue tasks
    */
   getOverdueTasks(options = {}) {
-    const now = new Date().toISOString();
+    const today = formatLocalDate(new Date());
 
     const builder = this.query()
-      .where('due_date', '<', now)
+      .where('due_date', '<', today)
       .andWhere('status', 'NOT IN', ['done', 'completed', 'cancelled'])
+      .whereNull('deleted_at')
+      .whereNull('archived_at')
       .orderBy('due_date', 'ASC');
 
     if (options.limit) {
@@ -608,6 +1209,97 @@ export class TaskwerkAPI {
     return builder.get();
   }
 
+  /**
+   * Rank open tasks to answer "what should I work on next?".
+   * Tasks with unfinished dependencies are skipped. The rest are ordered by
+   * overdue first, then priority, assignee match, due date, work already in
+   * progress, how many tasks they unblock, and finally age.
+   * @param {Object} options - Ranking options
+   * @param {string} options.assignee - Only consider tasks for this assignee (or unassigned)
+   * @param {number} options.limit - Maximum number of tasks to return
+   * @returns {Array} Ranked tasks, each with a `reasons` array explaining its rank
+   */
+  getNextTasks(options = {}) {
+    const candidates = this.query()
+      .where('status', 'IN', BLOCKABLE_STATUSES)
+      .whereNull('deleted_at')
+      .whereNull('archived_at')
+      .orderBy('created_at', 'ASC')
+      .get();
+
+    const overdueIds = new Set(this.getOverdueTasks().map(task => task.id));
+
+    const ranked = [];
+    for (const task of candidates) {
+      if (options.assignee && task.assignee && task.assignee !== options.assignee) {
+        continue;
+      }
+
+      const pending = this.getTaskDependencies(task.id).filter(
+        dep => !CLOSED_STATUSES.includes(dep.status)
+      );
+      if (pending.length > 0) {
+        continue;
+      }
+
+      const unblocks = this.getDependentTasks(task.id).filter(
+        dep => !CLOSED_STATUSES.includes(dep.status)
+      ).length;
+
+      const reasons = [];
+      if (overdueIds.has(task.id)) {
+        reasons.push('overdue');
+      }
+      reasons.push(`${task.priority} priority`);
+      if (options.assignee && task.assignee === options.assignee) {
+        reasons.push(`assigned to ${task.assignee}`);
+      }
+      if (task.due_date && !overdueIds.has(task.id)) {
+        reasons.push(`due ${task.due_date}`);
+      }
+      if (task.status !== 'todo') {
+        reasons.push('already in progress');
+      }
+      if (unblocks > 0) {
+        reasons.push(`unblocks ${unblocks} task${unblocks !== 1 ? 's' : ''}`);
+      }
+
+      ranked.push({
+        task,
+        reasons,
+        overdue: overdueIds.has(task.id) ? 1 : 0,
+        weight: PRIORITY_WEIGHT[task.priority] || 0,
+        assigned: options.assignee && task.assignee === options.assignee ? 1 : 0,
+        inProgress: task.status !== 'todo' ? 1 : 0,
+        unblocks,
+      });
+    }
+
+    ranked.sort(
+      (a, b) =>
+        b.overdue - a.overdue ||
+        b.weight - a.weight ||
+        b.assigned - a.assigned ||
+        compareDueDates(a.task.due_date, b.task.due_date) ||
+        b.inProgress - a.inProgress ||
+        b.unblocks - a.unblocks
+    );
+
+    const limit = options.limit ? parseInt(options.limit) : ranked.length;
+
+    return ranked.slice(0, limit).map(({ task, reasons }) => {
+      try {
+        task.metadata = JSON.parse(task.metadata || '{}');
+        task.context = JSON.parse(task.context || '{}');
+      } catch (error) {
+        this.logger.warn(`Failed to parse JSON for task ${task.id}: ${error.message}`);
+        task.metadata = {};
+        task.context = {};
+      }
+      return { ...task, reasons };
+    });
+  }
+
   /**
    * Get task statistics
    * @returns {Object} Task statistics
@@ -623,6 +1315,7 @@ export class TaskwerkAPI {
         `
       SELECT status, COUNT(*) as count 
       FROM tasks 
+      WHERE deleted_at IS NULL
       GROUP BY status
     `
       )
@@ -639,6 +1332,7 @@ export class TaskwerkAPI {
         `
       SELECT priority, COUNT(*) as count 
       FROM tasks 
+      WHERE deleted_at IS NULL
       GROUP BY priority
     `
       )
@@ -650,12 +1344,14 @@ export class TaskwerkAPI {
     });
 
     // Total counts
-    stats.total = db.prepare('SELECT COUNT(*) as count FROM tasks').get().count;
+    stats.total = db
+      .prepare('SELECT COUNT(*) as count FROM tasks WHERE deleted_at IS NULL')
+      .get().count;
     stats.completed = db
       .prepare(
         `
       SELECT COUNT(*) as count FROM tasks 
-      WHERE status IN ('done', 'completed')
+      WHERE status IN ('done', 'completed') AND deleted_at IS NULL
     `
       )
       .get().count;
@@ -664,20 +1360,22 @@ export class TaskwerkAPI {
       .prepare(
         `
       SELECT COUNT(*) as count FROM tasks 
-      WHERE status IN ('in-progress', 'in_progress')
+      WHERE status IN ('in-progress', 'in_progress') AND deleted_at IS NULL
     `
       )
       .get().count;
 
+    // Due dates are calendar days (or older full timestamps); both sort before today's date
     stats.overdue = db
       .prepare(
         `
       SELECT COUNT(*) as count FROM tasks 
-      WHERE due_date < datetime('now') 
+      WHERE due_date < ? 
       AND status NOT IN ('done', 'completed', 'cancelled')
+      AND deleted_at IS NULL
     `
       )
-      .get().count;
+      .get(formatLocalDate(new Date())).count;
 
     return stats;
   }
@@ -845,7 +1543,7 @@ export class TaskwerkAPI {
   }
 
   /**
-   * Get tasks that this task depends on
+   * Get tasks that this task depends on (tasks in the trash are left out)
    * @param {string} taskId - Task ID
    * @returns {Array} Array of tasks that this task depends on
    */
@@ -858,7 +1556,7 @@ export class TaskwerkAPI {
       SELECT t.id, t.name, t.status, t.priority
       FROM tasks t
       INNER JOIN task_dependencies td ON t.id = td.depends_on_id
-      WHERE td.task_id = ?
+      WHERE td.task_id = ? AND t.deleted_at IS NULL
       ORDER BY t.id
     `
       )
@@ -866,4 +1564,912 @@ export class TaskwerkAPI {
 
     return dependencies;
   }
+
+  /**
+   * Get tasks that depend on this task (tasks it is blocking), excluding trashed tasks
+   * @param {string} taskId - Task ID
+   * @returns {Array} Array of tasks that depend on this task
+   */
+  getDependentTasks(taskId) {
+    const db = this.getDatabase();
+
+    const dependents = db
+      .prepare(
+        `
+      SELECT t.id, t.name, t.status, t.priority
+      FROM tasks t
+      INNER JOIN task_dependencies td ON t.id = td.task_id
+      WHERE td.depends_on_id = ? AND t.deleted_at IS NULL
+      ORDER BY t.id
+    `
+      )
+      .all(taskId);
+
+    return dependents;
+  }
+
+  /**
+   * Add a dependency so that a task is blocked by another task
+   * @param {string} taskId - Task that will be blocked
+   * @param {string} dependsOnId - Task that must be finished first
+   * @param {string} user - User adding the dependency
+   * @returns {boolean} Success
+   */
+  async addTaskDependency(taskId, dependsOnId, user = 'system') {
+    const db = this.getDatabase();
+
+    // Resolve both IDs (handles fuzzy and case-insensitive lookup)
+    const task = this.getTask(taskId);
+    const dependsOn = this.getTask(dependsOnId);
+
+    if (task.id === dependsOn.id) {
+      throw new TaskDependencyError(task.id, dependsOn.id, 'A task cannot depend on itself');
+    }
+
+    const existing = db
+      .prepare('SELECT 1 FROM task_dependencies WHERE task_id = ? AND depends_on_id = ?')
+      .get(task.id, dependsOn.id);
+    if (existing) {
+      throw new TaskDependencyError(task.id, dependsOn.id, 'Dependency already exists');
+    }
+
+    if (this.hasDependencyPath(dependsOn.id, task.id)) {
+      throw new CircularDependencyError(task.id, dependsOn.id);
+    }
+
+    try {
+      db.prepare('INSERT INTO task_dependencies (task_id, depends_on_id) VALUES (?, ?)').run(
+        task.id,
+        dependsOn.id
+      );
+
+      this.logger.info(`Added dependency ${task.id} -> ${dependsOn.id}`);
+      await this.addTimelineEvent(task.id, 'dependency_added', user, `Blocked by ${dependsOn.id}`, {
+        depends_on_id: dependsOn.id,
+      });
+
+      await this.refreshBlockedState(task.id, user);
+
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to add dependency ${task.id} -> ${dependsOn.id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a dependency between two tasks
+   * @param {string} taskId - Blocked task
+   * @param {string} dependsOnId - Blocking task
+   * @param {string} user - User removing the dependency
+   * @returns {boolean} Success
+   */
+  async removeTaskDependency(taskId, dependsOnId, user = 'system') {
+    const db = this.getDatabase();
+
+    const task = this.getTask(taskId);
+    const dependsOn = this.getTask(dependsOnId);
+
+    try {
+      const result = db
+        .prepare('DELETE FROM task_dependencies WHERE task_id = ? AND depends_on_id = ?')
+        .run(task.id, dependsOn.id);
+
+      if (result.changes === 0) {
+        throw new ValidationError(`Task ${task.id} does not depend on ${dependsOn.id}`);
+      }
+
+      this.logger.info(`Removed dependency ${task.id} -> ${dependsOn.id}`);
+      await this.addTimelineEvent(
+        task.id,
+        'dependency_removed',
+        user,
+        `No longer blocked by ${dependsOn.id}`,
+        { depends_on_id: dependsOn.id }
+      );
+
+      await this.refreshBlockedState(task.id, user);
+
+      return true;
+    } catch (error) {
+      this.logger.error(
+        `Failed to remove dependency ${task.id} -> ${dependsOn.id}: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Recompute the dependency-driven blocked state of a task.
+   * Open tasks with unfinished dependencies are switched to 'blocked'; once the
+   * last dependency is finished they return to the status they had before.
+   * Tasks blocked manually (e.g. via `twrk block`) are left alone.
+   * @param {string} taskId - Task ID
+   * @param {string} user - User whose change triggered the recomputation
+   * @returns {Object} Task after recomputation
+   */
+  async refreshBlockedState(taskId, user = 'system') {
+    const db = this.getDatabase();
+    const task = this.getTask(taskId);
+
+    const pending = this.getTaskDependencies(task.id).filter(
+      dep => !CLOSED_STATUSES.includes(dep.status)
+    );
+    const { blocked_by_dependencies: autoBlock, ...metadata } = task.metadata;
+
+    let newStatus = null;
+    let action;
+    let note;
+
+    if (pending.length > 0 && BLOCKABLE_STATUSES.includes(task.status)) {
+      newStatus = 'blocked';
+      metadata.blocked_by_dependencies = { previous_status: task.status };
+      action = 'blocked';
+      note = `Blocked by unfinished dependencies: ${pending.map(dep => dep.id).join(', ')}`;
+    } else if (pending.length === 0 && task.status === 'blocked' && autoBlock) {
+      newStatus = autoBlock.previous_status || 'todo';
+      action = 'unblocked';
+      note = 'All dependencies finished';
+    } else if (autoBlock && task.status !== 'blocked') {
+      // Status was changed by hand since we blocked it; drop the stale marker
+      db.prepare('UPDATE tasks SET metadata = ? WHERE id = ?').run(
+        JSON.stringify(metadata),
+        task.id
+      );
+      return this.getTask(task.id);
+    }
+
+    if (!newStatus) {
+      return task;
+    }
+
+    db.prepare('UPDATE tasks SET status = ?, metadata = ?, updated_by = ? WHERE id = ?').run(
+      newStatus,
+      JSON.stringify(metadata),
+      user,
+      task.id
+    );
+
+    this.logger.info(`Task ${task.id} ${action} (${task.status} -> ${newStatus})`);
+    await this.addTimelineEvent(task.id, action, user, note, {
+      status: { old: task.status, new: newStatus },
+    });
+
+    return this.getTask(task.id);
+  }
+
+  /**
+   * Check whether a task transitively depends on another task
+   * @param {string} fromId - Task to start walking from
+   * @param {string} toId - Task to look for
+   * @returns {boolean} True if fromId depends on toId, directly or indirectly
+   */
+  hasDependencyPath(fromId, toId) {
+    const db = this.getDatabase();
+    const stmt = db.prepare('SELECT depends_on_id FROM task_dependencies WHERE task_id = ?');
+
+    const visited = new Set();
+    const queue = [fromId];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (current === toId) {
+        return true;
+      }
+      if (visited.has(current)) {
+        continue;
+      }
+      visited.add(current);
+
+      for (const row of stmt.all(current)) {
+        queue.push(row.depends_on_id);
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Undo the most recent task operations (creates, updates and deletes)
+   * @param {number} count - Number of operations to undo
+   * @param {string} user - User undoing
+   * @returns {Array<Object>} Reverted journal entries, newest first
+   */
+  async undo(count = 1, user = 'system') {
+    const reverted = await this.undoLog.undo(count, user);
+    this.logger.info(`Undid ${reverted.length} change(s)`);
+    return reverted;
+  }
+
+  /**
+   * Redo operations reverted by undo()
+   * @param {number} count - Number of operations to redo
+   * @param {string} user - User redoing
+   * @returns {Array<Object>} Reapplied journal entries, oldest first
+   */
+  async redo(count = 1, user = 'system') {
+    const reapplied = await this.undoLog.redo(count, user);
+    this.logger.info(`Redid ${reapplied.length} change(s)`);
+    return reapplied;
+  }
+
+  /**
+   * Get the undo journal, newest first
+   * @param {Object} options - Options (limit)
+   * @returns {Array<Object>} Journal entries
+   */
+  getUndoHistory(options = {}) {
+    return this.undoLog.history(options);
+  }
+
+  /**
+   * Start a timer on a task. Only one timer runs at a time, so a timer running
+   * on another task is stopped first. A todo task moves to in-progress.
+   * @param {string} taskId - Task ID
+   * @param {string} user - User starting the timer
+   * @param {Object} options - Timer options
+   * @param {string} options.note - Optional note for the time entry
+   * @returns {{entry: Object, stopped: Object|null}} New entry and the entry that was stopped
+   */
+  async startTimer(taskId, user = 'system', options = {}) {
+    const db = this.getDatabase();
+    const task = this.getTask(taskId);
+
+    const running = this.getActiveTimer();
+    if (running && running.task_id === task.id) {
+      throw new ValidationError(
+        `A timer is already running on ${task.id} (started ${running.started_at})`,
+        'task_id',
+        task.id
+      );
+    }
+    const stopped = running ? await this.stopTimer(user) : null;
+
+    const startedAt = new Date().toISOString();
+    const result = db
+      .prepare(
+        'INSERT INTO task_time_entries (task_id, user, started_at, note) VALUES (?, ?, ?, ?)'
+      )
+      .run(task.id, user, startedAt, options.note || null);
+
+    if (task.status === 'todo') {
+      await this.updateTask(task.id, { status: 'in-progress', started_at: startedAt }, user);
+    } else if (!task.started_at) {
+      db.prepare('UPDATE tasks SET started_at = ? WHERE id = ?').run(startedAt, task.id);
+    }
+
+    this.logger.info(`Started timer on ${task.id}`);
+    await this.addTimelineEvent(task.id, 'timer_started', user, options.note || 'Timer started', {
+      entry_id: result.lastInsertRowid,
+    });
+
+    return { entry: this.getTimeEntry(result.lastInsertRowid), stopped };
+  }
+
+  /**
+   * Stop the running timer and roll the tracked time up into the task's `actual`
+   * @param {string} user - User stopping the timer
+   * @param {Object} options - Timer options
+   * @param {string} options.note - Optional note, replaces the note given at start
+   * @returns {Object} Finished time entry
+   * @throws {ValidationError} If no timer is running
+   */
+  async stopTimer(user = 'system', options = {}) {
+    const db = this.getDatabase();
+
+    const running = this.getActiveTimer();
+    if (!running) {
+      throw new ValidationError('No timer is running', 'timer', null);
+    }
+
+    const endedAt = new Date();
+    const duration = Math.max(
+      0,
+      Math.round((endedAt.getTime() - new Date(running.started_at).getTime()) / 1000)
+    );
+
+    db.prepare(
+      'UPDATE task_time_entries SET ended_at = ?, duration = ?, note = COALESCE(?, note) WHERE id = ?'
+    ).run(endedAt.toISOString(), duration, options.note || null, running.id);
+
+    // Through updateTask, so the roll-up shows in the timeline and can be undone
+    const tracked = this.getTrackedSeconds(running.task_id);
+    await this.updateTask(
+      running.task_id,
+      { actual: secondsToHours(tracked), actual_time: formatDuration(tracked) },
+      user
+    );
+
+    this.logger.info(`Stopped timer on ${running.task_id} after ${duration}s`);
+    await this.addTimelineEvent(
+      running.task_id,
+      'timer_stopped',
+      user,
+      `Tracked ${formatDuration(duration)}`,
+      { entry_id: running.id, duration }
+    );
+
+    return this.getTimeEntry(running.id);
+  }
+
+  /**
+   * Get the running timer, if any
+   * @returns {Object|null} Running entry with task_name and elapsed seconds
+   */
+  getActiveTimer() {
+    const db = this.getDatabase();
+
+    const entry = db
+      .prepare(
+        `SELECT e.*, t.name AS task_name FROM task_time_entries e
+         JOIN tasks t ON t.id = e.task_id
+         WHERE e.ended_at IS NULL
+         ORDER BY e.started_at DESC LIMIT 1`
+      )
+      .get();
+
+    if (!entry) {
+      return null;
+    }
+
+    entry.elapsed = Math.max(
+      0,
+      Math.round((Date.now() - new Date(entry.started_at).getTime()) / 1000)
+    );
+    return entry;
+  }
+
+  /**
+   * Get a time entry by ID
+   * @param {number} entryId - Entry ID
+   * @returns {Object} Time entry with task_name
+   */
+  getTimeEntry(entryId) {
+    const db = this.getDatabase();
+
+    return db
+      .prepare(
+        `SELECT e.*, t.name AS task_name FROM task_time_entries e
+         JOIN tasks t ON t.id = e.task_id
+         WHERE e.id = ?`
+      )
+      .get(entryId);
+  }
+
+  /**
+   * Get the time entries of a task, oldest first
+   * @param {string} taskId - Task ID
+   * @returns {Array} Time entries
+   */
+  getTimeEntries(taskId) {
+    const db = this.getDatabase();
+    const task = this.getTask(taskId);
+
+    return db
+      .prepare('SELECT * FROM task_time_entries WHERE task_id = ? ORDER BY started_at, id')
+      .all(task.id);
+  }
+
+  /**
+   * Total seconds tracked on a task by finished timers (subtasks not included)
+   * @param {string} taskId - Task ID
+   * @returns {number} Seconds
+   */
+  getTrackedSeconds(taskId) {
+    const db = this.getDatabase();
+
+    const row = db
+      .prepare(
+        'SELECT COALESCE(SUM(duration), 0) AS total FROM task_time_entries WHERE task_id = ?'
+      )
+      .get(taskId);
+    return row.total;
+  }
+
+  /**
+   * Compare estimated and tracked time for a task and its subtasks
+   * @param {string} taskId - Task ID
+   * @returns {Object} Summary: estimate (hours), tracked (seconds) and the same
+   *   totals rolled up over all subtasks, plus the combined tracked time
+   */
+  getTimeSummary(taskId) {
+    const task = this.getTask(taskId);
+
+    const subtasks = { count: 0, estimate: 0, tracked: 0 };
+    const visit = parentId => {
+      for (const subtask of this.getSubtasks(parentId)) {
+        subtasks.count++;
+        subtasks.estimate += subtask.estimate || 0;
+        subtasks.tracked += this.getTrackedSeconds(subtask.id);
+        visit(subtask.id);
+      }
+    };
+    visit(task.id);
+
+    const tracked = this.getTrackedSeconds(task.id);
+    return {
+      task_id: task.id,
+      estimate: task.estimate,
+      tracked,
+      subtasks,
+      total_tracked: tracked + subtasks.tracked,
+    };
+  }
+
+  /**
+   * Build project reports over a date range (see reports.js)
+   * @param {Object} options - Report options
+   * @param {Date} options.from - First day of the range
+   * @param {Date} options.to - Last day of the range
+   * @returns {Object} Range, burndown, weekly throughput, cycle times by priority and
+   *   assignee, and estimate accuracy
+   * @throws {ValidationError} If the range ends before it starts
+   */
+  getReport(options = {}) {
+    const to = options.to || new Date();
+    const from = options.from || new Date(to.getTime() - 29 * 24 * 3600 * 1000);
+    if (formatLocalDate(from) > formatLocalDate(to)) {
+      throw new ValidationError('The report range ends before it starts');
+    }
+    const range = { from, to };
+
+    const db = this.getDatabase();
+    const tasks = db.prepare('SELECT * FROM tasks WHERE deleted_at IS NULL').all();
+
+    const statusChanges = new Map();
+    const changeRows = db
+      .prepare(
+        `SELECT task_id, timestamp, json_extract(changes, '$.status.new') AS status
+         FROM task_timeline
+         WHERE CASE WHEN json_valid(changes)
+           THEN json_extract(changes, '$.status.new') IS NOT NULL
+         END
+         ORDER BY timestamp, id`
+      )
+      .all();
+    for (const row of changeRows) {
+      if (!statusChanges.has(row.task_id)) {
+        statusChanges.set(row.task_id, []);
+      }
+      statusChanges.get(row.task_id).push(row);
+    }
+
+    const tracked = new Map(
+      db
+        .prepare('SELECT task_id, SUM(duration) AS total FROM task_time_entries GROUP BY task_id')
+        .all()
+        .map(row => [row.task_id, row.total || 0])
+    );
+
+    const entries = tasks.map(task => ({
+      task,
+      lifecycle: taskLifecycle(task, statusChanges.get(task.id)),
+      tracked: tracked.get(task.id) || 0,
+    }));
+    const lifecycles = entries.map(entry => entry.lifecycle);
+
+    return {
+      range: { from: formatLocalDate(from), to: formatLocalDate(to) },
+      burndown: burndown(lifecycles, range),
+      throughput: throughput(lifecycles, range),
+      cycle_time: {
+        by_priority: cycleTimes(entries, range, task => task.priority),
+        by_assignee: cycleTimes(entries, range, task => task.assignee || 'unassigned'),
+      },
+      estimates: estimateAccuracy(entries, range),
+    };
+  }
+
+  /**
+   * Find the task created from an item of another tool by `twrk import`
+   * @param {string} source - Importer name (github, jira, todoist)
+   * @param {string} ref - The item's ID in that tool
+   * @returns {Object|null} Task, or null if the item was never imported
+   */
+  findImportedTask(source, ref) {
+    const db = this.getDatabase();
+    const row = db
+      .prepare(
+        `SELECT id FROM tasks
+         WHERE deleted_at IS NULL
+           AND CASE WHEN json_valid(metadata)
+             THEN json_extract(metadata, '$.import.source') = ?
+               AND json_extract(metadata, '$.import.ref') = ?
+           END
+         LIMIT 1`
+      )
+      .get(source, ref);
+
+    return row ? this.getTask(row.id) : null;
+  }
+
+  /**
+   * Compare a task from an import file with the stored task of the same ID
+   * (see import-merge.js)
+   * @param {Object} incoming - Task from the file, with an id
+   * @param {string} strategy - ours, theirs or newest
+   * @returns {{task: Object, changes: Array<Object>}} Stored task and the fields that
+   *   differ, each marked with whether the merge takes the file's value
+   * @throws {TaskNotFoundError} If no task has that ID
+   * @throws {ValidationError} If the strategy is unknown
+   */
+  previewMerge(incoming, strategy = 'theirs') {
+    const task = this.getTask(incoming.id);
+    const diff = diffTask(task, this.getTaskTags(task.id), incoming);
+    return { task, changes: resolveMerge(task, incoming, diff, strategy) };
+  }
+
+  /**
+   * Merge a task from an import file into the stored task of the same ID
+   * @param {Object} incoming - Task from the file, with an id
+   * @param {Object} options - Merge options
+   * @param {string} options.strategy - ours, theirs or newest
+   * @param {string} options.user - Recorded as the source of every change
+   * @returns {{task: Object, changes: Array<Object>}} Merged task and the compared fields
+   */
+  async mergeTask(incoming, options = {}) {
+    const { strategy = 'theirs', user = 'import' } = options;
+    const { task, changes } = this.previewMerge(incoming, strategy);
+    const applied = changes.filter(change => change.apply);
+    if (applied.length === 0) {
+      return { task, changes };
+    }
+
+    const updates = {};
+    let tags = null;
+    for (const change of applied) {
+      if (change.field === 'tags') {
+        tags = change;
+      } else {
+        updates[change.field] = change.theirs;
+      }
+    }
+
+    this.undoLog.begin();
+    try {
+      if (Object.keys(updates).length > 0) {
+        await this.updateTask(task.id, updates, user);
+      }
+      if (tags) {
+        const removed = tags.ours.filter(tag => !tags.theirs.includes(tag));
+        const added = tags.theirs.filter(tag => !tags.ours.includes(tag));
+        if (removed.length > 0) {
+          await this.removeTaskTags(task.id, removed, user);
+        }
+        if (added.length > 0) {
+          await this.addTaskTags(task.id, added, user);
+        }
+      }
+    } finally {
+      this.undoLog.end();
+    }
+
+    return { task: this.getTask(task.id), changes };
+  }
+
+  /**
+   * Find the task a git branch belongs to: the task recorded on the branch,
+   * or else the task whose ID the branch name contains
+   * @param {string} branch - Branch name
+   * @returns {Object|null} Task, or null if the branch matches none
+   */
+  findTaskByBranch(branch) {
+    const db = this.getDatabase();
+    const row = db
+      .prepare(
+        `SELECT id FROM tasks
+         WHERE branch_name = ? AND deleted_at IS NULL
+         ORDER BY updated_at DESC
+         LIMIT 1`
+      )
+      .get(branch);
+    if (row) {
+      return this.getTask(row.id);
+    }
+
+    const taskId = taskIdFromBranch(branch);
+    if (!taskId || !taskIdExists(taskId, db)) {
+      return null;
+    }
+    const task = this.getTask(taskId);
+    return task.deleted_at ? null : task;
+  }
+
+  /**
+   * Get the commits and pull requests linked to a task
+   * @param {string} taskId - Task ID
+   * @returns {Array} Links, newest first
+   */
+  getTaskLinks(taskId) {
+    const db = this.getDatabase();
+
+    return db
+      .prepare(
+        `SELECT type, ref, title, author, url, linked_at, created_at
+         FROM task_links
+         WHERE task_id = ?
+         ORDER BY linked_at DESC, id DESC`
+      )
+      .all(taskId);
+  }
+
+  /**
+   * Link a commit or pull request to a task
+   * @param {string} taskId - Task ID
+   * @param {Object} link - Link with type (commit, pull_request), ref, title, author, url
+   *   and linked_at
+   * @param {string} user - User adding the link
+   * @returns {boolean} True if the link is new, false if the task already had it
+   */
+  async linkTask(taskId, link, user = 'system') {
+    const db = this.getDatabase();
+
+    // Verify task exists
+    this.getTask(taskId);
+
+    const result = db
+      .prepare(
+        `INSERT OR IGNORE INTO task_links (task_id, type, ref, title, author, url, linked_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        taskId,
+        link.type,
+        link.ref,
+        link.title || null,
+        link.author || null,
+        link.url || null,
+        link.linked_at || null
+      );
+
+    if (result.changes === 0) {
+      return false;
+    }
+
+    const label = link.type === 'commit' ? `commit ${link.ref.slice(0, 7)}` : `PR ${link.ref}`;
+    await this.addTimelineEvent(taskId, 'linked', user, `Linked ${label}: ${link.title || ''}`);
+    return true;
+  }
+
+  /**
+   * Link commits to the tasks their messages mention (see git-links.js)
+   * @param {Array<Object>} commits - Commits from readCommits()
+   * @param {Object} options - Scan options
+   * @param {boolean} options.close - Mark tasks done when a new commit says "fixes TASK-001"
+   * @param {boolean} options.dryRun - Work out the links without recording them
+   * @param {string|null} options.repoUrl - GitHub web address, for commit and PR links
+   * @returns {Promise<{linked: Array<Object>, closed: Array<Object>, existing: number}>}
+   *   New links, tasks closed by commits, and how many links were already recorded
+   */
+  async linkCommits(commits, options = {}) {
+    const { close = false, dryRun = false, repoUrl = null } = options;
+    const db = this.getDatabase();
+    const hasLink = db.prepare(
+      'SELECT 1 FROM task_links WHERE task_id = ? AND type = ? AND ref = ?'
+    );
+    const linked = [];
+    const closed = [];
+    let existing = 0;
+
+    const findTask = taskId => {
+      if (!taskIdExists(taskId, db)) {
+        return null;
+      }
+      const task = this.getTask(taskId);
+      return task.deleted_at ? null : task;
+    };
+
+    this.undoLog.begin();
+    try {
+      // Oldest first, so links and closes are recorded in the order they happened
+      for (const commit of [...commits].reverse()) {
+        const { taskIds, closes, pullRequest } = findCommitReferences(commit);
+        const user = `git:${commit.sha.slice(0, 7)}`;
+
+        for (const taskId of taskIds) {
+          const task = findTask(taskId);
+          if (!task) {
+            continue;
+          }
+
+          let newCommit = false;
+          for (const link of commitLinks(commit, pullRequest, repoUrl)) {
+            const isNew = dryRun
+              ? !hasLink.get(task.id, link.type, link.ref)
+              : await this.linkTask(task.id, link, user);
+            if (!isNew) {
+              existing++;
+              continue;
+            }
+            linked.push({ task_id: task.id, ...link });
+            newCommit = newCommit || link.type === 'commit';
+          }
+
+          // Only commits seen for the first time close tasks, so reopened tasks stay open
+          const finished =
+            CLOSED_STATUSES.includes(task.status) || closed.some(c => c.task_id === task.id);
+          if (close && newCommit && closes.includes(taskId) && !finished) {
+            if (!dryRun) {
+              await this.updateTask(task.id, { status: 'done' }, user);
+            }
+            closed.push({ task_id: task.id, name: task.name, sha: commit.sha });
+          }
+        }
+      }
+    } finally {
+      this.undoLog.end();
+    }
+
+    return { linked, closed, existing };
+  }
+
+  /**
+   * Sync the task list with a Markdown checklist (see markdown-sync.js)
+   * @param {string} content - Current file content ('' if the file does not exist yet)
+   * @param {Object|null} snapshot - Snapshot returned by the previous sync of this file
+   * @param {Object} options - Sync options
+   * @param {string} options.user - Recorded as the source of every change
+   * @param {boolean} options.dryRun - Work out the changes without making them
+   * @returns {Promise<{plan: Object, created: Array<Object>, content: string, snapshot: Object}>}
+   *   What changed, the new file content and the snapshot to keep for the next sync
+   */
+  async syncMarkdown(content, snapshot, options = {}) {
+    const { user = 'sync', dryRun = false } = options;
+
+    // The file holds open tasks only; closing a task drops its line
+    const openTasks = () =>
+      this.listTasks({ order_by: 'created_at', order_dir: 'ASC' }).filter(
+        task => !CLOSED_STATUSES.includes(task.status)
+      );
+    const plan = planSync(openTasks(), parseTaskList(content), snapshot);
+    const created = [];
+
+    if (!dryRun) {
+      this.undoLog.begin();
+      try {
+        for (const update of plan.updates) {
+          await this.updateTask(update.id, update.fields, user);
+        }
+
+        // New bullets may be nested under other new bullets, which come first in the file
+        const createdAt = new Map();
+        for (const creation of plan.creations) {
+          const parentId =
+            creation.parent_index === null
+              ? creation.parent_id
+              : createdAt.get(creation.parent_index)?.id || null;
+          const task = await this.createTask({
+            name: creation.name,
+            status: creation.status,
+            priority: creation.priority,
+            parent_id: parentId,
+            created_by: user,
+          });
+          createdAt.set(creation.index, task);
+          created.push(task);
+        }
+      } finally {
+        this.undoLog.end();
+      }
+    }
+
+    const tasks = openTasks();
+    return {
+      plan,
+      created,
+      content: formatTaskList(tasks),
+      snapshot: createSnapshot(tasks),
+    };
+  }
+
+  /**
+   * Export the whole project as a bundle (see bundle.js)
+   * @returns {Object} Bundle
+   */
+  exportBundle() {
+    return createBundle(this.getDatabase());
+  }
+
+  /**
+   * Import a bundle, renumbering task and chat IDs that are already taken
+   * @param {Object} bundle - Parsed bundle
+   * @param {Object} options - Import options
+   * @param {boolean} options.dryRun - Report what would be imported without importing
+   * @returns {{counts: Object, remapped: {tasks: Object, chats: Object}}} Import summary
+   * @throws {ValidationError} If the bundle cannot be read
+   */
+  async importBundle(bundle, options = {}) {
+    const summary = importBundle(this.getDatabase(), bundle, options);
+    if (!options.dryRun) {
+      this.logger.info(
+        `Imported bundle with ${summary.counts.tasks} task(s), ` +
+          `${Object.keys(summary.remapped.tasks).length} renumbered`
+      );
+    }
+    return summary;
+  }
+}
+
+/**
+ * Compare two due dates, sorting tasks without a due date last
+ * @param {string|null} a - First due date
+ * @param {string|null} b - Second due date
+ * @returns {number} Sort order
+ */
+function compareDueDates(a, b) {
+  if (a && b) {
+    return new Date(a) - new Date(b);
+  }
+  if (a) {
+    return -1;
+  }
+  if (b) {
+    return 1;
+  }
+  return 0;
+}
+
+/**
+ * Replace the match markers emitted by snippet() with the given highlighter
+ * @param {string} snippet - Snippet with char(2)/char(3) around each match
+ * @param {Function} highlight - Formats a matched fragment
+ * @returns {string} Highlighted snippet
+ */
+function highlightSnippet(snippet, highlight) {
+  const [head, ...marked] = snippet.split('\u0002');
+  return (
+    head +
+    marked
+      .map(part => {
+        const end = part.indexOf('\u0003');
+        return highlight(part.slice(0, end)) + part.slice(end + 1);
+      })
+      .join('')
+  );
+}
+
+/**
+ * Check whether a date string is a bare calendar date (YYYY-MM-DD)
+ * @param {string} value - Date string
+ * @returns {boolean}
+ */
+function isCalendarDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+/**
+ * Quote every word of a query so FTS5 treats it as plain text
+ * @param {string} searchTerm - Raw user input
+ * @returns {string} FTS5 query matching all words
+ */
+function toPlainSearchQuery(searchTerm) {
+  return searchTerm
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => `"${word.replace(/"/g, '""')}"`)
+    .join(' ');
+}
+
+/**
+ * Work out the due date of the next occurrence. Date-only due dates stay
+ * date-only; tasks without a due date are scheduled from today.
+ * @param {string} rule - Recurrence rule
+ * @param {string|null} dueDate - Due date of the completed occurrence
+ * @returns {string} Next due date
+ */
+function nextDueDate(rule, dueDate) {
+  const parsed = parseRecurrence(rule);
+  const now = new Date();
+  const dateOnly = dueDate
+    ? !dueDate.includes('T') && !dueDate.includes(' ')
+    : parsed.type !== 'cron';
+
+  if (!dateOnly) {
+    const from = dueDate ? new Date(dueDate) : now;
+    return nextOccurrence(parsed, from, now).toISOString();
+  }
+
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const from = dueDate ? new Date(`${dueDate.slice(0, 10)}T00:00:00`) : today;
+  return formatLocalDate(nextOccurrence(parsed, from, today));
 }
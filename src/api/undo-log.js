@@ -0,0 +1,351 @@
+import { ValidationError } from '../errors/base-error.js';
+import { insertRow } from '../db/utils.js';
+
+// Tables whose rows belong to a task and are restored along with it
+const TASK_CHILD_TABLES = [
+  'task_tags',
+  'task_notes',
+  'task_timeline',
+  'task_time_entries',
+  'task_links',
+];
+
+// Number of operation groups kept in the journal
+const UNDO_HISTORY_LIMIT = 100;
+
+/**
+ * Journal of task mutations that can be undone and redone.
+ *
+ * TaskwerkAPI records every create, update and delete here. Nested API calls
+ * (for example completing a recurring task, which creates the next occurrence)
+ * are grouped so a single undo reverts the whole operation. Undo and redo apply
+ * their changes directly and are not journaled themselves. Recording a new
+ * operation discards anything that could still be redone.
+ */
+export class UndoLog {
+  constructor(api) {
+    this.api = api;
+    this.depth = 0;
+    this.groupId = null;
+  }
+
+  /**
+   * Start an operation; entries recorded until the matching end() form one group
+   */
+  begin() {
+    if (this.depth === 0) {
+      this.groupId = null;
+    }
+    this.depth++;
+  }
+
+  /**
+   * Finish an operation started with begin()
+   */
+  end() {
+    this.depth = Math.max(0, this.depth - 1);
+  }
+
+  /**
+   * Record a mutation
+   * @param {string} operation - create, update or delete
+   * @param {string} taskId - Task ID
+   * @param {Object|null} before - Field values (update) or snapshot (delete) before the change
+   * @param {Object|null} after - Field values after the change (update)
+   * @param {string} user - User making the change
+   */
+  record(operation, taskId, before, after, user = 'system') {
+    const db = this.api.getDatabase();
+
+    db.prepare('DELETE FROM task_undo_log WHERE undone = 1').run();
+
+    const result = db
+      .prepare(
+        `INSERT INTO task_undo_log (group_id, task_id, operation, before, after, user)
+         VALUES (?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        this.groupId,
+        taskId,
+        operation,
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null,
+        user
+      );
+
+    if (this.groupId === null) {
+      this.groupId = result.lastInsertRowid;
+      db.prepare('UPDATE task_undo_log SET group_id = id WHERE id = ?').run(this.groupId);
+      this.prune();
+    }
+  }
+
+  /**
+   * Undo the most recent operations
+   * @param {number} count - Number of operations to undo
+   * @param {string} user - User undoing
+   * @returns {Array<Object>} Reverted entries, newest first
+   */
+  async undo(count = 1, user = 'system') {
+    const db = this.api.getDatabase();
+    const reverted = [];
+
+    for (let i = 0; i < count; i++) {
+      const group = db
+        .prepare('SELECT MAX(group_id) AS id FROM task_undo_log WHERE undone = 0')
+        .get().id;
+      if (group === null) {
+        break;
+      }
+
+      const entries = this.getGroup(group, 'DESC');
+      for (const entry of entries) {
+        await this.apply(entry, 'undo', user);
+      }
+      db.prepare('UPDATE task_undo_log SET undone = 1 WHERE group_id = ?').run(group);
+      reverted.push(...entries);
+    }
+
+    return reverted;
+  }
+
+  /**
+   * Redo the most recently undone operations
+   * @param {number} count - Number of operations to redo
+   * @param {string} user - User redoing
+   * @returns {Array<Object>} Reapplied entries, oldest first
+   */
+  async redo(count = 1, user = 'system') {
+    const db = this.api.getDatabase();
+    const reapplied = [];
+
+    for (let i = 0; i < count; i++) {
+      const group = db
+        .prepare('SELECT MIN(group_id) AS id FROM task_undo_log WHERE undone = 1')
+        .get().id;
+      if (group === null) {
+        break;
+      }
+
+      const entries = this.getGroup(group, 'ASC');
+      for (const entry of entries) {
+        await this.apply(entry, 'redo', user);
+      }
+      db.prepare('UPDATE task_undo_log SET undone = 0 WHERE group_id = ?').run(group);
+      reapplied.push(...entries);
+    }
+
+    return reapplied;
+  }
+
+  /**
+   * List journal entries, newest first
+   * @param {Object} options - Options
+   * @param {number} options.limit - Maximum entries
+   * @returns {Array<Object>} Entries with parsed before/after
+   */
+  history(options = {}) {
+    const db = this.api.getDatabase();
+
+    return db
+      .prepare('SELECT * FROM task_undo_log ORDER BY id DESC LIMIT ?')
+      .all(options.limit || 20)
+      .map(parseEntry);
+  }
+
+  /**
+   * Get the entries of one group
+   * @param {number} groupId - Group ID
+   * @param {string} direction - ASC or DESC
+   * @returns {Array<Object>} Entries with parsed before/after
+   */
+  getGroup(groupId, direction) {
+    const db = this.api.getDatabase();
+
+    return db
+      .prepare(`SELECT * FROM task_undo_log WHERE group_id = ? ORDER BY id ${direction}`)
+      .all(groupId)
+      .map(parseEntry);
+  }
+
+  /**
+   * Apply one entry in either direction
+   * @param {Object} entry - Journal entry
+   * @param {string} direction - undo or redo
+   * @param {string} user - User
+   */
+  async apply(entry, direction, user) {
+    const db = this.api.getDatabase();
+    const undo = direction === 'undo';
+
+    // Creating and deleting are inverses of each other
+    const removes =
+      (entry.operation === 'create' && undo) || (entry.operation === 'delete' && !undo);
+
+    if (entry.operation === 'update') {
+      this.applyFields(entry.task_id, undo ? entry.before : entry.after);
+      if ('status' in entry.before || 'deleted_at' in entry.before) {
+        for (const dependent of this.api.getDependentTasks(entry.task_id)) {
+          await this.api.refreshBlockedState(dependent.id, user);
+        }
+      }
+      await this.api.addTimelineEvent(
+        entry.task_id,
+        undo ? 'undone' : 'redone',
+        user,
+        `${undo ? 'Reverted' : 'Reapplied'} update of ${Object.keys(entry.before).join(', ')}`,
+        undo ? entry.before : entry.after
+      );
+    } else if (removes) {
+      const dependents = this.api.getDependentTasks(entry.task_id);
+      const snapshot = snapshotTask(db, entry.task_id);
+      db.prepare('DELETE FROM tasks WHERE id = ?').run(entry.task_id);
+
+      // Keep what was removed so the opposite direction can bring it back
+      const column = entry.operation === 'create' ? 'after' : 'before';
+      db.prepare(`UPDATE task_undo_log SET ${column} = ? WHERE id = ?`).run(
+        JSON.stringify(snapshot),
+        entry.id
+      );
+      for (const dependent of dependents) {
+        await this.api.refreshBlockedState(dependent.id, user);
+      }
+    } else {
+      const snapshot = entry.operation === 'create' ? entry.after : entry.before;
+      restoreSnapshot(db, snapshot);
+      for (const dependent of this.api.getDependentTasks(entry.task_id)) {
+        await this.api.refreshBlockedState(dependent.id, user);
+      }
+      await this.api.addTimelineEvent(
+        entry.task_id,
+        undo ? 'undone' : 'redone',
+        user,
+        undo ? 'Restored deleted task' : 'Recreated task'
+      );
+    }
+  }
+
+  /**
+   * Write field values straight to a task
+   * @param {string} taskId - Task ID
+   * @param {Object} fields - Column values
+   */
+  applyFields(taskId, fields) {
+    const db = this.api.getDatabase();
+    const columns = Object.keys(fields);
+
+    const result = db
+      .prepare(`UPDATE tasks SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`)
+      .run(
+        ...columns.map(c =>
+          fields[c] !== null && typeof fields[c] === 'object'
+            ? JSON.stringify(fields[c])
+            : fields[c]
+        ),
+        taskId
+      );
+
+    if (result.changes === 0) {
+      throw new ValidationError(`Cannot undo: task ${taskId} no longer exists`, 'task_id', taskId);
+    }
+  }
+
+  /**
+   * Drop the oldest groups beyond UNDO_HISTORY_LIMIT
+   */
+  prune() {
+    const db = this.api.getDatabase();
+
+    db.prepare(
+      `DELETE FROM task_undo_log WHERE group_id < (
+         SELECT MIN(group_id) FROM (
+           SELECT DISTINCT group_id FROM task_undo_log ORDER BY group_id DESC LIMIT ?
+         )
+       )`
+    ).run(UNDO_HISTORY_LIMIT);
+  }
+}
+
+/**
+ * Capture a task, its subtasks and everything attached to them
+ * @param {Object} db - SQLite connection
+ * @param {string} taskId - Task ID
+ * @returns {Object} Rows keyed by table name, parents before children
+ */
+export function snapshotTask(db, taskId) {
+  const ids = [taskId];
+  for (let i = 0; i < ids.length; i++) {
+    const children = db.prepare('SELECT id FROM tasks WHERE parent_id = ?').all(ids[i]);
+    ids.push(...children.map(row => row.id));
+  }
+
+  const placeholders = ids.map(() => '?').join(', ');
+  const snapshot = {
+    tasks: ids.map(id => db.prepare('SELECT * FROM tasks WHERE id = ?').get(id)).filter(Boolean),
+  };
+
+  for (const table of TASK_CHILD_TABLES) {
+    snapshot[table] = db
+      .prepare(`SELECT * FROM ${table} WHERE task_id IN (${placeholders}) ORDER BY id`)
+      .all(...ids);
+  }
+
+  snapshot.task_dependencies = db
+    .prepare(
+      `SELECT * FROM task_dependencies
+       WHERE task_id IN (${placeholders}) OR depends_on_id IN (${placeholders})`
+    )
+    .all(...ids, ...ids);
+
+  return snapshot;
+}
+
+/**
+ * Re-insert a snapshot taken by snapshotTask
+ * @param {Object} db - SQLite connection
+ * @param {Object} snapshot - Snapshot
+ * @throws {ValidationError} If one of the tasks exists again
+ */
+export function restoreSnapshot(db, snapshot) {
+  const taskExists = db.prepare('SELECT 1 FROM tasks WHERE id = ?');
+
+  for (const task of snapshot.tasks) {
+    if (taskExists.get(task.id)) {
+      throw new ValidationError(
+        `Cannot restore ${task.id}: a task with this ID already exists`,
+        'id',
+        task.id
+      );
+    }
+  }
+
+  db.transaction(() => {
+    for (const task of snapshot.tasks) {
+      insertRow(db, 'tasks', task);
+    }
+    for (const table of TASK_CHILD_TABLES) {
+      for (const row of snapshot[table] || []) {
+        insertRow(db, table, row);
+      }
+    }
+    // Dependencies on tasks that have since been deleted are dropped
+    for (const row of snapshot.task_dependencies || []) {
+      if (taskExists.get(row.task_id) && taskExists.get(row.depends_on_id)) {
+        insertRow(db, 'task_dependencies', row);
+      }
+    }
+  })();
+}
+
+/**
+ * Parse the JSON columns of a journal entry
+ * @param {Object} entry - Raw row
+ * @returns {Object} Entry
+ */
+function parseEntry(entry) {
+  return {
+    ...entry,
+    before: entry.before ? JSON.parse(entry.before) : null,
+    after: entry.after ? JSON.parse(entry.after) : null,
+  };
+}
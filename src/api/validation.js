@@ -1,5 +1,6 @@
 import { ValidationError } from '../errors/base-error.js';
 import { isValidTaskId } from '../db/task-id.js';
+import { parseRecurrence } from '../utils/recurrence.js';
 
 export class ValidationRules {
   static TASK_STATUS = [
@@ -208,6 +209,21 @@ export class Validator {
     return this;
   }
 
+  /**
+   * Validate recurrence rule
+   * @param {string} field - Field name
+   * @param {string} value - Field value
+   * @returns {Validator}
+   */
+  recurrence(field, value) {
+    try {
+      parseRecurrence(value);
+    } catch (error) {
+      this.addError(field, error.message);
+    }
+    return this;
+  }
+
   /**
    * Validate JSON string
    * @param {string} field - Field name
@@ -295,6 +311,10 @@ export class TaskValidator {
       validator.length('content', taskData.content, 0, 10000);
     }
 
+    if (taskData.recurrence) {
+      validator.recurrence('recurrence', taskData.recurrence);
+    }
+
     if (taskData.category) {
       validator.length('category', taskData.category, 1, 50);
     }
@@ -382,6 +402,10 @@ export class TaskValidator {
       validator.length('content', updateData.content, 0, 10000);
     }
 
+    if (updateData.recurrence !== undefined && updateData.recurrence !== null) {
+      validator.recurrence('recurrence', updateData.recurrence);
+    }
+
     if (updateData.category !== undefined && updateData.category !== null) {
       validator.length('category', updateData.category, 1, 50);
     }
@@ -10,6 +10,20 @@ import { llmCommand } from '../commands/llm.js';
 import { askCommand } from '../commands/ask.js';
 import { agentCommand } from '../commands/agent.js';
 import { contextCommand } from '../commands/context/index.js';
+import { taskCommand } from '../commands/task/index.js';
+import { nextCommand } from '../commands/next.js';
+import { searchCommand } from '../commands/search.js';
+import { viewCommand } from '../commands/view/index.js';
+import { timerCommand } from '../commands/timer/index.js';
+import { undoCommand } from '../commands/undo.js';
+import { redoCommand } from '../commands/redo.js';
+import { trashCommand } from '../commands/trash/index.js';
+import { archiveCommand } from '../commands/archive.js';
+import { unarchiveCommand } from '../commands/unarchive.js';
+import { syncCommand } from '../commands/sync/index.js';
+import { gitCommand } from '../commands/git/index.js';
+import { reportCommand } from '../commands/report.js';
+import { mcpCommand } from '../commands/mcp/index.js';
 // Import individual task commands directly
 import { taskAddCommand } from '../commands/task/add.js';
 import { taskListCommand } from '../commands/task/list.js';
@@ -18,6 +32,7 @@ import { taskUpdateCommand } from '../commands/task/update.js';
 import { taskDeleteCommand } from '../commands/task/delete.js';
 import { taskStatusCommand } from '../commands/task/status.js';
 import { taskSplitCommand } from '../commands/task/split.js';
+import { taskDependCommand } from '../commands/task/depend.js';
 import { ErrorHandler } from '../errors/index.js';
 import packageInfo from '../version.js';
 
@@ -37,6 +52,8 @@ Quick Start:
   $ twrk init                              # Initialize taskwerk in current directory
   $ twrk addtask "Fix login bug"           # Create your first task
   $ twrk list                              # View all tasks
+  $ twrk next                              # Pick the next actionable task
+  $ twrk search "login bug"                # Full-text search tasks, notes and tags
   $ twrk showtask 1                        # Show details for task 1
 
 Common Workflows:
@@ -44,11 +61,20 @@ Common Workflows:
     $ twrk addtask "New feature" -p high -a @john
     $ twrk updatetask 1 -s in-progress
     $ twrk done 1                          # Mark task as done
+    $ twrk timer start 1                   # Track time on a task
+    $ twrk undo                            # Revert the last change
+    $ twrk trash restore 1                 # Bring back a deleted task
+    $ twrk archive --done-before 30d       # Archive old finished work
+    $ twrk sync markdown                   # Edit tasks as a checklist in tasks.md
+    $ twrk report burndown                 # Chart open tasks over the last 30 days
     
   Search & Filter:
     $ twrk list --search "authentication"  # Find tasks mentioning auth
     $ twrk list --search "bug" -p high     # Find high priority bugs
     $ twrk list --search "TODO" -s in-progress # Find in-progress TODOs
+    $ twrk list -q "priority>=high due<7d"  # Filter with a query expression
+    $ twrk view save urgent "priority>=high due<3d" # Save it as a view
+    $ twrk view urgent                     # Run a saved view
     
   Task Splitting:
     $ twrk splittask 1 -n "Backend" "Frontend" # Quick split into 2 tasks
@@ -60,6 +86,7 @@ Common Workflows:
     $ twrk agent "Create subtasks for task 1"      # Make changes
     $ twrk export -t 1 2 3 --stdout | pbcopy      # Copy tasks to clipboard
     $ twrk updatetask 1 -a @ai-agent              # Assign to AI
+    $ twrk mcp serve                              # Let editors manage tasks over MCP
     $ twrk export -a @ai-agent -o ai-tasks.md     # Export AI's tasks
     
   AI Chat Context (New!):
@@ -112,6 +139,20 @@ program.addCommand(llmCommand());
 program.addCommand(askCommand());
 program.addCommand(agentCommand());
 program.addCommand(contextCommand());
+program.addCommand(taskCommand());
+program.addCommand(nextCommand());
+program.addCommand(searchCommand());
+program.addCommand(viewCommand());
+program.addCommand(timerCommand());
+program.addCommand(undoCommand());
+program.addCommand(redoCommand());
+program.addCommand(trashCommand());
+program.addCommand(archiveCommand());
+program.addCommand(unarchiveCommand());
+program.addCommand(syncCommand());
+program.addCommand(gitCommand());
+program.addCommand(reportCommand());
+program.addCommand(mcpCommand());
 
 // Add task commands as root-level commands with 'task' suffix
 const addTask = taskAddCommand();
@@ -155,46 +196,9 @@ const splitTask = taskSplitCommand();
 splitTask.name('splittask');
 program.addCommand(splitTask);
 
-// Add search alias command
-program
-  .command('search <term>')
-  .description('Search tasks by name, description, or content')
-  .option('-s, --status <status>', 'Filter by status')
-  .option('-a, --assignee <name>', 'Filter by assignee')
-  .option('-p, --priority <level>', 'Filter by priority')
-  .option('-t, --tags <tags...>', 'Filter by tags')
-  .option('--format <format>', 'Output format', 'table')
-  .addHelpText(
-    'after',
-    `
-Examples:
-  $ twrk search "authentication"     # Find tasks mentioning auth
-  $ twrk search "bug" -p high        # Find high priority bugs
-  $ twrk search "TODO" -s in-progress # Find in-progress TODOs
-  
-This is a shortcut for: twrk list --search <term>`
-  )
-  .action(async (term, options) => {
-    const listCmd = taskListCommand();
-    const args = ['--search', term];
-    if (options.status) {
-      args.push('-s', options.status);
-    }
-    if (options.assignee) {
-      args.push('-a', options.assignee);
-    }
-    if (options.priority) {
-      args.push('-p', options.priority);
-    }
-    if (options.tags) {
-      args.push('-t');
-      args.push(...options.tags);
-    }
-    if (options.format) {
-      args.push('--format', options.format);
-    }
-    await listCmd.parseAsync(args, { from: 'user' });
-  });
+const dependTask = taskDependCommand();
+dependTask.name('dependtask');
+program.addCommand(dependTask);
 
 // Add quick status commands
 program
@@ -225,12 +229,20 @@ Examples:
   $ twrk start 1                   # Start working on task 1
   $ twrk start TASK-001            # Use full ID
   $ twrk start 5                   # Fuzzy matching works
+  $ twrk start 1 --branch          # Also check out branch task-001-<name>
   
-This is a shortcut for: twrk statustask <id> in-progress`
+This is a shortcut for: twrk statustask <id> in-progress
+With --branch the branch is recorded on the task; 'twrk task current' finds
+the task again from the checked-out branch.`
   )
-  .action(async id => {
+  .option('-b, --branch', 'Create (or check out) a git branch for the task')
+  .action(async (id, options) => {
     const cmd = taskStatusCommand();
-    await cmd.parseAsync([id, 'in-progress'], { from: 'user' });
+    const args = [id, 'in-progress'];
+    if (options.branch) {
+      args.push('--branch');
+    }
+    await cmd.parseAsync(args, { from: 'user' });
   });
 
 program
@@ -48,13 +48,24 @@ Chat Context:
 
 The AI agent can:
   • Create, update, and delete tasks
-  • Read and write files in the working directory
+  • Read, write and edit files in the working directory
   • Organize and structure your project
   • Execute multi-step plans
   • Remember previous conversations and continue work
 
+MCP servers:
+  Tools of the MCP servers in .taskwerk/mcp-config.yml are available as
+  mcp__<server>__<tool>, and each call asks for permission:
+
+    servers:
+      github:
+        command: npx
+        args: ["-y", "@modelcontextprotocol/server-github"]
+        env:
+          GITHUB_PERSONAL_ACCESS_TOKEN: \${GITHUB_TOKEN}
+
 Safety:
-  • By default, asks permission before each action
+  • By default, asks permission before each action, showing a diff of file changes
   • Use --yolo to skip permissions (use with caution!)
   • Agent is limited to current directory and subdirectories`
     )
@@ -64,6 +75,7 @@ Safety:
       let db;
       let contextManager;
       let context;
+      let toolExecutor;
 
       try {
         // Get the instruction
@@ -107,11 +119,11 @@ Safety:
         }
 
         // Initialize tool executor
-        const toolExecutor = new ToolExecutor({
+        toolExecutor = new ToolExecutor({
           mode: options.yolo ? 'yolo' : 'agent',
           workDir: process.cwd(),
           verbose: options.verbose,
-          confirmPermission: async (tool, action, params) => {
+          confirmPermission: async (tool, action, params, preview) => {
             if (options.yolo) {
               return true;
             }
@@ -119,6 +131,11 @@ Safety:
             console.log(chalk.yellow(`\n⚠️  Permission required:`));
             console.log(chalk.yellow(`Tool: ${tool}`));
             console.log(chalk.yellow(`Action: ${action}`));
+            if (preview?.diff) {
+              console.log(formatDiff(preview.diff));
+            } else if (preview) {
+              console.log(chalk.gray('No changes to the file'));
+            }
             if (options.verbose) {
               console.log(chalk.gray(`Parameters: ${JSON.stringify(params, null, 2)}`));
             }
@@ -136,6 +153,18 @@ Safety:
           },
         });
 
+        // Start the MCP servers configured in .taskwerk/mcp-config.yml
+        const mcpServers = await toolExecutor.connectMcpServers();
+        for (const server of mcpServers) {
+          if (server.error) {
+            console.error(
+              chalk.yellow(`⚠️  MCP server ${server.name} unavailable: ${server.error}`)
+            );
+          } else if (options.verbose) {
+            console.error(chalk.gray(`🔌 MCP server ${server.name}: ${server.tools} tools`));
+          }
+        }
+
         // Build additional context
         let additionalContext = '';
 
@@ -419,7 +448,10 @@ IMPORTANT: When listing or describing tasks, ONLY mention tasks that actually ex
 
         process.exit(1);
       } finally {
-        // Clean up database connection
+        // Stop MCP servers and clean up database connection
+        if (toolExecutor) {
+          await toolExecutor.close();
+        }
         if (db) {
           db.close();
         }
@@ -428,3 +460,35 @@ IMPORTANT: When listing or describing tasks, ONLY mention tasks that actually ex
 
   return agent;
 }
+
+// Longest diff shown in a permission prompt
+const MAX_DIFF_LINES = 200;
+
+/**
+ * Color a unified diff for the terminal, cutting very long ones short
+ * @param {string} diff - Unified diff
+ * @returns {string} Colored diff
+ */
+function formatDiff(diff) {
+  const lines = diff.replace(/\n$/, '').split('\n');
+  const shown = lines.slice(0, MAX_DIFF_LINES).map(line => {
+    if (line.startsWith('+++') || line.startsWith('---')) {
+      return chalk.bold(line);
+    }
+    if (line.startsWith('@@')) {
+      return chalk.cyan(line);
+    }
+    if (line.startsWith('+')) {
+      return chalk.green(line);
+    }
+    if (line.startsWith('-')) {
+      return chalk.red(line);
+    }
+    return chalk.gray(line);
+  });
+
+  if (lines.length > MAX_DIFF_LINES) {
+    shown.push(chalk.gray(`… ${lines.length - MAX_DIFF_LINES} more lines`));
+  }
+  return shown.join('\n');
+}
@@ -551,7 +551,7 @@ async function listTools() {
   }
 
   console.log('\n📂 Tool Categories:');
-  console.log('  filesystem/  - File system operations (read, write, list)');
+  console.log('  filesystem/  - File system operations (read, write, list, search)');
   console.log('  taskwerk/    - Task management operations (add, update, list)');
   console.log('  mcp/         - MCP server tools (when available)');
   console.log('  web/         - Web tools like search (future)');
@@ -0,0 +1,74 @@
+import { Command } from 'commander';
+import { TaskwerkAPI } from '../api/taskwerk-api.js';
+import { Logger } from '../logging/logger.js';
+import { parseAge } from '../utils/date-parser.js';
+
+export function archiveCommand() {
+  const archive = new Command('archive');
+
+  archive
+    .description('Archive finished tasks to keep them out of everyday lists')
+    .argument('[id]', 'Task ID')
+    .option('--done-before <age>', 'Archive all tasks finished longer ago than this (e.g. 30d, 2w)')
+    .addHelpText(
+      'after',
+      `
+Examples:
+  $ twrk archive 1                         # Archive TASK-001 and its subtasks
+  $ twrk archive --done-before 30d         # Archive everything finished a month ago
+  $ twrk list --archived                   # Show archived tasks
+  $ twrk search login --archived           # Search the archive
+  $ twrk unarchive 1                       # Bring TASK-001 back
+
+Only done, completed or cancelled tasks can be archived. Archived tasks are
+hidden from lists and searches, except with --archived or 'twrk list --all'.
+Set export.includeArchived to include them in exports.`
+    )
+    .action(async (id, options) => {
+      const logger = new Logger('archive');
+
+      try {
+        if (!id && !options.doneBefore) {
+          console.error('❌ Give a task ID or --done-before <age>');
+          process.exit(1);
+          return;
+        }
+
+        const api = new TaskwerkAPI();
+
+        if (id) {
+          const ids = await api.archiveTask(id, 'user');
+          const task = api.getTask(ids[0]);
+          console.log(`📦 Archived ${task.id}: ${task.name}`);
+          if (ids.length > 1) {
+            console.log(
+              `   Also archived ${ids.length - 1} subtask(s): ${ids.slice(1).join(', ')}`
+            );
+          }
+          return;
+        }
+
+        const ids = await api.archiveFinishedTasks(
+          { before: parseAge(options.doneBefore) },
+          'user'
+        );
+        if (ids.length === 0) {
+          console.log(`📦 No tasks finished more than ${options.doneBefore} ago`);
+          return;
+        }
+
+        console.log(`📦 Archived ${ids.length} task(s)`);
+        ids.forEach(taskId => console.log(`  - ${taskId}`));
+      } catch (error) {
+        logger.error('Failed to archive', error);
+        if (error.code === 'TASK_NOT_FOUND') {
+          console.error(`❌ ${error.message}`);
+        } else {
+          console.error('❌ Failed to archive:', error.message);
+        }
+        process.exit(1);
+      }
+    });
+
+  return archive;
+}
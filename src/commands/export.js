@@ -1,6 +1,8 @@
 import { Command } from 'commander';
 import { TaskwerkAPI } from '../api/taskwerk-api.js';
 import { Logger } from '../logging/logger.js';
+import { ConfigManager } from '../config/config-manager.js';
+import { createExporterRegistry, loadExporterPlugins } from '../exporters/index.js';
 import fs from 'fs/promises';
 
 export function exportCommand() {
@@ -8,7 +10,11 @@ export function exportCommand() {
 
   exp
     .description('Export tasks to a file')
-    .option('-f, --format <format>', 'Export format (json, markdown, csv)', 'markdown')
+    .option(
+      '-f, --format <format>',
+      'Export format (markdown, json, csv, html, ics, todotxt, bundle)',
+      'markdown'
+    )
     .option('-o, --output <file>', 'Output file path (auto-generated if not specified)')
     .option('-s, --status <status>', 'Filter by status')
     .option('-a, --assignee <name>', 'Filter by assignee')
@@ -41,6 +47,10 @@ Examples:
     $ twrk export -f json                        # JSON for programmatic use
     $ twrk export -f csv                         # CSV for spreadsheets
     $ twrk export -f markdown --with-metadata    # Markdown with YAML frontmatter
+    $ twrk export -f html -o status.html         # Report grouped by status
+    $ twrk export -f ics -o tasks.ics            # Calendar feed of due dates
+    $ twrk export -f todotxt -o todo.txt         # todo.txt
+    $ twrk export -f bundle                      # Full backup for 'twrk import -f bundle'
     
   AI/LLM workflows:
     $ twrk export -t 1 2 3 --stdout | pbcopy     # Copy to clipboard (macOS)
@@ -55,7 +65,14 @@ Examples:
 Note: 
   - Default format is Markdown, perfect for LLMs
   - Files are saved as 'tasks-export-YYYY-MM-DD.{ext}'
-  - Use --stdout to pipe to other commands`
+  - The ics feed only contains tasks with a due date
+  - Modules listed in export.plugins add more formats (see src/exporters)
+  - Use --stdout to pipe to other commands
+  - A bundle holds the whole project (notes, tags, dependencies, timeline, time
+    entries and chats, trashed and archived tasks too) and ignores the filters.
+    It is saved as 'taskwerk-bundle-YYYY-MM-DD.json'
+  - Deleted and archived tasks are left out unless export.includeDeleted or
+    export.includeArchived is true`
     )
     .action(async options => {
       const logger = new Logger('export');
@@ -63,6 +80,28 @@ Note:
       try {
         const api = new TaskwerkAPI();
 
+        if (options.format === 'bundle') {
+          const bundle = api.exportBundle();
+          const output = JSON.stringify(bundle, null, 2);
+
+          if (options.stdout) {
+            console.log(output);
+          } else {
+            const date = new Date().toISOString().split('T')[0];
+            const filename = options.output || `taskwerk-bundle-${date}.json`;
+            await fs.writeFile(filename, output, 'utf8');
+            console.log(
+              `✅ Exported bundle with ${bundle.tables.tasks.length} tasks to ${filename}`
+            );
+          }
+          return;
+        }
+
+        const config = new ConfigManager();
+        const exporters = createExporterRegistry();
+        await loadExporterPlugins(exporters, config.get('export.plugins', []));
+        const exporter = exporters.get(options.format);
+
         // Build query options
         const queryOptions = {};
         if (options.status) {
@@ -72,6 +111,11 @@ Note:
           queryOptions.assignee = options.assignee;
         }
 
+        // Trashed and archived tasks are only exported when the config asks for them
+        const includeDeleted = !!config.get('export.includeDeleted', false);
+        queryOptions.include_deleted = includeDeleted;
+        queryOptions.include_archived = !!config.get('export.includeArchived', false);
+
         // Get tasks
         let tasks;
 
@@ -80,7 +124,7 @@ Note:
           tasks = [];
           for (const taskId of options.tasks) {
             try {
-              const task = api.getTask(taskId);
+              const task = api.getTask(taskId, { include_deleted: includeDeleted });
               tasks.push(task);
 
               // Include subtasks if requested
@@ -105,26 +149,14 @@ Note:
           }
         }
 
+        tasks = tasks.filter(task => exporter.accepts(task));
+
         if (tasks.length === 0) {
           console.log('No tasks found matching the criteria.');
           return;
         }
 
-        // Format output based on format option
-        let output;
-        switch (options.format) {
-          case 'markdown':
-            output = await formatAsMarkdown(tasks, api, options.withMetadata);
-            break;
-          case 'json':
-            output = formatAsJson(tasks);
-            break;
-          case 'csv':
-            output = formatAsCsv(tasks);
-            break;
-          default:
-            throw new Error(`Unsupported format: ${options.format}`);
-        }
+        const output = await exporter.export(tasks, { api, options });
 
         // Write output
         if (options.stdout) {
@@ -136,9 +168,7 @@ Note:
           if (!filename) {
             // Generate filename based on date and format
             const date = new Date().toISOString().split('T')[0];
-            const extension =
-              options.format === 'json' ? 'json' : options.format === 'csv' ? 'csv' : 'md';
-            filename = `tasks-export-${date}.${extension}`;
+            filename = `tasks-export-${date}.${exporter.extension}`;
           }
 
           await fs.writeFile(filename, output, 'utf8');
@@ -153,154 +183,3 @@ Note:
 
   return exp;
 }
-
-async function formatAsMarkdown(tasks, api, includeMetadata = false) {
-  const date = new Date().toISOString().split('T')[0];
-  let output = '';
-
-  if (includeMetadata) {
-    output += '---\n';
-    output += `title: Tasks Export\n`;
-    output += `date: ${date}\n`;
-    output += `taskCount: ${tasks.length}\n`;
-    output += '---\n\n';
-  }
-
-  output += `# Tasks Export - ${date}\n\n`;
-
-  // Add LLM-friendly instructions
-  output += `> The following tasks are exported from the Taskwerk task management system. Each task includes its ID, name, status, priority, and other relevant details.\n\n`;
-
-  for (const task of tasks) {
-    output += `## ${task.id}: ${task.name}\n`;
-    output += `- Status: ${task.status}\n`;
-    output += `- Priority: ${task.priority}\n`;
-
-    if (task.assignee) {
-      output += `- Assignee: ${task.assignee}\n`;
-    }
-
-    if (task.estimate) {
-      output += `- Estimate: ${task.estimate} hours\n`;
-    }
-
-    if (task.due_date) {
-      output += `- Due: ${task.due_date}\n`;
-    }
-
-    // Get and display tags
-    const tags = api.getTaskTags(task.id);
-    if (tags.length > 0) {
-      output += `- Tags: ${tags.join(', ')}\n`;
-    }
-
-    if (task.category) {
-      output += `- Category: ${task.category}\n`;
-    }
-
-    output += `- Created: ${new Date(task.created_at).toLocaleString()}\n`;
-
-    if (task.updated_at) {
-      output += `- Updated: ${new Date(task.updated_at).toLocaleString()}\n`;
-    }
-
-    if (task.description) {
-      output += `\n${task.description}\n`;
-    }
-
-    if (task.content) {
-      output += `\n### Details\n${task.content}\n`;
-    }
-
-    // Get and display notes
-    const notes = api.getTaskNotes(task.id);
-    if (notes.length > 0) {
-      output += `\n### Notes\n`;
-      for (const note of notes) {
-        const noteDate = new Date(note.created_at).toLocaleString();
-        output += `- [${noteDate}] @${note.user}: ${note.note}\n`;
-        if (note.content) {
-          const indentedContent = note.content
-            .split('\n')
-            .map(line => `  ${line}`)
-            .join('\n');
-          output += `${indentedContent}\n`;
-        }
-      }
-    }
-
-    // Get dependencies
-    const dependencies = api.getTaskDependencies(task.id);
-    if (dependencies.length > 0) {
-      output += `\n### Dependencies\n`;
-      for (const dep of dependencies) {
-        output += `- ${dep.id}: ${dep.name}\n`;
-      }
-    }
-
-    output += '\n---\n\n';
-  }
-
-  return output.trim() + '\n';
-}
-
-function formatAsJson(tasks) {
-  return JSON.stringify(tasks, null, 2) + '\n';
-}
-
-function formatAsCsv(tasks) {
-  const headers = [
-    'ID',
-    'Name',
-    'Description',
-    'Status',
-    'Priority',
-    'Assignee',
-    'Category',
-    'Estimate',
-    'Due Date',
-    'Created At',
-    'Updated At',
-    'Created By',
-    'Updated By',
-  ];
-
-  let output = headers.join(',') + '\n';
-
-  for (const task of tasks) {
-    const row = [
-      task.id,
-      escapeCSV(task.name),
-      escapeCSV(task.description || ''),
-      task.status,
-      task.priority,
-      task.assignee || '',
-      task.category || '',
-      task.estimate || '',
-      task.due_date || '',
-      task.created_at,
-      task.updated_at || '',
-      task.created_by || '',
-      task.updated_by || '',
-    ];
-
-    output += row.join(',') + '\n';
-  }
-
-  return output;
-}
-
-function escapeCSV(value) {
-  if (typeof value !== 'string') {
-    return value;
-  }
-
-  // If value contains comma, newline, or double quote, wrap in quotes
-  if (value.includes(',') || value.includes('\n') || value.includes('"')) {
-    // Escape double quotes by doubling them
-    value = value.replace(/"/g, '""');
-    return `"${value}"`;
-  }
-
-  return value;
-}
@@ -0,0 +1,128 @@
+import { Command } from 'commander';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Logger } from '../../logging/logger.js';
+import { git, isGitRepository } from '../../utils/git.js';
+
+const HOOK_NAME = 'prepare-commit-msg';
+const HOOK_MARKER = '# taskwerk prepare-commit-msg hook';
+
+const CLI_PATH = fileURLToPath(new URL('../../../bin/taskwerk.js', import.meta.url));
+
+export function installHookCommand() {
+  const install = new Command('install-hook');
+
+  install
+    .description('Install a git hook that prefixes commit messages with the current task ID')
+    .option('-f, --force', 'Replace an existing prepare-commit-msg hook')
+    .addHelpText(
+      'after',
+      `
+The hook runs 'twrk task current --id' and turns "Fix login" into
+"[TASK-001] Fix login" on a task branch. Messages that already mention the
+task, merges, squashes and reused messages (--amend without -m, -c, -C) are
+left alone. Commits on branches without a task are not touched.
+
+Examples:
+  $ twrk git install-hook                  # Install in this repository
+  $ twrk git install-hook --force          # Replace another prepare-commit-msg hook`
+    )
+    .action(async options => {
+      const logger = new Logger('git-hook');
+
+      try {
+        const hookPath = getHookPath();
+        const existing = await readIfExists(hookPath);
+
+        if (existing !== null && !existing.includes(HOOK_MARKER) && !options.force) {
+          console.error(`❌ ${hookPath} already exists and was not installed by taskwerk`);
+          console.error('   Use --force to replace it');
+          process.exit(1);
+          return;
+        }
+
+        await fs.mkdir(path.dirname(hookPath), { recursive: true });
+        await fs.writeFile(hookPath, hookScript(), { mode: 0o755 });
+        await fs.chmod(hookPath, 0o755);
+
+        console.log(`✅ Installed ${HOOK_NAME} hook at ${hookPath}`);
+      } catch (error) {
+        logger.error('Failed to install git hook', error);
+        console.error('❌ Failed to install git hook:', error.message);
+        process.exit(1);
+      }
+    });
+
+  return install;
+}
+
+export function uninstallHookCommand() {
+  const uninstall = new Command('uninstall-hook');
+
+  uninstall.description('Remove the hook installed by install-hook').action(async () => {
+    const logger = new Logger('git-hook');
+
+    try {
+      const hookPath = getHookPath();
+      const existing = await readIfExists(hookPath);
+
+      if (existing === null || !existing.includes(HOOK_MARKER)) {
+        console.log(`ℹ️  No taskwerk ${HOOK_NAME} hook installed`);
+        return;
+      }
+
+      await fs.unlink(hookPath);
+      console.log(`🗑️  Removed ${HOOK_NAME} hook`);
+    } catch (error) {
+      logger.error('Failed to remove git hook', error);
+      console.error('❌ Failed to remove git hook:', error.message);
+      process.exit(1);
+    }
+  });
+
+  return uninstall;
+}
+
+function getHookPath() {
+  if (!isGitRepository()) {
+    throw new Error('Not a git repository');
+  }
+  // Honours core.hooksPath
+  return path.resolve(git(['rev-parse', '--git-path', `hooks/${HOOK_NAME}`]));
+}
+
+async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function hookScript() {
+  const quote = value => `'${value.replace(/'/g, `'\\''`)}'`;
+
+  return `#!/bin/sh
+${HOOK_MARKER}
+# Prefixes commit messages with the ID of the task for the current branch.
+# Installed by 'twrk git install-hook'; remove with 'twrk git uninstall-hook'.
+
+# Leave merges, squashes and reused messages (--amend, -c, -C) alone
+case "$2" in
+  merge|squash|commit) exit 0 ;;
+esac
+
+TASK_ID=$(${quote(process.execPath)} ${quote(CLI_PATH)} task current --id 2>/dev/null |
+  grep -E '^[A-Z]+-[0-9]+(\\.[0-9]+)*$' | tail -n 1)
+[ -n "$TASK_ID" ] || exit 0
+
+# Nothing to do if the message already names the task
+grep -qF "$TASK_ID" "$1" && exit 0
+
+{ printf '[%s] ' "$TASK_ID"; cat "$1"; } > "$1.taskwerk" && mv "$1.taskwerk" "$1"
+`;
+}
@@ -0,0 +1,25 @@
+import { Command } from 'commander';
+import { installHookCommand, uninstallHookCommand } from './hook.js';
+import { scanCommand } from './scan.js';
+
+export function gitCommand() {
+  const gitCmd = new Command('git');
+
+  gitCmd.description('Connect tasks with git branches and commits').addHelpText(
+    'after',
+    `
+'twrk start <id> --branch' checks out a branch for a task and records it;
+'twrk task current' finds the task again from the checked-out branch.
+
+Examples:
+  $ twrk git install-hook                  # Prefix commit messages with the task ID
+  $ twrk git uninstall-hook                # Remove that hook again
+  $ twrk git scan --close                  # Link commits to tasks, closing fixed ones`
+  );
+
+  gitCmd.addCommand(installHookCommand());
+  gitCmd.addCommand(uninstallHookCommand());
+  gitCmd.addCommand(scanCommand());
+
+  return gitCmd;
+}
@@ -0,0 +1,79 @@
+import { Command } from 'commander';
+import { TaskwerkAPI } from '../../api/taskwerk-api.js';
+import { Logger } from '../../logging/logger.js';
+import { getGitHubUrl, isGitRepository, readCommits } from '../../utils/git.js';
+
+export function scanCommand() {
+  const scan = new Command('scan');
+
+  scan
+    .description('Link commits and pull requests to the tasks their messages mention')
+    .option('-a, --all', 'Scan every branch, not just the checked-out one')
+    .option(
+      '-s, --since <date>',
+      'Only scan commits after this date (e.g. 2024-01-01, "2 weeks ago")'
+    )
+    .option('-l, --limit <n>', 'Scan at most this many commits', parseInt)
+    .option('-c, --close', 'Mark tasks done when a commit says "fixes TASK-001"')
+    .option('--dry-run', 'Show what would be linked without changing anything')
+    .addHelpText(
+      'after',
+      `
+A commit is linked to every task whose ID appears in its message. Pull
+request numbers come from GitHub merge commits ("Merge pull request #12 from
+owner/task-001-login") and squash merges ("Fix login (#12)"). Scanning again
+only adds what is new, so the command is safe to run after every pull.
+
+With --close, "close", "fix" or "resolve" (closes, fixed, resolves, ...)
+in front of a task ID marks that task done. Only commits linked for the
+first time close tasks, so a task you reopen stays open.
+
+Examples:
+  $ twrk git scan                          # Link commits on the current branch
+  $ twrk git scan --all --close            # Every branch, closing fixed tasks
+  $ twrk git scan --since "1 month ago"    # Only recent history
+  $ twrk git scan --dry-run                # Preview the links`
+    )
+    .action(async options => {
+      const logger = new Logger('git-scan');
+
+      try {
+        if (!isGitRepository()) {
+          throw new Error('Not a git repository');
+        }
+
+        const commits = readCommits(options);
+        const api = new TaskwerkAPI();
+        const result = await api.linkCommits(commits, {
+          close: options.close,
+          dryRun: options.dryRun,
+          repoUrl: getGitHubUrl(),
+        });
+
+        const prefix = options.dryRun ? 'Would link' : 'Linked';
+        for (const link of result.linked) {
+          const ref = link.type === 'commit' ? link.ref.slice(0, 7) : `PR ${link.ref}`;
+          console.log(`🔗 ${prefix} ${ref} to ${link.task_id}: ${link.title}`);
+        }
+        for (const task of result.closed) {
+          console.log(
+            `✅ ${options.dryRun ? 'Would close' : 'Closed'} ${task.task_id}: ${task.name} (${task.sha.slice(0, 7)})`
+          );
+        }
+
+        const summary = `Scanned ${commits.length} commits: ${result.linked.length} new links`;
+        const closed = options.close ? `, ${result.closed.length} tasks closed` : '';
+        const existing = result.existing > 0 ? ` (${result.existing} already linked)` : '';
+        console.log(`\n📊 ${summary}${closed}${existing}`);
+        if (options.dryRun) {
+          console.log('ℹ️  Dry run: nothing was changed');
+        }
+      } catch (error) {
+        logger.error('Failed to scan git history', error);
+        console.error('❌ Failed to scan git history:', error.message);
+        process.exit(1);
+      }
+    });
+
+  return scan;
+}
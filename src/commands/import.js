@@ -1,6 +1,8 @@
 import { Command } from 'commander';
 import { TaskwerkAPI } from '../api/taskwerk-api.js';
 import { Logger } from '../logging/logger.js';
+import { createImporterRegistry } from '../importers/index.js';
+import { MERGE_STRATEGIES } from '../api/import-merge.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -10,14 +12,66 @@ export function importCommand() {
   imp
     .description('Import tasks from a file')
     .argument('<file>', 'File to import')
-    .option('-f, --format <format>', 'Import format (markdown, json, csv)', 'markdown')
+    .option(
+      '-f, --format <format>',
+      'Import format (markdown, json, csv, bundle, github, jira, todoist)',
+      'markdown'
+    )
     .option('--update', 'Update existing tasks by ID')
+    .option('--merge', 'Merge into existing tasks by ID, field by field')
+    .option('--strategy <strategy>', 'Which side wins in a merge (ours, theirs, newest)', 'theirs')
     .option('--prefix <prefix>', 'Add prefix to imported task IDs')
     .option('--dry-run', 'Preview import without making changes')
+    .addHelpText(
+      'after',
+      `
+Merging:
+  --merge compares each task that already exists with the file, field by
+  field, and changes only what differs. Fields missing from the file are left
+  alone, so merging the same file twice changes nothing. --dry-run shows the
+  diff. --strategy picks the winner when both sides have a value:
+    theirs   the file wins (default)
+    ours     the database wins; empty fields are filled from the file
+    newest   whichever side has the later updated_at wins
+  Every change is recorded in the task timeline as made by import:<file>.
+
+Bundles:
+  'twrk export -f bundle' writes a full backup of a project. Importing it into
+  an empty project restores it exactly. In a project that already has tasks,
+  task and chat IDs that are taken get the next free number and everything
+  that refers to them follows. --update, --merge and --prefix do not apply
+  to bundles.
+
+Other tools:
+  github    GitHub issues JSON, e.g. from
+            gh issue list --state all --json number,title,body,state,stateReason,labels,assignees,milestone,comments,url
+  jira      Jira CSV export (all fields)
+  todoist   Todoist JSON (REST API or sync backup) or project CSV backup
+
+  Status, priority, labels, assignee and parent are mapped to their taskwerk
+  equivalents. --dry-run lists the fields that have no equivalent and would
+  not be imported. Items imported before are skipped. --update, --merge and
+  --prefix do not apply.
+
+Examples:
+  $ twrk import tasks.md                              # Markdown
+  $ twrk import tasks.json -f json                    # JSON task list
+  $ twrk import tasks.json -f json --merge --dry-run  # Show what would change
+  $ twrk import tasks.json -f json --merge --strategy newest
+  $ twrk import taskwerk-bundle-2025-01-31.json -f bundle --dry-run
+  $ twrk import issues.json -f github --dry-run       # Preview a GitHub import
+  $ twrk import jira.csv -f jira`
+    )
     .action(async (file, options) => {
       const logger = new Logger('import');
 
       try {
+        if (options.merge && !MERGE_STRATEGIES.includes(options.strategy)) {
+          throw new Error(
+            `Unknown merge strategy: ${options.strategy}. Use ${MERGE_STRATEGIES.join(', ')}`
+          );
+        }
+
         // Check if file exists
         const filePath = path.resolve(file);
         try {
@@ -34,6 +88,41 @@ export function importCommand() {
           return;
         }
 
+        if (options.format === 'bundle') {
+          let bundle;
+          try {
+            bundle = JSON.parse(content);
+          } catch (error) {
+            throw new Error(`Invalid bundle file: ${error.message}`);
+          }
+
+          const api = new TaskwerkAPI();
+          const summary = await api.importBundle(bundle, { dryRun: options.dryRun });
+          printBundleSummary(summary, options.dryRun);
+          return;
+        }
+
+        const importers = createImporterRegistry();
+        if (importers.has(options.format)) {
+          const importer = importers.get(options.format);
+          const { tasks, unmapped } = importer.parse(content);
+
+          if (tasks.length === 0) {
+            console.log('❌ No tasks found in file');
+            return;
+          }
+
+          if (options.dryRun) {
+            printImporterPreview(importer, tasks, unmapped);
+            return;
+          }
+
+          const api = new TaskwerkAPI();
+          const results = await importFromTool(api, importer, tasks);
+          printImportSummary(tasks.length, results);
+          return;
+        }
+
         // Parse content based on format
         let tasks;
         switch (options.format) {
@@ -58,6 +147,11 @@ export function importCommand() {
         // Process tasks for import
         const processedTasks = processTasks(tasks, options);
 
+        if (options.merge && options.dryRun) {
+          printMergePreview(new TaskwerkAPI(), processedTasks, options.strategy);
+          return;
+        }
+
         // Preview mode
         if (options.dryRun) {
           console.log(`\n📋 Import Preview (${processedTasks.length} tasks):`);
@@ -79,21 +173,12 @@ export function importCommand() {
 
         // Import tasks
         const api = new TaskwerkAPI();
-        const results = await importTasks(api, processedTasks, options);
-
-        // Report results
-        console.log(`\n📊 Import Summary:`);
-        console.log(`   Tasks processed: ${processedTasks.length}`);
-        console.log(`   Successfully imported: ${results.imported}`);
-        if (results.updated > 0) {
-          console.log(`   Updated: ${results.updated}`);
-        }
-        if (results.skipped > 0) {
-          console.log(`   Skipped (already exist): ${results.skipped}`);
-        }
-        if (results.errors > 0) {
-          console.log(`   Errors: ${results.errors}`);
-        }
+        const results = await importTasks(api, processedTasks, {
+          ...options,
+          source: `import:${path.basename(filePath)}`,
+        });
+
+        printImportSummary(processedTasks.length, results);
       } catch (error) {
         logger.error('Import failed', error);
         console.error('❌ Import failed:', error.message);
@@ -104,6 +189,130 @@ export function importCommand() {
   return imp;
 }
 
+function printImportSummary(processed, results) {
+  console.log(`\n📊 Import Summary:`);
+  console.log(`   Tasks processed: ${processed}`);
+  console.log(`   Successfully imported: ${results.imported}`);
+  if (results.updated > 0) {
+    console.log(`   Updated: ${results.updated}`);
+  }
+  if (results.unchanged > 0) {
+    console.log(`   Unchanged: ${results.unchanged}`);
+  }
+  if (results.skipped > 0) {
+    console.log(`   Skipped (already exist): ${results.skipped}`);
+  }
+  if (results.errors > 0) {
+    console.log(`   Errors: ${results.errors}`);
+  }
+}
+
+function printMergePreview(api, tasks, strategy) {
+  console.log(`\n📋 Merge Preview (${tasks.length} tasks, strategy: ${strategy}):`);
+
+  for (const task of tasks) {
+    let preview;
+    try {
+      preview = api.previewMerge(task, strategy);
+    } catch (error) {
+      if (error.code !== 'TASK_NOT_FOUND') {
+        throw error;
+      }
+      console.log(`+ ${task.id}: ${task.name} (new)`);
+      continue;
+    }
+
+    if (preview.changes.length === 0) {
+      console.log(`= ${task.id}: ${preview.task.name} (no changes)`);
+      continue;
+    }
+
+    console.log(`~ ${task.id}: ${preview.task.name}`);
+    for (const change of preview.changes) {
+      const line = `     ${change.field}: ${formatMergeValue(change.ours)} → ${formatMergeValue(change.theirs)}`;
+      console.log(change.apply ? line : `${line} (keeping database value)`);
+    }
+  }
+
+  console.log('\nRun again without --dry-run to merge.');
+}
+
+function formatMergeValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return '(empty)';
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(', ') : '(none)';
+  }
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+function printImporterPreview(importer, tasks, unmapped) {
+  const names = new Map(tasks.map(task => [task.key, task.ref || task.name]));
+
+  console.log(`\n📋 Import Preview (${tasks.length} tasks from ${importer.label}):`);
+  tasks.forEach((task, index) => {
+    console.log(`${index + 1}. ${task.ref ? `${task.ref}: ` : ''}${task.name}`);
+    console.log(`   Status: ${task.status}`);
+    console.log(`   Priority: ${task.priority}`);
+    if (task.assignee) {
+      console.log(`   Assignee: ${task.assignee}`);
+    }
+    if (task.tags.length > 0) {
+      console.log(`   Tags: ${task.tags.join(', ')}`);
+    }
+    if (task.parent_key) {
+      console.log(`   Parent: ${names.get(task.parent_key) || `${task.parent_key} (not in file)`}`);
+    }
+    if (task.notes.length > 0) {
+      console.log(`   Notes: ${task.notes.length}`);
+    }
+  });
+
+  const fields = Object.entries(unmapped).sort(([a], [b]) => a.localeCompare(b));
+  if (fields.length > 0) {
+    console.log('\n⚠️  Unmapped fields (will not be imported):');
+    for (const [field, count] of fields) {
+      console.log(`   ${field}: set in ${count} of ${tasks.length}`);
+    }
+  } else {
+    console.log('\n✅ Every field in the file is mapped');
+  }
+
+  console.log('\nRun again without --dry-run to import.');
+}
+
+function printBundleSummary(summary, dryRun) {
+  const { counts, remapped } = summary;
+
+  console.log(dryRun ? '\n📋 Bundle Import Preview:' : '\n📊 Import Summary:');
+  console.log(`   Tasks: ${counts.tasks}`);
+  console.log(`   Notes: ${counts.task_notes}`);
+  console.log(`   Tags: ${counts.task_tags}`);
+  console.log(`   Dependencies: ${counts.task_dependencies}`);
+  console.log(`   Timeline events: ${counts.task_timeline}`);
+  console.log(`   Time entries: ${counts.task_time_entries}`);
+  console.log(`   Chats: ${counts.chat_contexts} (${counts.chat_turns} turns)`);
+
+  for (const [label, ids] of [
+    ['tasks', remapped.tasks],
+    ['chats', remapped.chats],
+  ]) {
+    const renumbered = Object.entries(ids);
+    if (renumbered.length > 0) {
+      console.log(`\n🔀 Renumbered ${renumbered.length} ${label}:`);
+      for (const [from, to] of renumbered) {
+        console.log(`   ${from} → ${to}`);
+      }
+    }
+  }
+
+  if (dryRun) {
+    console.log('\nRun again without --dry-run to import.');
+  }
+}
+
 function parseMarkdown(content) {
   const tasks = [];
   const lines = content.split('\n');
@@ -343,8 +552,8 @@ function processTasks(tasks, options) {
       }
     }
 
-    // Ensure required fields
-    if (!processedTask.name) {
+    // Ensure required fields (a merge leaves out what the file does not set)
+    if (!processedTask.name && !options.merge) {
       processedTask.name = 'Imported Task';
     }
 
@@ -368,6 +577,7 @@ async function importTasks(api, tasks, options) {
   const results = {
     imported: 0,
     updated: 0,
+    unchanged: 0,
     skipped: 0,
     errors: 0,
   };
@@ -383,7 +593,21 @@ async function importTasks(api, tasks, options) {
       }
 
       if (existingTask) {
-        if (options.update) {
+        if (options.merge) {
+          const { changes } = await api.mergeTask(task, {
+            strategy: options.strategy,
+            user: options.source,
+          });
+          const applied = changes.filter(change => change.apply);
+          if (applied.length > 0) {
+            const fields = applied.map(change => change.field).join(', ');
+            console.log(`✅ Merged: ${existingTask.id} - ${existingTask.name} (${fields})`);
+            results.updated++;
+          } else {
+            console.log(`➖ Unchanged: ${existingTask.id} - ${existingTask.name}`);
+            results.unchanged++;
+          }
+        } else if (options.update) {
           // Update existing task
           const updateData = { ...task };
           delete updateData.id; // Don't update ID
@@ -438,3 +662,89 @@ async function importTasks(api, tasks, options) {
 
   return results;
 }
+
+async function importFromTool(api, importer, records) {
+  const results = {
+    imported: 0,
+    updated: 0,
+    skipped: 0,
+    errors: 0,
+  };
+
+  // Task ID of each record, so subtasks can find their parent
+  const ids = new Map();
+
+  for (const record of parentsFirst(records)) {
+    try {
+      const existing = record.ref ? api.findImportedTask(importer.name, record.ref) : null;
+      if (existing) {
+        ids.set(record.key, existing.id);
+        console.log(
+          `⏭️  Skipped: ${record.ref} - ${record.name} (already imported as ${existing.id})`
+        );
+        results.skipped++;
+        continue;
+      }
+
+      const source = { source: importer.name };
+      if (record.ref) {
+        source.ref = record.ref;
+      }
+      if (record.url) {
+        source.url = record.url;
+      }
+
+      const task = await api.createTask({
+        name: record.name,
+        content: record.content,
+        status: record.status,
+        priority: record.priority,
+        assignee: record.assignee,
+        due_date: record.due_date,
+        estimate: record.estimate,
+        category: record.category,
+        parent_id: ids.get(record.parent_key) || null,
+        created_by: record.created_by || 'import',
+        created_at: record.created_at,
+        completed_at: record.completed_at,
+        metadata: { import: source },
+      });
+      ids.set(record.key, task.id);
+
+      if (record.tags.length > 0) {
+        await api.addTaskTags(task.id, record.tags, 'import');
+      }
+      for (const note of record.notes) {
+        await api.addTaskNote(task.id, note.note, note.user || 'import');
+      }
+
+      console.log(`✅ Imported: ${task.id} - ${task.name}${record.ref ? ` (${record.ref})` : ''}`);
+      results.imported++;
+    } catch (error) {
+      console.error(`❌ Error importing ${record.ref || record.name}: ${error.message}`);
+      results.errors++;
+    }
+  }
+
+  return results;
+}
+
+function parentsFirst(records) {
+  const byKey = new Map(records.map(record => [record.key, record]));
+  const seen = new Set();
+  const ordered = [];
+
+  const visit = record => {
+    if (seen.has(record.key)) {
+      return;
+    }
+    seen.add(record.key);
+    if (byKey.has(record.parent_key)) {
+      visit(byKey.get(record.parent_key));
+    }
+    ordered.push(record);
+  };
+
+  records.forEach(visit);
+  return ordered;
+}
@@ -0,0 +1,21 @@
+import { Command } from 'commander';
+import { mcpServeCommand } from './serve.js';
+import { mcpListCommand } from './list.js';
+
+export function mcpCommand() {
+  const mcp = new Command('mcp');
+
+  mcp.description('Share tasks with AI assistants and use tool servers over MCP').addHelpText(
+    'after',
+    `
+Examples:
+  $ twrk mcp serve                         # Serve this project's tasks on stdio
+  $ twrk mcp serve --mode agent            # Confirm every change in the client
+  $ twrk mcp list                          # Check the servers 'twrk agent' uses`
+  );
+
+  mcp.addCommand(mcpServeCommand());
+  mcp.addCommand(mcpListCommand());
+
+  return mcp;
+}
@@ -0,0 +1,70 @@
+import { Command } from 'commander';
+import { Logger } from '../../logging/logger.js';
+import { McpClient } from '../../mcp/client.js';
+import { loadMcpServers, MCP_CONFIG_FILE } from '../../mcp/config.js';
+import { mcpToolName } from '../../ai/tools/mcp/mcp-tool.js';
+
+export function mcpListCommand() {
+  const list = new Command('list');
+
+  list
+    .description(`Start the MCP servers in .taskwerk/${MCP_CONFIG_FILE} and list their tools`)
+    .addHelpText(
+      'after',
+      `
+'twrk agent' offers these tools to the model as mcp__<server>__<tool>.
+
+Configuration (.taskwerk/${MCP_CONFIG_FILE}):
+  servers:
+    github:
+      command: npx
+      args: ["-y", "@modelcontextprotocol/server-github"]
+      env:
+        GITHUB_PERSONAL_ACCESS_TOKEN: \${GITHUB_TOKEN}
+    local:
+      command: node
+      args: ["tools/server.js"]
+      cwd: ./tools                  # Relative to the project
+      disabled: true                # Skip without removing it
+
+\${VAR} in command, args and env is read from the environment.`
+    )
+    .action(async () => {
+      const logger = new Logger('mcp-list');
+
+      try {
+        const servers = loadMcpServers(process.cwd());
+        if (servers.length === 0) {
+          console.log(`No MCP servers configured in .taskwerk/${MCP_CONFIG_FILE}`);
+          return;
+        }
+
+        for (const server of servers) {
+          console.log(`🔌 ${server.name}: ${[server.command, ...server.args].join(' ')}`);
+
+          const client = new McpClient(server);
+          try {
+            const info = await client.connect();
+            const tools = await client.listTools();
+            console.log(`   ${info.name} ${info.version || ''}`.trimEnd());
+            for (const tool of tools) {
+              console.log(`   • ${mcpToolName(server.name, tool.name)}`);
+            }
+            if (tools.length === 0) {
+              console.log('   No tools');
+            }
+          } catch (error) {
+            console.log(`   ❌ ${error.message}`);
+          } finally {
+            await client.close();
+          }
+        }
+      } catch (error) {
+        logger.error('Failed to list MCP servers', error);
+        console.error('❌ Failed to list MCP servers:', error.message);
+        process.exit(1);
+      }
+    });
+
+  return list;
+}
@@ -0,0 +1,64 @@
+import { Command } from 'commander';
+import { Logger } from '../../logging/logger.js';
+import { McpServer } from '../../mcp/server.js';
+
+export function mcpServeCommand() {
+  const serve = new Command('serve');
+
+  serve
+    .description('Run an MCP server on stdio for editors and coding assistants')
+    .option('-m, --mode <mode>', 'Permission mode for task changes (ask, agent, yolo)', 'ask')
+    .addHelpText(
+      'after',
+      `
+The client starts this command and talks to it over stdin and stdout. Run it
+from the project directory (or set the client's working directory to it).
+
+Tools:
+  list_tasks, search_tasks, show_task             Read tasks
+  add_task, update_task, add_note                 Change tasks
+  tag_task, split_task
+  add_dependency, remove_dependency               Manage dependencies
+
+Resources:
+  taskwerk://tree                                 All tasks, subtasks nested
+  taskwerk://tasks/{id}                           One task in full
+
+Modes (as for 'twrk ask' and 'twrk agent'):
+  ask     Task changes run without confirmation (default)
+  agent   Each change is confirmed through the client; clients that cannot
+          ask for confirmation get an error instead
+  yolo    Nothing is confirmed
+
+Example client configuration (Claude Desktop, Cursor and others):
+  {
+    "mcpServers": {
+      "taskwerk": {
+        "command": "twrk",
+        "args": ["mcp", "serve"],
+        "cwd": "/path/to/project"
+      }
+    }
+  }`
+    )
+    .action(async options => {
+      const logger = new Logger('mcp-serve');
+
+      try {
+        const server = new McpServer({ mode: options.mode, workDir: process.cwd() });
+
+        // stdout carries the protocol, so everything else goes to stderr
+        console.log = (...args) => console.error(...args);
+
+        const connection = server.connect(process.stdin, process.stdout);
+        console.error(`taskwerk MCP server running on stdio (${options.mode} mode)`);
+        await connection.waitUntilClosed();
+      } catch (error) {
+        logger.error('MCP server failed', error);
+        console.error('❌ MCP server failed:', error.message);
+        process.exit(1);
+      }
+    });
+
+  return serve;
+}
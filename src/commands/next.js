@@ -0,0 +1,75 @@
+import { Command } from 'commander';
+import { TaskwerkAPI } from '../api/taskwerk-api.js';
+import { Logger } from '../logging/logger.js';
+
+export function nextCommand() {
+  const next = new Command('next');
+
+  next
+    .description('Show the next actionable task')
+    .option('-a, --assignee <name>', 'Pick for this assignee (includes unassigned tasks)')
+    .option('--limit <number>', 'Number of ranked tasks to show', '5')
+    .option('--format <format>', 'Output format (text, json)', 'text')
+    .addHelpText(
+      'after',
+      `
+Examples:
+  $ twrk next                              # What should I work on now?
+  $ twrk next -a @john                     # Next task for john (or unassigned)
+  $ twrk next -a @ai-agent --format json   # Machine-readable pick for agents
+  $ twrk next --limit 1 --format json | jq -r '.[0].id'
+
+How tasks are ranked:
+  1. Overdue tasks first
+  2. Higher priority (critical > high > medium > low)
+  3. Tasks assigned to --assignee before unassigned ones
+  4. Earlier due date
+  5. Work already in progress
+  6. Tasks that unblock the most other tasks
+  7. Oldest first
+
+Tasks that are blocked, done or waiting on unfinished dependencies are skipped.`
+    )
+    .action(async options => {
+      const logger = new Logger('next');
+
+      try {
+        const api = new TaskwerkAPI();
+        const limit = parseInt(options.limit) || 5;
+        const tasks = api.getNextTasks({ assignee: options.assignee, limit });
+
+        if (options.format === 'json') {
+          console.log(JSON.stringify(tasks, null, 2));
+          return;
+        }
+
+        if (tasks.length === 0) {
+          console.log('🎉 Nothing actionable right now');
+          console.log('\nAll open tasks are either blocked or waiting on dependencies.');
+          return;
+        }
+
+        const [top, ...rest] = tasks;
+        console.log(`👉 Next: ${top.id} - ${top.name}`);
+        console.log(`   ${top.reasons.join(', ')}`);
+        if (top.assignee) {
+          console.log(`   Assignee: ${top.assignee}`);
+        }
+
+        if (rest.length > 0) {
+          console.log('\nAlso ready:');
+          rest.forEach((task, index) => {
+            console.log(`  ${index + 2}. ${task.id} - ${task.name} (${task.reasons.join(', ')})`);
+          });
+        }
+
+        console.log(`\n💡 Start it with: twrk start ${top.id}`);
+      } catch (error) {
+        logger.error('Failed to pick next task', error);
+        console.error('❌ Failed to pick next task:', error.message);
+        process.exit(1);
+      }
+    });
+
+  return next;
+}
@@ -0,0 +1,45 @@
+import { Command } from 'commander';
+import { TaskwerkAPI } from '../api/taskwerk-api.js';
+import { Logger } from '../logging/logger.js';
+import { describeUndoEntry } from './undo.js';
+
+export function redoCommand() {
+  const redo = new Command('redo');
+
+  redo
+    .description('Redo task changes reverted by undo')
+    .argument('[count]', 'Number of operations to redo', '1')
+    .addHelpText(
+      'after',
+      `
+Examples:
+  $ twrk redo                              # Redo the last undone change
+  $ twrk redo 2                            # Redo two changes`
+    )
+    .action(async count => {
+      const logger = new Logger('redo');
+
+      try {
+        const steps = parseInt(count);
+        if (isNaN(steps) || steps < 1) {
+          console.error('❌ Count must be a positive number');
+          process.exit(1);
+          return;
+        }
+
+        const reapplied = await new TaskwerkAPI().redo(steps, 'user');
+        if (reapplied.length === 0) {
+          console.log('ℹ️  Nothing to redo');
+          return;
+        }
+
+        reapplied.forEach(entry => console.log(`↪️  Redid ${describeUndoEntry(entry)}`));
+      } catch (error) {
+        logger.error('Failed to redo', error);
+        console.error('❌ Failed to redo:', error.message);
+        process.exit(1);
+      }
+    });
+
+  return redo;
+}
@@ -0,0 +1,183 @@
+import { Command } from 'commander';
+import { TaskwerkAPI } from '../api/taskwerk-api.js';
+import { REPORT_TYPES } from '../api/reports.js';
+import { ValidationError } from '../errors/index.js';
+import { Logger } from '../logging/logger.js';
+import { barChart } from '../utils/chart.js';
+import { parseDate, DATE_FORMATS_HELP } from '../utils/date-parser.js';
+
+export function reportCommand() {
+  const report = new Command('report');
+
+  report
+    .description('Show burndown, throughput, cycle time and estimate reports')
+    .argument('[type]', `Report to show (${REPORT_TYPES.join(', ')}); all by default`)
+    .option('--from <date>', 'First day of the range (default: 30 days ago)')
+    .option('--to <date>', 'Last day of the range (default: today)')
+    .option('--format <format>', 'Output format (text, json)', 'text')
+    .addHelpText(
+      'after',
+      `
+Reports:
+  burndown     Open tasks at the end of each day, against a straight line to zero
+  throughput   Tasks completed each week (weeks start on Monday)
+  cycle-time   Average lead time (created → done) and cycle time (started → done)
+               of the tasks completed in the range, by priority and assignee
+  estimates    Estimates compared with time tracked by 'twrk timer'
+
+Start and finish times come from each task's status changes, so tasks moved
+to in-progress with 'twrk start' or 'twrk status' give the best cycle times.
+
+Examples:
+  $ twrk report                            # All reports for the last 30 days
+  $ twrk report burndown --from monday     # This week's burndown
+  $ twrk report throughput --from -12w     # Throughput over the last 12 weeks
+  $ twrk report cycle-time --format json   # For dashboards and scripts`
+    )
+    .action(async (type, options) => {
+      const logger = new Logger('report');
+
+      try {
+        if (type && !REPORT_TYPES.includes(type)) {
+          throw new ValidationError(
+            `Unknown report: ${type}. Use ${REPORT_TYPES.join(', ')}`,
+            'type',
+            type
+          );
+        }
+
+        const api = new TaskwerkAPI();
+        const data = api.getReport({
+          from: options.from ? resolveDate(options.from, 'from') : undefined,
+          to: options.to ? resolveDate(options.to, 'to') : undefined,
+        });
+
+        if (options.format === 'json') {
+          const key = type === 'cycle-time' ? 'cycle_time' : type;
+          console.log(
+            JSON.stringify(type ? { range: data.range, [key]: data[key] } : data, null, 2)
+          );
+          return;
+        }
+
+        console.log(`📈 Report for ${data.range.from} to ${data.range.to}`);
+        const sections = {
+          'burndown': printBurndown,
+          'throughput': printThroughput,
+          'cycle-time': printCycleTimes,
+          'estimates': printEstimates,
+        };
+        for (const name of type ? [type] : REPORT_TYPES) {
+          console.log('');
+          sections[name](data);
+        }
+      } catch (error) {
+        logger.error('Failed to build report', error);
+        console.error('❌ Failed to build report:', error.message);
+        process.exit(1);
+      }
+    });
+
+  return report;
+}
+
+// Reports look back, so "monday" is the last Monday rather than the next one
+function resolveDate(input, field) {
+  const date = parseDate(input, { past: true });
+  if (!date) {
+    throw new ValidationError(`Invalid date: ${input}. Use ${DATE_FORMATS_HELP}`, field, input);
+  }
+  if (date.day) {
+    const [year, month, day] = date.value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+  return new Date(date.value);
+}
+
+function printBurndown(data) {
+  console.log('🔥 Burndown (open tasks at the end of each day)');
+  const rows = data.burndown.map(point => ({
+    label: point.date.slice(5),
+    value: point.remaining,
+    text:
+      point.ideal === null ? String(point.remaining) : `${point.remaining} (ideal ${point.ideal})`,
+  }));
+  printChart(rows);
+}
+
+function printThroughput(data) {
+  console.log('🚀 Throughput (tasks completed per week)');
+  const rows = data.throughput.map(week => ({
+    label: `Week of ${week.week}`,
+    value: week.completed,
+  }));
+  printChart(rows);
+
+  const total = data.throughput.reduce((sum, week) => sum + week.completed, 0);
+  if (data.throughput.length > 0) {
+    console.log(`  Average: ${Math.round((total / data.throughput.length) * 10) / 10} per week`);
+  }
+}
+
+function printCycleTimes(data) {
+  console.log('⏱️  Lead and cycle time (tasks completed in the range)');
+  if (data.cycle_time.by_priority.length === 0) {
+    console.log('  No tasks completed in this range');
+    return;
+  }
+
+  for (const [title, groups] of [
+    ['By priority', data.cycle_time.by_priority],
+    ['By assignee', data.cycle_time.by_assignee],
+  ]) {
+    console.log(`  ${title}:`);
+    const width = Math.max(...groups.map(group => group.group.length));
+    for (const group of groups) {
+      const cycle = group.cycle_hours === null ? 'never started' : formatHours(group.cycle_hours);
+      console.log(
+        `    ${group.group.padEnd(width)}  ${String(group.count).padStart(3)} tasks  ` +
+          `lead ${formatHours(group.lead_hours)}  cycle ${cycle}`
+      );
+    }
+  }
+}
+
+function printEstimates(data) {
+  const estimates = data.estimates;
+  console.log('🎯 Estimate accuracy (estimated tasks with tracked time)');
+  if (estimates.count === 0) {
+    console.log('  No completed tasks with both an estimate and tracked time');
+    return;
+  }
+
+  console.log(
+    `  ${estimates.count} tasks: ${estimates.actual_hours}h tracked against ` +
+      `${estimates.estimated_hours}h estimated (${Math.round(estimates.ratio * 100)}%)`
+  );
+  console.log(
+    `  On target (±20%): ${estimates.on_target} | Over: ${estimates.over} | Under: ${estimates.under}`
+  );
+
+  const worst = [...estimates.tasks]
+    .sort((a, b) => Math.abs(b.ratio - 1) - Math.abs(a.ratio - 1))
+    .slice(0, 5)
+    .filter(task => task.ratio !== 1);
+  if (worst.length > 0) {
+    console.log('  Furthest off:');
+    worst.forEach(task => {
+      console.log(`    ${task.id}: ${task.actual}h of ${task.estimate}h - ${task.name}`);
+    });
+  }
+}
+
+function printChart(rows) {
+  if (rows.length === 0 || rows.every(row => row.value === 0)) {
+    console.log('  Nothing to show for this range');
+    return;
+  }
+  barChart(rows).forEach(line => console.log(line));
+}
+
+function formatHours(hours) {
+  return hours < 24 ? `${hours}h` : `${Math.round((hours / 24) * 10) / 10}d`;
+}
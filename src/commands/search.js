@@ -0,0 +1,93 @@
+import { Command } from 'commander';
+import chalk from 'chalk';
+import { TaskwerkAPI } from '../api/taskwerk-api.js';
+import { Logger } from '../logging/logger.js';
+
+export function searchCommand() {
+  const search = new Command('search');
+
+  search
+    .description('Full-text search across tasks, notes and tags')
+    .argument('[query...]', 'Search query')
+    .option('-s, --status <status>', 'Only search tasks with this status')
+    .option('-p, --priority <priority>', 'Only search tasks with this priority')
+    .option('-a, --assignee <assignee>', 'Only search tasks with this assignee')
+    .option('-l, --limit <number>', 'Maximum number of results', '20')
+    .option('--archived', 'Search archived tasks instead of active ones')
+    .option('--format <format>', 'Output format (text, json)', 'text')
+    .option('--reindex', 'Rebuild the search index before searching')
+    .addHelpText(
+      'after',
+      `
+Examples:
+  $ twrk search login                      # Tasks mentioning "login" (also "logins", "logging in")
+  $ twrk search "\\"login page\\""           # Exact phrase
+  $ twrk search auth*                      # Prefix match (auth, authentication, ...)
+  $ twrk search "login AND NOT oauth"      # Boolean operators: AND, OR, NOT
+  $ twrk search bug -s todo -p high        # Combine with filters
+  $ twrk search api --format json          # JSON output with snippets and rank
+  $ twrk search login --archived           # Search the archive
+  $ twrk search --reindex                  # Rebuild the index (e.g. after a manual DB edit)
+
+Searches task names, descriptions, content, notes and tags.
+Results are ranked by relevance; name and tag matches rank highest.`
+    )
+    .action(async (queryWords, options) => {
+      const logger = new Logger('search');
+
+      try {
+        const api = new TaskwerkAPI();
+
+        if (options.reindex) {
+          const count = api.rebuildSearchIndex();
+          if (options.format !== 'json') {
+            console.log(`🔄 Search index rebuilt (${count} task${count !== 1 ? 's' : ''})`);
+          }
+        }
+
+        const searchTerm = queryWords.join(' ').trim();
+        if (!searchTerm) {
+          if (!options.reindex) {
+            console.error('❌ Please provide a search query');
+            process.exit(1);
+          }
+          return;
+        }
+
+        const results = api.searchTasks(searchTerm, {
+          status: options.status,
+          priority: options.priority,
+          assignee: options.assignee,
+          archived: options.archived,
+          limit: parseInt(options.limit) || 20,
+          highlight: options.format === 'json' ? undefined : match => chalk.bold.yellow(match),
+        });
+
+        if (options.format === 'json') {
+          console.log(JSON.stringify(results, null, 2));
+          return;
+        }
+
+        if (results.length === 0) {
+          console.log(`🔍 No tasks match "${searchTerm}"`);
+          return;
+        }
+
+        console.log(
+          `🔍 ${results.length} result${results.length !== 1 ? 's' : ''} for "${searchTerm}"\n`
+        );
+        results.forEach(task => {
+          console.log(`${task.id} [${task.status}] ${task.name}`);
+          if (task.snippet) {
+            console.log(`   ${task.snippet.replace(/\s+/g, ' ')}`);
+          }
+        });
+      } catch (error) {
+        logger.error('Search failed', error);
+        console.error('❌ Search failed:', error.message);
+        process.exit(1);
+      }
+    });
+
+  return search;
+}
@@ -0,0 +1,19 @@
+import { Command } from 'commander';
+import { syncMarkdownCommand } from './markdown.js';
+
+export function syncCommand() {
+  const sync = new Command('sync');
+
+  sync.description('Keep tasks in sync with files you edit by hand').addHelpText(
+    'after',
+    `
+Examples:
+  $ twrk sync markdown                     # Sync tasks.md
+  $ twrk sync markdown docs/todo.md        # Sync another file
+  $ twrk sync markdown --dry-run           # Show what the file would change`
+  );
+
+  sync.addCommand(syncMarkdownCommand());
+
+  return sync;
+}
@@ -0,0 +1,155 @@
+import { Command } from 'commander';
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { TaskwerkAPI } from '../../api/taskwerk-api.js';
+import { SNAPSHOT_VERSION } from '../../api/markdown-sync.js';
+import { Logger } from '../../logging/logger.js';
+
+export function syncMarkdownCommand() {
+  const markdown = new Command('markdown');
+
+  markdown
+    .description('Mirror tasks to a Markdown checklist and pull back edits')
+    .argument('[file]', 'Markdown file', 'tasks.md')
+    .option('--dry-run', 'Show what the file would change without changing anything')
+    .addHelpText(
+      'after',
+      `
+The first run writes every open task to the file as a checklist, subtasks
+indented under their parent:
+
+  - [ ] TASK-001: Ship release !high
+    - [x] TASK-001.1: Write changelog
+
+Edit it in your editor, then run the command again. Ticked boxes, renamed
+tasks and changed priorities are applied, and bullets without an ID become
+new tasks. The file is then rewritten from the task list.
+
+  [ ] todo  [~] in progress  [!] blocked  [x] done  [-] cancelled
+  !low  !high  !critical   (medium is left out)
+
+Each run is compared with the previous one, so changes made with twrk in the
+meantime are kept. When the file and twrk both changed the same field, twrk
+wins and the conflict is listed. Removing a line does not delete the task.
+'twrk undo' reverts the changes of the last sync.
+
+Examples:
+  $ twrk sync markdown                     # Sync tasks.md
+  $ twrk sync markdown docs/todo.md        # Sync another file
+  $ twrk sync markdown --dry-run           # Show what the file would change`
+    )
+    .action(async (file, options) => {
+      const logger = new Logger('sync-markdown');
+
+      try {
+        const filePath = path.resolve(file);
+        const content = await readIfExists(filePath);
+
+        const api = new TaskwerkAPI();
+        const snapshotPath = getSnapshotPath(api, filePath);
+        const snapshot = await readSnapshot(snapshotPath);
+
+        const result = await api.syncMarkdown(content ?? '', snapshot, {
+          user: `sync:${path.basename(filePath)}`,
+          dryRun: options.dryRun,
+        });
+
+        printSyncReport(result, options.dryRun);
+
+        if (options.dryRun) {
+          console.log('\nRun again without --dry-run to sync.');
+          return;
+        }
+
+        await fs.writeFile(filePath, result.content, 'utf8');
+        await fs.mkdir(path.dirname(snapshotPath), { recursive: true });
+        await fs.writeFile(snapshotPath, JSON.stringify(result.snapshot, null, 2), 'utf8');
+
+        const count = Object.keys(result.snapshot.tasks).length;
+        console.log(
+          content === null
+            ? `📝 Wrote ${count} tasks to ${file}`
+            : `🔄 Synced ${file} (${count} tasks)`
+        );
+      } catch (error) {
+        logger.error('Markdown sync failed', error);
+        console.error('❌ Sync failed:', error.message);
+        process.exit(1);
+      }
+    });
+
+  return markdown;
+}
+
+function printSyncReport(result, dryRun) {
+  const { plan, created } = result;
+
+  for (const update of plan.updates) {
+    const fields = Object.entries(update.fields)
+      .map(([field, value]) => `${field} → ${value}`)
+      .join(', ');
+    console.log(`✅ ${dryRun ? 'Would update' : 'Updated'} ${update.id}: ${fields}`);
+  }
+
+  if (dryRun) {
+    for (const creation of plan.creations) {
+      console.log(`➕ Would create: ${creation.name}`);
+    }
+  } else {
+    for (const task of created) {
+      console.log(`➕ Created ${task.id}: ${task.name}`);
+    }
+  }
+
+  for (const conflict of plan.conflicts) {
+    console.log(
+      `⚠️  Conflict on ${conflict.id} ${conflict.field}: file has "${conflict.file}", ` +
+        `taskwerk has "${conflict.database}" (kept taskwerk)`
+    );
+  }
+
+  for (const id of plan.unknown) {
+    console.log(`⚠️  ${id} is not an open task; its line will be removed`);
+  }
+
+  const changes =
+    plan.updates.length + plan.creations.length + plan.conflicts.length + plan.unknown.length;
+  if (changes === 0 && dryRun) {
+    console.log('✨ No changes in the file');
+  }
+}
+
+async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Snapshots live next to the database, one per synced file
+ */
+function getSnapshotPath(api, filePath) {
+  const dbFile = api.getDatabase().name;
+  const key = createHash('sha1').update(filePath).digest('hex').slice(0, 12);
+  return path.join(path.dirname(path.resolve(dbFile)), 'sync', `markdown-${key}.json`);
+}
+
+async function readSnapshot(snapshotPath) {
+  const content = await readIfExists(snapshotPath);
+  if (content === null) {
+    return null;
+  }
+
+  try {
+    const snapshot = JSON.parse(content);
+    return snapshot.version === SNAPSHOT_VERSION ? snapshot : null;
+  } catch {
+    return null;
+  }
+}
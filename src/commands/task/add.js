@@ -1,6 +1,8 @@
 import { Command } from 'commander';
 import { TaskwerkAPI } from '../../api/taskwerk-api.js';
 import { Logger } from '../../logging/logger.js';
+import { describeRecurrence } from '../../utils/recurrence.js';
+import { parseDueDate } from '../../utils/date-parser.js';
 
 export function taskAddCommand() {
   const add = new Command('add');
@@ -14,6 +16,11 @@ export function taskAddCommand() {
     .option('-P, --parent <id>', 'Parent task ID')
     .option('-t, --tags <tags...>', 'Add tags to the task')
     .option('-d, --description <text>', 'Task description')
+    .option('--due <date>', 'Due date (YYYY-MM-DD, tomorrow, "next friday", +3d)')
+    .option(
+      '-r, --recur <rule>',
+      'Repeat the task (daily, weekly, "every 2 weeks", "cron:0 9 * * 1")'
+    )
     .addHelpText(
       'after',
       `
@@ -38,6 +45,17 @@ Examples:
     $ twrk addtask "Generate tests" -a @claude -t ai codegen -d "Cover edge cases"
     $ twrk addtask "Optimize query" -a @ai-agent -d "Current query takes 5s, need <100ms"
   
+  Due dates:
+    $ twrk addtask "Submit report" --due 2025-07-01     # ISO date
+    $ twrk addtask "Call back" --due tomorrow           # Relative day
+    $ twrk addtask "Release" --due "next friday"        # Coming Friday
+    $ twrk addtask "Renew cert" --due +3d               # Three days from now
+  
+  Recurring tasks:
+    $ twrk addtask "Water plants" -r daily              # New task each day once done
+    $ twrk addtask "Team sync" -r "every mon,thu"       # On Mondays and Thursdays
+    $ twrk addtask "Invoice" -r "cron:0 9 1 * *"        # 9am on the 1st of each month
+  
   Quick shortcuts:
     $ twrk addtask "Quick fix" -p high -t urgent        # High priority urgent task
     $ twrk addtask "Document API" -e 4 -t docs          # 4-hour documentation task
@@ -58,9 +76,14 @@ Note: Task IDs support fuzzy matching - use '1' instead of 'TASK-001'`
           priority: options.priority,
           assignee: options.assignee,
           parent_id: options.parent,
+          recurrence: options.recur,
           created_by: 'user',
         };
 
+        if (options.due) {
+          taskData.due_date = parseDueDate(options.due);
+        }
+
         // Add estimate if provided
         if (options.estimate) {
           const estimateNum = parseInt(options.estimate);
@@ -97,9 +120,15 @@ Note: Task IDs support fuzzy matching - use '1' instead of 'TASK-001'`
         if (task.estimate) {
           console.log(`  Estimate: ${task.estimate} hours`);
         }
+        if (task.due_date) {
+          console.log(`  Due: ${task.due_date}`);
+        }
         if (task.description) {
           console.log(`  Description: ${task.description}`);
         }
+        if (task.recurrence) {
+          console.log(`  Repeats: ${describeRecurrence(task.recurrence)}`);
+        }
       } catch (error) {
         logger.error('Failed to create task', error);
         console.error('❌ Failed to create task:', error.message);
@@ -0,0 +1,63 @@
+import { Command } from 'commander';
+import { TaskwerkAPI } from '../../api/taskwerk-api.js';
+import { Logger } from '../../logging/logger.js';
+import { getCurrentBranch, isGitRepository } from '../../utils/git.js';
+
+export function taskCurrentCommand() {
+  const current = new Command('current');
+
+  current
+    .description('Show the task for the checked-out git branch')
+    .option('--id', 'Print only the task ID')
+    .addHelpText(
+      'after',
+      `
+The task is the one 'twrk start <id> --branch' recorded for the branch, or
+else the task whose ID appears in the branch name (task-001-fix-login,
+feature/TASK-042). Exits with status 1 when the branch has no task.
+
+Examples:
+  $ twrk task current                      # Which task am I on?
+  $ twrk task current --id                 # TASK-001, for scripts and git hooks`
+    )
+    .action(async options => {
+      const logger = new Logger('task-current');
+
+      try {
+        if (!isGitRepository()) {
+          throw new Error('Not a git repository');
+        }
+
+        const branch = getCurrentBranch();
+        const api = new TaskwerkAPI();
+        const task = branch ? api.findTaskByBranch(branch) : null;
+
+        if (!task) {
+          if (!options.id) {
+            console.log(
+              branch
+                ? `ℹ️  No task for branch ${branch}`
+                : 'ℹ️  No branch is checked out (detached HEAD)'
+            );
+          }
+          process.exit(1);
+          return;
+        }
+
+        if (options.id) {
+          console.log(task.id);
+          return;
+        }
+
+        console.log(`📌 ${task.id}: ${task.name}`);
+        console.log(`   Status: ${task.status} | Priority: ${task.priority}`);
+        console.log(`   Branch: ${branch}`);
+      } catch (error) {
+        logger.error('Failed to find the current task', error);
+        console.error('❌ Failed to find the current task:', error.message);
+        process.exit(1);
+      }
+    });
+
+  return current;
+}
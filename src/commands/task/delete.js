@@ -25,6 +25,13 @@ export function taskDeleteCommand() {
     .argument('<id>', 'Task ID')
     .option('-f, --force', 'Force delete without confirmation')
     .option('--cascade', 'Delete all subtasks')
+    .option('--permanent', 'Delete for good instead of moving to the trash')
+    .addHelpText(
+      'after',
+      `
+Deleted tasks go to the trash, where they can be restored with
+'twrk trash restore <id>'. Use --permanent to skip the trash.`
+    )
     .action(async (id, options) => {
       const logger = new Logger('task-delete');
 
@@ -34,8 +41,13 @@ export function taskDeleteCommand() {
         // Get task details first
         const task = api.getTask(id);
 
+        // Every level of subtasks goes with the task; a permanent delete also takes trashed ones
+        const subtasks = api
+          .getSubtreeIds(task.id, options.permanent ? {} : { deleted_at: null })
+          .slice(1)
+          .map(subtaskId => api.getTask(subtaskId, { include_deleted: true }));
+
         // Check for subtasks if cascade not specified
-        const subtasks = api.getSubtasks(id);
         if (subtasks.length > 0 && !options.cascade) {
           console.log(`❌ Cannot delete task ${id}: it has ${subtasks.length} subtask(s)`);
           console.log('\nSubtasks:');
@@ -62,24 +74,25 @@ export function taskDeleteCommand() {
           }
         }
 
-        // Delete subtasks first if cascade is enabled
-        if (options.cascade && subtasks.length > 0) {
+        // Subtasks go with the main task, so they can be restored together
+        await api.deleteTask(id, 'user', { permanent: options.permanent });
+
+        if (subtasks.length > 0) {
           console.log(`🗑️  Deleting ${subtasks.length} subtask(s)...`);
-          for (const subtask of subtasks) {
-            await api.deleteTask(subtask.id, 'user');
+          subtasks.forEach(subtask => {
             console.log(`  ✅ Deleted subtask ${subtask.id}: ${subtask.name}`);
-          }
+          });
         }
-
-        // Delete the main task
-        await api.deleteTask(id, 'user');
         console.log(`✅ Deleted task ${id}: ${task.name}`);
 
         // Show summary
-        const totalDeleted = 1 + (options.cascade ? subtasks.length : 0);
+        const totalDeleted = 1 + subtasks.length;
         if (totalDeleted > 1) {
           console.log(`\n📊 Summary: Deleted ${totalDeleted} task(s) total`);
         }
+        if (!options.permanent) {
+          console.log(`\n💡 Moved to the trash. Restore with: twrk trash restore ${task.id}`);
+        }
       } catch (error) {
         logger.error('Failed to delete task', error);
         // For TaskNotFoundError, the message already contains suggestions
@@ -0,0 +1,89 @@
+import { Command } from 'commander';
+import { TaskwerkAPI } from '../../api/taskwerk-api.js';
+import { Logger } from '../../logging/logger.js';
+
+export function taskDependCommand() {
+  const depend = new Command('depend');
+
+  depend
+    .description('Manage task dependencies (blockers)')
+    .argument('<id>', 'Task ID')
+    .option('--on <ids...>', 'Task(s) that must be finished first')
+    .option('--remove <ids...>', 'Remove dependency on the given task(s)')
+    .option('--list', 'List blockers and blocked tasks')
+    .addHelpText(
+      'after',
+      `
+Examples:
+  Adding blockers:
+    $ twrk task depend 3 --on 1                  # TASK-003 is blocked by TASK-001
+    $ twrk task depend 5 --on 2 3                # TASK-005 waits on TASK-002 and TASK-003
+
+  Removing blockers:
+    $ twrk task depend 3 --remove 1              # TASK-003 no longer waits on TASK-001
+
+  Viewing dependencies:
+    $ twrk task depend 3                         # List what blocks / is blocked by TASK-003
+    $ twrk showtask 3                            # Dependencies are also shown here
+
+Note: Circular dependencies are rejected (e.g. 1 -> 2 -> 1)`
+    )
+    .action(async (id, options) => {
+      const logger = new Logger('task-depend');
+
+      try {
+        const api = new TaskwerkAPI();
+        const task = api.getTask(id);
+
+        if (options.on) {
+          for (const dependsOnId of options.on) {
+            await api.addTaskDependency(task.id, dependsOnId, 'user');
+            const blocker = api.getTask(dependsOnId);
+            console.log(`🔗 ${task.id} is now blocked by ${blocker.id}: ${blocker.name}`);
+          }
+        }
+
+        if (options.remove) {
+          for (const dependsOnId of options.remove) {
+            await api.removeTaskDependency(task.id, dependsOnId, 'user');
+            const blocker = api.getTask(dependsOnId);
+            console.log(`✂️  ${task.id} is no longer blocked by ${blocker.id}`);
+          }
+        }
+
+        if (options.list || (!options.on && !options.remove)) {
+          const blockedBy = api.getTaskDependencies(task.id);
+          const blocking = api.getDependentTasks(task.id);
+
+          console.log(`\n🔗 Dependencies for ${task.id}: ${task.name}`);
+
+          console.log('\nBlocked by:');
+          if (blockedBy.length === 0) {
+            console.log('  (none)');
+          }
+          blockedBy.forEach(dep => {
+            console.log(`  - ${dep.id}: ${dep.name} [${dep.status}]`);
+          });
+
+          console.log('\nBlocking:');
+          if (blocking.length === 0) {
+            console.log('  (none)');
+          }
+          blocking.forEach(dep => {
+            console.log(`  - ${dep.id}: ${dep.name} [${dep.status}]`);
+          });
+        }
+      } catch (error) {
+        logger.error('Failed to update task dependencies', error);
+        // For TaskNotFoundError, the message already contains suggestions
+        if (error.code === 'TASK_NOT_FOUND') {
+          console.error(`❌ ${error.message}`);
+        } else {
+          console.error('❌ Failed to update task dependencies:', error.message);
+        }
+        process.exit(1);
+      }
+    });
+
+  return depend;
+}
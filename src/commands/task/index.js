@@ -6,6 +6,8 @@ import { taskUpdateCommand } from './update.js';
 import { taskDeleteCommand } from './delete.js';
 import { taskStatusCommand } from './status.js';
 import { taskSplitCommand } from './split.js';
+import { taskDependCommand } from './depend.js';
+import { taskCurrentCommand } from './current.js';
 
 export function taskCommand() {
   const task = new Command('task');
@@ -18,7 +20,9 @@ export function taskCommand() {
     .addCommand(taskUpdateCommand())
     .addCommand(taskDeleteCommand())
     .addCommand(taskStatusCommand())
-    .addCommand(taskSplitCommand());
+    .addCommand(taskSplitCommand())
+    .addCommand(taskDependCommand())
+    .addCommand(taskCurrentCommand());
 
   return task;
 }
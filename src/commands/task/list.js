@@ -1,6 +1,9 @@
 import { Command } from 'commander';
 import { TaskwerkAPI } from '../../api/taskwerk-api.js';
 import { Logger } from '../../logging/logger.js';
+import { ViewManager } from '../../config/view-manager.js';
+import { parseDate, DATE_FORMATS_HELP } from '../../utils/date-parser.js';
+import { ValidationError } from '../../errors/index.js';
 
 function formatTableRow(task, widths, indent = 0) {
   const statusEmoji = {
@@ -101,24 +104,47 @@ export function taskListCommand() {
     .option('-a, --assignee <name>', 'Filter by assignee')
     .option('-p, --priority <level>', 'Filter by priority')
     .option('-t, --tags <tags...>', 'Filter by tags')
-    .option('--search <term>', 'Search in task name, description, and content')
+    .option('--search <term>', 'Full-text search in tasks, notes and tags (see: twrk search)')
+    .option('-q, --query <expr>', 'Filter with a query expression (see below)')
+    .option('--view <name>', 'Apply a saved view (see: twrk view)')
+    .option('--due-before <date>', 'Only tasks due on or before a date (e.g. friday, +7d)')
+    .option('--due-after <date>', 'Only tasks due on or after a date')
     .option('--sort <field>', 'Sort by field (created, updated, priority)', 'created')
     .option('--format <format>', 'Output format (table, json, csv)', 'table')
     .option('--limit <number>', 'Limit number of results', '50')
     .option('--all', 'Show all tasks including completed/archived')
+    .option('--archived', 'Show only archived tasks')
     .option('--tree', 'Show tasks in hierarchical tree view')
     .addHelpText(
       'after',
       `
 Examples:
   $ twrk listtask                          # List active tasks
-  $ twrk listtask --all                    # List all tasks including done
+  $ twrk listtask --all                    # List all tasks including done and archived
+  $ twrk listtask --archived               # List archived tasks
   $ twrk listtask -s todo                  # List only todo tasks  
   $ twrk listtask -a @john                 # List tasks assigned to john
   $ twrk listtask -p high                  # List high priority tasks
   $ twrk listtask -t bug                   # List tasks tagged with 'bug'
   $ twrk listtask --search "login"         # Search for tasks mentioning login
-  $ twrk listtask --sort priority --limit 10  # Top 10 tasks by priority`
+  $ twrk listtask --sort priority --limit 10  # Top 10 tasks by priority
+  $ twrk listtask --due-before friday      # Due by Friday
+  $ twrk listtask --due-after today --due-before "end of month"
+
+Query expressions (--query):
+  $ twrk listtask -q "status:todo priority>=high tag:backend"
+  $ twrk listtask -q "-assignee:@bob due<7d"           # Not bob's, due within a week
+  $ twrk listtask -q "status:todo,in-progress assignee:none"
+  $ twrk listtask -q "created>-3d login"               # Created in the last 3 days, mentions login
+
+  Terms are combined with AND. Each term is field<op>value or a bare search word.
+  Fields:    status (s), priority (p), assignee (a), tag (t), category, parent, id,
+             name, description, progress, due, created, updated, started, completed
+  Operators: : = != > >= < <=   (comparisons work on priority, progress and dates)
+  Values:    a,b matches either; none matches an empty field; use "quotes" for spaces;
+             assignee:@me matches tasks assigned to you
+  Dates:     YYYY-MM-DD, today, tomorrow, friday, "next week", or offsets like 7d, -2w, 12h
+  Prefix a term with - to exclude matches.`
     )
     .action(async options => {
       const logger = new Logger('task-list');
@@ -141,9 +167,38 @@ Examples:
         if (options.tags) {
           queryOptions.tags = options.tags;
         }
+        if (options.view) {
+          const view = new ViewManager().get(options.view);
+          queryOptions.query = [view.query, options.query].filter(Boolean).join(' ');
+        } else if (options.query) {
+          queryOptions.query = options.query;
+        }
+
+        for (const [option, key] of [
+          ['dueBefore', 'due_before'],
+          ['dueAfter', 'due_after'],
+        ]) {
+          if (options[option]) {
+            const date = parseDate(options[option]);
+            if (!date) {
+              throw new ValidationError(
+                `Invalid date: ${options[option]}. Use ${DATE_FORMATS_HELP}`,
+                key,
+                options[option]
+              );
+            }
+            queryOptions[key] = date.value;
+          }
+        }
+
+        if (options.archived) {
+          queryOptions.archived = true;
+        }
 
         if (!options.all) {
           queryOptions.limit = parseInt(options.limit) || 50;
+        } else {
+          queryOptions.include_archived = true;
         }
 
         // Map sort options
@@ -158,10 +213,11 @@ Examples:
         queryOptions.order_by = sortField;
         queryOptions.order_dir = 'DESC';
 
-        // Get tasks - use search if search term provided
-        const tasks = options.search
-          ? api.searchTasks(options.search, queryOptions)
-          : api.listTasks(queryOptions);
+        // Get tasks - search, query expressions and due dates go through the query builder
+        const tasks =
+          options.search || queryOptions.query || queryOptions.due_before || queryOptions.due_after
+            ? api.searchTasks(options.search, queryOptions)
+            : api.listTasks(queryOptions);
 
         if (tasks.length === 0) {
           console.log('📝 No tasks found');
@@ -204,6 +260,21 @@ Examples:
         if (options.tags) {
           filters.push(`tags: ${options.tags.join(', ')}`);
         }
+        if (options.view) {
+          filters.push(`view: ${options.view}`);
+        }
+        if (options.archived) {
+          filters.push('archived');
+        }
+        if (options.query) {
+          filters.push(`query: ${options.query}`);
+        }
+        if (options.dueAfter) {
+          filters.push(`due after: ${options.dueAfter}`);
+        }
+        if (options.dueBefore) {
+          filters.push(`due before: ${options.dueBefore}`);
+        }
         if (filters.length > 0) {
           header += ` (${filters.join(', ')})`;
         }
@@ -249,7 +320,11 @@ Examples:
         }
       } catch (error) {
         logger.error('Failed to list tasks', error);
-        console.error('❌ Failed to list tasks:', error.message);
+        if (error.code === 'INVALID_QUERY') {
+          console.error(`❌ Invalid query: ${error.message}`);
+        } else {
+          console.error('❌ Failed to list tasks:', error.message);
+        }
         process.exit(1);
       }
     });
@@ -1,6 +1,8 @@
 import { Command } from 'commander';
 import { TaskwerkAPI } from '../../api/taskwerk-api.js';
 import { Logger } from '../../logging/logger.js';
+import { describeRecurrence } from '../../utils/recurrence.js';
+import { formatDuration } from '../../utils/duration.js';
 
 export function taskShowCommand() {
   const show = new Command('show');
@@ -43,9 +45,19 @@ Note: If task not found, similar task IDs will be suggested`
         const tags = api.getTaskTags(id);
         const timeline = api.getTaskTimeline(id);
         const notes = api.getTaskNotes(id);
+        const blockedBy = api.getTaskDependencies(task.id);
+        const blocking = api.getDependentTasks(task.id);
+        const time = api.getTimeSummary(task.id);
+        const links = api.getTaskLinks(task.id);
 
         if (options.format === 'json') {
-          console.log(JSON.stringify({ task, tags, timeline, notes }, null, 2));
+          console.log(
+            JSON.stringify(
+              { task, tags, timeline, notes, dependencies: { blockedBy, blocking }, time, links },
+              null,
+              2
+            )
+          );
           return;
         }
 
@@ -89,6 +101,28 @@ Note: If task not found, similar task IDs will be suggested`
           console.log(`⏱️  Estimate: ${task.estimate} hours`);
         }
 
+        if (time.total_tracked > 0) {
+          const estimate = task.estimate || time.subtasks.estimate;
+          const percent = estimate
+            ? ` (${Math.round((time.total_tracked / 3600 / estimate) * 100)}% of estimate)`
+            : '';
+          console.log(`⌛ Actual: ${formatDuration(time.total_tracked)}${percent}`);
+        }
+
+        if (time.subtasks.count > 0 && (time.subtasks.estimate > 0 || time.subtasks.tracked > 0)) {
+          const subtaskEstimate = time.subtasks.estimate
+            ? ` of ${time.subtasks.estimate} hours estimated`
+            : '';
+          console.log(
+            `   Subtasks: ${formatDuration(time.subtasks.tracked)} tracked${subtaskEstimate}`
+          );
+        }
+
+        const timer = api.getActiveTimer();
+        if (timer && timer.task_id === task.id) {
+          console.log(`▶️  Timer running for ${formatDuration(timer.elapsed)}`);
+        }
+
         if (task.progress > 0) {
           console.log(`📊 Progress: ${task.progress}%`);
         }
@@ -97,10 +131,26 @@ Note: If task not found, similar task IDs will be suggested`
           console.log(`📅 Due: ${new Date(task.due_date).toLocaleDateString()}`);
         }
 
+        if (task.recurrence) {
+          console.log(`🔁 Repeats: ${describeRecurrence(task.recurrence)}`);
+        }
+
+        if (task.series_id && task.series_id !== task.id) {
+          console.log(`🔗 Series: ${task.series_id}`);
+        }
+
         if (task.category) {
           console.log(`📂 Category: ${task.category}`);
         }
 
+        if (task.branch_name) {
+          console.log(`🌿 Branch: ${task.branch_name}`);
+        }
+
+        if (task.archived_at) {
+          console.log(`📦 Archived: ${new Date(task.archived_at).toLocaleDateString()}`);
+        }
+
         if (tags.length > 0) {
           console.log(`🏷️  Tags: ${tags.join(', ')}`);
         }
@@ -126,6 +176,23 @@ Note: If task not found, similar task IDs will be suggested`
           }
         }
 
+        // Show linked commits and pull requests
+        const commits = links.filter(link => link.type === 'commit');
+        const pullRequests = links.filter(link => link.type === 'pull_request');
+        if (commits.length > 0) {
+          console.log(`\n🔗 Commits:`);
+          commits.forEach(link => {
+            const author = link.author ? ` (${link.author})` : '';
+            console.log(`  ${link.ref.slice(0, 7)} ${link.title}${author}`);
+          });
+        }
+        if (pullRequests.length > 0) {
+          console.log(`\n🔀 Pull requests:`);
+          pullRequests.forEach(link => {
+            console.log(`  ${link.ref} ${link.url || link.title}`);
+          });
+        }
+
         // Show notes
         if (notes.length > 0) {
           console.log(`\n💬 Notes:`);
@@ -175,6 +242,21 @@ Note: If task not found, similar task IDs will be suggested`
           }
         }
 
+        // Show dependencies in both directions
+        if (blockedBy.length > 0) {
+          console.log(`\n⛔ Blocked by:`);
+          blockedBy.forEach(dep => {
+            console.log(`  ${dep.id} - ${dep.name} [${dep.status}]`);
+          });
+        }
+
+        if (blocking.length > 0) {
+          console.log(`\n🔗 Blocking:`);
+          blocking.forEach(dep => {
+            console.log(`  ${dep.id} - ${dep.name} [${dep.status}]`);
+          });
+        }
+
         // Show recent timeline events
         if (timeline.length > 0) {
           console.log(`\n⏱️  Recent Activity:`);
@@ -21,7 +21,6 @@ export function taskSplitCommand() {
 
         // Get the parent task
         const parentTask = api.getTask(id);
-        const parentTags = api.getTaskTags(id);
 
         console.log(`\n📋 Splitting task ${parentTask.id}: ${parentTask.name}`);
 
@@ -64,58 +63,30 @@ export function taskSplitCommand() {
           rl.close();
         }
 
-        // Calculate estimate per subtask if dividing
-        let estimatePerSubtask = null;
-        if (options.divideEstimate && parentTask.estimate) {
-          estimatePerSubtask = Math.ceil(parentTask.estimate / subtaskNames.length);
-        }
-
-        // Create subtasks
-        const createdTasks = [];
-
-        for (const name of subtaskNames) {
-          const subtaskData = {
-            name: name,
-            description: `Subtask of ${parentTask.id}`,
-            status: 'todo',
-            priority: parentTask.priority,
-            assignee: parentTask.assignee,
-            parent_id: parentTask.id,
-            created_by: 'user',
-            category: parentTask.category,
-          };
-
-          if (estimatePerSubtask) {
-            subtaskData.estimate = estimatePerSubtask;
-          }
-
-          // Create the subtask
-          const subtask = await api.createTask(subtaskData);
-
-          // Copy tags from parent
-          if (parentTags.length > 0) {
-            await api.addTaskTags(subtask.id, parentTags, 'user');
-          }
+        const result = await api.splitTask(
+          parentTask.id,
+          subtaskNames,
+          { divide_estimate: options.divideEstimate },
+          'user'
+        );
 
-          createdTasks.push(subtask);
+        for (const subtask of result.subtasks) {
           console.log(`✅ Created subtask ${subtask.id}: ${subtask.name}`);
         }
 
-        // Update parent task status if it was todo
-        if (parentTask.status === 'todo') {
-          await api.updateTask(parentTask.id, { status: 'in-progress' }, 'user');
-          console.log(`\n🔄 Updated parent task status to in-progress`);
+        if (result.parent.status !== parentTask.status) {
+          console.log(`\n🔄 Updated parent task status to ${result.parent.status}`);
         }
 
         // Show summary
         console.log('\n📊 Split Summary:');
         console.log(`   Parent: ${parentTask.id} - ${parentTask.name}`);
-        console.log(`   Subtasks created: ${createdTasks.length}`);
-        if (parentTags.length > 0) {
-          console.log(`   Tags copied: ${parentTags.join(', ')}`);
+        console.log(`   Subtasks created: ${result.subtasks.length}`);
+        if (result.tags.length > 0) {
+          console.log(`   Tags copied: ${result.tags.join(', ')}`);
         }
-        if (estimatePerSubtask) {
-          console.log(`   Estimate per subtask: ${estimatePerSubtask} hours`);
+        if (result.estimate) {
+          console.log(`   Estimate per subtask: ${result.estimate} hours`);
         }
       } catch (error) {
         logger.error('Failed to split task', error);
@@ -1,6 +1,7 @@
 import { Command } from 'commander';
 import { TaskwerkAPI } from '../../api/taskwerk-api.js';
 import { Logger } from '../../logging/logger.js';
+import { branchNameForTask, checkoutBranch, isGitRepository } from '../../utils/git.js';
 
 export function taskStatusCommand() {
   const status = new Command('status');
@@ -10,6 +11,7 @@ export function taskStatusCommand() {
     .argument('<id>', 'Task ID')
     .argument('<status>', 'New status (todo, in-progress, blocked, done, cancelled)')
     .option('--note <text>', 'Add a note about the status change')
+    .option('-b, --branch', 'Create (or check out) a git branch for the task')
     .addHelpText(
       'after',
       `
@@ -28,6 +30,7 @@ Examples:
   Quick status shortcuts (also available as root commands):
     $ twrk done 1                                # Mark as done
     $ twrk start 1                               # Mark as in-progress
+    $ twrk start 1 --branch                      # ...on a branch like task-001-fix-login
     $ twrk block 1                               # Mark as blocked
     
   Bulk status updates using shell:
@@ -59,8 +62,24 @@ Note: Status names are case-insensitive`
           process.exit(1);
         }
 
+        // Remember dependent task states so we can report what this change released
+        const task = api.getTask(id);
+        const dependentsBefore = api.getDependentTasks(task.id);
+
+        const updates = { status: normalizedStatus };
+        if (options.branch) {
+          if (!isGitRepository()) {
+            throw new Error('Not a git repository, so there is no branch to create');
+          }
+          // Reuse the branch recorded by an earlier start, even if the task was renamed
+          const branch = task.branch_name || branchNameForTask(task);
+          const created = checkoutBranch(branch);
+          updates.branch_name = branch;
+          console.log(`🌿 ${created ? 'Created and checked out' : 'Checked out'} branch ${branch}`);
+        }
+
         // Update the task
-        await api.updateTask(id, { status: normalizedStatus }, 'user');
+        const updated = await api.updateTask(task.id, updates, 'user');
 
         // Add note if provided
         if (options.note) {
@@ -68,6 +87,22 @@ Note: Status names are case-insensitive`
         }
 
         console.log(`✅ Updated status of ${id} to ${normalizedStatus}`);
+
+        for (const dependent of api.getDependentTasks(task.id)) {
+          const before = dependentsBefore.find(dep => dep.id === dependent.id);
+          if (before?.status === 'blocked' && dependent.status !== 'blocked') {
+            console.log(`🔓 Unblocked ${dependent.id}: ${dependent.name}`);
+          } else if (before?.status !== 'blocked' && dependent.status === 'blocked') {
+            console.log(`🚫 Blocked ${dependent.id}: ${dependent.name}`);
+          }
+        }
+
+        if (updated.next_occurrence) {
+          const next = updated.next_occurrence;
+          console.log(
+            `🔁 Next occurrence: ${next.id}${next.due_date ? ` (due ${next.due_date})` : ''}`
+          );
+        }
       } catch (error) {
         logger.error('Failed to update task status', error);
         // For TaskNotFoundError, the message already contains suggestions
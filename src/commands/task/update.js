@@ -1,6 +1,7 @@
 import { Command } from 'commander';
 import { TaskwerkAPI } from '../../api/taskwerk-api.js';
 import { Logger } from '../../logging/logger.js';
+import { parseDueDate } from '../../utils/date-parser.js';
 
 export function taskUpdateCommand() {
   const update = new Command('update');
@@ -14,6 +15,8 @@ export function taskUpdateCommand() {
     .option('-e, --estimate <hours>', 'Update time estimate')
     .option('-s, --status <status>', 'Update status')
     .option('--progress <percent>', 'Update progress (0-100)')
+    .option('--due <date>', 'Set the due date (YYYY-MM-DD, tomorrow, "next friday", +3d, none)')
+    .option('-r, --recur <rule>', 'Set the recurrence rule ("none" to stop repeating)')
     .option('--add-tags <tags...>', 'Add tags')
     .option('--remove-tags <tags...>', 'Remove tags')
     .option('--note <text>', 'Append a note')
@@ -33,6 +36,16 @@ Examples:
     $ twrk updatetask 1 -p high -s in-progress -a @team
     $ twrk updatetask 1 -n "Redesign homepage" -e 40 --progress 25
     
+  Due dates:
+    $ twrk updatetask 1 --due 2025-07-01                # Set a due date
+    $ twrk updatetask 1 --due "next monday"             # Relative dates work too
+    $ twrk updatetask 1 --due none                      # Clear the due date
+    
+  Recurring tasks:
+    $ twrk updatetask 1 -r weekly                       # Repeat every week once done
+    $ twrk updatetask 1 -r "every 2 weeks"              # Repeat fortnightly
+    $ twrk updatetask 1 -r none                         # Stop repeating
+    
   Managing tags:
     $ twrk updatetask 1 --add-tags urgent hotfix        # Add multiple tags
     $ twrk updatetask 1 --remove-tags wontfix           # Remove tags
@@ -86,6 +99,14 @@ Note:
           updates.status = options.status;
         }
 
+        if (options.due) {
+          updates.due_date = options.due === 'none' ? null : parseDueDate(options.due);
+        }
+
+        if (options.recur) {
+          updates.recurrence = options.recur === 'none' ? null : options.recur;
+        }
+
         if (options.estimate) {
           const estimateNum = parseInt(options.estimate);
           if (isNaN(estimateNum)) {
@@ -113,9 +134,16 @@ Note:
           for (const [field, newValue] of Object.entries(updates)) {
             const oldValue = currentTask[field];
             if (oldValue !== newValue) {
-              console.log(`  ${field}: ${oldValue || '(none)'} → ${newValue}`);
+              console.log(`  ${field}: ${oldValue || '(none)'} → ${newValue || '(none)'}`);
             }
           }
+
+          if (updatedTask.next_occurrence) {
+            const next = updatedTask.next_occurrence;
+            console.log(
+              `🔁 Next occurrence: ${next.id}${next.due_date ? ` (due ${next.due_date})` : ''}`
+            );
+          }
         }
 
         // Handle tag operations
@@ -0,0 +1,29 @@
+import { Command } from 'commander';
+import { startTimerCommand } from './start.js';
+import { stopTimerCommand } from './stop.js';
+import { timerStatusCommand } from './status.js';
+
+export function timerCommand() {
+  const timer = new Command('timer');
+
+  timer.description('Track time spent on tasks').addHelpText(
+    'after',
+    `
+Only one timer runs at a time; starting a new one stops the current timer.
+Tracked time is added to the task's actual time, which 'twrk showtask' compares
+with the estimate (including subtasks).
+
+Examples:
+  $ twrk timer start 1                     # Start tracking TASK-001
+  $ twrk timer start 2 --note "Code review" # Switch to TASK-002
+  $ twrk timer status                      # What is running, and for how long
+  $ twrk timer stop                        # Stop and record the time
+  $ twrk timer stop --note "Fixed tests"   # Stop with a note for the entry`
+  );
+
+  timer.addCommand(startTimerCommand());
+  timer.addCommand(stopTimerCommand());
+  timer.addCommand(timerStatusCommand());
+
+  return timer;
+}
@@ -0,0 +1,39 @@
+import { Command } from 'commander';
+import { TaskwerkAPI } from '../../api/taskwerk-api.js';
+import { Logger } from '../../logging/logger.js';
+import { formatDuration } from '../../utils/duration.js';
+
+export function startTimerCommand() {
+  const start = new Command('start');
+
+  start
+    .description('Start a timer on a task')
+    .argument('<id>', 'Task ID')
+    .option('--note <text>', 'What you are working on')
+    .action(async (id, options) => {
+      const logger = new Logger('timer-start');
+
+      try {
+        const api = new TaskwerkAPI();
+        const { entry, stopped } = await api.startTimer(id, 'user', { note: options.note });
+
+        if (stopped) {
+          console.log(
+            `⏹️  Stopped timer on ${stopped.task_id} after ${formatDuration(stopped.duration)}`
+          );
+        }
+        console.log(`▶️  Started timer on ${entry.task_id}: ${entry.task_name}`);
+      } catch (error) {
+        logger.error('Failed to start timer', error);
+        // For TaskNotFoundError, the message already contains suggestions
+        if (error.code === 'TASK_NOT_FOUND') {
+          console.error(`❌ ${error.message}`);
+        } else {
+          console.error('❌ Failed to start timer:', error.message);
+        }
+        process.exit(1);
+      }
+    });
+
+  return start;
+}
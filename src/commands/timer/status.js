@@ -0,0 +1,48 @@
+import { Command } from 'commander';
+import { TaskwerkAPI } from '../../api/taskwerk-api.js';
+import { Logger } from '../../logging/logger.js';
+import { formatDuration } from '../../utils/duration.js';
+
+export function timerStatusCommand() {
+  const status = new Command('status');
+
+  status
+    .description('Show the running timer')
+    .option('--format <format>', 'Output format (text, json)', 'text')
+    .action(async options => {
+      const logger = new Logger('timer-status');
+
+      try {
+        const api = new TaskwerkAPI();
+        const timer = api.getActiveTimer();
+
+        if (options.format === 'json') {
+          console.log(JSON.stringify(timer, null, 2));
+          return;
+        }
+
+        if (!timer) {
+          console.log('⏸️  No timer running');
+          console.log('\nStart one with:');
+          console.log('  twrk timer start <id>');
+          return;
+        }
+
+        const started = new Date(timer.started_at).toLocaleTimeString([], {
+          hour: '2-digit',
+          minute: '2-digit',
+        });
+        console.log(`▶️  ${timer.task_id}: ${timer.task_name}`);
+        console.log(`   Running for ${formatDuration(timer.elapsed)} (since ${started})`);
+        if (timer.note) {
+          console.log(`   Note: ${timer.note}`);
+        }
+      } catch (error) {
+        logger.error('Failed to get timer status', error);
+        console.error('❌ Failed to get timer status:', error.message);
+        process.exit(1);
+      }
+    });
+
+  return status;
+}
@@ -0,0 +1,35 @@
+import { Command } from 'commander';
+import { TaskwerkAPI } from '../../api/taskwerk-api.js';
+import { Logger } from '../../logging/logger.js';
+import { formatDuration } from '../../utils/duration.js';
+
+export function stopTimerCommand() {
+  const stop = new Command('stop');
+
+  stop
+    .description('Stop the running timer')
+    .option('--note <text>', 'Note for the time entry')
+    .action(async options => {
+      const logger = new Logger('timer-stop');
+
+      try {
+        const api = new TaskwerkAPI();
+        const entry = await api.stopTimer('user', { note: options.note });
+        const task = api.getTask(entry.task_id);
+
+        console.log(
+          `⏹️  Stopped timer on ${entry.task_id} after ${formatDuration(entry.duration)}`
+        );
+        console.log(
+          `   Total tracked: ${task.actual_time}` +
+            (task.estimate ? ` of ${task.estimate}h estimated` : '')
+        );
+      } catch (error) {
+        logger.error('Failed to stop timer', error);
+        console.error('❌ Failed to stop timer:', error.message);
+        process.exit(1);
+      }
+    });
+
+  return stop;
+}
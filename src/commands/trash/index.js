@@ -0,0 +1,28 @@
+import { Command } from 'commander';
+import { listTrashCommand } from './list.js';
+import { restoreTrashCommand } from './restore.js';
+import { purgeTrashCommand } from './purge.js';
+
+export function trashCommand() {
+  const trash = new Command('trash');
+
+  trash.description('Manage deleted tasks').addHelpText(
+    'after',
+    `
+'twrk deletetask' moves tasks to the trash. Trashed tasks keep their subtasks,
+tags, notes and history, and are hidden from lists, searches and exports until
+restored. Set export.includeDeleted to include them in exports.
+
+Examples:
+  $ twrk trash list                        # Show deleted tasks
+  $ twrk trash restore 1                   # Bring TASK-001 back
+  $ twrk trash purge --older-than 30d      # Permanently delete old trash
+  $ twrk trash purge --force               # Empty the trash without asking`
+  );
+
+  trash.addCommand(listTrashCommand());
+  trash.addCommand(restoreTrashCommand());
+  trash.addCommand(purgeTrashCommand());
+
+  return trash;
+}
@@ -0,0 +1,44 @@
+import { Command } from 'commander';
+import { TaskwerkAPI } from '../../api/taskwerk-api.js';
+import { Logger } from '../../logging/logger.js';
+
+export function listTrashCommand() {
+  const list = new Command('list');
+
+  list
+    .description('List tasks in the trash')
+    .option('--format <format>', 'Output format (text, json)', 'text')
+    .action(async options => {
+      const logger = new Logger('trash-list');
+
+      try {
+        const tasks = new TaskwerkAPI().listTrash();
+
+        if (options.format === 'json') {
+          console.log(JSON.stringify(tasks, null, 2));
+          return;
+        }
+
+        if (tasks.length === 0) {
+          console.log('🗑️  Trash is empty');
+          return;
+        }
+
+        console.log(`🗑️  Trash (${tasks.length} task${tasks.length !== 1 ? 's' : ''})\n`);
+        const width = Math.max(...tasks.map(t => t.id.length));
+        tasks.forEach(task => {
+          const deleted = new Date(task.deleted_at).toLocaleString();
+          console.log(`  ${task.id.padEnd(width)}  ${task.name}`);
+          console.log(`  ${' '.repeat(width)}  deleted ${deleted} by ${task.deleted_by}`);
+        });
+        console.log('\nRestore a task with:');
+        console.log('  twrk trash restore <id>');
+      } catch (error) {
+        logger.error('Failed to list trash', error);
+        console.error('❌ Failed to list trash:', error.message);
+        process.exit(1);
+      }
+    });
+
+  return list;
+}
@@ -0,0 +1,65 @@
+import { Command } from 'commander';
+import { createInterface } from 'readline';
+import { TaskwerkAPI } from '../../api/taskwerk-api.js';
+import { Logger } from '../../logging/logger.js';
+import { parseAge } from '../../utils/date-parser.js';
+
+async function confirmPurge(count) {
+  const rl = createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  return new Promise(resolve => {
+    rl.question(`❓ Permanently delete ${count} task(s)? (y/N): `, answer => {
+      rl.close();
+      resolve(answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes');
+    });
+  });
+}
+
+export function purgeTrashCommand() {
+  const purge = new Command('purge');
+
+  purge
+    .description('Permanently delete tasks from the trash')
+    .option(
+      '--older-than <age>',
+      'Only purge tasks deleted longer ago than this (e.g. 30d, 2w, 12h)'
+    )
+    .option('-f, --force', 'Purge without confirmation')
+    .action(async options => {
+      const logger = new Logger('trash-purge');
+
+      try {
+        const purgeOptions = {};
+        if (options.olderThan) {
+          purgeOptions.before = parseAge(options.olderThan);
+        }
+
+        const api = new TaskwerkAPI();
+        const candidates = api.listTrash(purgeOptions);
+        if (candidates.length === 0) {
+          console.log('🗑️  Nothing to purge');
+          return;
+        }
+
+        if (!options.force) {
+          const confirmed = await confirmPurge(candidates.length);
+          if (!confirmed) {
+            console.log('❌ Purge cancelled');
+            return;
+          }
+        }
+
+        const purged = await api.purgeTrash(purgeOptions, 'user');
+        console.log(`🔥 Permanently deleted ${purged.length} task(s)`);
+      } catch (error) {
+        logger.error('Failed to purge trash', error);
+        console.error('❌ Failed to purge trash:', error.message);
+        process.exit(1);
+      }
+    });
+
+  return purge;
+}
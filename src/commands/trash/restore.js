@@ -0,0 +1,29 @@
+import { Command } from 'commander';
+import { TaskwerkAPI } from '../../api/taskwerk-api.js';
+import { Logger } from '../../logging/logger.js';
+
+export function restoreTrashCommand() {
+  const restore = new Command('restore');
+
+  restore
+    .description('Restore a task (and the subtasks deleted with it) from the trash')
+    .argument('<id>', 'Task ID')
+    .action(async id => {
+      const logger = new Logger('trash-restore');
+
+      try {
+        const task = await new TaskwerkAPI().restoreTask(id, 'user');
+        console.log(`♻️  Restored ${task.id}: ${task.name}`);
+      } catch (error) {
+        logger.error('Failed to restore task', error);
+        if (error.code === 'TASK_NOT_FOUND') {
+          console.error(`❌ ${error.message}`);
+        } else {
+          console.error('❌ Failed to restore task:', error.message);
+        }
+        process.exit(1);
+      }
+    });
+
+  return restore;
+}
@@ -0,0 +1,37 @@
+import { Command } from 'commander';
+import { TaskwerkAPI } from '../api/taskwerk-api.js';
+import { Logger } from '../logging/logger.js';
+
+export function unarchiveCommand() {
+  const unarchive = new Command('unarchive');
+
+  unarchive
+    .description('Move an archived task (and its archived subtasks) back to the active list')
+    .argument('<id>', 'Task ID')
+    .action(async id => {
+      const logger = new Logger('unarchive');
+
+      try {
+        const api = new TaskwerkAPI();
+        const ids = await api.unarchiveTask(id, 'user');
+        const task = api.getTask(ids[0]);
+
+        console.log(`📤 Unarchived ${task.id}: ${task.name}`);
+        if (ids.length > 1) {
+          console.log(
+            `   Also unarchived ${ids.length - 1} subtask(s): ${ids.slice(1).join(', ')}`
+          );
+        }
+      } catch (error) {
+        logger.error('Failed to unarchive', error);
+        if (error.code === 'TASK_NOT_FOUND') {
+          console.error(`❌ ${error.message}`);
+        } else {
+          console.error('❌ Failed to unarchive:', error.message);
+        }
+        process.exit(1);
+      }
+    });
+
+  return unarchive;
+}
@@ -0,0 +1,96 @@
+import { Command } from 'commander';
+import { TaskwerkAPI } from '../api/taskwerk-api.js';
+import { Logger } from '../logging/logger.js';
+
+// Trash and archive moves are recorded as updates of these columns
+const STATE_CHANGES = {
+  deleted_at: ['deletion', 'restore'],
+  archived_at: ['archiving', 'unarchiving'],
+};
+
+/**
+ * Describe an undo journal entry for display
+ * @param {Object} entry - Journal entry
+ * @returns {string} e.g. "update of TASK-001 (status, priority)"
+ */
+export function describeUndoEntry(entry) {
+  switch (entry.operation) {
+    case 'create':
+      return `creation of ${entry.task_id}`;
+    case 'delete':
+      return `deletion of ${entry.task_id}`;
+    default:
+      for (const [column, [set, cleared]] of Object.entries(STATE_CHANGES)) {
+        if (entry.before && column in entry.before) {
+          return `${entry.after?.[column] ? set : cleared} of ${entry.task_id}`;
+        }
+      }
+      return `update of ${entry.task_id} (${Object.keys(entry.before || {}).join(', ')})`;
+  }
+}
+
+export function undoCommand() {
+  const undo = new Command('undo');
+
+  undo
+    .description('Undo the last task changes (create, update, delete)')
+    .argument('[count]', 'Number of operations to undo', '1')
+    .option('--list', 'Show recent changes that can be undone or redone')
+    .addHelpText(
+      'after',
+      `
+Examples:
+  $ twrk undo                              # Undo the last change
+  $ twrk undo 3                            # Undo the last three changes
+  $ twrk undo --list                       # Show the change history
+  $ twrk redo                              # Put the last undone change back
+
+Deleted tasks come back with their subtasks, tags, notes and history.
+Making a new change after undoing clears what can be redone.`
+    )
+    .action(async (count, options) => {
+      const logger = new Logger('undo');
+
+      try {
+        const api = new TaskwerkAPI();
+
+        if (options.list) {
+          const history = api.getUndoHistory();
+          if (history.length === 0) {
+            console.log('📭 No changes recorded');
+            return;
+          }
+          console.log('🕘 Recent changes (newest first)\n');
+          history.forEach(entry => {
+            const state = entry.undone ? ' [undone]' : '';
+            console.log(
+              `  ${entry.created_at}  ${describeUndoEntry(entry)} by ${entry.user}${state}`
+            );
+          });
+          return;
+        }
+
+        const steps = parseInt(count);
+        if (isNaN(steps) || steps < 1) {
+          console.error('❌ Count must be a positive number');
+          process.exit(1);
+          return;
+        }
+
+        const reverted = await api.undo(steps, 'user');
+        if (reverted.length === 0) {
+          console.log('ℹ️  Nothing to undo');
+          return;
+        }
+
+        reverted.forEach(entry => console.log(`↩️  Undid ${describeUndoEntry(entry)}`));
+        console.log(`\n💡 Run 'twrk redo' to put it back`);
+      } catch (error) {
+        logger.error('Failed to undo', error);
+        console.error('❌ Failed to undo:', error.message);
+        process.exit(1);
+      }
+    });
+
+  return undo;
+}
@@ -0,0 +1,26 @@
+import { Command } from 'commander';
+import { ViewManager } from '../../config/view-manager.js';
+import { Logger } from '../../logging/logger.js';
+
+export function deleteViewCommand() {
+  const deleteCmd = new Command('delete');
+
+  deleteCmd
+    .description('Delete a saved view')
+    .argument('<name>', 'View name')
+    .option('-g, --global', 'Delete from the global config')
+    .action(async (name, options) => {
+      const logger = new Logger('view-delete');
+
+      try {
+        new ViewManager().delete(name, options);
+        console.log(`🗑️  Deleted ${options.global ? 'global' : 'project'} view "${name}"`);
+      } catch (error) {
+        logger.error('Failed to delete view', error);
+        console.error('❌ Failed to delete view:', error.message);
+        process.exit(1);
+      }
+    });
+
+  return deleteCmd;
+}
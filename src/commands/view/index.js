@@ -0,0 +1,53 @@
+import { Command } from 'commander';
+import { taskListCommand } from '../task/list.js';
+import { saveViewCommand } from './save.js';
+import { listViewsCommand } from './list.js';
+import { deleteViewCommand } from './delete.js';
+
+export function viewCommand() {
+  const view = new Command('view');
+
+  view
+    .description('Run and manage saved views (named filters)')
+    .argument('[name]', 'View to run')
+    // Everything after the view name is handed to `task list`
+    .allowUnknownOption()
+    .addHelpText(
+      'after',
+      `
+Views are saved filter expressions (see: twrk list --help for the syntax).
+Project views live in .taskwerk/config.yml, global views in your global config.
+A project view shadows a global view with the same name.
+
+Examples:
+  $ twrk view save mine "assignee:@me status:in-progress"
+  $ twrk view save urgent "priority>=high due<3d" --global -d "Fires to put out"
+  $ twrk view mine                         # Run a view
+  $ twrk view mine --format json           # Any list option works (--format, --limit, --sort, ...)
+  $ twrk list --view mine -q tag:backend   # Combine a view with an extra query
+  $ twrk view list                         # Show saved views
+  $ twrk view delete mine                  # Remove a view`
+    )
+    .action(async (_name, _options, command) => {
+      const [name, ...listArgs] = command.args;
+
+      if (!name) {
+        await listViewsCommand().parseAsync([], { from: 'user' });
+        return;
+      }
+
+      if (name.startsWith('-')) {
+        console.error('❌ Usage: twrk view <name> [list options]');
+        process.exit(1);
+        return;
+      }
+
+      await taskListCommand().parseAsync(['--view', name, ...listArgs], { from: 'user' });
+    });
+
+  view.addCommand(saveViewCommand());
+  view.addCommand(listViewsCommand());
+  view.addCommand(deleteViewCommand());
+
+  return view;
+}
@@ -0,0 +1,46 @@
+import { Command } from 'commander';
+import { ViewManager } from '../../config/view-manager.js';
+import { Logger } from '../../logging/logger.js';
+
+export function listViewsCommand() {
+  const list = new Command('list');
+
+  list
+    .description('List saved views')
+    .option('--format <format>', 'Output format (text, json)', 'text')
+    .action(async options => {
+      const logger = new Logger('view-list');
+
+      try {
+        const views = new ViewManager().list();
+
+        if (options.format === 'json') {
+          console.log(JSON.stringify(views, null, 2));
+          return;
+        }
+
+        if (views.length === 0) {
+          console.log('📭 No saved views');
+          console.log('\nSave one with:');
+          console.log('  twrk view save mine "assignee:@me status:in-progress"');
+          return;
+        }
+
+        console.log('👁️  Saved views\n');
+        const width = Math.max(...views.map(v => v.name.length));
+        views.forEach(view => {
+          const scope = view.scope === 'global' ? ' (global)' : '';
+          console.log(`  ${view.name.padEnd(width)}  ${view.query}${scope}`);
+          if (view.description) {
+            console.log(`  ${' '.repeat(width)}  ${view.description}`);
+          }
+        });
+      } catch (error) {
+        logger.error('Failed to list views', error);
+        console.error('❌ Failed to list views:', error.message);
+        process.exit(1);
+      }
+    });
+
+  return list;
+}
@@ -0,0 +1,34 @@
+import { Command } from 'commander';
+import { ViewManager } from '../../config/view-manager.js';
+import { Logger } from '../../logging/logger.js';
+
+export function saveViewCommand() {
+  const save = new Command('save');
+
+  save
+    .description('Save a filter expression as a named view')
+    .argument('<name>', 'View name')
+    .argument('<query>', 'Filter expression (same syntax as list --query)')
+    .option('-g, --global', 'Save to the global config (available in every project)')
+    .option('-d, --description <text>', 'Describe what the view is for')
+    .action(async (name, query, options) => {
+      const logger = new Logger('view-save');
+
+      try {
+        const view = new ViewManager().save(name, query, options);
+
+        console.log(`💾 Saved ${view.scope} view "${view.name}": ${view.query}`);
+        console.log(`\n💡 Run it with: twrk view ${view.name}`);
+      } catch (error) {
+        logger.error('Failed to save view', error);
+        if (error.code === 'INVALID_QUERY') {
+          console.error(`❌ Invalid query: ${error.message}`);
+        } else {
+          console.error('❌ Failed to save view:', error.message);
+        }
+        process.exit(1);
+      }
+    });
+
+  return save;
+}
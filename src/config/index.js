@@ -3,6 +3,7 @@ export { CONFIG_SCHEMA, getConfigSchema, getDefaultConfig, getSensitiveFields }
 
 // Configuration manager
 export { ConfigManager, getConfigManager, resetConfigManager } from './config-manager.js';
+export { GlobalConfigManager } from './global-config-manager.js';
 
 // Environment variable support
 export { loadFromEnv, getEnvName, exportToEnv, mergeEnvConfig } from './env-loader.js';
@@ -153,7 +153,7 @@ export const CONFIG_SCHEMA = {
     properties: {
       defaultFormat: {
         type: 'string',
-        enum: ['json', 'csv', 'markdown', 'html'],
+        enum: ['json', 'csv', 'markdown', 'html', 'ics', 'todotxt'],
         default: 'json',
         description: 'Default export format',
       },
@@ -172,6 +172,11 @@ export const CONFIG_SCHEMA = {
         default: './exports',
         description: 'Default path for exports',
       },
+      plugins: {
+        type: 'array',
+        default: [],
+        description: 'Modules that add export formats (paths or package names)',
+      },
     },
     required: [],
   },
@@ -0,0 +1,129 @@
+import { existsSync } from 'fs';
+import { dirname } from 'path';
+import { GlobalConfigManager } from './index.js';
+import { ValidationError } from '../errors/index.js';
+import { parseFilterExpression } from '../api/filter-expression.js';
+
+const VIEW_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+// Names taken by `twrk view` subcommands
+const RESERVED_VIEW_NAMES = ['save', 'list', 'delete'];
+
+/**
+ * Saved views: named filter expressions stored under `views` in the project
+ * config (.taskwerk/config.yml) or, with the global scope, the global config.
+ * A project view shadows a global view with the same name.
+ */
+export class ViewManager {
+  constructor(configManager = null) {
+    this.configManager = configManager || new GlobalConfigManager();
+  }
+
+  /**
+   * List all saved views
+   * @returns {Array<{name: string, query: string, description?: string, scope: string}>}
+   */
+  list() {
+    if (!this.configManager.mergedConfig) {
+      this.configManager.load();
+    }
+
+    const views = new Map();
+    const scopes = [
+      ['global', this.configManager.globalConfig],
+      ['project', this.configManager.localConfig],
+    ];
+
+    for (const [scope, config] of scopes) {
+      for (const [name, view] of Object.entries(config?.views || {})) {
+        views.set(name, { name, ...view, scope });
+      }
+    }
+
+    return [...views.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a saved view by name
+   * @param {string} name - View name
+   * @returns {Object} View
+   * @throws {ValidationError} If no view has this name
+   */
+  get(name) {
+    const view = this.list().find(v => v.name === name);
+    if (!view) {
+      throw new ValidationError(
+        `View not found: ${name}. Run 'twrk view list' to see saved views`,
+        'view',
+        name
+      );
+    }
+    return view;
+  }
+
+  /**
+   * Save (or overwrite) a view
+   * @param {string} name - View name
+   * @param {string} query - Filter expression
+   * @param {Object} options - Save options
+   * @param {boolean} options.global - Save to the global config
+   * @param {string} options.description - Optional description
+   * @returns {Object} Saved view
+   * @throws {ValidationError|InvalidQueryError} If the name or query is invalid
+   */
+  save(name, query, options = {}) {
+    if (!VIEW_NAME_PATTERN.test(name)) {
+      throw new ValidationError(
+        `Invalid view name: ${name}. Use letters, numbers, dashes and underscores`,
+        'name',
+        name
+      );
+    }
+    if (RESERVED_VIEW_NAMES.includes(name)) {
+      throw new ValidationError(`View name "${name}" is reserved`, 'name', name);
+    }
+
+    // Reject broken expressions now rather than when the view is run
+    parseFilterExpression(query);
+
+    const global = !!options.global;
+    if (!global && !existsSync(dirname(this.configManager.localPath))) {
+      throw new ValidationError(
+        'Not in a taskwerk project. Run twrk init or save the view with --global',
+        'scope',
+        'project'
+      );
+    }
+
+    const view = { query };
+    if (options.description) {
+      view.description = options.description;
+    }
+
+    this.configManager.set(`views.${name}`, view, global);
+    this.configManager.save(global);
+
+    return { name, ...view, scope: global ? 'global' : 'project' };
+  }
+
+  /**
+   * Delete a saved view
+   * @param {string} name - View name
+   * @param {Object} options - Delete options
+   * @param {boolean} options.global - Delete from the global config
+   * @throws {ValidationError} If the view does not exist in that scope
+   */
+  delete(name, options = {}) {
+    const global = !!options.global;
+    const scope = global ? 'global' : 'project';
+
+    if (!this.configManager.mergedConfig) {
+      this.configManager.load();
+    }
+
+    if (!this.configManager.delete(`views.${name}`, global)) {
+      throw new ValidationError(`No ${scope} view named ${name}`, 'view', name);
+    }
+    this.configManager.save(global);
+  }
+}
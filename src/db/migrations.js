@@ -2,6 +2,13 @@ import { existsSync, readFileSync, readdirSync } from 'fs';
 import { join } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import {
+  SEARCH_SCHEMA_SQL,
+  SEARCH_REBUILD_SQL,
+  TIME_ENTRIES_SCHEMA_SQL,
+  UNDO_LOG_SCHEMA_SQL,
+  TASK_LINKS_SCHEMA_SQL,
+} from './schema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -93,6 +100,35 @@ BEGIN
     )
   );
 END;`,
+
+  '003_add_task_search.sql': `-- Full-text search index
+-- Adds the FTS5 task_search table with its sync triggers and indexes existing tasks
+${SEARCH_SCHEMA_SQL}
+${SEARCH_REBUILD_SQL}`,
+
+  '004_add_task_recurrence.sql': `-- Recurring tasks
+-- Adds the recurrence and series_id columns to tasks (handled by the migration runner)
+CREATE INDEX IF NOT EXISTS idx_tasks_series ON tasks(series_id);`,
+
+  '005_add_time_entries.sql': `-- Time tracking
+-- Adds the task_time_entries table used by twrk timer
+${TIME_ENTRIES_SCHEMA_SQL}`,
+
+  '006_add_undo_log.sql': `-- Undo/redo journal
+-- Adds the task_undo_log table used by twrk undo and twrk redo
+${UNDO_LOG_SCHEMA_SQL}`,
+
+  '007_add_task_trash.sql': `-- Trash
+-- Adds the deleted_at and deleted_by columns to tasks (handled by the migration runner)
+CREATE INDEX IF NOT EXISTS idx_tasks_deleted ON tasks(deleted_at);`,
+
+  '008_add_task_archive.sql': `-- Archive
+-- Adds the archived_at and archived_by columns to tasks (handled by the migration runner)
+CREATE INDEX IF NOT EXISTS idx_tasks_archived ON tasks(archived_at);`,
+
+  '009_add_task_links.sql': `-- Linked commits and pull requests
+-- Adds the task_links table filled by twrk git scan
+${TASK_LINKS_SCHEMA_SQL}`,
 };
 
 export class MigrationRunner {
@@ -147,6 +183,24 @@ export class MigrationRunner {
       // Handle special migrations that need column additions
       if (filename === '002_add_task_chat_columns.sql') {
         this.addTaskChatColumns();
+      } else if (filename === '004_add_task_recurrence.sql') {
+        this.addMissingTaskColumns([
+          { name: 'recurrence', sql: 'ALTER TABLE tasks ADD COLUMN recurrence TEXT' },
+          { name: 'series_id', sql: 'ALTER TABLE tasks ADD COLUMN series_id TEXT' },
+        ]);
+        this.db.exec(sql);
+      } else if (filename === '007_add_task_trash.sql') {
+        this.addMissingTaskColumns([
+          { name: 'deleted_at', sql: 'ALTER TABLE tasks ADD COLUMN deleted_at DATETIME' },
+          { name: 'deleted_by', sql: 'ALTER TABLE tasks ADD COLUMN deleted_by TEXT' },
+        ]);
+        this.db.exec(sql);
+      } else if (filename === '008_add_task_archive.sql') {
+        this.addMissingTaskColumns([
+          { name: 'archived_at', sql: 'ALTER TABLE tasks ADD COLUMN archived_at DATETIME' },
+          { name: 'archived_by', sql: 'ALTER TABLE tasks ADD COLUMN archived_by TEXT' },
+        ]);
+        this.db.exec(sql);
       } else {
         this.db.exec(sql);
       }
@@ -157,18 +211,30 @@ export class MigrationRunner {
   }
 
   addTaskChatColumns() {
-    // Check which columns exist and add missing ones
-    const tableInfo = this.db.prepare('PRAGMA table_info(tasks)').all();
-    const existingColumns = new Set(tableInfo.map(col => col.name));
-
-    // Add missing columns one by one
-    const columnsToAdd = [
+    this.addMissingTaskColumns([
       { name: 'source', sql: "ALTER TABLE tasks ADD COLUMN source TEXT DEFAULT 'cli'" },
       { name: 'context_id', sql: 'ALTER TABLE tasks ADD COLUMN context_id TEXT' },
       { name: 'intent_group_id', sql: 'ALTER TABLE tasks ADD COLUMN intent_group_id TEXT' },
       { name: 'correlation_id', sql: 'ALTER TABLE tasks ADD COLUMN correlation_id INTEGER' },
-    ];
+    ]);
 
+    // Run the rest of the migration (indexes and triggers)
+    let sql;
+    if (existsSync(this.migrationsPath)) {
+      const filepath = join(this.migrationsPath, '002_add_task_chat_columns.sql');
+      sql = readFileSync(filepath, 'utf8');
+    } else {
+      sql = EMBEDDED_MIGRATIONS['002_add_task_chat_columns.sql'];
+    }
+    this.db.exec(sql);
+  }
+
+  addMissingTaskColumns(columnsToAdd) {
+    // Check which columns exist and add missing ones
+    const tableInfo = this.db.prepare('PRAGMA table_info(tasks)').all();
+    const existingColumns = new Set(tableInfo.map(col => col.name));
+
+    // Add missing columns one by one
     for (const column of columnsToAdd) {
       if (!existingColumns.has(column.name)) {
         try {
@@ -181,16 +247,6 @@ export class MigrationRunner {
         }
       }
     }
-
-    // Run the rest of the migration (indexes and triggers)
-    let sql;
-    if (existsSync(this.migrationsPath)) {
-      const filepath = join(this.migrationsPath, '002_add_task_chat_columns.sql');
-      sql = readFileSync(filepath, 'utf8');
-    } else {
-      sql = EMBEDDED_MIGRATIONS['002_add_task_chat_columns.sql'];
-    }
-    this.db.exec(sql);
   }
 
   runPendingMigrations() {
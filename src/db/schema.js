@@ -1,4 +1,145 @@
-export const SCHEMA_VERSION = 2;
+export const SCHEMA_VERSION = 9;
+
+// Full-text search index over tasks, their notes and tags.
+// Each task has exactly one row, rebuilt by the triggers below whenever
+// the task, one of its notes or one of its tags changes.
+const reindexTask = ref => `
+  DELETE FROM task_search WHERE task_id = ${ref};
+  INSERT INTO task_search (task_id, name, description, content, notes, tags)
+  SELECT t.id, t.name, t.description, t.content,
+    (SELECT group_concat(coalesce(n.note, '') || ' ' || coalesce(n.content, ''), ' ')
+       FROM task_notes n WHERE n.task_id = t.id),
+    (SELECT group_concat(g.tag, ' ') FROM task_tags g WHERE g.task_id = t.id)
+  FROM tasks t WHERE t.id = ${ref};`;
+
+export const SEARCH_SCHEMA_SQL = `
+CREATE VIRTUAL TABLE IF NOT EXISTS task_search USING fts5(
+  task_id UNINDEXED,
+  name,
+  description,
+  content,
+  notes,
+  tags,
+  tokenize = 'porter unicode61'
+);
+
+CREATE TRIGGER IF NOT EXISTS task_search_task_insert
+AFTER INSERT ON tasks
+FOR EACH ROW
+BEGIN${reindexTask('NEW.id')}
+END;
+
+CREATE TRIGGER IF NOT EXISTS task_search_task_update
+AFTER UPDATE OF name, description, content ON tasks
+FOR EACH ROW
+BEGIN${reindexTask('NEW.id')}
+END;
+
+CREATE TRIGGER IF NOT EXISTS task_search_task_delete
+AFTER DELETE ON tasks
+FOR EACH ROW
+BEGIN
+  DELETE FROM task_search WHERE task_id = OLD.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS task_search_note_insert
+AFTER INSERT ON task_notes
+FOR EACH ROW
+BEGIN${reindexTask('NEW.task_id')}
+END;
+
+CREATE TRIGGER IF NOT EXISTS task_search_note_update
+AFTER UPDATE OF note, content ON task_notes
+FOR EACH ROW
+BEGIN${reindexTask('NEW.task_id')}
+END;
+
+CREATE TRIGGER IF NOT EXISTS task_search_note_delete
+AFTER DELETE ON task_notes
+FOR EACH ROW
+BEGIN${reindexTask('OLD.task_id')}
+END;
+
+CREATE TRIGGER IF NOT EXISTS task_search_tag_insert
+AFTER INSERT ON task_tags
+FOR EACH ROW
+BEGIN${reindexTask('NEW.task_id')}
+END;
+
+CREATE TRIGGER IF NOT EXISTS task_search_tag_delete
+AFTER DELETE ON task_tags
+FOR EACH ROW
+BEGIN${reindexTask('OLD.task_id')}
+END;
+`;
+
+// Time tracking: one row per timer run. ended_at and duration (seconds) are
+// NULL while the timer is running.
+export const TIME_ENTRIES_SCHEMA_SQL = `
+CREATE TABLE IF NOT EXISTS task_time_entries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  task_id TEXT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  user TEXT,
+  started_at DATETIME NOT NULL,
+  ended_at DATETIME,
+  duration INTEGER CHECK (duration IS NULL OR duration >= 0),
+  note TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_time_entries_task ON task_time_entries(task_id);
+CREATE INDEX IF NOT EXISTS idx_time_entries_running ON task_time_entries(ended_at);
+`;
+
+// Undo journal for task mutations. task_id has no foreign key so the entry
+// for a deleted task survives; `before`/`after` hold JSON field values or, for
+// deletes, a snapshot of the task with its subtasks, tags, notes and history.
+// Entries made by one API call share a group_id and are undone together.
+export const UNDO_LOG_SCHEMA_SQL = `
+CREATE TABLE IF NOT EXISTS task_undo_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  group_id INTEGER,
+  task_id TEXT NOT NULL,
+  operation TEXT NOT NULL CHECK (operation IN ('create', 'update', 'delete')),
+  before TEXT,
+  after TEXT,
+  user TEXT,
+  undone INTEGER NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_undo_log_group ON task_undo_log(group_id);
+`;
+
+// Commits and pull requests that mention a task, found by twrk git scan.
+// ref is the full commit SHA or the pull request number (#12).
+export const TASK_LINKS_SCHEMA_SQL = `
+CREATE TABLE IF NOT EXISTS task_links (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  task_id TEXT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('commit', 'pull_request')),
+  ref TEXT NOT NULL,
+  title TEXT,
+  author TEXT,
+  url TEXT,
+  linked_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (task_id, type, ref)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_links_task ON task_links(task_id);
+`;
+
+// Rebuilds the whole search index from the source tables
+export const SEARCH_REBUILD_SQL = `
+DELETE FROM task_search;
+INSERT INTO task_search (task_id, name, description, content, notes, tags)
+SELECT t.id, t.name, t.description, t.content,
+  (SELECT group_concat(coalesce(n.note, '') || ' ' || coalesce(n.content, ''), ' ')
+     FROM task_notes n WHERE n.task_id = t.id),
+  (SELECT group_concat(g.tag, ' ') FROM task_tags g WHERE g.task_id = t.id)
+FROM tasks t;
+`;
 
 export const SCHEMA_SQL = `
 -- Schema version tracking
@@ -35,6 +176,18 @@ CREATE TABLE IF NOT EXISTS tasks (
   
   -- Git integration
   branch_name TEXT,
+
+  -- Recurrence (rule text, and the id of the first task in the series)
+  recurrence TEXT,
+  series_id TEXT,
+
+  -- Trash (set while the task is soft-deleted)
+  deleted_at DATETIME,
+  deleted_by TEXT,
+
+  -- Archive (set while a finished task is archived)
+  archived_at DATETIME,
+  archived_by TEXT,
   
   -- Timestamps
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -136,7 +289,10 @@ FOR EACH ROW
 BEGIN
   UPDATE task_notes SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
 END;
-`;
+${SEARCH_SCHEMA_SQL}
+${TIME_ENTRIES_SCHEMA_SQL}
+${UNDO_LOG_SCHEMA_SQL}
+${TASK_LINKS_SCHEMA_SQL}`;
 
 export function getSchemaVersion(db) {
   try {
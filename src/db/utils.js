@@ -105,6 +105,27 @@ export function exportToJSON(db) {
   return data;
 }
 
+/**
+ * Insert a row using only the columns the table has (generated columns are skipped)
+ * @param {Object} db - SQLite connection
+ * @param {string} table - Table name
+ * @param {Object} row - Row values
+ * @returns {number} Rows inserted: 0 if the row was ignored as a duplicate
+ */
+export function insertRow(db, table, row) {
+  const columns = db
+    .prepare(`PRAGMA table_info(${table})`)
+    .all()
+    .map(column => column.name)
+    .filter(name => name in row);
+
+  return db
+    .prepare(
+      `INSERT OR IGNORE INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+    )
+    .run(...columns.map(name => row[name])).changes;
+}
+
 export function generateTaskId() {
   const timestamp = Date.now().toString(36).toUpperCase();
   const random = Math.random().toString(36).substring(2, 5).toUpperCase();
@@ -15,6 +15,7 @@ export {
   InvalidTaskPriorityError,
   MissingTaskNameError,
   InvalidProgressError,
+  InvalidQueryError,
   TaskNotFoundError,
   DuplicateTaskIdError,
   TaskDependencyError,
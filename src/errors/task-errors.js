@@ -46,6 +46,18 @@ export class InvalidProgressError extends ValidationError {
   }
 }
 
+export class InvalidQueryError extends ValidationError {
+  constructor(message, expression, position) {
+    super(
+      `${message} at position ${position + 1}\n  ${expression}\n  ${' '.repeat(position)}^`,
+      'query',
+      expression
+    );
+    this.code = 'INVALID_QUERY';
+    this.details.position = position;
+  }
+}
+
 /**
  * Task database errors
  */
@@ -0,0 +1,39 @@
+/**
+ * Base class for `twrk export` formats.
+ *
+ * An exporter needs a `name` (the value of `--format`), a file `extension`
+ * and an `export(tasks, context)` method that returns the file content.
+ * `context.api` is the TaskwerkAPI for looking up tags, notes and
+ * dependencies, `context.options` the command options. Formats that only
+ * make sense for some tasks override `accepts(task)`.
+ *
+ * Third-party exporters are modules listed under `export.plugins` in the
+ * config whose default export is an exporter (an instance of this class, a
+ * subclass of it, or a plain object with the same shape).
+ */
+export class BaseExporter {
+  constructor(config = {}) {
+    this.name = config.name;
+    this.extension = config.extension || config.name;
+    this.description = config.description || 'No description provided';
+  }
+
+  /**
+   * Whether a task belongs in this format
+   * @param {Object} _task - Task
+   * @returns {boolean}
+   */
+  accepts(_task) {
+    return true;
+  }
+
+  /**
+   * Render tasks
+   * @param {Array<Object>} _tasks - Tasks to export
+   * @param {Object} _context - { api, options }
+   * @returns {Promise<string>} File content
+   */
+  async export(_tasks, _context = {}) {
+    throw new Error('export must be implemented by subclass');
+  }
+}
@@ -0,0 +1,57 @@
+import { BaseExporter } from './base-exporter.js';
+import { escapeCsvValue } from '../utils/csv.js';
+
+/**
+ * One row per task, for spreadsheets
+ */
+export class CsvExporter extends BaseExporter {
+  constructor() {
+    super({ name: 'csv', description: 'CSV for spreadsheets' });
+  }
+
+  async export(tasks) {
+    return formatAsCsv(tasks);
+  }
+}
+
+function formatAsCsv(tasks) {
+  const headers = [
+    'ID',
+    'Name',
+    'Description',
+    'Status',
+    'Priority',
+    'Assignee',
+    'Category',
+    'Estimate',
+    'Due Date',
+    'Created At',
+    'Updated At',
+    'Created By',
+    'Updated By',
+  ];
+
+  let output = headers.join(',') + '\n';
+
+  for (const task of tasks) {
+    const row = [
+      task.id,
+      escapeCsvValue(task.name),
+      escapeCsvValue(task.description || ''),
+      task.status,
+      task.priority,
+      task.assignee || '',
+      task.category || '',
+      task.estimate || '',
+      task.due_date || '',
+      task.created_at,
+      task.updated_at || '',
+      task.created_by || '',
+      task.updated_by || '',
+    ];
+
+    output += row.join(',') + '\n';
+  }
+
+  return output;
+}
@@ -0,0 +1,141 @@
+import { BaseExporter } from './base-exporter.js';
+
+const STATUS_GROUPS = [
+  { label: 'In Progress', statuses: ['in-progress', 'in_progress'] },
+  { label: 'Blocked', statuses: ['blocked'] },
+  { label: 'To Do', statuses: ['todo'] },
+  { label: 'Done', statuses: ['done', 'completed'] },
+  { label: 'Cancelled', statuses: ['cancelled'] },
+];
+
+const STYLES = `
+  body { font: 15px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #1f2328; max-width: 960px; margin: 2rem auto; padding: 0 1rem; }
+  h1 { margin-bottom: 0; }
+  .meta { color: #656d76; margin-top: 0.25rem; }
+  .summary { display: flex; gap: 0.5rem; flex-wrap: wrap; list-style: none; padding: 0; }
+  .summary li { background: #f6f8fa; border: 1px solid #d0d7de; border-radius: 2rem; padding: 0.1rem 0.8rem; }
+  h2 { border-bottom: 1px solid #d0d7de; padding-bottom: 0.3rem; margin-top: 2rem; }
+  ul.tasks, ul.subtasks { list-style: none; padding-left: 0; }
+  ul.subtasks { margin-left: 1.5rem; border-left: 2px solid #d0d7de; padding-left: 0.75rem; }
+  li.task { margin: 0.6rem 0; }
+  .id { font-family: ui-monospace, monospace; color: #656d76; margin-right: 0.4rem; }
+  .name { font-weight: 600; }
+  .badge { font-size: 0.75rem; border-radius: 1rem; padding: 0.05rem 0.5rem; margin-left: 0.4rem; background: #eaeef2; }
+  .priority-critical { background: #ffebe9; color: #cf222e; }
+  .priority-high { background: #fff1e5; color: #bc4c00; }
+  .priority-low { background: #ddf4ff; color: #0969da; }
+  .details { color: #656d76; font-size: 0.85rem; }
+  .description { margin: 0.2rem 0 0; white-space: pre-wrap; }
+  .status-done > .line .name, .status-completed > .line .name, .status-cancelled > .line .name { text-decoration: line-through; color: #656d76; }
+`;
+
+/**
+ * A single-file HTML report for sharing status outside the terminal. Tasks are
+ * grouped by status; subtasks are nested under their parent (with their own
+ * status shown) instead of appearing in a group of their own.
+ */
+export class HtmlExporter extends BaseExporter {
+  constructor() {
+    super({ name: 'html', description: 'Self-contained HTML report' });
+  }
+
+  async export(tasks, context = {}) {
+    const api = context.api;
+    const date = new Date().toISOString().split('T')[0];
+    const ids = new Set(tasks.map(task => task.id));
+
+    const children = new Map();
+    for (const task of tasks) {
+      if (task.parent_id && ids.has(task.parent_id)) {
+        children.set(task.parent_id, [...(children.get(task.parent_id) || []), task]);
+      }
+    }
+    const roots = tasks.filter(task => !task.parent_id || !ids.has(task.parent_id));
+
+    const renderTask = (task, nested) => {
+      const details = [];
+      if (task.assignee) {
+        const assignee = task.assignee.startsWith('@') ? task.assignee : `@${task.assignee}`;
+        details.push(escapeHtml(assignee));
+      }
+      if (task.due_date) {
+        details.push(`Due ${escapeHtml(task.due_date)}`);
+      }
+      if (task.category) {
+        details.push(escapeHtml(task.category));
+      }
+      const tags = api ? api.getTaskTags(task.id) : [];
+      if (tags.length > 0) {
+        details.push(tags.map(tag => `#${escapeHtml(tag)}`).join(' '));
+      }
+
+      const subtasks = children.get(task.id) || [];
+      return [
+        `<li class="task status-${escapeHtml(task.status)}">`,
+        `<div class="line"><span class="id">${escapeHtml(task.id)}</span>`,
+        `<span class="name">${escapeHtml(task.name)}</span>`,
+        `<span class="badge priority-${escapeHtml(task.priority)}">${escapeHtml(task.priority)}</span>`,
+        nested ? `<span class="badge">${escapeHtml(task.status)}</span>` : '',
+        '</div>',
+        details.length > 0 ? `<div class="details">${details.join(' · ')}</div>` : '',
+        task.description ? `<p class="description">${escapeHtml(task.description)}</p>` : '',
+        subtasks.length > 0
+          ? `<ul class="subtasks">${subtasks.map(subtask => renderTask(subtask, true)).join('\n')}</ul>`
+          : '',
+        '</li>',
+      ]
+        .filter(Boolean)
+        .join('\n');
+    };
+
+    const summary = [];
+    const sections = [];
+    for (const group of STATUS_GROUPS) {
+      const total = tasks.filter(task => group.statuses.includes(task.status)).length;
+      if (total > 0) {
+        summary.push(`<li>${group.label} <b>${total}</b></li>`);
+      }
+
+      const groupRoots = roots.filter(task => group.statuses.includes(task.status));
+      if (groupRoots.length > 0) {
+        sections.push(
+          `<section>\n<h2>${group.label}</h2>\n<ul class="tasks">\n` +
+            groupRoots.map(task => renderTask(task, false)).join('\n') +
+            '\n</ul>\n</section>'
+        );
+      }
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Tasks Export - ${date}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+<h1>Tasks Export</h1>
+<p class="meta">Generated ${date} · ${tasks.length} tasks</p>
+<ul class="summary">${summary.join('')}</ul>
+</header>
+${sections.join('\n')}
+</body>
+</html>
+`;
+  }
+}
+
+/**
+ * @param {*} value - Text
+ * @returns {string} Text safe to put in HTML
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
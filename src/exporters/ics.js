@@ -0,0 +1,128 @@
+import { BaseExporter } from './base-exporter.js';
+
+// Content lines longer than this many octets are folded (RFC 5545 3.1)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * An iCalendar feed with one event per task that has a due date, for
+ * subscribing from a calendar app. Date-only due dates become all-day events;
+ * due times become events at that time. Tasks without a due date are left out.
+ */
+export class IcsExporter extends BaseExporter {
+  constructor() {
+    super({ name: 'ics', description: 'iCalendar feed of due dates' });
+  }
+
+  accepts(task) {
+    return !!task.due_date;
+  }
+
+  async export(tasks, context = {}) {
+    const api = context.api;
+    const stamp = formatUtc(new Date());
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Taskwerk//Tasks//EN',
+      'CALSCALE:GREGORIAN',
+      'X-WR-CALNAME:Taskwerk',
+    ];
+
+    for (const task of tasks.filter(task => this.accepts(task))) {
+      const details = [`Status: ${task.status}`, `Priority: ${task.priority}`];
+      if (task.assignee) {
+        details.push(`Assignee: ${task.assignee}`);
+      }
+      if (task.description) {
+        details.push('', task.description);
+      }
+
+      lines.push('BEGIN:VEVENT', `UID:${task.id}@taskwerk`, `DTSTAMP:${stamp}`);
+
+      if (/^\d{4}-\d{2}-\d{2}$/.test(task.due_date)) {
+        const day = new Date(`${task.due_date}T00:00:00Z`);
+        const next = new Date(day.getTime() + 24 * 3600000);
+        lines.push(`DTSTART;VALUE=DATE:${formatDay(day)}`, `DTEND;VALUE=DATE:${formatDay(next)}`);
+      } else {
+        lines.push(`DTSTART:${formatUtc(new Date(task.due_date))}`);
+      }
+
+      lines.push(
+        `SUMMARY:${escapeText(`${task.id}: ${task.name}`)}`,
+        `DESCRIPTION:${escapeText(details.join('\n'))}`
+      );
+
+      const tags = api ? api.getTaskTags(task.id) : [];
+      if (tags.length > 0) {
+        lines.push(`CATEGORIES:${tags.map(escapeText).join(',')}`);
+      }
+      if (task.status === 'cancelled') {
+        lines.push('STATUS:CANCELLED');
+      }
+
+      lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+}
+
+/**
+ * @param {string} value - Text
+ * @returns {string} iCalendar TEXT value
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into chunks of at most 75 octets
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+}
+
+/**
+ * @param {Date} date - Date
+ * @returns {string} UTC date-time (20250131T090000Z)
+ */
+function formatUtc(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+}
+
+/**
+ * @param {Date} date - Date at UTC midnight
+ * @returns {string} Date (20250131)
+ */
+function formatDay(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
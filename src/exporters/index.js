@@ -0,0 +1,122 @@
+import { createRequire } from 'module';
+import { isAbsolute, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { MarkdownExporter } from './markdown.js';
+import { JsonExporter } from './json.js';
+import { CsvExporter } from './csv.js';
+import { HtmlExporter } from './html.js';
+import { IcsExporter } from './ics.js';
+import { TodoTxtExporter } from './todotxt.js';
+
+export { BaseExporter } from './base-exporter.js';
+
+/**
+ * Registry of `twrk export` formats, keyed by the name used with `--format`
+ */
+export class ExporterRegistry {
+  constructor() {
+    this.exporters = new Map();
+  }
+
+  /**
+   * Register an exporter, replacing any with the same name. Plain objects get
+   * BaseExporter's defaults for what they leave out (accepts, extension, description).
+   * @param {BaseExporter|Object} exporter - Exporter instance or plain object
+   * @throws {Error} If it lacks a name or an export method
+   */
+  register(exporter) {
+    if (!exporter || !exporter.name || typeof exporter.export !== 'function') {
+      throw new Error('An exporter needs a name and an export(tasks, context) method');
+    }
+
+    const defaults = {};
+    if (typeof exporter.accepts !== 'function') {
+      defaults.accepts = () => true;
+    }
+    if (!exporter.extension) {
+      defaults.extension = exporter.name;
+    }
+    if (!exporter.description) {
+      defaults.description = 'No description provided';
+    }
+    this.exporters.set(
+      exporter.name,
+      Object.keys(defaults).length > 0 ? Object.assign(Object.create(exporter), defaults) : exporter
+    );
+  }
+
+  /**
+   * @param {string} name - Format name
+   * @returns {boolean} Whether an exporter has this name
+   */
+  has(name) {
+    return this.exporters.has(name);
+  }
+
+  /**
+   * Get an exporter by name
+   * @param {string} name - Format name
+   * @returns {BaseExporter} Exporter
+   */
+  get(name) {
+    const exporter = this.exporters.get(name);
+    if (!exporter) {
+      throw new Error(
+        `Unsupported format: ${name}. Available formats: ${[...this.exporters.keys()].join(', ')}`
+      );
+    }
+    return exporter;
+  }
+
+  /**
+   * @returns {Array<BaseExporter>} All exporters
+   */
+  getAll() {
+    return [...this.exporters.values()];
+  }
+}
+
+/**
+ * Create a registry with the built-in exporters
+ * @returns {ExporterRegistry}
+ */
+export function createExporterRegistry() {
+  const registry = new ExporterRegistry();
+  registry.register(new MarkdownExporter());
+  registry.register(new JsonExporter());
+  registry.register(new CsvExporter());
+  registry.register(new HtmlExporter());
+  registry.register(new IcsExporter());
+  registry.register(new TodoTxtExporter());
+  return registry;
+}
+
+/**
+ * Register the exporters of plugin modules (`export.plugins` in the config)
+ * @param {ExporterRegistry} registry - Registry to add to
+ * @param {Array<string>} modules - Paths (relative to baseDir) or package names
+ * @param {string} baseDir - Directory paths and packages are resolved from
+ * @throws {Error} If a module cannot be loaded or has no exporter as its default export
+ */
+export async function loadExporterPlugins(registry, modules = [], baseDir = process.cwd()) {
+  for (const specifier of modules) {
+    const path =
+      specifier.startsWith('.') || isAbsolute(specifier)
+        ? resolve(baseDir, specifier)
+        : createRequire(resolve(baseDir, 'package.json')).resolve(specifier);
+
+    let plugin;
+    try {
+      plugin = (await import(pathToFileURL(path).href)).default;
+    } catch (error) {
+      throw new Error(`Failed to load export plugin ${specifier}: ${error.message}`);
+    }
+
+    const exporter = typeof plugin === 'function' ? new plugin() : plugin;
+    try {
+      registry.register(exporter);
+    } catch (error) {
+      throw new Error(`Export plugin ${specifier} has no usable default export: ${error.message}`);
+    }
+  }
+}
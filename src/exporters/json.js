@@ -0,0 +1,14 @@
+import { BaseExporter } from './base-exporter.js';
+
+/**
+ * The task rows as a JSON array
+ */
+export class JsonExporter extends BaseExporter {
+  constructor() {
+    super({ name: 'json', description: 'JSON array of tasks' });
+  }
+
+  async export(tasks) {
+    return JSON.stringify(tasks, null, 2) + '\n';
+  }
+}
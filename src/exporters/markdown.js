@@ -0,0 +1,113 @@
+import { BaseExporter } from './base-exporter.js';
+
+/**
+ * Markdown, one section per task with its tags, notes and dependencies.
+ * Written for pasting into an LLM; --with-metadata adds YAML frontmatter.
+ */
+export class MarkdownExporter extends BaseExporter {
+  constructor() {
+    super({ name: 'markdown', extension: 'md', description: 'Markdown (default)' });
+  }
+
+  async export(tasks, context = {}) {
+    return formatAsMarkdown(tasks, context.api, context.options?.withMetadata);
+  }
+}
+
+async function formatAsMarkdown(tasks, api, includeMetadata = false) {
+  const date = new Date().toISOString().split('T')[0];
+  let output = '';
+
+  if (includeMetadata) {
+    output += '---\n';
+    output += `title: Tasks Export\n`;
+    output += `date: ${date}\n`;
+    output += `taskCount: ${tasks.length}\n`;
+    output += '---\n\n';
+  }
+
+  output += `# Tasks Export - ${date}\n\n`;
+
+  // Add LLM-friendly instructions
+  output += `> The following tasks are exported from the Taskwerk task management system. Each task includes its ID, name, status, priority, and other relevant details.\n\n`;
+
+  for (const task of tasks) {
+    output += `## ${task.id}: ${task.name}\n`;
+    output += `- Status: ${task.status}\n`;
+    output += `- Priority: ${task.priority}\n`;
+
+    if (task.assignee) {
+      output += `- Assignee: ${task.assignee}\n`;
+    }
+
+    if (task.estimate) {
+      output += `- Estimate: ${task.estimate} hours\n`;
+    }
+
+    if (task.due_date) {
+      output += `- Due: ${task.due_date}\n`;
+    }
+
+    // Get and display tags
+    const tags = api.getTaskTags(task.id);
+    if (tags.length > 0) {
+      output += `- Tags: ${tags.join(', ')}\n`;
+    }
+
+    if (task.category) {
+      output += `- Category: ${task.category}\n`;
+    }
+
+    if (task.archived_at) {
+      output += `- Archived: ${new Date(task.archived_at).toLocaleString()}\n`;
+    }
+
+    if (task.deleted_at) {
+      output += `- Deleted: ${new Date(task.deleted_at).toLocaleString()}\n`;
+    }
+
+    output += `- Created: ${new Date(task.created_at).toLocaleString()}\n`;
+
+    if (task.updated_at) {
+      output += `- Updated: ${new Date(task.updated_at).toLocaleString()}\n`;
+    }
+
+    if (task.description) {
+      output += `\n${task.description}\n`;
+    }
+
+    if (task.content) {
+      output += `\n### Details\n${task.content}\n`;
+    }
+
+    // Get and display notes
+    const notes = api.getTaskNotes(task.id);
+    if (notes.length > 0) {
+      output += `\n### Notes\n`;
+      for (const note of notes) {
+        const noteDate = new Date(note.created_at).toLocaleString();
+        output += `- [${noteDate}] @${note.user}: ${note.note}\n`;
+        if (note.content) {
+          const indentedContent = note.content
+            .split('\n')
+            .map(line => `  ${line}`)
+            .join('\n');
+          output += `${indentedContent}\n`;
+        }
+      }
+    }
+
+    // Get dependencies
+    const dependencies = api.getTaskDependencies(task.id);
+    if (dependencies.length > 0) {
+      output += `\n### Dependencies\n`;
+      for (const dep of dependencies) {
+        output += `- ${dep.id}: ${dep.name}\n`;
+      }
+    }
+
+    output += '\n---\n\n';
+  }
+
+  return output.trim() + '\n';
+}
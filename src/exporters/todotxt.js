@@ -0,0 +1,96 @@
+import { BaseExporter } from './base-exporter.js';
+import { formatLocalDate } from '../utils/date-parser.js';
+
+const PRIORITY_LETTERS = { critical: 'A', high: 'B', medium: 'C', low: 'D' };
+
+const CLOSED_STATUSES = ['done', 'completed', 'cancelled'];
+
+/**
+ * todo.txt (http://todotxt.org), one line per task:
+ *
+ *   x 2025-02-01 2025-01-20 Ship release +backend @urgent id:TASK-001 due:2025-02-03 pri:A
+ *
+ * Priorities map to (A)..(D); finished tasks are marked "x" with their
+ * completion date and keep the priority as pri:. The category becomes a
+ * +project, tags become @contexts, and ID, parent, due date, assignee and
+ * statuses other than todo/done are kept as key:value pairs.
+ */
+export class TodoTxtExporter extends BaseExporter {
+  constructor() {
+    super({ name: 'todotxt', extension: 'txt', description: 'todo.txt' });
+  }
+
+  async export(tasks, context = {}) {
+    const api = context.api;
+    return (
+      tasks.map(task => formatTask(task, api ? api.getTaskTags(task.id) : [])).join('\n') + '\n'
+    );
+  }
+}
+
+/**
+ * @param {Object} task - Task
+ * @param {Array<string>} tags - Task tags
+ * @returns {string} todo.txt line
+ */
+function formatTask(task, tags) {
+  const parts = [];
+  const closed = CLOSED_STATUSES.includes(task.status);
+  const priority = PRIORITY_LETTERS[task.priority];
+
+  if (closed) {
+    parts.push('x', toDay(task.completed_at || task.updated_at));
+  } else if (priority) {
+    parts.push(`(${priority})`);
+  }
+  if (task.created_at) {
+    parts.push(toDay(task.created_at));
+  }
+
+  parts.push(task.name.replace(/\s+/g, ' ').trim());
+
+  if (task.category) {
+    parts.push(`+${toWord(task.category)}`);
+  }
+  parts.push(...tags.map(tag => `@${toWord(tag)}`));
+
+  parts.push(`id:${task.id}`);
+  if (task.parent_id) {
+    parts.push(`parent:${task.parent_id}`);
+  }
+  if (task.due_date) {
+    parts.push(`due:${toDay(task.due_date)}`);
+  }
+  if (task.assignee) {
+    parts.push(`assignee:${toWord(task.assignee)}`);
+  }
+  if (!['todo', 'done', 'completed'].includes(task.status)) {
+    parts.push(`status:${task.status}`);
+  }
+  if (closed && priority) {
+    parts.push(`pri:${priority}`);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * @param {string} value - Calendar date or timestamp
+ * @returns {string} YYYY-MM-DD
+ */
+function toDay(value) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  // SQLite timestamps (2025-01-31 09:00:00) are UTC
+  const normalized = /^\d{4}-\d{2}-\d{2} \d/.test(value) ? `${value.replace(' ', 'T')}Z` : value;
+  return formatLocalDate(new Date(normalized));
+}
+
+/**
+ * @param {string} value - Text
+ * @returns {string} Text without spaces, usable as a todo.txt word
+ */
+function toWord(value) {
+  return String(value).trim().replace(/\s+/g, '-');
+}
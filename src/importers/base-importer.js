@@ -0,0 +1,86 @@
+/**
+ * Base class for importers that read another tool's export files.
+ *
+ * parse() turns file content into plain task records:
+ *
+ *   { key, ref, parent_key, name, content, status, priority, assignee,
+ *     created_by, tags, notes: [{ note, user }], due_date, estimate,
+ *     category, url, created_at, completed_at }
+ *
+ * `key` identifies the record within the file and `parent_key` points at the
+ * record of its parent. `ref` is the item's ID in the other tool, or null when
+ * the export has none; importing skips items whose ref was imported before.
+ * `created_at` and `completed_at` are ISO timestamps from the other tool, if
+ * it has them; completed_at is when a closed item was closed.
+ * Fields of the source that have no taskwerk equivalent are counted in
+ * `unmapped` so `twrk import --dry-run` can report what would be lost.
+ */
+export class BaseImporter {
+  constructor(config = {}) {
+    this.name = config.name;
+    this.label = config.label || config.name;
+    this.description = config.description || 'No description provided';
+  }
+
+  /**
+   * Parse an export file
+   * @param {string} content - File content
+   * @returns {{tasks: Array<Object>, unmapped: Object<string, number>}} Task
+   *   records, and the number of records each unmapped field had a value in
+   */
+  parse(_content) {
+    throw new Error('parse must be implemented by subclass');
+  }
+
+  /**
+   * Count the fields of a source record that the importer does not map
+   * @param {Object} record - Source record
+   * @param {Array<string>} mapped - Field names the importer maps
+   * @param {Object<string, number>} unmapped - Counts to add to
+   */
+  countUnmapped(record, mapped, unmapped) {
+    for (const [field, value] of Object.entries(record)) {
+      if (mapped.includes(field) || isEmpty(value)) {
+        continue;
+      }
+      unmapped[field] = (unmapped[field] || 0) + 1;
+    }
+  }
+}
+
+/**
+ * Turn a label into a tag (tags cannot contain spaces)
+ * @param {string} label - Label text
+ * @returns {string} Tag
+ */
+export function toTag(label) {
+  return String(label).trim().replace(/\s+/g, '-');
+}
+
+/**
+ * Read a date from another tool as an ISO timestamp
+ * @param {string|number|undefined} value - Date text or epoch milliseconds
+ * @returns {string|null} ISO timestamp, or null if missing or not a date
+ */
+export function toTimestamp(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * @param {*} value - Field value
+ * @returns {boolean} Whether the value carries no information
+ */
+function isEmpty(value) {
+  return (
+    value === null ||
+    value === undefined ||
+    value === '' ||
+    value === false ||
+    (Array.isArray(value) && value.length === 0) ||
+    (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0)
+  );
+}
@@ -0,0 +1,155 @@
+import { BaseImporter, toTag, toTimestamp } from './base-importer.js';
+import { ValidationError } from '../errors/index.js';
+
+// Labels that set the priority instead of becoming tags ("priority: high", "P1", "urgent")
+const PRIORITY_LABEL = /^(?:priority[\s:/_-]*)?(critical|urgent|high|medium|low)$/i;
+const LEVEL_LABEL = /^p([0-3])$/i;
+const LEVELS = ['critical', 'high', 'medium', 'low'];
+
+// Fields of `gh issue list --json` and the REST API that are imported
+const MAPPED_FIELDS = [
+  'number',
+  'title',
+  'body',
+  'state',
+  'stateReason',
+  'state_reason',
+  'closed',
+  'labels',
+  'assignees',
+  'assignee',
+  'author',
+  'user',
+  'milestone',
+  'comments',
+  'url',
+  'html_url',
+  'createdAt',
+  'created_at',
+  'closedAt',
+  'closed_at',
+];
+
+/**
+ * GitHub issues as JSON, from `gh issue list --json <fields>` or the REST
+ * API. Open issues become todo, closed ones done (cancelled when closed as
+ * not planned) at their close date. Priority comes from labels such as "priority: high" or "P1";
+ * other labels become tags, the milestone becomes the category and comments
+ * become notes. Only the first assignee is kept. Pull requests are skipped.
+ */
+export class GitHubImporter extends BaseImporter {
+  constructor() {
+    super({
+      name: 'github',
+      label: 'GitHub Issues',
+      description: 'GitHub issues JSON (gh issue list --json ...)',
+    });
+  }
+
+  parse(content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new ValidationError(`Invalid GitHub issues JSON: ${error.message}`, 'format', 'github');
+    }
+
+    const unmapped = {};
+    const tasks = (Array.isArray(data) ? data : [data])
+      .filter(issue => issue && typeof issue === 'object' && !issue.pull_request)
+      .map(issue => {
+        this.countUnmapped(issue, MAPPED_FIELDS, unmapped);
+        return toTask(issue);
+      });
+
+    return { tasks, unmapped };
+  }
+}
+
+/**
+ * @param {Object} issue - GitHub issue
+ * @returns {Object} Task record
+ */
+function toTask(issue) {
+  const tags = [];
+  let priority = null;
+
+  for (const label of issue.labels || []) {
+    const name = typeof label === 'string' ? label : label?.name;
+    if (!name) {
+      continue;
+    }
+    const level = labelPriority(name);
+    if (level) {
+      priority = priority || level;
+    } else {
+      tags.push(toTag(name));
+    }
+  }
+
+  const assignees = issue.assignees || (issue.assignee ? [issue.assignee] : []);
+  const author = issue.author || issue.user;
+  const status = issueStatus(issue);
+
+  return {
+    key: `#${issue.number}`,
+    ref: `#${issue.number}`,
+    name: issue.title || `Issue #${issue.number}`,
+    content: issue.body || null,
+    status,
+    priority: priority || 'medium',
+    assignee: login(assignees[0]),
+    created_by: login(author),
+    tags,
+    notes: Array.isArray(issue.comments)
+      ? issue.comments
+          .filter(comment => comment.body)
+          .map(comment => ({ note: comment.body, user: login(comment.author || comment.user) }))
+      : [],
+    category: issue.milestone?.title || null,
+    url: issue.url || issue.html_url || null,
+    created_at: toTimestamp(issue.createdAt || issue.created_at),
+    completed_at: status === 'todo' ? null : toTimestamp(issue.closedAt || issue.closed_at),
+  };
+}
+
+/**
+ * @param {Object} issue - GitHub issue
+ * @returns {string} Task status
+ */
+function issueStatus(issue) {
+  const closed = issue.closed === true || String(issue.state).toLowerCase() === 'closed';
+  if (!closed) {
+    return 'todo';
+  }
+  const reason = String(issue.stateReason || issue.state_reason || '').toLowerCase();
+  return reason === 'not_planned' ? 'cancelled' : 'done';
+}
+
+/**
+ * @param {string} name - Label name
+ * @returns {string|null} Priority the label stands for
+ */
+function labelPriority(name) {
+  const level = LEVEL_LABEL.exec(name.trim());
+  if (level) {
+    return LEVELS[parseInt(level[1])];
+  }
+  const match = PRIORITY_LABEL.exec(name.trim());
+  if (match) {
+    const value = match[1].toLowerCase();
+    return value === 'urgent' ? 'critical' : value;
+  }
+  return null;
+}
+
+/**
+ * @param {Object|string|undefined} user - GitHub user
+ * @returns {string|null} Login
+ */
+function login(user) {
+  if (!user) {
+    return null;
+  }
+  return typeof user === 'string' ? user : user.login || null;
+}
@@ -0,0 +1,63 @@
+import { GitHubImporter } from './github.js';
+import { JiraImporter } from './jira.js';
+import { TodoistImporter } from './todoist.js';
+
+export { BaseImporter } from './base-importer.js';
+
+/**
+ * Registry of importers for other tools' export files, keyed by the name used
+ * with `twrk import -f <name>`
+ */
+export class ImporterRegistry {
+  constructor() {
+    this.importers = new Map();
+  }
+
+  /**
+   * Register an importer
+   * @param {BaseImporter} importer - Importer instance
+   */
+  register(importer) {
+    this.importers.set(importer.name, importer);
+  }
+
+  /**
+   * @param {string} name - Importer name
+   * @returns {boolean} Whether an importer has this name
+   */
+  has(name) {
+    return this.importers.has(name);
+  }
+
+  /**
+   * Get an importer by name
+   * @param {string} name - Importer name
+   * @returns {BaseImporter} Importer
+   */
+  get(name) {
+    const importer = this.importers.get(name);
+    if (!importer) {
+      throw new Error(`Importer not found: ${name}`);
+    }
+    return importer;
+  }
+
+  /**
+   * @returns {Array<BaseImporter>} All importers
+   */
+  getAll() {
+    return [...this.importers.values()];
+  }
+}
+
+/**
+ * Create a registry with the built-in importers
+ * @returns {ImporterRegistry}
+ */
+export function createImporterRegistry() {
+  const registry = new ImporterRegistry();
+  registry.register(new GitHubImporter());
+  registry.register(new JiraImporter());
+  registry.register(new TodoistImporter());
+  return registry;
+}
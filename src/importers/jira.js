@@ -0,0 +1,208 @@
+import { BaseImporter, toTag, toTimestamp } from './base-importer.js';
+import { ValidationError } from '../errors/index.js';
+import { parseCsvRecords } from '../utils/csv.js';
+import { formatLocalDate } from '../utils/date-parser.js';
+
+const STATUSES = {
+  'to do': 'todo',
+  'open': 'todo',
+  'new': 'todo',
+  'backlog': 'todo',
+  'reopened': 'todo',
+  'selected for development': 'todo',
+  'in progress': 'in-progress',
+  'in review': 'in-progress',
+  'code review': 'in-progress',
+  'in testing': 'in-progress',
+  'blocked': 'blocked',
+  'on hold': 'blocked',
+  'done': 'done',
+  'closed': 'done',
+  'resolved': 'done',
+  "won't do": 'cancelled',
+  "won't fix": 'cancelled',
+  'cancelled': 'cancelled',
+  'canceled': 'cancelled',
+  'rejected': 'cancelled',
+};
+
+// Used when the workflow has its own status names
+const STATUS_CATEGORIES = { 'to do': 'todo', 'in progress': 'in-progress', 'done': 'done' };
+
+// Current names (Highest..Lowest) and the older Blocker..Trivial scheme
+const PRIORITIES = {
+  highest: 'critical',
+  blocker: 'critical',
+  critical: 'critical',
+  high: 'high',
+  major: 'high',
+  medium: 'medium',
+  low: 'low',
+  lowest: 'low',
+  minor: 'low',
+  trivial: 'low',
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const MAPPED_COLUMNS = [
+  'Summary',
+  'Issue key',
+  'Issue id',
+  'Status',
+  'Status Category',
+  'Priority',
+  'Assignee',
+  'Reporter',
+  'Description',
+  'Labels',
+  'Component/s',
+  'Parent',
+  'Parent id',
+  'Parent key',
+  'Due Date',
+  'Due date',
+  'Original Estimate',
+  'Comment',
+  'Created',
+  'Resolved',
+];
+
+/**
+ * Jira issues exported as CSV ("Export > Export CSV (all fields)"). Statuses
+ * and priorities are mapped by name, labels and components become tags,
+ * comments become notes and the parent column links subtasks to their parent
+ * issue. The original estimate is converted from seconds to hours, and the
+ * Created and Resolved columns become the creation and completion times.
+ */
+export class JiraImporter extends BaseImporter {
+  constructor() {
+    super({
+      name: 'jira',
+      label: 'Jira',
+      description: 'Jira CSV export',
+    });
+  }
+
+  parse(content) {
+    const { headers, records } = parseCsvRecords(content);
+    if (!headers.includes('Summary')) {
+      throw new ValidationError(
+        'Not a Jira CSV export: there is no Summary column',
+        'format',
+        'jira'
+      );
+    }
+
+    // Parent columns hold either the parent's key or its numeric id
+    const keysById = new Map(
+      records.filter(r => r['Issue id']).map(r => [r['Issue id'], r['Issue key']])
+    );
+
+    const unmapped = {};
+    const tasks = records
+      .filter(record => record.Summary)
+      .map((record, index) => {
+        this.countUnmapped(record, MAPPED_COLUMNS, unmapped);
+        const parent = record['Parent key'] || record.Parent || record['Parent id'] || null;
+        const key = record['Issue key'] || record['Issue id'] || `row ${index + 2}`;
+        const status = issueStatus(record);
+
+        return {
+          key,
+          ref: record['Issue key'] || null,
+          parent_key: parent ? keysById.get(parent) || parent : null,
+          name: record.Summary,
+          content: record.Description || null,
+          status,
+          priority: PRIORITIES[String(record.Priority).toLowerCase()] || 'medium',
+          assignee: record.Assignee || null,
+          created_by: record.Reporter || null,
+          tags: [...list(record.Labels), ...list(record['Component/s'])].map(toTag),
+          notes: list(record.Comment).map(parseComment),
+          due_date: parseJiraDate(record['Due Date'] || record['Due date']),
+          estimate: record['Original Estimate']
+            ? Math.max(1, Math.round(parseInt(record['Original Estimate']) / 3600))
+            : null,
+          created_at: parseJiraTimestamp(record.Created),
+          completed_at: ['done', 'cancelled'].includes(status)
+            ? parseJiraTimestamp(record.Resolved)
+            : null,
+        };
+      });
+
+    return { tasks, unmapped };
+  }
+}
+
+/**
+ * @param {Object} record - CSV record
+ * @returns {string} Task status
+ */
+function issueStatus(record) {
+  const status = String(record.Status || '').toLowerCase();
+  const category = String(record['Status Category'] || '').toLowerCase();
+  return STATUSES[status] || STATUS_CATEGORIES[category] || 'todo';
+}
+
+/**
+ * Comments are exported as "date;author;text"
+ * @param {string} value - Comment cell
+ * @returns {{note: string, user: string|null}} Note
+ */
+function parseComment(value) {
+  const match = /^([^;]*);([^;]*);([\s\S]*)$/.exec(value);
+  return match ? { note: match[3].trim(), user: match[2] || null } : { note: value, user: null };
+}
+
+/**
+ * Parse a Jira date ("15/Jan/24 12:00 AM" or ISO)
+ * @param {string} value - Date cell
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseJiraDate(value) {
+  if (!value) {
+    return null;
+  }
+  const match = /^(\d{1,2})\/([A-Za-z]{3})\/(\d{2,4})/.exec(value);
+  if (match) {
+    const month = MONTHS.indexOf(match[2].toLowerCase());
+    const year = match[3].length === 2 ? 2000 + parseInt(match[3]) : parseInt(match[3]);
+    return month >= 0 ? formatLocalDate(new Date(year, month, parseInt(match[1]))) : null;
+  }
+  const iso = /^\d{4}-\d{2}-\d{2}/.exec(value);
+  return iso ? iso[0] : null;
+}
+
+/**
+ * Parse a Jira date and time ("15/Jan/24 2:30 PM" in local time, or ISO)
+ * @param {string} value - Date cell
+ * @returns {string|null} ISO timestamp
+ */
+function parseJiraTimestamp(value) {
+  const match = /^(\d{1,2})\/([A-Za-z]{3})\/(\d{2,4})(?: (\d{1,2}):(\d{2}) ?([AP]M))?/i.exec(
+    value || ''
+  );
+  if (!match) {
+    return toTimestamp(value);
+  }
+  const month = MONTHS.indexOf(match[2].toLowerCase());
+  if (month < 0) {
+    return null;
+  }
+  const year = match[3].length === 2 ? 2000 + parseInt(match[3]) : parseInt(match[3]);
+  const hour = match[4] ? (parseInt(match[4]) % 12) + (/pm/i.test(match[6]) ? 12 : 0) : 0;
+  const minute = match[5] ? parseInt(match[5]) : 0;
+  return new Date(year, month, parseInt(match[1]), hour, minute).toISOString();
+}
+
+/**
+ * @param {string|Array<string>|undefined} value - Cell or repeated cells
+ * @returns {Array<string>} Values
+ */
+function list(value) {
+  if (!value) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
@@ -0,0 +1,208 @@
+import { BaseImporter, toTag, toTimestamp } from './base-importer.js';
+import { ValidationError } from '../errors/index.js';
+import { parseCsvRecords } from '../utils/csv.js';
+import { parseDueDate } from '../utils/date-parser.js';
+
+const LEVELS = ['critical', 'high', 'medium', 'low'];
+
+const MAPPED_FIELDS = [
+  'id',
+  'content',
+  'description',
+  'priority',
+  'labels',
+  'parent_id',
+  'due',
+  'checked',
+  'is_completed',
+  'responsible_uid',
+  'assignee_id',
+  'url',
+  'added_at',
+  'created_at',
+  'completed_at',
+];
+
+// DATE_LANG and TIMEZONE only qualify DATE
+const MAPPED_COLUMNS = [
+  'TYPE',
+  'CONTENT',
+  'DESCRIPTION',
+  'PRIORITY',
+  'INDENT',
+  'AUTHOR',
+  'RESPONSIBLE',
+  'DATE',
+  'DATE_LANG',
+  'TIMEZONE',
+];
+
+/**
+ * Todoist tasks, from either
+ *   - a JSON list of tasks (REST API) or a sync backup ({ items, notes, projects }), or
+ *   - a project CSV backup (TYPE, CONTENT, PRIORITY, INDENT, ... columns).
+ *
+ * Todoist priorities run p1 (urgent) to p4; the API numbers them the other way
+ * round (4 is p1), the CSV uses the p-number. In CSV files subtasks are given
+ * by INDENT, sections become the category, note rows attach to the task above
+ * and "@label" words in the content become tags. CSV rows have no IDs, so
+ * importing the same CSV twice creates the tasks twice.
+ */
+export class TodoistImporter extends BaseImporter {
+  constructor() {
+    super({
+      name: 'todoist',
+      label: 'Todoist',
+      description: 'Todoist JSON or CSV backup',
+    });
+  }
+
+  parse(content) {
+    return /^\s*[[{]/.test(content) ? this.parseJson(content) : this.parseCsv(content);
+  }
+
+  /**
+   * @param {string} content - JSON text
+   * @returns {{tasks: Array<Object>, unmapped: Object<string, number>}}
+   */
+  parseJson(content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new ValidationError(`Invalid Todoist JSON: ${error.message}`, 'format', 'todoist');
+    }
+
+    const items = Array.isArray(data) ? data : data.items || data.tasks || [];
+    const projects = new Map((data.projects || []).map(project => [project.id, project.name]));
+    const notes = Array.isArray(data.notes) ? data.notes : [];
+    const mapped = projects.size > 0 ? [...MAPPED_FIELDS, 'project_id'] : MAPPED_FIELDS;
+
+    const unmapped = {};
+    const tasks = items
+      .filter(item => item && item.content)
+      .map(item => {
+        this.countUnmapped(item, mapped, unmapped);
+        const id = String(item.id);
+        const done = Boolean(item.checked || item.is_completed);
+
+        return {
+          key: id,
+          ref: id,
+          parent_key: item.parent_id ? String(item.parent_id) : null,
+          name: item.content,
+          content: item.description || null,
+          status: done ? 'done' : 'todo',
+          priority: LEVELS[4 - item.priority] || 'low',
+          assignee: stringOrNull(item.responsible_uid || item.assignee_id),
+          tags: (item.labels || []).map(toTag),
+          notes: notes
+            .filter(note => String(note.item_id) === id && note.content)
+            .map(note => ({ note: note.content, user: stringOrNull(note.posted_uid) })),
+          due_date: item.due?.date || null,
+          category: projects.get(item.project_id) || null,
+          url: item.url || null,
+          created_at: toTimestamp(item.added_at || item.created_at),
+          completed_at: done ? toTimestamp(item.completed_at) : null,
+        };
+      });
+
+    return { tasks, unmapped };
+  }
+
+  /**
+   * @param {string} content - CSV text
+   * @returns {{tasks: Array<Object>, unmapped: Object<string, number>}}
+   */
+  parseCsv(content) {
+    const { headers, records } = parseCsvRecords(content);
+    if (!headers.includes('TYPE') || !headers.includes('CONTENT')) {
+      throw new ValidationError(
+        'Not a Todoist export: expected JSON or a CSV with TYPE and CONTENT columns',
+        'format',
+        'todoist'
+      );
+    }
+
+    const unmapped = {};
+    const tasks = [];
+    // Last task seen at each indent level, for finding parents
+    const parents = [];
+    let section = null;
+
+    records.forEach((record, index) => {
+      const type = String(record.TYPE || '').toLowerCase();
+
+      if (type === 'section') {
+        section = record.CONTENT || null;
+        parents.length = 0;
+        return;
+      }
+
+      if (type === 'note') {
+        const task = tasks[tasks.length - 1];
+        if (task && record.CONTENT) {
+          task.notes.push({ note: record.CONTENT, user: personName(record.AUTHOR) });
+        }
+        return;
+      }
+
+      if (type !== 'task' || !record.CONTENT) {
+        return;
+      }
+
+      this.countUnmapped(record, MAPPED_COLUMNS, unmapped);
+      const indent = Math.max(1, parseInt(record.INDENT) || 1);
+      const labels = record.CONTENT.match(/(?:^|\s)@[^\s@]+/g) || [];
+      const key = `row ${index + 2}`;
+
+      let dueDate = null;
+      if (record.DATE) {
+        try {
+          dueDate = parseDueDate(record.DATE);
+        } catch {
+          // Recurring dates such as "every monday" have no taskwerk equivalent
+          unmapped.DATE = (unmapped.DATE || 0) + 1;
+        }
+      }
+
+      tasks.push({
+        key,
+        ref: null,
+        parent_key: parents[indent - 2] || null,
+        name: record.CONTENT.replace(/(?:^|\s)@[^\s@]+/g, '').trim() || record.CONTENT,
+        content: record.DESCRIPTION || null,
+        status: 'todo',
+        priority: LEVELS[parseInt(record.PRIORITY) - 1] || 'low',
+        assignee: personName(record.RESPONSIBLE),
+        created_by: personName(record.AUTHOR),
+        tags: labels.map(label => toTag(label.trim().slice(1))),
+        notes: [],
+        due_date: dueDate,
+        category: section,
+      });
+
+      parents[indent - 1] = key;
+      parents.length = indent;
+    });
+
+    return { tasks, unmapped };
+  }
+}
+
+/**
+ * People are exported as "Name (id)"
+ * @param {string|undefined} value - Cell
+ * @returns {string|null} Name
+ */
+function personName(value) {
+  return value ? value.replace(/\s*\(\d+\)$/, '') || null : null;
+}
+
+/**
+ * @param {*} value - ID value
+ * @returns {string|null}
+ */
+function stringOrNull(value) {
+  return value === null || value === undefined ? null : String(value);
+}
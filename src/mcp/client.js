@@ -0,0 +1,168 @@
+import { spawn } from 'child_process';
+import { Logger } from '../logging/logger.js';
+import { JsonRpcConnection, JsonRpcError, JsonRpcErrorCode } from './connection.js';
+import { MCP_PROTOCOL_VERSIONS } from './server.js';
+import { version } from '../version.js';
+
+// How long a server may take to start or to answer one request
+const DEFAULT_TIMEOUT = 60 * 1000;
+
+// Lines of the server's stderr kept to explain a failed start
+const STDERR_LINES = 20;
+
+/**
+ * Client for one MCP server started as a child process and spoken to over
+ * its stdin and stdout. Server requests other than ping are refused, since
+ * taskwerk offers no client features such as sampling or roots.
+ */
+export class McpClient {
+  /**
+   * @param {Object} server - Server from loadMcpServers()
+   * @param {string} server.name - Name in the config
+   * @param {string} server.command - Command to start
+   * @param {string[]} server.args - Arguments
+   * @param {Object} server.env - Extra environment variables
+   * @param {string} server.cwd - Working directory
+   * @param {Object} options - Client options
+   * @param {number} options.timeout - Milliseconds to wait for a start or a response
+   */
+  constructor(server, options = {}) {
+    this.server = server;
+    this.name = server.name;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.logger = new Logger('mcp-client');
+    this.child = null;
+    this.connection = null;
+    this.failed = null;
+    this.serverInfo = null;
+    this.stderr = [];
+  }
+
+  /**
+   * Start the server and complete the MCP handshake
+   * @returns {Promise<Object>} Server info (name, version)
+   * @throws {Error} If the server cannot be started or does not answer
+   */
+  async connect() {
+    const child = spawn(this.server.command, this.server.args || [], {
+      cwd: this.server.cwd,
+      env: { ...process.env, ...this.server.env },
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+    this.child = child;
+
+    // Settles only if the server goes away (after its output is read), so requests can race it
+    this.failed = new Promise((_, reject) => {
+      child.once('error', error =>
+        reject(new Error(`Cannot start ${this.name}: ${error.message}`))
+      );
+      child.once('close', code => reject(new Error(this.exitMessage(code))));
+    });
+    this.failed.catch(() => {});
+
+    child.stdin.on('error', error => this.logger.debug(`${this.name} stdin: ${error.message}`));
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', chunk => {
+      this.stderr.push(...chunk.split('\n').filter(line => line.trim()));
+      this.stderr.splice(0, Math.max(this.stderr.length - STDERR_LINES, 0));
+    });
+
+    this.connection = new JsonRpcConnection(child.stdout, child.stdin, {
+      onRequest: method => {
+        if (method === 'ping') {
+          return {};
+        }
+        throw new JsonRpcError(JsonRpcErrorCode.METHOD_NOT_FOUND, `Method not found: ${method}`);
+      },
+    });
+
+    const result = await this.request('initialize', {
+      protocolVersion: MCP_PROTOCOL_VERSIONS[0],
+      capabilities: {},
+      clientInfo: { name: 'taskwerk', version },
+    });
+    this.connection.notify('notifications/initialized');
+
+    this.serverInfo = result.serverInfo || { name: this.name };
+    this.logger.debug(`Connected to ${this.name} (protocol ${result.protocolVersion})`);
+    return this.serverInfo;
+  }
+
+  /**
+   * List all tools the server offers, following pagination
+   * @returns {Promise<Array<{name: string, description: string, inputSchema: Object}>>} Tools
+   */
+  async listTools() {
+    const tools = [];
+    let cursor;
+    do {
+      const result = await this.request('tools/list', cursor ? { cursor } : {});
+      tools.push(...(result.tools || []));
+      cursor = result.nextCursor;
+    } while (cursor);
+    return tools;
+  }
+
+  /**
+   * Call a tool
+   * @param {string} name - Tool name on the server
+   * @param {Object} args - Tool arguments
+   * @returns {Promise<Object>} MCP tool result (content, isError, structuredContent)
+   */
+  callTool(name, args = {}) {
+    return this.request('tools/call', { name, arguments: args });
+  }
+
+  /**
+   * Send a request, failing if the server exits or takes too long
+   * @param {string} method - Method name
+   * @param {Object} params - Parameters
+   * @returns {Promise<*>} Result
+   */
+  async request(method, params) {
+    if (!this.connection) {
+      throw new Error(`Not connected to ${this.name}`);
+    }
+
+    let timer;
+    const timedOut = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`${this.name} did not answer ${method} within ${this.timeout}ms`)),
+        this.timeout
+      );
+    });
+
+    // A connection closed by the server exiting is explained by its exit
+    const response = this.connection.request(method, params).catch(error => {
+      if (this.connection.closed) {
+        return this.failed;
+      }
+      throw error;
+    });
+
+    try {
+      return await Promise.race([response, this.failed, timedOut]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Stop the server
+   */
+  async close() {
+    this.connection?.close();
+    const running = this.child?.pid && this.child.exitCode === null && !this.child.signalCode;
+    if (running) {
+      const exited = new Promise(resolve => this.child.once('close', resolve));
+      this.child.stdin.end();
+      this.child.kill();
+      await exited;
+    }
+  }
+
+  exitMessage(code) {
+    const output = this.stderr.length > 0 ? `: ${this.stderr.join('\n')}` : '';
+    return `${this.name} exited with code ${code}${output}`;
+  }
+}
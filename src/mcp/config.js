@@ -0,0 +1,98 @@
+import { existsSync, readFileSync } from 'fs';
+import { join, resolve } from 'path';
+import { parse as parseYaml } from 'yaml';
+import { ConfigurationError } from '../errors/index.js';
+
+/**
+ * MCP servers `twrk agent` connects to, from .taskwerk/mcp-config.yml:
+ *
+ *   servers:
+ *     github:
+ *       command: npx
+ *       args: ["-y", "@modelcontextprotocol/server-github"]
+ *       env:
+ *         GITHUB_PERSONAL_ACCESS_TOKEN: ${GITHUB_TOKEN}
+ *     notes:
+ *       command: ./scripts/notes-server.js
+ *       cwd: ./scripts
+ *       disabled: true
+ *
+ * Each server is started with its command and args and spoken to over stdio.
+ * ${VAR} in args and env is replaced from the environment; cwd is relative to
+ * the project directory.
+ */
+
+export const MCP_CONFIG_FILE = 'mcp-config.yml';
+
+// Server names become part of tool names, so keep them to safe characters
+const SERVER_NAME = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Read the configured MCP servers
+ * @param {string} workDir - Project directory
+ * @returns {Array<{name: string, command: string, args: string[], env: Object, cwd: string}>}
+ *   Enabled servers; empty when there is no config file
+ * @throws {ConfigurationError} If the file or a server entry is invalid
+ */
+export function loadMcpServers(workDir = process.cwd()) {
+  const file = join(workDir, '.taskwerk', MCP_CONFIG_FILE);
+  if (!existsSync(file)) {
+    return [];
+  }
+
+  let config;
+  try {
+    config = parseYaml(readFileSync(file, 'utf8')) || {};
+  } catch (error) {
+    throw new ConfigurationError(`Invalid ${MCP_CONFIG_FILE}: ${error.message}`, 'file', file);
+  }
+
+  const servers = config.servers || {};
+  if (typeof servers !== 'object' || Array.isArray(servers)) {
+    throw new ConfigurationError(`${MCP_CONFIG_FILE}: servers must be a map`, 'servers', servers);
+  }
+
+  return Object.entries(servers)
+    .filter(([, server]) => !server?.disabled)
+    .map(([name, server]) => parseServer(name, server, workDir));
+}
+
+function parseServer(name, server, workDir) {
+  if (!SERVER_NAME.test(name)) {
+    throw new ConfigurationError(
+      `${MCP_CONFIG_FILE}: server name "${name}" may only contain letters, digits, - and _`,
+      'name',
+      name
+    );
+  }
+  if (!server || typeof server.command !== 'string' || !server.command.trim()) {
+    throw new ConfigurationError(`${MCP_CONFIG_FILE}: server "${name}" needs a command`, 'command');
+  }
+
+  const args = server.args ?? [];
+  if (!Array.isArray(args)) {
+    throw new ConfigurationError(`${MCP_CONFIG_FILE}: args of "${name}" must be a list`, 'args');
+  }
+
+  const env = {};
+  for (const [key, value] of Object.entries(server.env || {})) {
+    env[key] = expandVariables(String(value));
+  }
+
+  return {
+    name,
+    command: expandVariables(server.command),
+    args: args.map(arg => expandVariables(String(arg))),
+    env,
+    cwd: resolve(workDir, server.cwd || '.'),
+  };
+}
+
+/**
+ * Replace ${VAR} with the environment variable; unset variables become empty
+ * @param {string} value - Text
+ * @returns {string} Expanded text
+ */
+export function expandVariables(value) {
+  return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => process.env[name] ?? '');
+}
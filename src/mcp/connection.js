@@ -0,0 +1,200 @@
+import { Logger } from '../logging/logger.js';
+
+/**
+ * JSON-RPC 2.0 over a pair of streams, as used by the MCP stdio transport:
+ * one JSON message per line, requests in both directions.
+ *
+ * Incoming requests and notifications are handled one at a time in the order
+ * they arrive, so a client can send a change and a read without waiting.
+ * Responses are settled immediately, so a handler may itself send a request
+ * and wait for the answer.
+ */
+
+// Standard JSON-RPC error codes
+export const JsonRpcErrorCode = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+};
+
+/**
+ * Error returned to the other side as a JSON-RPC error response
+ */
+export class JsonRpcError extends Error {
+  constructor(code, message, data = undefined) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+export class JsonRpcConnection {
+  /**
+   * @param {import('stream').Readable} input - Incoming messages
+   * @param {import('stream').Writable} output - Outgoing messages
+   * @param {Object} handlers - Message handlers
+   * @param {Function} handlers.onRequest - (method, params) => result; throw a
+   *   JsonRpcError to answer with a specific error
+   * @param {Function} handlers.onNotification - (method, params) => void
+   */
+  constructor(input, output, handlers = {}) {
+    this.input = input;
+    this.output = output;
+    this.onRequest = handlers.onRequest || (() => {});
+    this.onNotification = handlers.onNotification || (() => {});
+    this.logger = new Logger('mcp');
+    this.nextId = 1;
+    this.pending = new Map();
+    this.buffer = '';
+    this.queue = Promise.resolve();
+    this.closed = false;
+
+    this.closedPromise = new Promise(resolve => {
+      this.resolveClosed = resolve;
+    });
+
+    this.handleData = chunk => this.receive(chunk);
+    this.handleEnd = () => this.close();
+    input.setEncoding?.('utf8');
+    input.on('data', this.handleData);
+    input.on('end', this.handleEnd);
+    input.on('close', this.handleEnd);
+  }
+
+  /**
+   * Send a request and wait for its response
+   * @param {string} method - Method name
+   * @param {Object} params - Parameters
+   * @returns {Promise<*>} Result
+   * @throws {JsonRpcError} If the other side answers with an error
+   */
+  request(method, params = {}) {
+    if (this.closed) {
+      return Promise.reject(new Error('Connection closed'));
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.send({ jsonrpc: '2.0', id, method, params });
+    });
+  }
+
+  /**
+   * Send a notification (no response expected)
+   * @param {string} method - Method name
+   * @param {Object} params - Parameters
+   */
+  notify(method, params = {}) {
+    this.send({ jsonrpc: '2.0', method, params });
+  }
+
+  /**
+   * Stop reading and fail all unanswered requests
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.input.off('data', this.handleData);
+    this.input.off('end', this.handleEnd);
+    this.input.off('close', this.handleEnd);
+
+    for (const { reject } of this.pending.values()) {
+      reject(new Error('Connection closed'));
+    }
+    this.pending.clear();
+    this.resolveClosed();
+  }
+
+  /**
+   * @returns {Promise<void>} Resolves when the connection closes
+   */
+  waitUntilClosed() {
+    return this.closedPromise;
+  }
+
+  send(message) {
+    if (!this.closed) {
+      this.output.write(`${JSON.stringify(message)}\n`);
+    }
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+    let newline;
+    while ((newline = this.buffer.indexOf('\n')) >= 0) {
+      const line = this.buffer.slice(0, newline).trim();
+      this.buffer = this.buffer.slice(newline + 1);
+      if (line) {
+        this.dispatch(line);
+      }
+    }
+  }
+
+  dispatch(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      this.send({
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: JsonRpcErrorCode.PARSE_ERROR, message: 'Parse error' },
+      });
+      return;
+    }
+
+    if (message.method === undefined) {
+      this.settle(message);
+    } else if (message.id === undefined) {
+      this.queue = this.queue.then(() => this.notified(message));
+    } else {
+      this.queue = this.queue.then(() => this.answer(message));
+    }
+  }
+
+  settle(message) {
+    const pending = this.pending.get(message.id);
+    if (!pending) {
+      this.logger.debug(`Ignoring response to unknown request ${message.id}`);
+      return;
+    }
+    this.pending.delete(message.id);
+
+    if (message.error) {
+      const { code, message: text, data } = message.error;
+      pending.reject(new JsonRpcError(code, text, data));
+    } else {
+      pending.resolve(message.result);
+    }
+  }
+
+  async notified(message) {
+    try {
+      await this.onNotification(message.method, message.params || {});
+    } catch (error) {
+      this.logger.error(`Notification ${message.method} failed: ${error.message}`);
+    }
+  }
+
+  async answer(message) {
+    try {
+      const result = await this.onRequest(message.method, message.params || {});
+      this.send({ jsonrpc: '2.0', id: message.id, result: result ?? {} });
+    } catch (error) {
+      const response = { code: JsonRpcErrorCode.INTERNAL_ERROR, message: error.message };
+      if (error instanceof JsonRpcError) {
+        response.code = error.code;
+        if (error.data !== undefined) {
+          response.data = error.data;
+        }
+      }
+      this.send({ jsonrpc: '2.0', id: message.id, error: response });
+    }
+  }
+}
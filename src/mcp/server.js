@@ -0,0 +1,319 @@
+import { TaskwerkAPI } from '../api/taskwerk-api.js';
+import { ValidationError } from '../errors/index.js';
+import { Logger } from '../logging/logger.js';
+import { PERMISSION_MODES, permissionsForMode } from '../ai/tool-executor.js';
+import { ToolRegistry } from '../ai/tools/tool-registry.js';
+import { ListTasksTool } from '../ai/tools/taskwerk/list-tasks.js';
+import { SearchTasksTool } from '../ai/tools/taskwerk/search-tasks.js';
+import { ShowTaskTool } from '../ai/tools/taskwerk/show-task.js';
+import { AddTaskTool } from '../ai/tools/taskwerk/add-task.js';
+import { UpdateTaskTool } from '../ai/tools/taskwerk/update-task.js';
+import { AddNoteTool } from '../ai/tools/taskwerk/add-note.js';
+import { TagTaskTool } from '../ai/tools/taskwerk/tag-task.js';
+import { SplitTaskTool } from '../ai/tools/taskwerk/split-task.js';
+import { AddDependencyTool } from '../ai/tools/taskwerk/add-dependency.js';
+import { RemoveDependencyTool } from '../ai/tools/taskwerk/remove-dependency.js';
+import { JsonRpcConnection, JsonRpcError, JsonRpcErrorCode } from './connection.js';
+import { version } from '../version.js';
+
+// Newest first; the first one is offered to clients asking for an unknown version
+export const MCP_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Error code MCP uses for unknown resources
+const RESOURCE_NOT_FOUND = -32002;
+
+const TREE_URI = 'taskwerk://tree';
+const TASK_URI_PREFIX = 'taskwerk://tasks/';
+
+/**
+ * Model Context Protocol server for the task database.
+ *
+ * Tools wrap TaskwerkAPI through the same tool classes `twrk ask` and
+ * `twrk agent` use, and follow the same permission modes:
+ *
+ *   ask    task changes run without confirmation, as in `twrk ask`
+ *   agent  every change is confirmed by the user through the client
+ *          (MCP elicitation); clients that cannot ask get an error instead
+ *   yolo   nothing is confirmed
+ *
+ * Resources: taskwerk://tree (all tasks nested under their parents) and
+ * taskwerk://tasks/{id} (one task with its notes, tags and dependencies).
+ */
+export class McpServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {string} options.mode - Permission mode (ask, agent, yolo)
+   * @param {string} options.workDir - Project directory
+   * @throws {ValidationError} If the mode is unknown
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || 'ask';
+    if (!PERMISSION_MODES.includes(this.mode)) {
+      throw new ValidationError(
+        `Unknown mode: ${this.mode}. Use ${PERMISSION_MODES.join(', ')}`,
+        'mode',
+        this.mode
+      );
+    }
+
+    this.logger = new Logger('mcp-server');
+    this.workDir = options.workDir || process.cwd();
+    this.api = new TaskwerkAPI();
+    this.registry = createTaskToolRegistry({ workDir: this.workDir });
+    this.connection = null;
+    this.clientCapabilities = {};
+  }
+
+  /**
+   * Serve requests arriving on a stream
+   * @param {import('stream').Readable} input - Client messages (stdin)
+   * @param {import('stream').Writable} output - Server messages (stdout)
+   * @returns {JsonRpcConnection} Connection; waitUntilClosed() resolves when the client leaves
+   */
+  connect(input, output) {
+    this.connection = new JsonRpcConnection(input, output, {
+      onRequest: (method, params) => this.handleRequest(method, params),
+    });
+    return this.connection;
+  }
+
+  /**
+   * Answer an MCP request
+   * @param {string} method - Request method
+   * @param {Object} params - Request parameters
+   * @returns {Promise<Object>} Result
+   * @throws {JsonRpcError} For unknown methods, tools and resources
+   */
+  async handleRequest(method, params) {
+    switch (method) {
+      case 'initialize':
+        return this.initialize(params);
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return { tools: this.listTools() };
+      case 'tools/call':
+        return this.callTool(params.name, params.arguments || {});
+      case 'resources/list':
+        return { resources: this.listResources() };
+      case 'resources/templates/list':
+        return {
+          resourceTemplates: [
+            {
+              uriTemplate: `${TASK_URI_PREFIX}{id}`,
+              name: 'task',
+              title: 'Task',
+              description: 'A task with its notes, tags, subtasks and dependencies',
+              mimeType: 'application/json',
+            },
+          ],
+        };
+      case 'resources/read':
+        return this.readResource(params.uri);
+      default:
+        throw new JsonRpcError(JsonRpcErrorCode.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  initialize(params) {
+    this.clientCapabilities = params.capabilities || {};
+    const protocolVersion = MCP_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+      ? params.protocolVersion
+      : MCP_PROTOCOL_VERSIONS[0];
+
+    const client = params.clientInfo?.name || 'unknown client';
+    this.logger.info(`MCP client connected: ${client} (${this.mode} mode)`);
+
+    return {
+      protocolVersion,
+      capabilities: { tools: {}, resources: {} },
+      serverInfo: { name: 'taskwerk', version },
+      instructions:
+        'Tasks of the current taskwerk project. Task IDs look like TASK-001; subtasks ' +
+        'like TASK-001.1. Use list_tasks or search_tasks to find tasks and show_task ' +
+        'for everything about one task.',
+    };
+  }
+
+  listTools() {
+    const permissions = permissionsForMode(this.mode);
+
+    return this.registry.getSpecs(permissions).map(spec => {
+      const tool = this.registry.get(spec.function.name);
+      return {
+        name: spec.function.name,
+        description: spec.function.description,
+        inputSchema: spec.function.parameters,
+        annotations: { readOnlyHint: tool.permissions.length === 0 },
+      };
+    });
+  }
+
+  async callTool(name, args) {
+    const tool = this.listTools().find(tool => tool.name === name);
+    if (!tool) {
+      throw new JsonRpcError(JsonRpcErrorCode.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+    checkArguments(name, tool.inputSchema, args);
+
+    let outcome;
+    try {
+      outcome = await this.registry.execute(name, args, {
+        mode: this.mode,
+        workDir: this.workDir,
+        confirmPermission: (tool, action) => this.confirmPermission(tool, action),
+      });
+    } catch (error) {
+      outcome = { success: false, error: error.message };
+    }
+
+    const text = outcome.success
+      ? JSON.stringify(outcome.result, null, 2)
+      : `Error: ${outcome.error}`;
+    return { content: [{ type: 'text', text }], isError: !outcome.success };
+  }
+
+  async confirmPermission(tool, action) {
+    if (this.mode !== 'agent') {
+      return true;
+    }
+
+    if (!this.clientCapabilities.elicitation) {
+      throw new Error(
+        `${action} needs confirmation, but this client cannot ask for it. ` +
+          'Restart the server with --mode ask to allow task changes'
+      );
+    }
+
+    const response = await this.connection.request('elicitation/create', {
+      message: `Allow taskwerk to run ${tool}? ${action}`,
+      requestedSchema: { type: 'object', properties: {} },
+    });
+    return response?.action === 'accept';
+  }
+
+  listResources() {
+    const tasks = this.api.listTasks({ order_by: 'created_at', order_dir: 'ASC' });
+
+    return [
+      {
+        uri: TREE_URI,
+        name: 'tree',
+        title: 'Task tree',
+        description: 'All active tasks, with subtasks nested under their parents',
+        mimeType: 'application/json',
+      },
+      ...tasks.map(task => ({
+        uri: `${TASK_URI_PREFIX}${task.id}`,
+        name: task.id,
+        title: `${task.id}: ${task.name}`,
+        mimeType: 'application/json',
+      })),
+    ];
+  }
+
+  async readResource(uri) {
+    let data;
+    if (uri === TREE_URI) {
+      data = this.taskTree();
+    } else if (uri?.startsWith(TASK_URI_PREFIX)) {
+      try {
+        data = await this.registry.get('show_task').execute({
+          id: decodeURIComponent(uri.slice(TASK_URI_PREFIX.length)),
+        });
+      } catch (error) {
+        if (error.code !== 'TASK_NOT_FOUND') {
+          throw error;
+        }
+      }
+    }
+
+    if (!data) {
+      throw new JsonRpcError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+    }
+
+    return {
+      contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }],
+    };
+  }
+
+  taskTree() {
+    const tasks = this.api.listTasks({ order_by: 'created_at', order_dir: 'ASC' });
+    const nodes = new Map(
+      tasks.map(task => [
+        task.id,
+        {
+          id: task.id,
+          name: task.name,
+          status: task.status,
+          priority: task.priority,
+          assignee: task.assignee,
+          subtasks: [],
+        },
+      ])
+    );
+
+    const roots = [];
+    for (const task of tasks) {
+      const parent = task.parent_id && nodes.get(task.parent_id);
+      (parent ? parent.subtasks : roots).push(nodes.get(task.id));
+    }
+    return roots;
+  }
+}
+
+/**
+ * Register the task tools offered over MCP
+ * @param {Object} config - Tool configuration (workDir)
+ * @returns {ToolRegistry} Registry
+ */
+export function createTaskToolRegistry(config = {}) {
+  const registry = new ToolRegistry();
+
+  registry.register('list_tasks', new ListTasksTool(config));
+  registry.register('search_tasks', new SearchTasksTool(config));
+  registry.register('show_task', new ShowTaskTool(config));
+  registry.register('add_task', new AddTaskTool(config));
+  registry.register('update_task', new UpdateTaskTool(config));
+  registry.register('add_note', new AddNoteTool(config));
+  registry.register('tag_task', new TagTaskTool(config));
+  registry.register('split_task', new SplitTaskTool(config));
+  registry.register('add_dependency', new AddDependencyTool(config));
+  registry.register('remove_dependency', new RemoveDependencyTool(config));
+
+  return registry;
+}
+
+/**
+ * Check tool arguments against the tool's input schema: external clients may
+ * only send the properties it declares, and must send the required ones
+ * @param {string} name - Tool name
+ * @param {Object} schema - Tool input schema
+ * @param {*} args - Arguments from tools/call
+ * @throws {JsonRpcError} If the arguments do not fit the schema
+ */
+function checkArguments(name, schema, args) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    throw new JsonRpcError(
+      JsonRpcErrorCode.INVALID_PARAMS,
+      `Arguments of ${name} must be an object`
+    );
+  }
+
+  const properties = schema.properties || {};
+  const unknown = Object.keys(args).filter(key => !Object.hasOwn(properties, key));
+  if (unknown.length > 0) {
+    throw new JsonRpcError(
+      JsonRpcErrorCode.INVALID_PARAMS,
+      `Unknown argument${unknown.length > 1 ? 's' : ''} for ${name}: ${unknown.join(', ')}`
+    );
+  }
+
+  const missing = (schema.required || []).filter(key => args[key] === undefined);
+  if (missing.length > 0) {
+    throw new JsonRpcError(
+      JsonRpcErrorCode.INVALID_PARAMS,
+      `Missing argument${missing.length > 1 ? 's' : ''} for ${name}: ${missing.join(', ')}`
+    );
+  }
+}
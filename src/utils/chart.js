@@ -0,0 +1,36 @@
+// Full block plus the partial blocks that split one character into eighths
+const BLOCKS = ['', '▏', '▎', '▍', '▌', '▋', '▊', '▉'];
+const FULL_BLOCK = '█';
+
+/**
+ * Render a horizontal bar
+ * @param {number} value - Bar value
+ * @param {number} max - Value that fills the whole width
+ * @param {number} width - Width in characters
+ * @returns {string} Bar, padded to the width
+ */
+export function bar(value, max, width = 40) {
+  const eighths = max > 0 ? Math.round((Math.max(value, 0) / max) * width * 8) : 0;
+  const text = FULL_BLOCK.repeat(Math.floor(eighths / 8)) + BLOCKS[eighths % 8];
+  return text.padEnd(width);
+}
+
+/**
+ * Render rows as a horizontal bar chart
+ * @param {Array<{label: string, value: number, text?: string}>} rows - One bar each;
+ *   text replaces the value printed after the bar
+ * @param {Object} options - Chart options
+ * @param {number} options.width - Width of the longest bar
+ * @param {number} options.max - Scale maximum (defaults to the largest value)
+ * @returns {Array<string>} Lines
+ */
+export function barChart(rows, options = {}) {
+  const width = options.width || 40;
+  const max = options.max ?? Math.max(0, ...rows.map(row => row.value));
+  const labelWidth = Math.max(0, ...rows.map(row => row.label.length));
+
+  return rows.map(row => {
+    const text = row.text ?? String(row.value);
+    return `  ${row.label.padEnd(labelWidth)} │${bar(row.value, max, width)} ${text}`.trimEnd();
+  });
+}
@@ -66,6 +66,15 @@ export function generateCommandReference(commands) {
       'start',
       'block',
       'statustask',
+      'dependtask',
+      'next',
+      'search',
+      'timer',
+      'undo',
+      'redo',
+      'trash',
+      'archive',
+      'unarchive',
     ].includes(cmd.name)
   );
 
@@ -78,9 +87,12 @@ export function generateCommandReference(commands) {
   // Group by common operations
   const groups = {
     'Creating tasks': ['addtask'],
-    'Viewing tasks': ['list', 'showtask'],
-    'Updating tasks': ['updatetask', 'done', 'start', 'block', 'statustask'],
-    'Deleting tasks': ['deletetask'],
+    'Viewing tasks': ['list', 'showtask', 'next', 'search'],
+    'Updating tasks': ['updatetask', 'done', 'start', 'block', 'statustask', 'dependtask'],
+    'Deleting tasks': ['deletetask', 'trash'],
+    'Archiving tasks': ['archive', 'unarchive'],
+    'Undoing changes': ['undo', 'redo'],
+    'Tracking time': ['timer'],
   };
 
   for (const [group, cmdNames] of Object.entries(groups)) {
@@ -164,6 +176,16 @@ export function getStandardTaskCommands() {
       description: 'List tasks',
       usage: 'taskwerk list [options]',
     },
+    {
+      name: 'next',
+      description: 'Show the next actionable task',
+      usage: 'taskwerk next [--assignee <name>] [--format json]',
+    },
+    {
+      name: 'search',
+      description: 'Full-text search across tasks, notes and tags',
+      usage: 'taskwerk search <query> [--format json]',
+    },
     {
       name: 'showtask',
       description: 'Show task details',
@@ -199,6 +221,41 @@ export function getStandardTaskCommands() {
       description: 'Change task status',
       usage: 'taskwerk statustask <id> <status>',
     },
+    {
+      name: 'dependtask',
+      description: 'Manage task dependencies (blockers)',
+      usage: 'taskwerk dependtask <id> --on <ids...>',
+    },
+    {
+      name: 'timer',
+      description: 'Track time spent on tasks',
+      usage: 'taskwerk timer start <id> | stop | status',
+    },
+    {
+      name: 'undo',
+      description: 'Undo the last task changes (create, update, delete)',
+      usage: 'taskwerk undo [count]',
+    },
+    {
+      name: 'redo',
+      description: 'Redo task changes reverted by undo',
+      usage: 'taskwerk redo [count]',
+    },
+    {
+      name: 'trash',
+      description: 'Manage deleted tasks',
+      usage: 'taskwerk trash list | restore <id> | purge [--older-than 30d]',
+    },
+    {
+      name: 'archive',
+      description: 'Archive finished tasks to keep them out of everyday lists',
+      usage: 'taskwerk archive <id> | --done-before 30d',
+    },
+    {
+      name: 'unarchive',
+      description: 'Move an archived task back to the active list',
+      usage: 'taskwerk unarchive <id>',
+    },
     // AI Commands
     {
       name: 'ask',
@@ -0,0 +1,105 @@
+/**
+ * Parse CSV text. Quoted fields may contain commas, line breaks and doubled
+ * quotes (RFC 4180). Blank lines are skipped.
+ * @param {string} content - CSV text
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+export function parseCsvRows(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  // A byte order mark is common in spreadsheet exports
+  const text = content.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Parse CSV text with a header row into records. Columns that repeat in the
+ * header (Jira writes one "Labels" column per label) are collected into arrays.
+ * @param {string} content - CSV text
+ * @returns {{headers: Array<string>, records: Array<Object>}} Header names and
+ *   one object per data row keyed by header; empty cells are left out
+ */
+export function parseCsvRecords(content) {
+  const [headers = [], ...rows] = parseCsvRows(content);
+  const trimmed = headers.map(header => header.trim());
+  const repeated = new Set(trimmed.filter((header, index) => trimmed.indexOf(header) !== index));
+
+  const records = rows.map(row => {
+    const record = {};
+    trimmed.forEach((header, index) => {
+      const value = (row[index] || '').trim();
+      if (repeated.has(header)) {
+        record[header] = record[header] || [];
+        if (value) {
+          record[header].push(value);
+        }
+      } else if (value) {
+        record[header] = value;
+      }
+    });
+    return record;
+  });
+
+  return { headers: trimmed, records };
+}
+
+/**
+ * Quote a value for CSV output when it contains a comma, line break or quote
+ * @param {*} value - Value
+ * @returns {*} Value safe to join with commas
+ */
+export function escapeCsvValue(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  if (value.includes(',') || value.includes('\n') || value.includes('"')) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+
+  return value;
+}
@@ -0,0 +1,202 @@
+import { ValidationError } from '../errors/index.js';
+
+/**
+ * Natural-language date parsing shared by `--due`, the list date filters and
+ * query expressions.
+ *
+ * Supported input:
+ *   YYYY-MM-DD, YYYY-MM-DDTHH:MM[:SS][Z]
+ *   today | tomorrow | yesterday | now
+ *   monday..sunday (also mon..sun), optionally prefixed by "this" or "next"
+ *   next week (Monday) | next month (the 1st) | end of week | end of month
+ *   +3d, -2w, 12h                  offsets in hours, days or weeks
+ *   in 3 days, 2 weeks ago         worded offsets in days, weeks or months
+ *
+ * Whole-day results are local calendar dates (YYYY-MM-DD); offsets and
+ * timestamps resolve to ISO instants.
+ */
+
+export const DATE_FORMATS_HELP =
+  'YYYY-MM-DD, today, tomorrow, friday, next friday, next week, end of month, +3d, -2w, 12h or "in 3 days"';
+
+const HOUR = 3600000;
+const OFFSET_UNITS = { h: HOUR, d: 24 * HOUR, w: 7 * 24 * HOUR };
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DAY_OFFSETS = { yesterday: -1, today: 0, tomorrow: 1 };
+
+/**
+ * Parse a date phrase
+ * @param {string} input - Date text
+ * @param {Object} options - Parse options
+ * @param {Date} options.now - Reference time for relative dates
+ * @param {boolean} options.past - Resolve a bare weekday name to the most recent
+ *   such day (today included) instead of the coming one, as for range starts
+ * @returns {{value: string, day: boolean, unit?: string}|null} Resolved date
+ *   (`day` is true for calendar dates, `unit` is set for offsets), or null if
+ *   the input is not a recognised date
+ */
+export function parseDate(input, options = {}) {
+  const now = options.now || new Date();
+  const text = String(input || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+
+  if (!text) {
+    return null;
+  }
+
+  if (text === 'now') {
+    return { value: now.toISOString(), day: false };
+  }
+
+  if (text in DAY_OFFSETS) {
+    return calendarDay(now, DAY_OFFSETS[text]);
+  }
+
+  const weekday = /^(?:(this|next) )?([a-z]+)$/.exec(text);
+  const dayIndex = weekday ? DAY_NAMES.findIndex(name => matchesDayName(weekday[2], name)) : -1;
+  if (dayIndex >= 0) {
+    if (options.past && !weekday[1]) {
+      return calendarDay(now, -((now.getDay() - dayIndex + 7) % 7));
+    }
+    // "friday" and "next friday" are the coming Friday; "this friday" may be today
+    const ahead = (dayIndex - now.getDay() + 7) % 7;
+    return calendarDay(now, ahead === 0 && weekday[1] !== 'this' ? 7 : ahead);
+  }
+
+  if (text === 'next week') {
+    return calendarDay(now, (8 - now.getDay()) % 7 || 7);
+  }
+
+  if (text === 'end of week' || text === 'eow') {
+    return calendarDay(now, (7 - now.getDay()) % 7);
+  }
+
+  if (text === 'next month') {
+    return formatDay(new Date(now.getFullYear(), now.getMonth() + 1, 1));
+  }
+
+  if (text === 'end of month' || text === 'eom') {
+    return formatDay(new Date(now.getFullYear(), now.getMonth() + 1, 0));
+  }
+
+  const offset = /^([+-]?\d+)([hdw])$/.exec(text);
+  if (offset) {
+    const time = now.getTime() + parseInt(offset[1]) * OFFSET_UNITS[offset[2]];
+    return { value: new Date(time).toISOString(), day: false, unit: offset[2] };
+  }
+
+  const worded =
+    /^in (\d+) (hour|day|week|month)s?$/.exec(text) ||
+    /^(\d+) (hour|day|week|month)s? ago$/.exec(text);
+  if (worded) {
+    const amount = parseInt(worded[1]) * (text.startsWith('in ') ? 1 : -1);
+    const unit = worded[2][0];
+    if (unit === 'm') {
+      const date = new Date(now.getTime());
+      date.setMonth(date.getMonth() + amount);
+      return { value: date.toISOString(), day: false, unit };
+    }
+    const time = now.getTime() + amount * OFFSET_UNITS[unit];
+    return { value: new Date(time).toISOString(), day: false, unit };
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text) && !isNaN(Date.parse(text))) {
+    return { value: text, day: true };
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}[t ]\d{2}:\d{2}/.test(text) && !isNaN(Date.parse(input.trim()))) {
+    return { value: new Date(input.trim()).toISOString(), day: false };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a due date. Phrases measured in days or longer give a calendar date;
+ * hour offsets and explicit times keep the time.
+ * @param {string} input - Date text
+ * @param {Object} options - Parse options (see parseDate)
+ * @returns {string} Due date (YYYY-MM-DD or ISO timestamp)
+ * @throws {ValidationError} If the input is not a recognised date
+ */
+export function parseDueDate(input, options = {}) {
+  const parsed = parseDate(input, options);
+  if (!parsed) {
+    throw new ValidationError(
+      `Invalid due date: ${input}. Use ${DATE_FORMATS_HELP}`,
+      'due_date',
+      input
+    );
+  }
+
+  if (!parsed.day && parsed.unit && parsed.unit !== 'h') {
+    return formatLocalDate(new Date(parsed.value));
+  }
+
+  return parsed.value;
+}
+
+/**
+ * Resolve an age such as 30d, 2w or 12h to the time that long ago
+ * @param {string} age - Age text
+ * @param {Object} options - Parse options (see parseDate)
+ * @returns {string} ISO timestamp
+ * @throws {ValidationError} If the age is not a number of hours, days or weeks
+ */
+export function parseAge(age, options = {}) {
+  const text = String(age || '')
+    .trim()
+    .toLowerCase();
+  if (!/^\d+[hdw]$/.test(text)) {
+    throw new ValidationError(
+      `Invalid age: ${age}. Use a number of hours, days or weeks (e.g. 30d, 2w, 12h)`,
+      'age',
+      age
+    );
+  }
+
+  return parseDate(`-${text}`, options).value;
+}
+
+/**
+ * Format a date as a local YYYY-MM-DD calendar date
+ * @param {Date} date - Date to format
+ * @returns {string} Calendar date
+ */
+export function formatLocalDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Check whether a day name or abbreviation (fri, thurs) refers to a weekday
+ * @param {string} word - Word from the input
+ * @param {string} name - Full day name
+ * @returns {boolean}
+ */
+function matchesDayName(word, name) {
+  return word.length >= 3 && name.startsWith(word);
+}
+
+/**
+ * Local calendar date a number of days from now
+ * @param {Date} now - Reference time
+ * @param {number} days - Days to add
+ * @returns {{value: string, day: boolean}}
+ */
+function calendarDay(now, days) {
+  return formatDay(new Date(now.getFullYear(), now.getMonth(), now.getDate() + days));
+}
+
+/**
+ * Wrap a date as a whole-day parse result
+ * @param {Date} date - Date
+ * @returns {{value: string, day: boolean}}
+ */
+function formatDay(date) {
+  return { value: formatLocalDate(date), day: true };
+}
@@ -0,0 +1,234 @@
+/**
+ * Line diffs for file edits: unified diffs to preview a change, and parsing
+ * and applying the hunks of a unified diff.
+ *
+ * Hunks are applied like patch(1) without fuzz: the removed and context lines
+ * must match exactly, but a hunk may sit at a different line than its header
+ * says (the match closest to that line wins).
+ */
+
+// Unchanged lines shown around each change
+const CONTEXT_LINES = 3;
+
+// Larger changed regions (old lines × new lines) are shown as all removed, then all added
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Split text into lines, without the empty line after a final newline
+ * @param {string} text - Text
+ * @returns {Array<string>} Lines
+ */
+export function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Diff two lists of lines
+ * @param {Array<string>} oldLines - Lines before
+ * @param {Array<string>} newLines - Lines after
+ * @returns {Array<{type: string, line: string}>} Operations: ' ' kept, '-' removed, '+' added
+ */
+export function diffLines(oldLines, newLines) {
+  let start = 0;
+  while (
+    start < oldLines.length &&
+    start < newLines.length &&
+    oldLines[start] === newLines[start]
+  ) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const kept = lines => lines.map(line => ({ type: ' ', line }));
+  return [
+    ...kept(oldLines.slice(0, start)),
+    ...diffMiddle(oldLines.slice(start, oldEnd), newLines.slice(start, newEnd)),
+    ...kept(oldLines.slice(oldEnd)),
+  ];
+}
+
+// Longest common subsequence of the changed region
+function diffMiddle(a, b) {
+  const removed = a.map(line => ({ type: '-', line }));
+  const added = b.map(line => ({ type: '+', line }));
+  if (a.length === 0 || b.length === 0 || a.length * b.length > MAX_DIFF_CELLS) {
+    return [...removed, ...added];
+  }
+
+  // lengths[i * width + j]: LCS length of a[i..] and b[j..]
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] =
+        a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      operations.push({ type: ' ', line: a[i++] });
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      operations.push(removed[i++]);
+    } else {
+      operations.push(added[j++]);
+    }
+  }
+  return [...operations, ...removed.slice(i), ...added.slice(j)];
+}
+
+/**
+ * Unified diff between two versions of a file
+ * @param {string} oldText - Content before
+ * @param {string} newText - Content after
+ * @param {Object} options - Diff options
+ * @param {string} options.path - File name for the --- and +++ headers
+ * @param {number} options.context - Unchanged lines around each change
+ * @returns {string} Diff, or an empty string if nothing changed
+ */
+export function createUnifiedDiff(oldText, newText, options = {}) {
+  const context = options.context ?? CONTEXT_LINES;
+  const path = options.path || 'file';
+  const operations = diffLines(splitLines(oldText), splitLines(newText));
+
+  // Group changes whose context overlaps into hunks
+  const hunks = [];
+  operations.forEach((operation, index) => {
+    if (operation.type === ' ') {
+      return;
+    }
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2) {
+      last.end = index + 1;
+    } else {
+      hunks.push({ start: index, end: index + 1 });
+    }
+  });
+  if (hunks.length === 0) {
+    return '';
+  }
+
+  const lines = [`--- a/${path}`, `+++ b/${path}`];
+  for (const hunk of hunks) {
+    const from = Math.max(hunk.start - context, 0);
+    const to = Math.min(hunk.end + context, operations.length);
+    const before = operations.slice(0, from);
+    const body = operations.slice(from, to);
+
+    const oldStart = before.filter(operation => operation.type !== '+').length;
+    const newStart = before.filter(operation => operation.type !== '-').length;
+    const oldCount = body.filter(operation => operation.type !== '+').length;
+    const newCount = body.filter(operation => operation.type !== '-').length;
+
+    // An empty side is numbered by the line before it
+    lines.push(
+      `@@ -${oldCount ? oldStart + 1 : oldStart},${oldCount} ` +
+        `+${newCount ? newStart + 1 : newStart},${newCount} @@`
+    );
+    lines.push(...body.map(operation => `${operation.type}${operation.line}`));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Parse the hunks of a unified diff; file headers are ignored
+ * @param {string} patch - Unified diff with one or more @@ hunks
+ * @returns {Array<{header: string, oldStart: number, lines: Array<{type: string, line: string}>}>}
+ *   Hunks
+ * @throws {Error} If there are no hunks or a hunk line is malformed
+ */
+export function parseUnifiedDiff(patch) {
+  const hunks = [];
+  let hunk = null;
+
+  for (const line of splitLines(patch)) {
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      hunk = { header: header[0], oldStart: Number(header[1]), lines: [] };
+      hunks.push(hunk);
+    } else if (!hunk || line.startsWith('\\')) {
+      // File headers before the first hunk, "\ No newline at end of file"
+      continue;
+    } else if (line === '' || [' ', '-', '+'].includes(line[0])) {
+      // Some tools drop the space of empty context lines
+      hunk.lines.push({ type: line[0] || ' ', line: line.slice(1) });
+    } else {
+      throw new Error(`Invalid line in ${hunk.header}: ${line}`);
+    }
+  }
+
+  if (hunks.length === 0) {
+    throw new Error('Patch has no @@ hunks');
+  }
+  return hunks;
+}
+
+/**
+ * Apply unified-diff hunks to a text
+ * @param {string} text - Current content
+ * @param {Array<Object>} hunks - From parseUnifiedDiff()
+ * @returns {string} New content, keeping the text's line endings
+ * @throws {Error} If a hunk's context and removed lines are not found
+ */
+export function applyHunks(text, hunks) {
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const lines = splitLines(text);
+  let cursor = 0;
+  let shift = 0;
+
+  hunks.forEach((hunk, index) => {
+    const oldBlock = hunk.lines.filter(entry => entry.type !== '+').map(entry => entry.line);
+    const newBlock = hunk.lines.filter(entry => entry.type !== '-').map(entry => entry.line);
+
+    // An empty old side is numbered by the line before it
+    const expected = Math.max((oldBlock.length ? hunk.oldStart - 1 : hunk.oldStart) + shift, 0);
+    const position = findBlock(lines, oldBlock, expected, cursor);
+    if (position < 0) {
+      throw new Error(`Hunk ${index + 1} (${hunk.header}) does not match the file`);
+    }
+
+    lines.splice(position, oldBlock.length, ...newBlock);
+    shift += position - expected + newBlock.length - oldBlock.length;
+    cursor = position + newBlock.length;
+  });
+
+  // Keep a missing newline at the end of the file missing
+  const finalNewline = text === '' || text.endsWith('\n') ? eol : '';
+  return lines.length > 0 ? lines.join(eol) + finalNewline : '';
+}
+
+// Position of block at or after cursor, closest to the expected line; -1 if missing
+function findBlock(lines, block, expected, cursor) {
+  if (block.length === 0) {
+    return Math.min(Math.max(expected, cursor), lines.length);
+  }
+
+  let best = -1;
+  for (let position = cursor; position + block.length <= lines.length; position++) {
+    if (block.every((line, offset) => lines[position + offset] === line)) {
+      if (best < 0 || Math.abs(position - expected) < Math.abs(best - expected)) {
+        best = position;
+      }
+    }
+  }
+  return best;
+}
@@ -0,0 +1,27 @@
+/**
+ * Format a duration for display
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} e.g. "2h 05m", "12m", "40s"
+ */
+export function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+
+  if (hours > 0) {
+    return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  }
+  if (minutes > 0) {
+    return `${minutes}m`;
+  }
+  return `${total}s`;
+}
+
+/**
+ * Convert seconds to hours, rounded to two decimals (the unit of `estimate` and `actual`)
+ * @param {number} seconds - Duration in seconds
+ * @returns {number} Hours
+ */
+export function secondsToHours(seconds) {
+  return Math.round(((seconds || 0) / 3600) * 100) / 100;
+}
@@ -6,7 +6,7 @@ import { getDatabase } from '../db/database.js';
  * @param {string} b - Second string
  * @returns {number} Distance between strings
  */
-function levenshteinDistance(a, b) {
+export function levenshteinDistance(a, b) {
   const matrix = [];
 
   // If one string is empty, return length of the other
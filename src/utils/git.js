@@ -0,0 +1,166 @@
+import { execFileSync } from 'child_process';
+import { CLIError } from '../errors/index.js';
+
+const MAX_SLUG_LENGTH = 40;
+
+// Enough for the log of a large repository
+const MAX_OUTPUT = 256 * 1024 * 1024;
+
+// Separate fields and records in git log output
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+
+/**
+ * Run a git command
+ * @param {Array<string>} args - Git arguments
+ * @param {string} cwd - Working directory
+ * @returns {string} Trimmed standard output
+ * @throws {CLIError} If git is missing or the command fails
+ */
+export function git(args, cwd = process.cwd()) {
+  try {
+    return execFileSync('git', args, {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      maxBuffer: MAX_OUTPUT,
+    }).trim();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new CLIError('git is not installed', 'git', args);
+    }
+    const message = (error.stderr || error.message).toString().trim().split('\n')[0];
+    throw new CLIError(message.replace(/^(fatal|error): /, ''), 'git', args);
+  }
+}
+
+/**
+ * @param {string} cwd - Working directory
+ * @returns {boolean} Whether cwd is inside a git work tree
+ */
+export function isGitRepository(cwd = process.cwd()) {
+  try {
+    return git(['rev-parse', '--is-inside-work-tree'], cwd) === 'true';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @param {string} cwd - Working directory
+ * @returns {string|null} Checked-out branch, or null on a detached HEAD
+ */
+export function getCurrentBranch(cwd = process.cwd()) {
+  try {
+    return git(['symbolic-ref', '--short', '-q', 'HEAD'], cwd);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} branch - Branch name
+ * @param {string} cwd - Working directory
+ * @returns {boolean} Whether a local branch with this name exists
+ */
+export function branchExists(branch, cwd = process.cwd()) {
+  try {
+    git(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`], cwd);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check out a branch, creating it from HEAD if it does not exist
+ * @param {string} branch - Branch name
+ * @param {string} cwd - Working directory
+ * @returns {boolean} Whether the branch was created
+ */
+export function checkoutBranch(branch, cwd = process.cwd()) {
+  const created = !branchExists(branch, cwd);
+  git(created ? ['checkout', '-b', branch] : ['checkout', branch], cwd);
+  return created;
+}
+
+/**
+ * Read commits from the log, newest first
+ * @param {Object} options - Log options
+ * @param {boolean} options.all - Include every branch, not just HEAD
+ * @param {string} options.since - Only commits after this date (anything git accepts)
+ * @param {number} options.limit - Read at most this many commits
+ * @param {string} cwd - Working directory
+ * @returns {Array<{sha: string, author: string, date: string, subject: string, body: string}>}
+ *   Commits
+ */
+export function readCommits(options = {}, cwd = process.cwd()) {
+  const args = ['log', `--format=%H${FIELD}%an${FIELD}%aI${FIELD}%s${FIELD}%b${RECORD}`];
+  if (options.all) {
+    args.push('--all');
+  }
+  if (options.since) {
+    args.push(`--since=${options.since}`);
+  }
+  if (options.limit) {
+    args.push(`--max-count=${options.limit}`);
+  }
+
+  return git(args, cwd)
+    .split(RECORD)
+    .map(record => record.trim())
+    .filter(Boolean)
+    .map(record => {
+      const [sha, author, date, subject, body = ''] = record.split(FIELD);
+      return { sha, author, date, subject, body: body.trim() };
+    });
+}
+
+/**
+ * Web address of a GitHub origin remote, used to link commits and pull requests
+ * @param {string} cwd - Working directory
+ * @returns {string|null} e.g. https://github.com/owner/repo, or null for other hosts
+ */
+export function getGitHubUrl(cwd = process.cwd()) {
+  let remote;
+  try {
+    remote = git(['remote', 'get-url', 'origin'], cwd);
+  } catch {
+    return null;
+  }
+  const match = remote.match(/github\.com[:/]([^/]+)\/(.+?)(?:\.git)?\/?$/);
+  return match ? `https://github.com/${match[1]}/${match[2]}` : null;
+}
+
+/**
+ * Branch name for a task: its lowercased ID followed by a slug of its name
+ * @param {Object} task - Task
+ * @returns {string} Branch name, e.g. task-001-fix-login-bug
+ */
+export function branchNameForTask(task) {
+  let slug = task.name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  // Shorten at a word boundary
+  if (slug.length > MAX_SLUG_LENGTH) {
+    const cut = slug.slice(0, MAX_SLUG_LENGTH + 1);
+    slug = cut.includes('-') ? cut.slice(0, cut.lastIndexOf('-')) : cut.slice(0, -1);
+  }
+
+  const id = task.id.toLowerCase();
+  return slug ? `${id}-${slug}` : id;
+}
+
+/**
+ * Find a task ID in a branch name such as task-001-fix-login or feature/TASK-001.2
+ * @param {string} branch - Branch name
+ * @returns {string|null} Task ID in canonical form, or null if there is none
+ */
+export function taskIdFromBranch(branch) {
+  const match = branch.match(/(?:^|[/_-])([a-z]+-\d+(?:\.\d+)*)(?=$|[/_-])/i);
+  return match ? match[1].toUpperCase() : null;
+}
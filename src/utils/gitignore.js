@@ -0,0 +1,133 @@
+/**
+ * .gitignore matching for tools that walk the working directory.
+ *
+ * Supports the usual syntax: comments, blank lines, ! to re-include, a
+ * trailing / for directories only, patterns with a / anchored to the
+ * directory of their .gitignore, and the *, ?, ** and [...] wildcards.
+ * Later rules win over earlier ones, so rules from nested .gitignore files
+ * are added after their parents'.
+ */
+
+/**
+ * Parse the contents of a .gitignore file
+ * @param {string} content - File contents
+ * @param {string} base - Directory of the file, relative to the walk root ('' for the root)
+ * @returns {Array<{regex: RegExp, negate: boolean, dirOnly: boolean, base: string}>} Rules
+ */
+export function parseGitignore(content, base = '') {
+  const rules = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const negate = line.startsWith('!');
+    if (negate) {
+      line = line.slice(1);
+    }
+    line = line.replace(/^\\([#!])/, '$1');
+
+    const dirOnly = line.endsWith('/');
+    line = line.replace(/\/+$/, '');
+
+    // A slash anywhere but the end anchors the pattern to the .gitignore's directory
+    const anchored = line.includes('/');
+    line = line.replace(/^\//, '');
+    if (!line) {
+      continue;
+    }
+
+    const body = globToRegex(line);
+    rules.push({
+      regex: new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`),
+      negate,
+      dirOnly,
+      base,
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Check a path against .gitignore rules
+ * @param {Array<Object>} rules - From parseGitignore(), parents first
+ * @param {string} path - Path relative to the walk root, with / separators
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean} True if the last matching rule ignores it
+ */
+export function isIgnored(rules, path, isDirectory = false) {
+  let ignored = false;
+
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) {
+      continue;
+    }
+    if (rule.base && !path.startsWith(`${rule.base}/`)) {
+      continue;
+    }
+    const relativePath = rule.base ? path.slice(rule.base.length + 1) : path;
+    if (rule.regex.test(relativePath)) {
+      ignored = !rule.negate;
+    }
+  }
+
+  return ignored;
+}
+
+/**
+ * Convert a glob to a regular expression source
+ * @param {string} glob - Pattern with *, ?, ** and [...]
+ * @returns {string} Regular expression source, without anchors
+ */
+export function globToRegex(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      const atStart = i === 0 || glob[i - 1] === '/';
+      const atEnd = i + 2 === glob.length;
+      if (atStart && glob[i + 2] === '/') {
+        // **/ matches zero or more directories
+        source += '(?:.*/)?';
+        i += 2;
+      } else if (atStart && atEnd) {
+        source += '.*';
+        i += 1;
+      } else {
+        source += '[^/]*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end < 0) {
+        source += '\\[';
+      } else {
+        const set = glob
+          .slice(i + 1, end)
+          .replace(/^!/, '^')
+          .replace(/\\/g, '\\\\');
+        source += `[${set}]`;
+        i = end;
+      }
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegex(glob[++i]);
+    } else {
+      source += escapeRegex(char);
+    }
+  }
+
+  return source;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
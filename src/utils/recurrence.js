@@ -0,0 +1,278 @@
+import { ValidationError } from '../errors/index.js';
+
+/**
+ * Recurrence rules for repeating tasks.
+ *
+ * Supported rules:
+ *   daily | weekly | monthly | yearly | weekdays
+ *   every <n> day(s)|week(s)|month(s)|year(s)     e.g. "every 2 weeks"
+ *   every <day>[,<day>...]                        e.g. "every mon,thu"
+ *   cron:<min> <hour> <day-of-month> <month> <day-of-week>   e.g. "cron:0 9 * * 1"
+ *
+ * All calculations use local time.
+ */
+
+const INTERVAL_ALIASES = {
+  daily: { unit: 'day', count: 1 },
+  weekly: { unit: 'week', count: 1 },
+  monthly: { unit: 'month', count: 1 },
+  yearly: { unit: 'year', count: 1 },
+};
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+// Longest length of each month (February in leap years)
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Stop looking for a cron match after this many days
+const MAX_CRON_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Parse a recurrence rule
+ * @param {string} rule - Rule text
+ * @returns {Object} Parsed rule ({type: 'interval'|'days'|'cron', ...})
+ * @throws {ValidationError} If the rule is not recognised
+ */
+export function parseRecurrence(rule) {
+  const text = String(rule || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+
+  if (INTERVAL_ALIASES[text]) {
+    return { type: 'interval', rule: text, ...INTERVAL_ALIASES[text] };
+  }
+
+  if (text === 'weekdays') {
+    return { type: 'days', rule: text, days: [1, 2, 3, 4, 5] };
+  }
+
+  const interval = /^every (\d+) (day|week|month|year)s?$/.exec(text);
+  if (interval && parseInt(interval[1]) > 0) {
+    return { type: 'interval', rule: text, unit: interval[2], count: parseInt(interval[1]) };
+  }
+
+  const days = /^every ([a-z, ]+)$/.exec(text);
+  if (days) {
+    const names = days[1].split(/[, ]+/).filter(Boolean);
+    const indexes = names.map(name => DAY_NAMES.indexOf(name.slice(0, 3)));
+    if (indexes.length > 0 && indexes.every(i => i >= 0)) {
+      return { type: 'days', rule: text, days: [...new Set(indexes)].sort() };
+    }
+  }
+
+  if (text.startsWith('cron:')) {
+    return { type: 'cron', rule: text, fields: parseCron(text.slice(5).trim(), rule) };
+  }
+
+  throw new ValidationError(
+    `Invalid recurrence rule: ${rule}. Use daily, weekly, monthly, yearly, weekdays, ` +
+      '"every 2 weeks", "every mon,thu" or "cron:0 9 * * 1"',
+    'recurrence',
+    rule
+  );
+}
+
+/**
+ * Calculate the next occurrence of a rule
+ * @param {string|Object} rule - Rule text or parsed rule
+ * @param {Date} from - Date of the current occurrence
+ * @param {Date} now - Occurrences at or before this time are skipped
+ * @returns {Date} Next occurrence
+ */
+export function nextOccurrence(rule, from, now = from) {
+  const parsed = typeof rule === 'string' ? parseRecurrence(rule) : rule;
+  let next = step(parsed, from);
+
+  // A late completion skips the occurrences that were missed
+  while (next <= now) {
+    next = step(parsed, next);
+  }
+
+  return next;
+}
+
+/**
+ * Describe a rule for display
+ * @param {string} rule - Rule text
+ * @returns {string} Human readable description
+ */
+export function describeRecurrence(rule) {
+  const parsed = parseRecurrence(rule);
+
+  switch (parsed.type) {
+    case 'interval':
+      return parsed.count === 1 ? `every ${parsed.unit}` : `every ${parsed.count} ${parsed.unit}s`;
+    case 'days':
+      return parsed.rule === 'weekdays'
+        ? 'every weekday'
+        : `every ${parsed.days.map(d => DAY_NAMES[d]).join(', ')}`;
+    default:
+      return `cron ${parsed.rule.slice(5).trim()}`;
+  }
+}
+
+/**
+ * Advance one occurrence
+ * @param {Object} parsed - Parsed rule
+ * @param {Date} from - Current occurrence
+ * @returns {Date} Following occurrence
+ */
+function step(parsed, from) {
+  const next = new Date(from.getTime());
+
+  switch (parsed.type) {
+    case 'interval':
+      if (parsed.unit === 'day' || parsed.unit === 'week') {
+        next.setDate(next.getDate() + parsed.count * (parsed.unit === 'week' ? 7 : 1));
+      } else {
+        addMonths(next, parsed.count * (parsed.unit === 'year' ? 12 : 1));
+      }
+      return next;
+
+    case 'days':
+      do {
+        next.setDate(next.getDate() + 1);
+      } while (!parsed.days.includes(next.getDay()));
+      return next;
+
+    default:
+      return nextCronMatch(parsed.fields, from);
+  }
+}
+
+/**
+ * Add months, clamping to the end of shorter months (Jan 31 + 1 month = Feb 28/29)
+ * @param {Date} date - Date to modify in place
+ * @param {number} months - Months to add
+ */
+function addMonths(date, months) {
+  const day = date.getDate();
+  date.setDate(1);
+  date.setMonth(date.getMonth() + months);
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  date.setDate(Math.min(day, lastDay));
+}
+
+/**
+ * Parse a cron expression, rejecting ones that can never match
+ * @param {string} expression - Cron fields
+ * @param {string} rule - Original rule, for error messages
+ * @returns {Array<Set<number>>} Allowed values per field
+ */
+function parseCron(expression, rule) {
+  const fields = parseCronFields(expression, rule);
+
+  // With any day of the week allowed, the days of the month must exist in one of the months
+  const [, , daysOfMonth, months, daysOfWeek] = fields;
+  const possible =
+    daysOfWeek.size < 7 ||
+    [...months].some(month => [...daysOfMonth].some(day => day <= DAYS_IN_MONTH[month - 1]));
+  if (!possible) {
+    throw new ValidationError(
+      `Invalid cron rule: ${rule}. It never matches (no such day in those months)`,
+      'recurrence',
+      rule
+    );
+  }
+
+  return fields;
+}
+
+/**
+ * Parse the five fields of a cron expression into allowed values
+ * @param {string} expression - Cron fields
+ * @param {string} rule - Original rule, for error messages
+ * @returns {Array<Set<number>>} Allowed values per field
+ */
+function parseCronFields(expression, rule) {
+  const parts = expression.split(' ');
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new ValidationError(
+      `Invalid cron rule: ${rule}. Expected 5 fields: minute hour day-of-month month day-of-week`,
+      'recurrence',
+      rule
+    );
+  }
+
+  return parts.map((part, index) => {
+    const { name, min, max } = CRON_FIELDS[index];
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+      const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(item);
+      const start = match?.[2] !== undefined ? parseInt(match[2]) : min;
+      const end = match?.[3] !== undefined ? parseInt(match[3]) : match?.[2] ? start : max;
+      const stepBy = match?.[4] !== undefined ? parseInt(match[4]) : 1;
+
+      if (!match || start < min || end > max || start > end || stepBy < 1) {
+        throw new ValidationError(
+          `Invalid cron rule: ${rule}. Bad ${name} field "${part}" (allowed ${min}-${max})`,
+          'recurrence',
+          rule
+        );
+      }
+
+      // "5/15" means every 15 starting at 5
+      const last = match[4] !== undefined && match[3] === undefined ? max : end;
+      for (let value = start; value <= last; value += stepBy) {
+        // Sunday can be written as 0 or 7
+        values.add(index === 4 && value === 7 ? 0 : value);
+      }
+    }
+
+    return values;
+  });
+}
+
+/**
+ * Find the first minute after `from` that matches a cron expression
+ * @param {Array<Set<number>>} fields - Parsed cron fields
+ * @param {Date} from - Start (exclusive)
+ * @returns {Date} Matching time
+ */
+function nextCronMatch(fields, from) {
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields;
+  const next = new Date(from.getTime());
+  next.setSeconds(0, 0);
+  next.setMinutes(next.getMinutes() + 1);
+
+  // Like cron, a day matches either field when both day fields are restricted
+  const eitherDay = daysOfMonth.size < 31 && daysOfWeek.size < 7;
+
+  for (let day = 0; day < MAX_CRON_SEARCH_DAYS; day++) {
+    const domMatches = daysOfMonth.has(next.getDate());
+    const dowMatches = daysOfWeek.has(next.getDay());
+    const dayMatches =
+      months.has(next.getMonth() + 1) &&
+      (eitherDay ? domMatches || dowMatches : domMatches && dowMatches);
+
+    if (dayMatches) {
+      for (let hour = next.getHours(); hour < 24; hour++) {
+        if (!hours.has(hour)) {
+          continue;
+        }
+        const startMinute = hour === next.getHours() ? next.getMinutes() : 0;
+        for (let minute = startMinute; minute < 60; minute++) {
+          if (minutes.has(minute)) {
+            next.setHours(hour, minute, 0, 0);
+            return next;
+          }
+        }
+      }
+    }
+
+    next.setDate(next.getDate() + 1);
+    next.setHours(0, 0, 0, 0);
+  }
+
+  throw new ValidationError('Cron rule never matches', 'recurrence', null);
+}
@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { EditFileTool } from '../../../src/ai/tools/filesystem/edit-file.js';
+import { WriteFileTool } from '../../../src/ai/tools/filesystem/write-file.js';
+import { ToolRegistry } from '../../../src/ai/tools/tool-registry.js';
+
+describe('EditFileTool', () => {
+  let workDir;
+  let tool;
+
+  const read = () => readFileSync(join(workDir, 'app.js'), 'utf8');
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'taskwerk-edit-'));
+    tool = new EditFileTool({ workDir });
+    writeFileSync(
+      join(workDir, 'app.js'),
+      'const port = 3000;\nconst host = "localhost";\n\nstart(port, host);\n'
+    );
+  });
+
+  afterEach(() => {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('replaces exact text', async () => {
+    const result = await tool.execute({
+      path: 'app.js',
+      edits: [
+        { old_text: '3000', new_text: '8080' },
+        { old_text: 'start(port, host);', new_text: 'start(port, host);\nlog("started");' },
+      ],
+    });
+
+    expect(result).toEqual({ path: 'app.js', lines_added: 2, lines_removed: 1 });
+    expect(read()).toBe(
+      'const port = 8080;\nconst host = "localhost";\n\nstart(port, host);\nlog("started");\n'
+    );
+  });
+
+  it('requires unique text unless replace_all is set', async () => {
+    await expect(
+      tool.execute({ path: 'app.js', edits: [{ old_text: 'const', new_text: 'let' }] })
+    ).rejects.toThrow('Edit 1: old_text found 2 times');
+
+    await tool.execute({
+      path: 'app.js',
+      edits: [{ old_text: 'const', new_text: 'let', replace_all: true }],
+    });
+    expect(read()).toContain('let port = 3000;\nlet host');
+  });
+
+  it('applies unified-diff hunks', async () => {
+    await tool.execute({
+      path: 'app.js',
+      patch: [
+        '--- a/app.js',
+        '+++ b/app.js',
+        '@@ -1,2 +1,2 @@',
+        '-const port = 3000;',
+        '+const port = Number(process.env.PORT);',
+        ' const host = "localhost";',
+      ].join('\n'),
+    });
+
+    expect(read()).toBe(
+      'const port = Number(process.env.PORT);\nconst host = "localhost";\n\nstart(port, host);\n'
+    );
+  });
+
+  it('writes nothing when any edit does not apply', async () => {
+    const before = read();
+
+    await expect(
+      tool.execute({
+        path: 'app.js',
+        edits: [
+          { old_text: '3000', new_text: '8080' },
+          { old_text: 'missing', new_text: 'x' },
+        ],
+      })
+    ).rejects.toThrow('Edit 2: old_text not found in file');
+    await expect(
+      tool.execute({ path: 'app.js', patch: '@@ -1,1 +1,1 @@\n-const port = 1;\n+x\n' })
+    ).rejects.toThrow('Hunk 1 (@@ -1,1 +1,1 @@) does not match the file');
+    expect(read()).toBe(before);
+  });
+
+  it('rejects missing files, paths outside the working directory and unclear requests', async () => {
+    const edits = [{ old_text: 'a', new_text: 'b' }];
+
+    await expect(tool.execute({ path: 'new.js', edits })).rejects.toThrow(
+      'File not found: new.js (use write_file to create files)'
+    );
+    await expect(tool.execute({ path: '../app.js', edits })).rejects.toThrow(
+      'Cannot edit files outside working directory'
+    );
+    await expect(tool.execute({ path: 'app.js' })).rejects.toThrow('Give either edits or patch');
+  });
+
+  it('previews the change as a unified diff', async () => {
+    const preview = await tool.preview({
+      path: 'app.js',
+      edits: [{ old_text: '3000', new_text: '8080' }],
+    });
+
+    expect(preview.diff).toContain('--- a/app.js\n+++ b/app.js\n@@ -1,4 +1,4 @@\n');
+    expect(preview.diff).toContain('-const port = 3000;\n+const port = 8080;\n');
+    expect(read()).toContain('3000');
+  });
+
+  describe('permission prompts', () => {
+    let registry;
+
+    beforeEach(() => {
+      registry = new ToolRegistry();
+      registry.register('edit_file', tool);
+      registry.register('write_file', new WriteFileTool({ workDir }));
+    });
+
+    it('pass the preview to the confirmation callback', async () => {
+      const confirmPermission = vi.fn().mockResolvedValue(true);
+      const params = { path: 'app.js', edits: [{ old_text: '3000', new_text: '8080' }] };
+
+      const result = await registry.execute('edit_file', params, {
+        mode: 'agent',
+        confirmPermission,
+      });
+
+      expect(result.success).toBe(true);
+      expect(confirmPermission).toHaveBeenCalledWith(
+        'edit_file',
+        'Edit file: app.js',
+        params,
+        expect.objectContaining({ path: 'app.js', diff: expect.stringContaining('+const port') })
+      );
+    });
+
+    it('do not ask about edits that cannot apply', async () => {
+      const confirmPermission = vi.fn();
+
+      const result = await registry.execute(
+        'edit_file',
+        { path: 'app.js', edits: [{ old_text: 'missing', new_text: 'x' }] },
+        { mode: 'agent', confirmPermission }
+      );
+
+      expect(result).toEqual({ success: false, error: 'Edit 1: old_text not found in file' });
+      expect(confirmPermission).not.toHaveBeenCalled();
+    });
+
+    it('show what write_file would change', async () => {
+      const preview = await new WriteFileTool({ workDir }).preview({
+        path: 'app.js',
+        content: 'start();\n',
+      });
+
+      expect(preview.diff).toContain('-const port = 3000;');
+      expect(preview.diff).toContain('+start();');
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync, symlinkSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { SearchCodeTool } from '../../../src/ai/tools/filesystem/search-code.js';
+import { ToolExecutor } from '../../../src/ai/tool-executor.js';
+
+describe('SearchCodeTool', () => {
+  let workDir;
+  let tool;
+
+  const write = (path, content) => {
+    mkdirSync(join(workDir, path, '..'), { recursive: true });
+    writeFileSync(join(workDir, path), content);
+  };
+  const files = result => [...new Set(result.matches.map(match => match.file))];
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'taskwerk-search-'));
+    tool = new SearchCodeTool({ workDir });
+
+    write('src/app.js', 'const token = load();\nexport function start() {\n  return token;\n}\n');
+    write('src/util.ts', 'export const TOKEN_NAME = "token";\n');
+    write('README.md', 'Set the token before starting.\n');
+  });
+
+  afterEach(() => {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('finds matching lines with their file and line number', async () => {
+    const result = await tool.execute({ pattern: 'return \\w+' });
+
+    expect(result).toMatchObject({ match_count: 1, files_searched: 3, truncated: false });
+    expect(result.matches).toEqual([{ file: 'src/app.js', line: 3, content: '  return token;' }]);
+  });
+
+  it('treats shell characters as part of the pattern', async () => {
+    write('notes.txt', 'a "quoted" $(value); `tick`\n');
+
+    const result = await tool.execute({ pattern: '"; rm -rf / #|\\$\\(value\\)' });
+    expect(result.matches).toEqual([
+      { file: 'notes.txt', line: 1, content: 'a "quoted" $(value); `tick`' },
+    ]);
+  });
+
+  it('searches case-insensitively on request', async () => {
+    expect(files(await tool.execute({ pattern: 'TOKEN' }))).toEqual(['src/util.ts']);
+    expect(files(await tool.execute({ pattern: 'TOKEN', case_sensitive: false }))).toEqual([
+      'README.md',
+      'src/app.js',
+      'src/util.ts',
+    ]);
+  });
+
+  it('filters files by name or path glob', async () => {
+    expect(files(await tool.execute({ pattern: 'token', file_pattern: '*.ts' }))).toEqual([
+      'src/util.ts',
+    ]);
+    expect(files(await tool.execute({ pattern: 'token', file_pattern: 'src/**/*.js' }))).toEqual([
+      'src/app.js',
+    ]);
+  });
+
+  it('adds context lines around matches', async () => {
+    const result = await tool.execute({ pattern: 'export function', context_lines: 1 });
+
+    expect(result.matches[0]).toEqual({
+      file: 'src/app.js',
+      line: 2,
+      content: 'export function start() {',
+      before: ['const token = load();'],
+      after: ['  return token;'],
+    });
+  });
+
+  it('limits the number of results', async () => {
+    write('many.txt', 'token\n'.repeat(10));
+
+    const result = await tool.execute({ pattern: 'token', path: 'many.txt', max_results: 3 });
+    expect(result.match_count).toBe(3);
+    expect(result.truncated).toBe(true);
+  });
+
+  it('follows .gitignore files, including nested ones and negations', async () => {
+    write('.gitignore', 'dist/\n*.log\n!keep.log\n');
+    write('dist/bundle.js', 'token\n');
+    write('debug.log', 'token\n');
+    write('keep.log', 'token\n');
+    write('src/.gitignore', 'generated.js\n');
+    write('src/generated.js', 'token\n');
+    write('node_modules/lib/index.js', 'token\n');
+
+    expect(files(await tool.execute({ pattern: 'token' }))).toEqual([
+      'keep.log',
+      'README.md',
+      'src/app.js',
+      'src/util.ts',
+    ]);
+    expect(files(await tool.execute({ pattern: 'token', path: 'src' }))).toEqual([
+      'src/app.js',
+      'src/util.ts',
+    ]);
+  });
+
+  it('skips binary files', async () => {
+    writeFileSync(join(workDir, 'image.bin'), Buffer.from([0x74, 0x6f, 0x6b, 0x65, 0x6e, 0x00]));
+
+    expect(files(await tool.execute({ pattern: 'token' }))).not.toContain('image.bin');
+  });
+
+  it('refuses paths outside the working directory', async () => {
+    await expect(tool.execute({ pattern: 'x', path: '../' })).rejects.toThrow(
+      'Cannot search outside working directory'
+    );
+
+    const outside = mkdtempSync(join(tmpdir(), 'taskwerk-outside-'));
+    try {
+      writeFileSync(join(outside, 'secret.txt'), 'token\n');
+      symlinkSync(outside, join(workDir, 'linked'));
+
+      await expect(tool.execute({ pattern: 'token', path: 'linked' })).rejects.toThrow(
+        'Cannot search outside working directory'
+      );
+      expect(files(await tool.execute({ pattern: 'token' }))).not.toContain('linked/secret.txt');
+    } finally {
+      rmSync(outside, { recursive: true, force: true });
+    }
+  });
+
+  it('reports invalid patterns and missing paths', async () => {
+    await expect(tool.execute({ pattern: '(' })).rejects.toThrow('Invalid pattern');
+    await expect(tool.execute({ pattern: 'x', path: 'missing' })).rejects.toThrow(
+      'Path not found: missing'
+    );
+  });
+
+  it('is available without confirmation in ask and agent modes', () => {
+    for (const mode of ['ask', 'agent']) {
+      const executor = new ToolExecutor({ mode, workDir });
+      expect(executor.getToolSpecs().map(spec => spec.function.name)).toContain('search_code');
+    }
+    expect(tool.requiresPermission({ pattern: 'x' })).toBe(false);
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { setupCommandTest } from '../../helpers/command-test-helper.js';
+import { TaskwerkAPI } from '../../../src/api/taskwerk-api.js';
+import { ToolExecutor } from '../../../src/ai/tool-executor.js';
+import { DeleteTaskTool } from '../../../src/ai/tools/taskwerk/delete-task.js';
+import { TagTaskTool } from '../../../src/ai/tools/taskwerk/tag-task.js';
+import { UpdateTaskTool } from '../../../src/ai/tools/taskwerk/update-task.js';
+import { SplitTaskTool } from '../../../src/ai/tools/taskwerk/split-task.js';
+
+describe('taskwerk tools', () => {
+  let testSetup;
+  let api;
+
+  const toolNames = mode =>
+    new ToolExecutor({ mode }).getToolSpecs().map(spec => spec.function.name);
+
+  beforeEach(async () => {
+    testSetup = setupCommandTest(true);
+    api = new TaskwerkAPI();
+    await api.createTask({ name: 'Write docs', priority: 'high', estimate: 4 });
+    await api.createTask({ name: 'Review docs', parent_id: 'TASK-001' });
+    await api.addTaskTags('TASK-001', ['docs']);
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('gives the agent the full task tool set, and delete only outside ask mode', () => {
+    const taskTools = [
+      'list_tasks',
+      'search_tasks',
+      'show_task',
+      'add_task',
+      'update_task',
+      'add_note',
+      'tag_task',
+      'split_task',
+      'add_dependency',
+      'remove_dependency',
+    ];
+
+    expect(toolNames('ask')).toEqual(expect.arrayContaining(taskTools));
+    expect(toolNames('ask')).not.toContain('delete_task');
+    expect(toolNames('agent')).toEqual(expect.arrayContaining([...taskTools, 'delete_task']));
+  });
+
+  describe('delete_task', () => {
+    it('moves a task and its subtasks to the trash', async () => {
+      const result = await new DeleteTaskTool().execute({ id: '1' });
+
+      expect(result).toEqual({
+        id: 'TASK-001',
+        name: 'Write docs',
+        deleted: true,
+        permanent: false,
+        subtasks_deleted: 1,
+      });
+      expect(api.listTrash().map(task => task.id)).toEqual(
+        expect.arrayContaining(['TASK-001', 'TASK-001.1'])
+      );
+    });
+
+    it('deletes permanently on request', async () => {
+      await new DeleteTaskTool().execute({ id: 'TASK-001', permanent: true });
+
+      expect(() => api.getTask('TASK-001', { include_deleted: true })).toThrow();
+    });
+
+    it('always asks for permission', () => {
+      const tool = new DeleteTaskTool();
+
+      expect(tool.requiresPermission({ id: 'TASK-001' })).toBe(
+        'Move task TASK-001 and its subtasks to the trash'
+      );
+      expect(tool.requiresPermission({ id: 'TASK-001', permanent: true })).toBe(
+        'Permanently delete task TASK-001 and its subtasks (cannot be restored)'
+      );
+    });
+
+    it('leaves the task alone when the user declines', async () => {
+      const confirmPermission = vi.fn().mockResolvedValue(false);
+      const executor = new ToolExecutor({ mode: 'agent', confirmPermission });
+
+      const [result] = await executor.executeTools([
+        { id: 'call-1', function: { name: 'delete_task', arguments: '{"id":"TASK-001"}' } },
+      ]);
+
+      expect(JSON.parse(result.content)).toEqual({
+        success: false,
+        error: 'Permission denied by user',
+      });
+      expect(api.getTask('TASK-001').deleted_at).toBeNull();
+    });
+  });
+
+  describe('update_task', () => {
+    it('only changes the fields it declares', async () => {
+      await new UpdateTaskTool().execute({
+        'id': '1',
+        'priority': 'low',
+        'name = (SELECT group_concat(name) FROM tasks), priority': 'low',
+        'estimate': 1,
+      });
+
+      expect(api.getTask('TASK-001')).toMatchObject({
+        name: 'Write docs',
+        priority: 'low',
+        estimate: 4,
+      });
+    });
+  });
+
+  describe('tag_task', () => {
+    it('adds and removes tags', async () => {
+      const tool = new TagTaskTool();
+
+      const result = await tool.execute({ id: '1', add: ['api', 'v2'], remove: ['docs'] });
+
+      expect(result).toEqual({ id: 'TASK-001', tags: ['api', 'v2'] });
+      expect(tool.requiresPermission({ id: '1', add: ['api'], remove: ['docs'] })).toBe(
+        'Change tags of task 1: +api -docs'
+      );
+    });
+
+    it('needs tags to change', async () => {
+      await expect(new TagTaskTool().execute({ id: '1' })).rejects.toThrow(
+        'Give tags to add or remove'
+      );
+    });
+  });
+
+  describe('split_task', () => {
+    it('creates subtasks and reports them', async () => {
+      const tool = new SplitTaskTool();
+
+      const result = await tool.execute({
+        id: 'TASK-001',
+        names: ['Outline', 'Draft'],
+        divide_estimate: true,
+      });
+
+      expect(result).toEqual({
+        id: 'TASK-001',
+        status: 'in-progress',
+        subtasks: [
+          { id: 'TASK-001.2', name: 'Outline' },
+          { id: 'TASK-001.3', name: 'Draft' },
+        ],
+        tags: ['docs'],
+        estimate_per_subtask: 2,
+      });
+      expect(tool.requiresPermission({ id: 'TASK-001', names: ['Outline', 'Draft'] })).toBe(
+        'Split task TASK-001 into 2 subtasks: Outline, Draft'
+      );
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { parseFilterExpression } from '../../src/api/filter-expression.js';
+import { createTestDatabase } from '../helpers/database-test-helper.js';
+import { TaskwerkAPI } from '../../src/api/taskwerk-api.js';
+
+describe('Filter expressions', () => {
+  const now = new Date('2025-03-10T12:00:00.000Z');
+
+  describe('parseFilterExpression', () => {
+    it('should parse equality terms', () => {
+      const [clause] = parseFilterExpression('status:todo');
+
+      expect(clause).toMatchObject({ field: 'status', negated: false });
+      expect(clause.sql).toBe('tasks.status = ?');
+      expect(clause.values).toEqual(['todo']);
+    });
+
+    it('should resolve aliases and value lists', () => {
+      const [clause] = parseFilterExpression('s:todo,blocked');
+
+      expect(clause.sql).toBe('tasks.status IN (?, ?)');
+      expect(clause.values).toEqual(['todo', 'blocked']);
+    });
+
+    it('should expand priority comparisons', () => {
+      expect(parseFilterExpression('priority>=high')[0].values).toEqual(['high', 'critical']);
+      expect(parseFilterExpression('priority<medium')[0].values).toEqual(['low']);
+    });
+
+    it('should negate terms and keep empty fields', () => {
+      const [clause] = parseFilterExpression('-assignee:@bob');
+
+      expect(clause.negated).toBe(true);
+      expect(clause.sql).toBe('NOT COALESCE(tasks.assignee = ?, 0)');
+    });
+
+    it('should resolve @me to the current user', () => {
+      const [clause] = parseFilterExpression('assignee:@me,@bob');
+      expect(clause.sql).toBe('tasks.assignee IN (?, ?, ?)');
+      expect(clause.values).toEqual(['user', '@user', '@bob']);
+
+      expect(parseFilterExpression('a:@Me', { user: 'alice' })[0].values).toEqual([
+        'alice',
+        '@alice',
+      ]);
+    });
+
+    it('should treat != like a negated term', () => {
+      expect(parseFilterExpression('status!=done')[0].negated).toBe(true);
+      expect(parseFilterExpression('-status!=done')[0].negated).toBe(false);
+    });
+
+    it('should match empty fields with none', () => {
+      expect(parseFilterExpression('assignee:none')[0].sql).toBe('tasks.assignee IS NULL');
+      expect(parseFilterExpression('tag:none')[0].sql).toBe(
+        'tasks.id NOT IN (SELECT task_id FROM task_tags)'
+      );
+    });
+
+    it('should resolve relative and calendar dates', () => {
+      const [relative] = parseFilterExpression('due<7d', { now });
+      expect(relative.sql).toBe('datetime(tasks.due_date) < datetime(?)');
+      expect(relative.values).toEqual(['2025-03-17T12:00:00.000Z']);
+
+      const [past] = parseFilterExpression('created>-2w', { now });
+      expect(past.values).toEqual(['2025-02-24T12:00:00.000Z']);
+
+      const [day] = parseFilterExpression('due:tomorrow', { now });
+      expect(day.sql).toBe('date(tasks.due_date) = date(?)');
+      expect(day.values).toEqual(['2025-03-11']);
+    });
+
+    it('should turn bare words into full-text search terms', () => {
+      const [word, phrase] = parseFilterExpression('login "page layout"');
+
+      expect(word.sql).toContain('task_search MATCH ?');
+      expect(word.values).toEqual(['"login"']);
+      expect(phrase.values).toEqual(['"page layout"']);
+    });
+
+    it('should keep quoted values together', () => {
+      const [clause] = parseFilterExpression('name:"login page"');
+      expect(clause.values).toEqual(['%login page%']);
+    });
+
+    describe('errors', () => {
+      const errorFor = expression => {
+        try {
+          parseFilterExpression(expression, { now });
+        } catch (error) {
+          return error;
+        }
+        throw new Error(`Expected "${expression}" to fail`);
+      };
+
+      it('should suggest fields for typos', () => {
+        const error = errorFor('status:todo stauts:done');
+
+        expect(error.code).toBe('INVALID_QUERY');
+        expect(error.message).toContain('Unknown field "stauts" (did you mean "status"?)');
+        expect(error.details.position).toBe(12);
+        expect(error.message).toContain('\n  status:todo stauts:done\n              ^');
+      });
+
+      it('should reject invalid values', () => {
+        expect(errorFor('priority:urgent').message).toContain(
+          'Invalid priority "urgent". Expected one of: low, medium, high, critical'
+        );
+        expect(errorFor('due<soon').message).toContain('Invalid date "soon"');
+        expect(errorFor('progress>half').message).toContain('Invalid number "half"');
+      });
+
+      it('should reject unsupported operators', () => {
+        expect(errorFor('status>todo').message).toContain(
+          'Operator ">" is not supported for status'
+        );
+      });
+
+      it('should reject missing values and unterminated quotes', () => {
+        expect(errorFor('status:').message).toContain('Missing value for "status"');
+        expect(errorFor('name:"login').message).toContain('Unterminated quote at position 6');
+      });
+    });
+  });
+
+  describe('TaskwerkAPI.queryTasks', () => {
+    let testSetup;
+    let api;
+
+    beforeEach(async () => {
+      testSetup = createTestDatabase();
+      api = new TaskwerkAPI(testSetup.database);
+
+      const backend = await api.createTask({
+        name: 'Fix login API',
+        priority: 'high',
+        assignee: '@alice',
+        due_date: new Date(Date.now() + 2 * 86400000).toISOString(),
+      });
+      await api.addTaskTags(backend.id, ['backend']);
+      await api.createTask({ name: 'Write docs', priority: 'low', assignee: '@bob' });
+      await api.createTask({ name: 'Critical outage', priority: 'critical', status: 'blocked' });
+    });
+
+    afterEach(() => {
+      testSetup.cleanup();
+    });
+
+    const names = tasks => tasks.map(t => t.name).sort();
+
+    it('should combine terms with AND', () => {
+      expect(names(api.queryTasks('priority>=high status:todo'))).toEqual(['Fix login API']);
+      expect(names(api.queryTasks('tag:backend due<7d'))).toEqual(['Fix login API']);
+    });
+
+    it('should include unassigned tasks when excluding an assignee', () => {
+      expect(names(api.queryTasks('-assignee:@bob'))).toEqual(['Critical outage', 'Fix login API']);
+    });
+
+    it('should match tasks assigned to the CLI user with @me', async () => {
+      await api.createTask({ name: 'Plan sprint', assignee: 'user' });
+      await api.createTask({ name: 'Triage bugs', assignee: '@user', status: 'in-progress' });
+
+      expect(names(api.queryTasks('assignee:@me'))).toEqual(['Plan sprint', 'Triage bugs']);
+      expect(names(api.queryTasks('assignee:@me status:in-progress'))).toEqual(['Triage bugs']);
+    });
+
+    it('should match bare words through the search index', () => {
+      expect(names(api.queryTasks('login'))).toEqual(['Fix login API']);
+      expect(names(api.queryTasks('-login -docs'))).toEqual(['Critical outage']);
+    });
+
+    it('should apply extra options alongside the expression', () => {
+      expect(names(api.queryTasks('priority>=low', { status: 'blocked' }))).toEqual([
+        'Critical outage',
+      ]);
+    });
+  });
+});
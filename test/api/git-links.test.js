@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { commitLinks, findCommitReferences } from '../../src/api/git-links.js';
+
+const commit = (subject, body = '') => ({
+  sha: 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678',
+  author: 'Alice',
+  date: '2024-05-01T10:00:00+02:00',
+  subject,
+  body,
+});
+
+describe('Git links', () => {
+  describe('findCommitReferences', () => {
+    it('should find task IDs in the subject and body', () => {
+      const refs = findCommitReferences(
+        commit('[TASK-001] Fix login', 'Also touches TASK-002.1 and UTF-8 handling')
+      );
+
+      expect(refs.taskIds).toEqual(['TASK-001', 'TASK-002.1', 'UTF-8']);
+      expect(refs.closes).toEqual([]);
+      expect(refs.pullRequest).toBeNull();
+    });
+
+    it('should find tasks closed by keywords', () => {
+      const refs = findCommitReferences(
+        commit('Fixes TASK-001', 'closes: TASK-002\nresolved task-003\nRelated to TASK-004')
+      );
+
+      expect(refs.closes).toEqual(['TASK-001', 'TASK-002', 'TASK-003']);
+      expect(refs.taskIds).toContain('TASK-004');
+      expect(refs.taskIds).toContain('TASK-003');
+    });
+
+    it('should find pull requests and the task named by the merged branch', () => {
+      const merge = findCommitReferences(
+        commit('Merge pull request #12 from alice/task-005-signup', 'Add signup')
+      );
+      expect(merge.pullRequest).toBe(12);
+      expect(merge.taskIds).toEqual(['TASK-005']);
+
+      const squash = findCommitReferences(commit('TASK-006 Add logout (#34)'));
+      expect(squash.pullRequest).toBe(34);
+      expect(squash.taskIds).toEqual(['TASK-006']);
+    });
+  });
+
+  describe('commitLinks', () => {
+    it('should link the commit and its pull request', () => {
+      const links = commitLinks(commit('Add logout (#34)'), 34, 'https://github.com/acme/app');
+
+      expect(links).toEqual([
+        {
+          type: 'commit',
+          ref: 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678',
+          title: 'Add logout (#34)',
+          author: 'Alice',
+          url: 'https://github.com/acme/app/commit/a1b2c3d4e5f60718293a4b5c6d7e8f9012345678',
+          linked_at: '2024-05-01T10:00:00+02:00',
+        },
+        {
+          type: 'pull_request',
+          ref: '#34',
+          title: 'Add logout (#34)',
+          author: 'Alice',
+          url: 'https://github.com/acme/app/pull/34',
+          linked_at: '2024-05-01T10:00:00+02:00',
+        },
+      ]);
+      expect(commitLinks(commit('Add logout'), null)[0].url).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createSnapshot,
+  formatTaskList,
+  parseTaskList,
+  planSync,
+} from '../../src/api/markdown-sync.js';
+
+describe('Markdown sync', () => {
+  const task = (id, name, fields = {}) => ({
+    id,
+    name,
+    status: 'todo',
+    priority: 'medium',
+    parent_id: null,
+    ...fields,
+  });
+
+  const tasks = [
+    task('TASK-001', 'Ship release', { priority: 'high' }),
+    task('TASK-002', 'Docs', { status: 'completed' }),
+    task('TASK-001.1', 'Write changelog', { parent_id: 'TASK-001', status: 'in-progress' }),
+  ];
+
+  it('should write a nested checklist', () => {
+    const lines = formatTaskList(tasks).split('\n');
+
+    expect(lines.slice(-4)).toEqual([
+      '- [ ] TASK-001: Ship release !high',
+      '  - [~] TASK-001.1: Write changelog',
+      '- [x] TASK-002: Docs',
+      '',
+    ]);
+  });
+
+  it('should read back what it writes', () => {
+    const items = parseTaskList(formatTaskList(tasks));
+
+    expect(items).toEqual([
+      { id: 'TASK-001', name: 'Ship release', status: 'todo', priority: 'high', parent: null },
+      {
+        id: 'TASK-001.1',
+        name: 'Write changelog',
+        status: 'in-progress',
+        priority: 'medium',
+        parent: 0,
+      },
+      { id: 'TASK-002', name: 'Docs', status: 'done', priority: 'medium', parent: null },
+    ]);
+  });
+
+  it('should read new bullets, with or without a checkbox', () => {
+    const items = parseTaskList(`# Tasks
+- [ ] TASK-001: Ship release
+  - Draft announcement !critical
+    * [X] Pick a title
+- [?] Odd mark
+`);
+
+    expect(items.slice(1)).toEqual([
+      { id: null, name: 'Draft announcement', status: 'todo', priority: 'critical', parent: 0 },
+      { id: null, name: 'Pick a title', status: 'done', priority: 'medium', parent: 1 },
+      { id: null, name: 'Odd mark', status: undefined, priority: 'medium', parent: null },
+    ]);
+  });
+
+  it('should apply file edits and keep database edits made since the last sync', () => {
+    const snapshot = createSnapshot(tasks);
+    const current = [
+      { ...tasks[0], priority: 'critical' }, // changed with twrk
+      tasks[1],
+      tasks[2],
+    ];
+    const items = parseTaskList(
+      formatTaskList(tasks)
+        .replace('[~] TASK-001.1', '[x] TASK-001.1')
+        .replace('Docs', 'Write the docs')
+    );
+
+    const plan = planSync(current, items, snapshot);
+
+    expect(plan.updates).toEqual([
+      { id: 'TASK-001.1', fields: { status: 'done' } },
+      { id: 'TASK-002', fields: { name: 'Write the docs' } },
+    ]);
+    expect(plan.conflicts).toEqual([]);
+  });
+
+  it('should keep the database value when both sides changed a field', () => {
+    const snapshot = createSnapshot(tasks);
+    const current = [{ ...tasks[0], priority: 'critical' }, tasks[1], tasks[2]];
+    const items = parseTaskList(
+      formatTaskList(tasks).replace('Ship release !high', 'Ship release !low')
+    );
+
+    const plan = planSync(current, items, snapshot);
+
+    expect(plan.updates).toEqual([]);
+    expect(plan.conflicts).toEqual([
+      { id: 'TASK-001', field: 'priority', file: 'low', database: 'critical' },
+    ]);
+  });
+
+  it('should plan new tasks and report IDs that are gone', () => {
+    const items = parseTaskList(`- [ ] TASK-001: Ship release !high
+  - [ ] New subtask
+- [ ] TASK-099: Gone
+- [ ] New root
+  - [ ] Its child
+`);
+
+    const plan = planSync(tasks, items, createSnapshot(tasks));
+
+    expect(plan.unknown).toEqual(['TASK-099']);
+    expect(plan.creations.map(c => [c.name, c.parent_id, c.parent_index])).toEqual([
+      ['New subtask', 'TASK-001', null],
+      ['New root', null, null],
+      ['Its child', null, 3],
+    ]);
+  });
+});
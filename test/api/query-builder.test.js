@@ -94,6 +94,26 @@ describe('QueryBuilder', () => {
       expect(values).toEqual(['todo', 'in-progress']);
     });
 
+    it('should add conditions from a filter expression', () => {
+      const { sql, values } = builder
+        .from('tasks')
+        .filter('status:todo priority>=high')
+        .buildQuery();
+
+      expect(sql).toBe('SELECT * FROM tasks WHERE tasks.status = ? AND tasks.priority IN (?, ?)');
+      expect(values).toEqual(['todo', 'high', 'critical']);
+    });
+
+    it('should handle NOT IN conditions', () => {
+      const { sql, values } = builder
+        .from('tasks')
+        .where('status', 'NOT IN', ['done', 'cancelled'])
+        .buildQuery();
+
+      expect(sql).toBe('SELECT * FROM tasks WHERE status NOT IN (?, ?)');
+      expect(values).toEqual(['done', 'cancelled']);
+    });
+
     it('should add ORDER BY', () => {
       const { sql } = builder.from('tasks').orderBy('created_at', 'DESC').buildQuery();
 
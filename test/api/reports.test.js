@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import {
+  burndown,
+  cycleTimes,
+  estimateAccuracy,
+  taskLifecycle,
+  throughput,
+} from '../../src/api/reports.js';
+
+// Local time on a day in May 2024 (the 6th is a Monday)
+const at = (day, hour = 12) => new Date(2024, 4, day, hour).toISOString();
+const range = { from: new Date(2024, 4, 6), to: new Date(2024, 4, 12) };
+
+const entry = (task, changes = [], tracked = 0) => ({
+  task: { priority: 'medium', assignee: null, estimate: null, ...task },
+  lifecycle: taskLifecycle(task, changes),
+  tracked,
+});
+
+describe('Reports', () => {
+  describe('taskLifecycle', () => {
+    it('should take start and finish times from status changes', () => {
+      const lifecycle = taskLifecycle({ status: 'done', created_at: at(1), updated_at: at(9) }, [
+        { timestamp: at(3), status: 'in-progress' },
+        { timestamp: at(4), status: 'blocked' },
+        { timestamp: at(5), status: 'in-progress' },
+        { timestamp: at(7), status: 'done' },
+      ]);
+
+      expect(lifecycle).toEqual({
+        created: new Date(at(1)),
+        started: new Date(at(3)),
+        closed: new Date(at(7)),
+        done: true,
+      });
+    });
+
+    it('should fall back to the task columns', () => {
+      const task = { status: 'cancelled', created_at: '2024-05-01 10:00:00', updated_at: at(8) };
+      expect(taskLifecycle(task)).toMatchObject({
+        created: new Date('2024-05-01T10:00:00Z'),
+        started: null,
+        closed: new Date(at(8)),
+        done: false,
+      });
+
+      const open = taskLifecycle({ status: 'in-progress', created_at: at(1), started_at: at(2) });
+      expect(open).toMatchObject({ started: new Date(at(2)), closed: null, done: false });
+    });
+  });
+
+  describe('burndown', () => {
+    it('should count open tasks at the end of each day', () => {
+      const lifecycles = [
+        taskLifecycle({ status: 'todo', created_at: at(7) }),
+        taskLifecycle({ status: 'done', created_at: at(7), completed_at: at(9) }),
+        taskLifecycle({ status: 'cancelled', created_at: at(1), completed_at: at(10) }),
+      ];
+
+      const points = burndown(lifecycles, range);
+
+      expect(points.map(point => point.remaining)).toEqual([1, 3, 3, 2, 1, 1, 1]);
+      expect(points[0]).toEqual({ date: '2024-05-06', remaining: 1, ideal: 1 });
+      expect(points[6].ideal).toBe(0);
+    });
+
+    it('should start the ideal line on the first day with open tasks', () => {
+      const points = burndown([taskLifecycle({ status: 'todo', created_at: at(8) })], range);
+
+      expect(points.map(point => point.ideal)).toEqual([null, null, 1, 0.8, 0.5, 0.3, 0]);
+    });
+  });
+
+  describe('throughput', () => {
+    it('should count completed tasks per week', () => {
+      const lifecycles = [
+        taskLifecycle({ status: 'done', created_at: at(1), completed_at: at(7) }),
+        taskLifecycle({ status: 'done', created_at: at(1), completed_at: at(14) }),
+        taskLifecycle({ status: 'cancelled', created_at: at(1), completed_at: at(8) }),
+        taskLifecycle({ status: 'done', created_at: at(1), completed_at: at(2) }),
+      ];
+
+      const weeks = throughput(lifecycles, { from: range.from, to: new Date(2024, 4, 15) });
+
+      expect(weeks).toEqual([
+        { week: '2024-05-06', completed: 1 },
+        { week: '2024-05-13', completed: 1 },
+      ]);
+    });
+  });
+
+  describe('cycleTimes', () => {
+    it('should average lead and cycle times per group', () => {
+      const entries = [
+        entry({ status: 'done', priority: 'high', created_at: at(6, 8), completed_at: at(7, 8) }, [
+          { timestamp: at(6, 20), status: 'in-progress' },
+        ]),
+        entry({ status: 'done', priority: 'high', created_at: at(6, 8), completed_at: at(9, 8) }),
+        entry({ status: 'done', priority: 'low', created_at: at(6, 8), completed_at: at(6, 10) }),
+        entry({ status: 'todo', priority: 'low', created_at: at(6, 8) }),
+      ];
+
+      const rows = cycleTimes(entries, range, task => task.priority);
+
+      expect(rows).toEqual([
+        { group: 'high', count: 2, lead_hours: 48, cycle_hours: 12 },
+        { group: 'low', count: 1, lead_hours: 2, cycle_hours: null },
+      ]);
+    });
+  });
+
+  describe('estimateAccuracy', () => {
+    it('should compare estimates with tracked time', () => {
+      const done = { status: 'done', created_at: at(6), completed_at: at(8) };
+      const entries = [
+        entry({ ...done, id: 'TASK-001', name: 'A', estimate: 2 }, [], 2 * 3600),
+        entry({ ...done, id: 'TASK-002', name: 'B', estimate: 2 }, [], 5 * 3600),
+        entry({ ...done, id: 'TASK-003', name: 'C', estimate: 4 }, [], 3600),
+        entry({ ...done, id: 'TASK-004', name: 'No time', estimate: 4 }),
+      ];
+
+      const accuracy = estimateAccuracy(entries, range);
+
+      expect(accuracy).toMatchObject({
+        count: 3,
+        estimated_hours: 8,
+        actual_hours: 8,
+        ratio: 1,
+        on_target: 1,
+        over: 1,
+        under: 1,
+      });
+      expect(accuracy.tasks[1]).toEqual({
+        id: 'TASK-002',
+        name: 'B',
+        estimate: 2,
+        actual: 5,
+        ratio: 2.5,
+      });
+    });
+  });
+});
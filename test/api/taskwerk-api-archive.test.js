@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createTestDatabase } from '../helpers/database-test-helper.js';
+import { TaskwerkAPI } from '../../src/api/taskwerk-api.js';
+
+describe('TaskwerkAPI - Archive', () => {
+  let testSetup;
+  let api;
+
+  beforeEach(() => {
+    testSetup = createTestDatabase();
+    api = new TaskwerkAPI(testSetup.database);
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+    vi.useRealTimers();
+  });
+
+  it('should archive a finished task with its subtasks', async () => {
+    const parent = await api.createTask({ name: 'Release', status: 'done' });
+    const child = await api.createTask({ name: 'Changelog', parent_id: parent.id });
+
+    const ids = await api.archiveTask(parent.id, 'alice');
+
+    expect(ids).toEqual([parent.id, child.id]);
+    expect(api.getTask(parent.id).archived_by).toBe('alice');
+    expect(api.getTask(child.id).archived_at).toBeTruthy();
+    expect(api.getTaskTimeline(parent.id).map(e => e.action)).toContain('archived');
+  });
+
+  it('should only archive finished tasks', async () => {
+    const task = await api.createTask({ name: 'Open' });
+
+    await expect(api.archiveTask(task.id)).rejects.toThrow('only finished tasks can be archived');
+  });
+
+  it('should hide archived tasks unless asked for', async () => {
+    const active = await api.createTask({ name: 'Login page' });
+    const old = await api.createTask({ name: 'Login bug', status: 'done' });
+    await api.archiveTask(old.id);
+
+    expect(api.listTasks().map(t => t.id)).toEqual([active.id]);
+    expect(api.listTasks({ archived: true }).map(t => t.id)).toEqual([old.id]);
+    expect(api.listTasks({ include_archived: true })).toHaveLength(2);
+    expect(api.searchTasks('login').map(t => t.id)).toEqual([active.id]);
+    expect(api.searchTasks('login', { archived: true }).map(t => t.id)).toEqual([old.id]);
+  });
+
+  it('should unarchive a task and refuse subtasks of archived parents', async () => {
+    const parent = await api.createTask({ name: 'Release', status: 'done' });
+    const child = await api.createTask({ name: 'Changelog', parent_id: parent.id });
+    await api.archiveTask(parent.id);
+
+    await expect(api.unarchiveTask(child.id)).rejects.toThrow(
+      `its parent ${parent.id} is archived`
+    );
+
+    expect(await api.unarchiveTask(parent.id)).toEqual([parent.id, child.id]);
+    expect(api.listTasks()).toHaveLength(2);
+    await expect(api.unarchiveTask(parent.id)).rejects.toThrow('is not archived');
+  });
+
+  it('should archive tasks finished before a cutoff', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-01-01T09:00:00Z'));
+    const parent = await api.createTask({ name: 'Old release', status: 'done' });
+    const child = await api.createTask({
+      name: 'Old notes',
+      parent_id: parent.id,
+      status: 'done',
+    });
+    await api.createTask({ name: 'Still open' });
+
+    const ids = await api.archiveFinishedTasks({ before: '2999-01-01T00:00:00.000Z' });
+
+    expect(ids).toEqual([parent.id, child.id]);
+    expect(await api.archiveFinishedTasks({ before: '2000-01-01T00:00:00.000Z' })).toEqual([]);
+  });
+
+  it('should undo archiving', async () => {
+    const task = await api.createTask({ name: 'Done', status: 'done' });
+    await api.archiveTask(task.id);
+
+    await api.undo();
+
+    expect(api.getTask(task.id).archived_at).toBeNull();
+  });
+});
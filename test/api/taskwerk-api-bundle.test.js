@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createTestDatabase } from '../helpers/database-test-helper.js';
+import { applyChatMigration } from '../helpers/test-migration-runner.js';
+import { TaskwerkAPI } from '../../src/api/taskwerk-api.js';
+import { BUNDLE_FORMAT, BUNDLE_VERSION } from '../../src/api/bundle.js';
+
+describe('TaskwerkAPI - Bundles', () => {
+  let source;
+  let target;
+  let api;
+  let targetApi;
+
+  const addChat = (db, id, taskIds) => {
+    db.prepare(
+      `INSERT INTO chat_contexts (id, name, project_id, type)
+       VALUES (?, 'Planning', 'PROJ', 'agent')`
+    ).run(id);
+    db.prepare(
+      `INSERT INTO chat_turns (context_id, turn_number, role, content, created_task_ids)
+       VALUES (?, 1, 'assistant', 'Created tasks', ?)`
+    ).run(id, JSON.stringify(taskIds));
+  };
+
+  beforeEach(() => {
+    source = createTestDatabase();
+    target = createTestDatabase();
+    applyChatMigration(source.db);
+    applyChatMigration(target.db);
+    api = new TaskwerkAPI(source.database);
+    targetApi = new TaskwerkAPI(target.database);
+  });
+
+  afterEach(() => {
+    source.cleanup();
+    target.cleanup();
+  });
+
+  it('should restore a project exactly into an empty project', async () => {
+    const parent = await api.createTask({ name: 'Release' });
+    await api.addTaskTags(parent.id, ['ship']);
+    const child = await api.createTask({ name: 'Changelog', parent_id: parent.id });
+    const blocker = await api.createTask({ name: 'Fix CI', status: 'done' });
+    const trashed = await api.createTask({ name: 'Old idea' });
+    await api.addTaskNote(parent.id, 'Check the docs', 'alice');
+    await api.addTaskDependency(parent.id, blocker.id);
+    await api.archiveTask(blocker.id);
+    await api.deleteTask(trashed.id);
+    await api.startTimer(child.id);
+    await api.stopTimer();
+    addChat(source.db, 'CHAT-001', [parent.id]);
+
+    const bundle = api.exportBundle();
+    const summary = await targetApi.importBundle(JSON.parse(JSON.stringify(bundle)));
+
+    expect(bundle.format).toBe(BUNDLE_FORMAT);
+    expect(summary.counts.tasks).toBe(4);
+    expect(summary.remapped).toEqual({ tasks: {}, chats: {} });
+    expect(targetApi.exportBundle().tables).toEqual(bundle.tables);
+    expect(targetApi.searchTasks('Changelog').map(t => t.id)).toEqual([child.id]);
+  });
+
+  it('should renumber colliding tasks and follow their references', async () => {
+    await targetApi.createTask({ name: 'Existing 1' });
+    await targetApi.createTask({ name: 'Existing 2' });
+
+    const parent = await api.createTask({ name: 'Release' });
+    const child = await api.createTask({ name: 'Changelog', parent_id: parent.id });
+    const blocker = await api.createTask({ name: 'Fix CI' });
+    const fresh = await api.createTask({ name: 'Docs' });
+    await api.addTaskTags(fresh.id, ['docs']);
+    await api.addTaskDependency(parent.id, blocker.id);
+    await api.addTaskNote(child.id, 'Draft first');
+
+    const summary = await targetApi.importBundle(api.exportBundle());
+
+    expect(summary.remapped.tasks).toEqual({
+      'TASK-001': 'TASK-004',
+      'TASK-001.1': 'TASK-004.1',
+      'TASK-002': 'TASK-005',
+    });
+    expect(fresh.id).toBe('TASK-003');
+    expect(targetApi.getTask('TASK-001').name).toBe('Existing 1');
+    expect(targetApi.getTask('TASK-004.1').parent_id).toBe('TASK-004');
+    expect(targetApi.getTaskNotes('TASK-004.1').map(n => n.note)).toEqual(['Draft first']);
+    expect(targetApi.getTaskDependencies('TASK-004').map(t => t.id)).toEqual(['TASK-005']);
+    expect(targetApi.getTaskTags('TASK-003')).toEqual(['docs']);
+  });
+
+  it('should renumber colliding chats and the tasks they created', async () => {
+    addChat(target.db, 'CHAT-001', []);
+    const task = await api.createTask({ name: 'From chat' });
+    await targetApi.createTask({ name: 'Existing' });
+    source.db.prepare("UPDATE tasks SET context_id = 'CHAT-001' WHERE id = ?").run(task.id);
+    addChat(source.db, 'CHAT-001', [task.id]);
+
+    const exported = source.db.prepare('SELECT * FROM chat_contexts').get();
+
+    const summary = await targetApi.importBundle(api.exportBundle());
+
+    expect(summary.remapped.chats).toEqual({ 'CHAT-001': 'CHAT-002' });
+    const turn = target.db.prepare("SELECT * FROM chat_turns WHERE context_id = 'CHAT-002'").get();
+    expect(JSON.parse(turn.created_task_ids)).toEqual(['TASK-002']);
+    expect(targetApi.getTask('TASK-002').context_id).toBe('CHAT-002');
+    const context = target.db.prepare("SELECT * FROM chat_contexts WHERE id = 'CHAT-002'").get();
+    expect(context.turn_count).toBe(1);
+    expect(context.last_active).toBe(exported.last_active);
+  });
+
+  it('should count only the rows it inserts', async () => {
+    const task = await api.createTask({ name: 'Release' });
+    const blocker = await api.createTask({ name: 'Fix CI' });
+    await api.addTaskTags(task.id, ['ship']);
+    await api.addTaskDependency(task.id, blocker.id);
+    const bundle = api.exportBundle();
+    bundle.tables.task_tags.push({ ...bundle.tables.task_tags[0] });
+    bundle.tables.task_dependencies.push({ ...bundle.tables.task_dependencies[0], id: 99 });
+
+    const { counts } = await targetApi.importBundle(bundle);
+
+    expect(counts.tasks).toBe(2);
+    expect(counts.task_tags).toBe(1);
+    expect(counts.task_dependencies).toBe(1);
+    expect(targetApi.getTaskTags(task.id)).toEqual(['ship']);
+  });
+
+  it('should change nothing on a dry run', async () => {
+    await targetApi.createTask({ name: 'Existing' });
+    await api.createTask({ name: 'Incoming' });
+
+    const summary = await targetApi.importBundle(api.exportBundle(), { dryRun: true });
+
+    expect(summary.counts.tasks).toBe(1);
+    expect(summary.remapped.tasks).toEqual({ 'TASK-001': 'TASK-002' });
+    expect(targetApi.listTasks().map(t => t.name)).toEqual(['Existing']);
+  });
+
+  it('should reject files that are not bundles it can read', async () => {
+    await expect(targetApi.importBundle([{ name: 'Task' }])).rejects.toThrow(
+      'Not a taskwerk bundle'
+    );
+    await expect(
+      targetApi.importBundle({ format: BUNDLE_FORMAT, version: BUNDLE_VERSION + 1, tables: {} })
+    ).rejects.toThrow('Unsupported bundle version 2');
+  });
+});
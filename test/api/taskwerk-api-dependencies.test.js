@@ -0,0 +1,187 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createTestDatabase } from '../helpers/database-test-helper.js';
+import { TaskwerkAPI } from '../../src/api/taskwerk-api.js';
+import { TaskDependencyError, CircularDependencyError } from '../../src/errors/task-errors.js';
+
+describe('TaskwerkAPI - Dependencies', () => {
+  let testSetup;
+  let api;
+  let task1;
+  let task2;
+  let task3;
+
+  beforeEach(async () => {
+    testSetup = createTestDatabase();
+    api = new TaskwerkAPI(testSetup.database);
+
+    task1 = await api.createTask({ name: 'Design schema', created_by: 'test' });
+    task2 = await api.createTask({ name: 'Write migrations', created_by: 'test' });
+    task3 = await api.createTask({ name: 'Deploy', created_by: 'test' });
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should add a dependency between tasks', async () => {
+    const result = await api.addTaskDependency(task2.id, task1.id, 'testuser');
+
+    expect(result).toBe(true);
+
+    const dependencies = api.getTaskDependencies(task2.id);
+    expect(dependencies).toHaveLength(1);
+    expect(dependencies[0].id).toBe(task1.id);
+
+    const timeline = api.getTaskTimeline(task2.id);
+    const event = timeline.find(e => e.action === 'dependency_added');
+    expect(event).toBeTruthy();
+    expect(event.user).toBe('testuser');
+    expect(event.changes).toEqual({ depends_on_id: task1.id });
+  });
+
+  it('should resolve fuzzy task IDs', async () => {
+    await api.addTaskDependency('2', '1');
+
+    expect(api.getTaskDependencies(task2.id).map(t => t.id)).toEqual([task1.id]);
+  });
+
+  it('should list dependent tasks in the other direction', async () => {
+    await api.addTaskDependency(task2.id, task1.id);
+    await api.addTaskDependency(task3.id, task1.id);
+
+    const blocking = api.getDependentTasks(task1.id);
+    expect(blocking.map(t => t.id)).toEqual([task2.id, task3.id]);
+  });
+
+  it('should reject self dependencies', async () => {
+    await expect(api.addTaskDependency(task1.id, task1.id)).rejects.toThrow(TaskDependencyError);
+  });
+
+  it('should reject duplicate dependencies', async () => {
+    await api.addTaskDependency(task2.id, task1.id);
+
+    await expect(api.addTaskDependency(task2.id, task1.id)).rejects.toThrow(
+      'Dependency already exists'
+    );
+  });
+
+  it('should reject direct circular dependencies', async () => {
+    await api.addTaskDependency(task2.id, task1.id);
+
+    await expect(api.addTaskDependency(task1.id, task2.id)).rejects.toThrow(
+      CircularDependencyError
+    );
+  });
+
+  it('should reject transitive circular dependencies', async () => {
+    await api.addTaskDependency(task2.id, task1.id);
+    await api.addTaskDependency(task3.id, task2.id);
+
+    await expect(api.addTaskDependency(task1.id, task3.id)).rejects.toThrow(
+      CircularDependencyError
+    );
+    expect(api.getTaskDependencies(task1.id)).toHaveLength(0);
+  });
+
+  it('should throw when a task does not exist', async () => {
+    await expect(api.addTaskDependency(task1.id, 'TASK-999')).rejects.toThrow('Task not found');
+  });
+
+  it('should remove a dependency', async () => {
+    await api.addTaskDependency(task2.id, task1.id);
+
+    const result = await api.removeTaskDependency(task2.id, task1.id, 'testuser');
+
+    expect(result).toBe(true);
+    expect(api.getTaskDependencies(task2.id)).toHaveLength(0);
+
+    const timeline = api.getTaskTimeline(task2.id);
+    expect(timeline.find(e => e.action === 'dependency_removed')).toBeTruthy();
+  });
+
+  it('should throw when removing a dependency that does not exist', async () => {
+    await expect(api.removeTaskDependency(task2.id, task1.id)).rejects.toThrow(
+      `Task ${task2.id} does not depend on ${task1.id}`
+    );
+  });
+
+  describe('Blocked state propagation', () => {
+    it('should block a task that depends on an unfinished task', async () => {
+      await api.addTaskDependency(task2.id, task1.id, 'testuser');
+
+      const blocked = api.getTask(task2.id);
+      expect(blocked.status).toBe('blocked');
+      expect(blocked.is_blocked).toBe(1);
+
+      const event = api.getTaskTimeline(task2.id).find(e => e.action === 'blocked');
+      expect(event).toBeTruthy();
+      expect(event.changes).toEqual({ status: { old: 'todo', new: 'blocked' } });
+    });
+
+    it('should not block a task whose dependency is already done', async () => {
+      await api.updateTask(task1.id, { status: 'done' });
+      await api.addTaskDependency(task2.id, task1.id);
+
+      expect(api.getTask(task2.id).status).toBe('todo');
+    });
+
+    it('should unblock when the last dependency is done', async () => {
+      await api.updateTask(task2.id, { status: 'in-progress' });
+      await api.addTaskDependency(task3.id, task1.id);
+      await api.addTaskDependency(task3.id, task2.id);
+
+      await api.updateTask(task1.id, { status: 'done' }, 'alice');
+      expect(api.getTask(task3.id).status).toBe('blocked');
+
+      await api.updateTask(task2.id, { status: 'done' }, 'bob');
+      const unblocked = api.getTask(task3.id);
+      expect(unblocked.status).toBe('todo');
+      expect(unblocked.metadata).toEqual({});
+
+      const event = api.getTaskTimeline(task3.id).find(e => e.action === 'unblocked');
+      expect(event).toBeTruthy();
+      expect(event.user).toBe('bob');
+      expect(event.changes).toEqual({ status: { old: 'blocked', new: 'todo' } });
+    });
+
+    it('should restore the status a task had before it was blocked', async () => {
+      await api.updateTask(task2.id, { status: 'in-progress' });
+      await api.addTaskDependency(task2.id, task1.id);
+      expect(api.getTask(task2.id).status).toBe('blocked');
+
+      await api.updateTask(task1.id, { status: 'done' });
+      expect(api.getTask(task2.id).status).toBe('in-progress');
+    });
+
+    it('should re-block dependents when a finished dependency is reopened', async () => {
+      await api.addTaskDependency(task2.id, task1.id);
+      await api.updateTask(task1.id, { status: 'done' });
+      expect(api.getTask(task2.id).status).toBe('todo');
+
+      await api.updateTask(task1.id, { status: 'todo' });
+      expect(api.getTask(task2.id).status).toBe('blocked');
+    });
+
+    it('should unblock when the dependency is removed', async () => {
+      await api.addTaskDependency(task2.id, task1.id);
+      await api.removeTaskDependency(task2.id, task1.id);
+
+      expect(api.getTask(task2.id).status).toBe('todo');
+    });
+
+    it('should unblock when the blocking task is deleted', async () => {
+      await api.addTaskDependency(task2.id, task1.id);
+      await api.deleteTask(task1.id);
+
+      expect(api.getTask(task2.id).status).toBe('todo');
+    });
+
+    it('should leave manually blocked tasks alone', async () => {
+      await api.updateTask(task2.id, { status: 'blocked' });
+      await api.addTaskDependency(task2.id, task1.id);
+
+      await api.updateTask(task1.id, { status: 'done' });
+      expect(api.getTask(task2.id).status).toBe('blocked');
+    });
+  });
+});
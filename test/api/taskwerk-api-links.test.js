@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createTestDatabase } from '../helpers/database-test-helper.js';
+import { TaskwerkAPI } from '../../src/api/taskwerk-api.js';
+
+const commit = (sha, subject, date = '2024-05-01T10:00:00Z') => ({
+  sha: sha.padEnd(40, '0'),
+  author: 'Alice',
+  date,
+  subject,
+  body: '',
+});
+
+describe('TaskwerkAPI - Git links', () => {
+  let testSetup;
+  let api;
+
+  beforeEach(async () => {
+    testSetup = createTestDatabase();
+    api = new TaskwerkAPI(testSetup.database);
+    await api.createTask({ name: 'Fix login' });
+    await api.createTask({ name: 'Add signup' });
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should link a commit once', async () => {
+    const link = { type: 'commit', ref: 'abc1234def', title: 'Fix login', author: 'Alice' };
+
+    expect(await api.linkTask('TASK-001', link)).toBe(true);
+    expect(await api.linkTask('TASK-001', link)).toBe(false);
+
+    const links = api.getTaskLinks('TASK-001');
+    expect(links).toHaveLength(1);
+    expect(links[0]).toMatchObject({ type: 'commit', ref: 'abc1234def', author: 'Alice' });
+    const events = api.getTaskTimeline('TASK-001').filter(event => event.action === 'linked');
+    expect(events).toHaveLength(1);
+    expect(events[0].note).toBe('Linked commit abc1234: Fix login');
+  });
+
+  it('should link commits to existing tasks only', async () => {
+    // Newest first, like git log
+    const commits = [
+      commit('bbb', 'TASK-002 Add signup form (#7)', '2024-05-02T10:00:00Z'),
+      commit('aaa', 'Start TASK-001 and TASK-099'),
+    ];
+
+    const result = await api.linkCommits(commits, { repoUrl: 'https://github.com/acme/app' });
+
+    expect(result.linked.map(link => `${link.task_id} ${link.type} ${link.ref}`)).toEqual([
+      `TASK-001 commit ${'aaa'.padEnd(40, '0')}`,
+      `TASK-002 commit ${'bbb'.padEnd(40, '0')}`,
+      'TASK-002 pull_request #7',
+    ]);
+    const pullRequest = api.getTaskLinks('TASK-002').find(link => link.type === 'pull_request');
+    expect(pullRequest.url).toBe('https://github.com/acme/app/pull/7');
+    expect(result.closed).toEqual([]);
+
+    const again = await api.linkCommits(commits);
+    expect(again.linked).toEqual([]);
+    expect(again.existing).toBe(3);
+  });
+
+  it('should close tasks only for newly linked commits', async () => {
+    const commits = [commit('ccc', 'Fixes TASK-001')];
+
+    const preview = await api.linkCommits(commits, { close: true, dryRun: true });
+    expect(preview.closed).toHaveLength(1);
+    expect(api.getTask('TASK-001').status).toBe('todo');
+    expect(api.getTaskLinks('TASK-001')).toEqual([]);
+
+    const result = await api.linkCommits(commits, { close: true });
+    expect(result.closed).toEqual([
+      { task_id: 'TASK-001', name: 'Fix login', sha: 'ccc'.padEnd(40, '0') },
+    ]);
+    expect(api.getTask('TASK-001').status).toBe('done');
+    const timeline = api.getTaskTimeline('TASK-001');
+    expect(timeline.find(event => event.action === 'updated').user).toBe('git:ccc0000');
+
+    // A reopened task stays open on the next scan
+    await api.updateTask('TASK-001', { status: 'todo' });
+    await api.linkCommits(commits, { close: true });
+    expect(api.getTask('TASK-001').status).toBe('todo');
+  });
+
+  it('should undo the tasks closed by a scan in one step', async () => {
+    await api.linkCommits([commit('ddd', 'Fix TASK-001'), commit('eee', 'Resolves TASK-002')], {
+      close: true,
+    });
+    expect(api.getTask('TASK-002').status).toBe('done');
+
+    await api.undo();
+
+    expect(api.getTask('TASK-001').status).toBe('todo');
+    expect(api.getTask('TASK-002').status).toBe('todo');
+  });
+});
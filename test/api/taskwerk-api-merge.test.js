@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createTestDatabase } from '../helpers/database-test-helper.js';
+import { TaskwerkAPI } from '../../src/api/taskwerk-api.js';
+
+describe('TaskwerkAPI - Import merge', () => {
+  let testSetup;
+  let api;
+  let task;
+
+  beforeEach(async () => {
+    testSetup = createTestDatabase();
+    api = new TaskwerkAPI(testSetup.database);
+    task = await api.createTask({ name: 'Write docs', priority: 'high', assignee: 'alice' });
+    await api.addTaskTags(task.id, ['docs']);
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should diff only the fields present in the file', () => {
+    const { changes } = api.previewMerge({
+      id: task.id,
+      name: 'Write docs',
+      status: 'in-progress',
+      estimate: '3',
+      tags: ['docs', 'v2'],
+    });
+
+    expect(changes).toEqual([
+      { field: 'status', ours: 'todo', theirs: 'in-progress', apply: true },
+      { field: 'estimate', ours: null, theirs: '3', apply: true },
+      { field: 'tags', ours: ['docs'], theirs: ['docs', 'v2'], apply: true },
+    ]);
+  });
+
+  it('should keep database values with the ours strategy, filling empty fields', () => {
+    const { changes } = api.previewMerge(
+      { id: task.id, priority: 'low', category: 'writing' },
+      'ours'
+    );
+
+    expect(changes.map(c => [c.field, c.apply])).toEqual([
+      ['priority', false],
+      ['category', true],
+    ]);
+  });
+
+  it('should let the later updated_at win with the newest strategy', () => {
+    const incoming = { id: task.id, priority: 'low' };
+
+    const older = api.previewMerge({ ...incoming, updated_at: '2025-01-09 12:00:00' }, 'newest');
+    const newer = api.previewMerge({ ...incoming, updated_at: '2999-01-01T00:00:00Z' }, 'newest');
+    const undated = api.previewMerge(incoming, 'newest');
+
+    expect(older.changes[0].apply).toBe(false);
+    expect(newer.changes[0].apply).toBe(true);
+    expect(undated.changes[0].apply).toBe(false);
+  });
+
+  it('should reject unknown strategies', () => {
+    expect(() => api.previewMerge({ id: task.id }, 'mine')).toThrow(
+      'Unknown merge strategy: mine. Use ours, theirs, newest'
+    );
+  });
+
+  it('should apply the changes, record their source and be idempotent', async () => {
+    const incoming = { id: task.id, priority: 'low', tags: ['v2'] };
+
+    const { task: merged } = await api.mergeTask(incoming, { user: 'import:tasks.json' });
+
+    expect(merged.priority).toBe('low');
+    expect(merged.assignee).toBe('alice');
+    expect(api.getTaskTags(task.id)).toEqual(['v2']);
+
+    const events = api.getTaskTimeline(task.id).filter(e => e.user === 'import:tasks.json');
+    expect(events.map(e => e.action).sort()).toEqual(['tags_added', 'tags_removed', 'updated']);
+    expect(events.find(e => e.action === 'updated').changes).toEqual({
+      priority: { old: 'high', new: 'low' },
+    });
+
+    const again = await api.mergeTask(incoming, { user: 'import:tasks.json' });
+    expect(again.changes).toEqual([]);
+    expect(api.getTaskTimeline(task.id).filter(e => e.user === 'import:tasks.json')).toHaveLength(
+      3
+    );
+  });
+});
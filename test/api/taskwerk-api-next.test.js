@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createTestDatabase } from '../helpers/database-test-helper.js';
+import { TaskwerkAPI } from '../../src/api/taskwerk-api.js';
+import { formatLocalDate } from '../../src/utils/date-parser.js';
+
+describe('TaskwerkAPI - Next Tasks', () => {
+  let testSetup;
+  let api;
+
+  beforeEach(() => {
+    testSetup = createTestDatabase();
+    api = new TaskwerkAPI(testSetup.database);
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should rank by priority', async () => {
+    await api.createTask({ name: 'Low task', priority: 'low' });
+    await api.createTask({ name: 'Critical task', priority: 'critical' });
+    await api.createTask({ name: 'Medium task', priority: 'medium' });
+
+    const next = api.getNextTasks();
+    expect(next.map(t => t.name)).toEqual(['Critical task', 'Medium task', 'Low task']);
+    expect(next[0].reasons).toContain('critical priority');
+  });
+
+  it('should put overdue tasks first', async () => {
+    await api.createTask({ name: 'High task', priority: 'high' });
+    await api.createTask({ name: 'Overdue task', priority: 'low', due_date: '2020-01-01' });
+
+    const next = api.getNextTasks();
+    expect(next[0].name).toBe('Overdue task');
+    expect(next[0].reasons).toContain('overdue');
+  });
+
+  it('should not treat tasks due today as overdue', async () => {
+    const today = formatLocalDate(new Date());
+    const yesterday = formatLocalDate(new Date(Date.now() - 24 * 3600 * 1000));
+    await api.createTask({ name: 'Due today', due_date: today });
+    await api.createTask({ name: 'Due yesterday', due_date: yesterday });
+
+    expect(api.getOverdueTasks().map(t => t.name)).toEqual(['Due yesterday']);
+    expect(api.getTaskStats().overdue).toBe(1);
+
+    const dueToday = api.getNextTasks().find(t => t.name === 'Due today');
+    expect(dueToday.reasons).not.toContain('overdue');
+    expect(dueToday.reasons).toContain(`due ${today}`);
+  });
+
+  it('should prefer earlier due dates at equal priority', async () => {
+    await api.createTask({ name: 'No due date' });
+    await api.createTask({ name: 'Due later', due_date: '2999-06-01' });
+    await api.createTask({ name: 'Due sooner', due_date: '2999-01-01' });
+
+    expect(api.getNextTasks().map(t => t.name)).toEqual(['Due sooner', 'Due later', 'No due date']);
+  });
+
+  it('should skip tasks with unfinished dependencies', async () => {
+    const blocker = await api.createTask({ name: 'Blocker', priority: 'low' });
+    const waiting = await api.createTask({ name: 'Waiting', priority: 'critical' });
+    await api.addTaskDependency(waiting.id, blocker.id);
+
+    const next = api.getNextTasks();
+    expect(next.map(t => t.name)).toEqual(['Blocker']);
+    expect(next[0].reasons).toContain('unblocks 1 task');
+  });
+
+  it('should skip finished and blocked tasks', async () => {
+    await api.createTask({ name: 'Done', status: 'done' });
+    await api.createTask({ name: 'Blocked', status: 'blocked' });
+    await api.createTask({ name: 'Open' });
+
+    expect(api.getNextTasks().map(t => t.name)).toEqual(['Open']);
+  });
+
+  it('should filter and rank by assignee', async () => {
+    await api.createTask({ name: 'Unassigned' });
+    await api.createTask({ name: 'For bob', assignee: '@bob' });
+    await api.createTask({ name: 'For agent', assignee: '@ai-agent' });
+
+    const next = api.getNextTasks({ assignee: '@ai-agent' });
+    expect(next.map(t => t.name)).toEqual(['For agent', 'Unassigned']);
+    expect(next[0].reasons).toContain('assigned to @ai-agent');
+  });
+
+  it('should prefer tasks already in progress', async () => {
+    await api.createTask({ name: 'Not started' });
+    await api.createTask({ name: 'Started', status: 'in-progress' });
+
+    expect(api.getNextTasks()[0].name).toBe('Started');
+  });
+
+  it('should respect the limit', async () => {
+    await api.createTask({ name: 'One' });
+    await api.createTask({ name: 'Two' });
+
+    expect(api.getNextTasks({ limit: 1 })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createTestDatabase } from '../helpers/database-test-helper.js';
+import { TaskwerkAPI } from '../../src/api/taskwerk-api.js';
+
+describe('TaskwerkAPI - Recurring Tasks', () => {
+  let testSetup;
+  let api;
+
+  beforeEach(() => {
+    testSetup = createTestDatabase();
+    api = new TaskwerkAPI(testSetup.database);
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should start a series when a recurring task is created', async () => {
+    const task = await api.createTask({ name: 'Water plants', recurrence: 'daily' });
+
+    expect(task.recurrence).toBe('daily');
+    expect(task.series_id).toBe(task.id);
+  });
+
+  it('should reject invalid rules', async () => {
+    await expect(api.createTask({ name: 'Bad', recurrence: 'sometimes' })).rejects.toThrow(
+      'recurrence: Invalid recurrence rule: sometimes'
+    );
+
+    const task = await api.createTask({ name: 'One-off' });
+    await expect(api.updateTask(task.id, { recurrence: 'cron:0 9 * *' })).rejects.toThrow(
+      'Expected 5 fields'
+    );
+    await expect(api.updateTask(task.id, { recurrence: 'cron:0 9 31 2 *' })).rejects.toThrow(
+      'It never matches'
+    );
+    expect(api.getTask(task.id).recurrence).toBeNull();
+  });
+
+  it('should create the next occurrence when the task is done', async () => {
+    const task = await api.createTask({
+      name: 'Weekly report',
+      priority: 'high',
+      assignee: '@alice',
+      recurrence: 'weekly',
+      due_date: '2999-01-04',
+    });
+    await api.addTaskTags(task.id, ['reports']);
+
+    const done = await api.updateTask(task.id, { status: 'done' });
+    const next = done.next_occurrence;
+
+    expect(next.id).not.toBe(task.id);
+    expect(next).toMatchObject({
+      name: 'Weekly report',
+      status: 'todo',
+      priority: 'high',
+      assignee: '@alice',
+      recurrence: 'weekly',
+      series_id: task.id,
+      due_date: '2999-01-11',
+    });
+    expect(api.getTaskTags(next.id)).toEqual(['reports']);
+  });
+
+  it('should link occurrences in the timeline', async () => {
+    const task = await api.createTask({ name: 'Standup', recurrence: 'weekdays' });
+    const { next_occurrence: next } = await api.updateTask(task.id, { status: 'completed' });
+
+    const recurred = api.getTaskTimeline(task.id).find(event => event.action === 'recurred');
+    expect(recurred.changes).toEqual({ next_id: next.id, series_id: task.id });
+    expect(recurred.note).toContain(`Next occurrence: ${next.id}`);
+
+    const recurrence = api.getTaskTimeline(next.id).find(event => event.action === 'recurrence');
+    expect(recurrence.changes).toEqual({ previous_id: task.id, series_id: task.id });
+
+    // The series id stays on the first task as the chain grows
+    const { next_occurrence: third } = await api.updateTask(next.id, { status: 'done' });
+    expect(third.series_id).toBe(task.id);
+  });
+
+  it('should schedule from today when the due date has passed', async () => {
+    const task = await api.createTask({
+      name: 'Backup',
+      recurrence: 'daily',
+      due_date: '2020-01-01',
+    });
+
+    const { next_occurrence: next } = await api.updateTask(task.id, { status: 'done' });
+
+    const today = new Date();
+    const pad = n => String(n).padStart(2, '0');
+    const todayText = `${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}`;
+    expect(next.due_date > todayText).toBe(true);
+  });
+
+  it('should only create one occurrence per task', async () => {
+    const task = await api.createTask({ name: 'Invoice', recurrence: 'monthly' });
+
+    await api.updateTask(task.id, { status: 'done' });
+    await api.updateTask(task.id, { status: 'todo' });
+    const again = await api.updateTask(task.id, { status: 'done' });
+
+    expect(again.next_occurrence).toBeNull();
+    expect(api.listTasks().filter(t => t.name === 'Invoice')).toHaveLength(2);
+  });
+
+  it('should not recur when cancelled or when the rule is cleared', async () => {
+    const cancelled = await api.createTask({ name: 'Cancelled', recurrence: 'daily' });
+    const result = await api.updateTask(cancelled.id, { status: 'cancelled' });
+    expect(result.next_occurrence).toBeUndefined();
+
+    const cleared = await api.createTask({ name: 'Cleared', recurrence: 'daily' });
+    await api.updateTask(cleared.id, { recurrence: null });
+    const done = await api.updateTask(cleared.id, { status: 'done' });
+    expect(done.next_occurrence).toBeUndefined();
+  });
+
+  it('should start a series when a rule is added later', async () => {
+    const task = await api.createTask({ name: 'Review' });
+    const updated = await api.updateTask(task.id, { recurrence: 'every 2 weeks' });
+
+    expect(updated.series_id).toBe(task.id);
+  });
+});
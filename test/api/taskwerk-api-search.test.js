@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createTestDatabase } from '../helpers/database-test-helper.js';
+import { TaskwerkAPI } from '../../src/api/taskwerk-api.js';
+
+describe('TaskwerkAPI - Full-text Search', () => {
+  let testSetup;
+  let api;
+
+  beforeEach(() => {
+    testSetup = createTestDatabase();
+    api = new TaskwerkAPI(testSetup.database);
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should rank name matches above content matches', async () => {
+    await api.createTask({ name: 'Refactor build', content: 'Touches the login flow' });
+    await api.createTask({ name: 'Fix login redirect' });
+
+    const results = api.searchTasks('login');
+    expect(results.map(t => t.name)).toEqual(['Fix login redirect', 'Refactor build']);
+    expect(results[0].rank).toBeLessThan(results[1].rank);
+  });
+
+  it('should highlight matches in snippets', async () => {
+    await api.createTask({ name: 'Cache warmup', description: 'Warm the redis cache on boot' });
+
+    const [result] = api.searchTasks('redis');
+    expect(result.snippet).toContain('**redis**');
+
+    const [custom] = api.searchTasks('redis', { highlight: match => `<${match}>` });
+    expect(custom.snippet).toContain('<redis>');
+  });
+
+  it('should match stemmed words', async () => {
+    await api.createTask({ name: 'Logging improvements' });
+
+    expect(api.searchTasks('logs')).toHaveLength(1);
+  });
+
+  it('should support phrase, prefix and boolean queries', async () => {
+    await api.createTask({ name: 'Login page redesign' });
+    await api.createTask({ name: 'Page about login' });
+    await api.createTask({ name: 'Authentication service' });
+
+    expect(api.searchTasks('"login page"').map(t => t.name)).toEqual(['Login page redesign']);
+    expect(api.searchTasks('auth*').map(t => t.name)).toEqual(['Authentication service']);
+    expect(api.searchTasks('login NOT redesign').map(t => t.name)).toEqual(['Page about login']);
+    expect(api.searchTasks('redesign OR authentication')).toHaveLength(2);
+  });
+
+  it('should fall back to plain words for invalid query syntax', async () => {
+    await api.createTask({ name: 'Follow up on TASK-001 review' });
+
+    expect(api.searchTasks('TASK-001')).toHaveLength(1);
+    expect(api.searchTasks('"unbalanced quote')).toHaveLength(0);
+  });
+
+  it('should index notes and tags', async () => {
+    const task = await api.createTask({ name: 'Plain task' });
+    await api.addTaskNote(task.id, 'Customer reported a timeout');
+    await api.addTaskTags(task.id, ['frontend']);
+
+    expect(api.searchTasks('timeout').map(t => t.id)).toEqual([task.id]);
+    expect(api.searchTasks('frontend').map(t => t.id)).toEqual([task.id]);
+
+    await api.removeTaskTags(task.id, ['frontend']);
+    expect(api.searchTasks('frontend')).toHaveLength(0);
+  });
+
+  it('should keep the index in sync with updates and deletes', async () => {
+    const task = await api.createTask({ name: 'Old title' });
+
+    await api.updateTask(task.id, { name: 'New title' });
+    expect(api.searchTasks('old')).toHaveLength(0);
+    expect(api.searchTasks('new')).toHaveLength(1);
+
+    await api.deleteTask(task.id);
+    expect(api.searchTasks('new')).toHaveLength(0);
+  });
+
+  it('should apply filters to search results', async () => {
+    await api.createTask({ name: 'Deploy api', status: 'todo' });
+    await api.createTask({ name: 'Deploy web', status: 'done' });
+
+    const results = api.searchTasks('deploy', { status: 'todo' });
+    expect(results.map(t => t.name)).toEqual(['Deploy api']);
+  });
+
+  it('should rebuild the index from the source tables', async () => {
+    await api.createTask({ name: 'Indexed task' });
+    testSetup.db.exec('DELETE FROM task_search');
+    expect(api.searchTasks('indexed')).toHaveLength(0);
+
+    expect(api.rebuildSearchIndex()).toBe(1);
+    expect(api.searchTasks('indexed')).toHaveLength(1);
+  });
+});
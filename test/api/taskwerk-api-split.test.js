@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createTestDatabase } from '../helpers/database-test-helper.js';
+import { TaskwerkAPI } from '../../src/api/taskwerk-api.js';
+import { ValidationError } from '../../src/errors/index.js';
+
+describe('TaskwerkAPI - Split', () => {
+  let testSetup;
+  let api;
+
+  beforeEach(async () => {
+    testSetup = createTestDatabase();
+    api = new TaskwerkAPI(testSetup.database);
+
+    await api.createTask({
+      name: 'Build login',
+      priority: 'high',
+      assignee: 'sam',
+      category: 'auth',
+      estimate: 5,
+    });
+    await api.addTaskTags('TASK-001', ['backend', 'security']);
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('creates subtasks that take over the parent fields and tags', async () => {
+    const result = await api.splitTask('1', ['API endpoint', ' Login form '], {}, 'sam');
+
+    expect(result.subtasks.map(subtask => [subtask.id, subtask.name])).toEqual([
+      ['TASK-001.1', 'API endpoint'],
+      ['TASK-001.2', 'Login form'],
+    ]);
+    for (const subtask of result.subtasks) {
+      expect(subtask).toMatchObject({
+        parent_id: 'TASK-001',
+        priority: 'high',
+        assignee: 'sam',
+        category: 'auth',
+        created_by: 'sam',
+      });
+      expect(subtask.estimate).toBeNull();
+      expect(api.getTaskTags(subtask.id)).toEqual(['backend', 'security']);
+    }
+    expect(result.tags).toEqual(['backend', 'security']);
+    expect(result.estimate).toBeNull();
+  });
+
+  it('moves a parent in todo to in-progress', async () => {
+    const result = await api.splitTask('TASK-001', ['One']);
+    expect(result.parent.status).toBe('in-progress');
+
+    await api.updateTask('TASK-001', { status: 'blocked' });
+    const again = await api.splitTask('TASK-001', ['Two']);
+    expect(again.parent.status).toBe('blocked');
+  });
+
+  it('divides the estimate on request, rounding up', async () => {
+    const result = await api.splitTask('TASK-001', ['A', 'B'], { divide_estimate: true });
+
+    expect(result.estimate).toBe(3);
+    expect(result.subtasks.map(subtask => subtask.estimate)).toEqual([3, 3]);
+  });
+
+  it('is undone in one step', async () => {
+    await api.splitTask('TASK-001', ['A', 'B']);
+
+    await api.undo();
+
+    expect(api.getSubtasks('TASK-001')).toEqual([]);
+    expect(api.getTask('TASK-001').status).toBe('todo');
+  });
+
+  it('needs at least one subtask name', async () => {
+    await expect(api.splitTask('TASK-001', ['  '])).rejects.toThrow(ValidationError);
+    await expect(api.splitTask('TASK-001', [])).rejects.toThrow(
+      'At least one subtask name is required'
+    );
+  });
+});
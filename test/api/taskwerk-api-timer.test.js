@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createTestDatabase } from '../helpers/database-test-helper.js';
+import { TaskwerkAPI } from '../../src/api/taskwerk-api.js';
+
+describe('TaskwerkAPI - Time Tracking', () => {
+  let testSetup;
+  let api;
+
+  const advance = minutes => vi.setSystemTime(Date.now() + minutes * 60000);
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-03-10T09:00:00Z'));
+    testSetup = createTestDatabase();
+    api = new TaskwerkAPI(testSetup.database);
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+    vi.useRealTimers();
+  });
+
+  it('should start a timer and move todo tasks to in-progress', async () => {
+    const task = await api.createTask({ name: 'Write docs' });
+
+    const { entry, stopped } = await api.startTimer(task.id, 'alice', { note: 'Outline' });
+
+    expect(stopped).toBeNull();
+    expect(entry).toMatchObject({ task_id: task.id, task_name: 'Write docs', note: 'Outline' });
+    expect(api.getTask(task.id)).toMatchObject({
+      status: 'in-progress',
+      started_at: '2025-03-10T09:00:00.000Z',
+    });
+
+    advance(5);
+    expect(api.getActiveTimer()).toMatchObject({ task_id: task.id, elapsed: 300 });
+  });
+
+  it('should roll tracked time up into actual', async () => {
+    const task = await api.createTask({ name: 'Fix bug', estimate: 2 });
+
+    await api.startTimer(task.id);
+    advance(45);
+    const first = await api.stopTimer();
+    await api.startTimer(task.id);
+    advance(45);
+    await api.stopTimer('system', { note: 'Added tests' });
+
+    expect(first.duration).toBe(2700);
+    expect(api.getTask(task.id)).toMatchObject({ actual: 1.5, actual_time: '1h 30m' });
+    expect(api.getTimeEntries(task.id).map(e => e.note)).toEqual([null, 'Added tests']);
+    expect(api.getActiveTimer()).toBeNull();
+
+    const events = api.getTaskTimeline(task.id).map(e => e.action);
+    expect(events).toContain('timer_started');
+    expect(events).toContain('timer_stopped');
+  });
+
+  it('should record the roll-up as an update that undo reverts', async () => {
+    const task = await api.createTask({ name: 'Fix bug' });
+    await api.startTimer(task.id);
+    advance(30);
+    await api.stopTimer('alice');
+
+    const update = api
+      .getTaskTimeline(task.id)
+      .find(event => event.action === 'updated' && event.changes.actual);
+    expect(update.user).toBe('alice');
+    expect(update.changes.actual).toEqual({ old: null, new: 0.5 });
+
+    await api.undo();
+
+    expect(api.getTask(task.id)).toMatchObject({ actual: null, actual_time: null });
+  });
+
+  it('should stop the running timer when another one starts', async () => {
+    const first = await api.createTask({ name: 'First' });
+    const second = await api.createTask({ name: 'Second' });
+
+    await api.startTimer(first.id);
+    advance(10);
+    const { stopped } = await api.startTimer(second.id);
+
+    expect(stopped).toMatchObject({ task_id: first.id, duration: 600 });
+    expect(api.getActiveTimer().task_id).toBe(second.id);
+  });
+
+  it('should reject starting a running timer or stopping with none running', async () => {
+    const task = await api.createTask({ name: 'Task' });
+    await api.startTimer(task.id);
+
+    await expect(api.startTimer(task.id)).rejects.toThrow('A timer is already running on');
+    await api.stopTimer();
+    await expect(api.stopTimer()).rejects.toThrow('No timer is running');
+  });
+
+  it('should summarise estimate and tracked time including subtasks', async () => {
+    const parent = await api.createTask({ name: 'Release', estimate: 10 });
+    const child = await api.createTask({
+      id: 'TASK-010',
+      name: 'Build',
+      parent_id: parent.id,
+      estimate: 4,
+    });
+    const grandchild = await api.createTask({ name: 'Sign', parent_id: child.id, estimate: 1 });
+
+    for (const [task, minutes] of [
+      [parent, 30],
+      [child, 60],
+      [grandchild, 15],
+    ]) {
+      await api.startTimer(task.id);
+      advance(minutes);
+      await api.stopTimer();
+    }
+
+    expect(api.getTimeSummary(parent.id)).toEqual({
+      task_id: parent.id,
+      estimate: 10,
+      tracked: 1800,
+      subtasks: { count: 2, estimate: 5, tracked: 4500 },
+      total_tracked: 6300,
+    });
+  });
+});
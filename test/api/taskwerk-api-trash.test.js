@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createTestDatabase } from '../helpers/database-test-helper.js';
+import { TaskwerkAPI } from '../../src/api/taskwerk-api.js';
+
+describe('TaskwerkAPI - Trash', () => {
+  let testSetup;
+  let api;
+
+  beforeEach(() => {
+    testSetup = createTestDatabase();
+    api = new TaskwerkAPI(testSetup.database);
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+    vi.useRealTimers();
+  });
+
+  it('should move deleted tasks and their subtasks to the trash', async () => {
+    const parent = await api.createTask({ name: 'Release' });
+    const child = await api.createTask({ name: 'Changelog', parent_id: parent.id });
+    await api.addTaskTags(parent.id, ['release']);
+    await api.addTaskNote(parent.id, 'Ship on Friday');
+
+    await api.deleteTask(parent.id, 'alice');
+
+    expect(() => api.getTask(parent.id)).toThrow('is in the trash');
+    expect(() => api.getTask(child.id)).toThrow('is in the trash');
+    expect(api.getTask(parent.id, { include_deleted: true })).toMatchObject({
+      deleted_by: 'alice',
+    });
+    expect(api.getTaskTags(parent.id)).toEqual(['release']);
+    expect(api.getTaskNotes(parent.id)).toHaveLength(1);
+    expect(api.listTrash().map(t => t.id)).toEqual(expect.arrayContaining([parent.id, child.id]));
+  });
+
+  it('should hide trashed tasks from lists, searches and stats', async () => {
+    const kept = await api.createTask({ name: 'Keep the docs' });
+    const trashed = await api.createTask({ name: 'Drop the docs' });
+    await api.deleteTask(trashed.id);
+
+    expect(api.listTasks().map(t => t.id)).toEqual([kept.id]);
+    expect(api.searchTasks('docs').map(t => t.id)).toEqual([kept.id]);
+    expect(api.queryTasks('status:todo').map(t => t.id)).toEqual([kept.id]);
+    expect(api.getTaskStats().total).toBe(1);
+    expect(api.listTasks({ include_deleted: true })).toHaveLength(2);
+  });
+
+  it('should restore a task with its subtasks', async () => {
+    const parent = await api.createTask({ name: 'Release' });
+    const child = await api.createTask({ name: 'Changelog', parent_id: parent.id });
+    await api.deleteTask(parent.id);
+
+    const restored = await api.restoreTask(parent.id, 'alice');
+
+    expect(restored.deleted_at).toBeNull();
+    expect(api.getTask(child.id).deleted_at).toBeNull();
+    expect(api.getTaskTimeline(parent.id).map(e => e.action)).toContain('restored');
+  });
+
+  it('should refuse to restore tasks that are not trashed or whose parent is', async () => {
+    const parent = await api.createTask({ name: 'Release' });
+    const child = await api.createTask({ name: 'Changelog', parent_id: parent.id });
+
+    await expect(api.restoreTask(parent.id)).rejects.toThrow('is not in the trash');
+
+    await api.deleteTask(parent.id);
+    await expect(api.restoreTask(child.id)).rejects.toThrow(
+      `its parent ${parent.id} is in the trash`
+    );
+  });
+
+  it('should unblock dependents while a blocker is in the trash', async () => {
+    const blocker = await api.createTask({ name: 'Design' });
+    const blocked = await api.createTask({ name: 'Build' });
+    await api.addTaskDependency(blocked.id, blocker.id);
+    expect(api.getTask(blocked.id).status).toBe('blocked');
+
+    await api.deleteTask(blocker.id);
+    expect(api.getTask(blocked.id).status).toBe('todo');
+
+    await api.restoreTask(blocker.id);
+    expect(api.getTask(blocked.id).status).toBe('blocked');
+  });
+
+  it('should undo moving a task to the trash', async () => {
+    const task = await api.createTask({ name: 'Oops' });
+    await api.deleteTask(task.id);
+
+    await api.undo();
+
+    expect(api.getTask(task.id).deleted_at).toBeNull();
+  });
+
+  it('should purge tasks deleted before a cutoff', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-01-01T09:00:00Z'));
+    const old = await api.createTask({ name: 'Old' });
+    await api.deleteTask(old.id);
+
+    vi.setSystemTime(new Date('2025-03-01T09:00:00Z'));
+    const recent = await api.createTask({ name: 'Recent' });
+    await api.deleteTask(recent.id);
+
+    const purged = await api.purgeTrash({ before: '2025-02-01T00:00:00.000Z' });
+
+    expect(purged.map(t => t.id)).toEqual([old.id]);
+    expect(() => api.getTask(old.id, { include_deleted: true })).toThrow('not found');
+    expect(api.listTrash().map(t => t.id)).toEqual([recent.id]);
+  });
+
+  it('should delete permanently when asked', async () => {
+    const task = await api.createTask({ name: 'Gone' });
+
+    await api.deleteTask(task.id, 'alice', { permanent: true });
+
+    expect(() => api.getTask(task.id, { include_deleted: true })).toThrow('not found');
+    expect(api.listTrash()).toEqual([]);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createTestDatabase } from '../helpers/database-test-helper.js';
+import { TaskwerkAPI } from '../../src/api/taskwerk-api.js';
+
+describe('TaskwerkAPI - Undo/Redo', () => {
+  let testSetup;
+  let api;
+
+  beforeEach(() => {
+    testSetup = createTestDatabase();
+    api = new TaskwerkAPI(testSetup.database);
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should undo and redo an update', async () => {
+    const task = await api.createTask({ name: 'Write docs', priority: 'low' });
+    await api.updateTask(task.id, { status: 'in-progress', priority: 'high' }, 'alice');
+
+    const reverted = await api.undo(1, 'alice');
+
+    expect(reverted).toHaveLength(1);
+    expect(reverted[0]).toMatchObject({ operation: 'update', task_id: task.id });
+    expect(api.getTask(task.id)).toMatchObject({ status: 'todo', priority: 'low' });
+    expect(api.getTaskTimeline(task.id).find(e => e.action === 'undone').user).toBe('alice');
+
+    await api.redo(1, 'alice');
+    expect(api.getTask(task.id)).toMatchObject({ status: 'in-progress', priority: 'high' });
+  });
+
+  it('should undo a create by removing the task', async () => {
+    const task = await api.createTask({ name: 'Mistake' });
+
+    await api.undo();
+    expect(() => api.getTask(task.id)).toThrow('Task not found');
+
+    await api.redo();
+    expect(api.getTask(task.id).name).toBe('Mistake');
+  });
+
+  it('should restore permanently deleted tasks with tags, notes and subtasks', async () => {
+    const parent = await api.createTask({ name: 'Release' });
+    const child = await api.createTask({ name: 'Changelog', parent_id: parent.id });
+    const blocker = await api.createTask({ name: 'Freeze' });
+    await api.addTaskTags(parent.id, ['release', 'q3']);
+    await api.addTaskNote(parent.id, 'Ship on Friday', 'alice');
+    await api.addTaskDependency(parent.id, blocker.id);
+
+    await api.deleteTask(parent.id, 'alice', { permanent: true });
+    expect(() => api.getTask(child.id)).toThrow('Task not found');
+
+    const reverted = await api.undo();
+
+    expect(reverted).toHaveLength(1);
+    expect(reverted[0].operation).toBe('delete');
+    expect(api.getTask(parent.id).name).toBe('Release');
+    expect(api.getTask(child.id).parent_id).toBe(parent.id);
+    expect(api.getTaskTags(parent.id).sort()).toEqual(['q3', 'release']);
+    expect(api.getTaskNotes(parent.id)[0].note).toBe('Ship on Friday');
+    expect(api.getTaskDependencies(parent.id).map(t => t.id)).toEqual([blocker.id]);
+
+    await api.redo();
+    expect(() => api.getTask(parent.id)).toThrow('Task not found');
+  });
+
+  it('should undo several operations at once', async () => {
+    const task = await api.createTask({ name: 'Plan', priority: 'low' });
+    await api.updateTask(task.id, { priority: 'medium' });
+    await api.updateTask(task.id, { priority: 'high' });
+
+    const reverted = await api.undo(2);
+
+    expect(reverted.map(e => e.after.priority)).toEqual(['high', 'medium']);
+    expect(api.getTask(task.id).priority).toBe('low');
+  });
+
+  it('should undo completing a recurring task in one step', async () => {
+    const task = await api.createTask({ name: 'Standup notes', recurrence: 'daily' });
+    const completed = await api.updateTask(task.id, { status: 'done' });
+    const nextId = completed.next_occurrence.id;
+
+    const reverted = await api.undo();
+
+    expect(reverted.map(e => [e.operation, e.task_id])).toEqual([
+      ['create', nextId],
+      ['update', task.id],
+    ]);
+    expect(api.getTask(task.id).status).toBe('todo');
+    expect(() => api.getTask(nextId)).toThrow('Task not found');
+  });
+
+  it('should create the next occurrence again after undoing a completion', async () => {
+    const task = await api.createTask({ name: 'Weekly review', recurrence: 'weekly' });
+    await api.updateTask(task.id, { status: 'done' });
+    await api.undo();
+
+    const completed = await api.updateTask(task.id, { status: 'done' });
+
+    expect(completed.next_occurrence).not.toBeNull();
+    expect(completed.next_occurrence.series_id).toBe(task.id);
+    expect(api.listTasks().filter(t => t.name === 'Weekly review')).toHaveLength(2);
+  });
+
+  it('should clear the redo history when a new change is made', async () => {
+    const task = await api.createTask({ name: 'Draft', priority: 'low' });
+    await api.updateTask(task.id, { priority: 'high' });
+    await api.undo();
+
+    await api.updateTask(task.id, { priority: 'medium' });
+
+    expect(await api.redo()).toEqual([]);
+    expect(api.getTask(task.id).priority).toBe('medium');
+  });
+
+  it('should return nothing when there is nothing to undo', async () => {
+    expect(await api.undo()).toEqual([]);
+    expect(await api.redo()).toEqual([]);
+  });
+
+  it('should list the history newest first', async () => {
+    const task = await api.createTask({ name: 'Review' });
+    await api.updateTask(task.id, { priority: 'high' });
+    await api.undo();
+
+    const history = api.getUndoHistory();
+
+    expect(history.map(e => [e.operation, e.undone])).toEqual([
+      ['update', 1],
+      ['create', 0],
+    ]);
+  });
+});
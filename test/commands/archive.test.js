@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { archiveCommand } from '../../src/commands/archive.js';
+import { unarchiveCommand } from '../../src/commands/unarchive.js';
+import { taskListCommand } from '../../src/commands/task/list.js';
+import { setupCommandTest } from '../helpers/command-test-helper.js';
+import { createTestTask } from '../helpers/database-test-helper.js';
+
+describe('archive command', () => {
+  let testSetup;
+
+  beforeEach(() => {
+    testSetup = setupCommandTest(true); // Enable database
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-001', name: 'Shipped', status: 'done' });
+    createTestTask(testSetup.dbSetup.db, {
+      id: 'TASK-001.1',
+      name: 'Release notes',
+      parent_id: 'TASK-001',
+      status: 'done',
+    });
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-002', name: 'In flight' });
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  const listIds = async (args = []) => {
+    testSetup.consoleLogSpy.mockClear();
+    await taskListCommand().parseAsync([...args, '--format', 'json'], { from: 'user' });
+    return JSON.parse(testSetup.consoleLogSpy.mock.calls[0][0])
+      .map(t => t.id)
+      .sort();
+  };
+
+  it('should create command with correct name', () => {
+    expect(archiveCommand().name()).toBe('archive');
+    expect(unarchiveCommand().name()).toBe('unarchive');
+  });
+
+  it('should archive a task with its subtasks and keep list --all working', async () => {
+    await archiveCommand().parseAsync(['1'], { from: 'user' });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('📦 Archived TASK-001: Shipped');
+    expect(await listIds()).toEqual(['TASK-002']);
+    expect(await listIds(['--archived'])).toEqual(['TASK-001', 'TASK-001.1']);
+    expect(await listIds(['--all'])).toEqual(['TASK-001', 'TASK-001.1', 'TASK-002']);
+  });
+
+  it('should archive tasks finished before a cutoff', async () => {
+    await archiveCommand().parseAsync(['--done-before', '30d'], { from: 'user' });
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('📦 No tasks finished more than 30d ago');
+
+    testSetup.dbSetup.db
+      .prepare("UPDATE tasks SET completed_at = '2020-01-01 00:00:00' WHERE id = 'TASK-001'")
+      .run();
+    await archiveCommand().parseAsync(['--done-before', '30d'], { from: 'user' });
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('📦 Archived 2 task(s)');
+  });
+
+  it('should unarchive tasks', async () => {
+    await archiveCommand().parseAsync(['1'], { from: 'user' });
+    await unarchiveCommand().parseAsync(['1'], { from: 'user' });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('📤 Unarchived TASK-001: Shipped');
+    expect(await listIds()).toEqual(['TASK-001', 'TASK-001.1', 'TASK-002']);
+  });
+
+  it('should refuse unfinished tasks and missing arguments', async () => {
+    await archiveCommand().parseAsync(['2'], { from: 'user' });
+    expect(testSetup.consoleErrorSpy).toHaveBeenCalledWith(
+      '❌ Failed to archive:',
+      expect.stringContaining('only finished tasks can be archived')
+    );
+
+    await archiveCommand().parseAsync([], { from: 'user' });
+    expect(testSetup.consoleErrorSpy).toHaveBeenCalledWith(
+      '❌ Give a task ID or --done-before <age>'
+    );
+    expect(testSetup.processExitSpy).toHaveBeenCalledWith(1);
+  });
+});
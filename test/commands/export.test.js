@@ -131,6 +131,32 @@ describe('export command', () => {
     await fs.unlink(filename);
   });
 
+  it('should only export deleted tasks when export.includeDeleted is set', async () => {
+    const { TaskwerkAPI } = await import('../../src/api/taskwerk-api.js');
+    await new TaskwerkAPI().deleteTask('TASK-101', 'user');
+
+    const exportIds = async () => {
+      testSetup.consoleLogSpy.mockClear();
+      await exportCommand().parseAsync(['-f', 'json', '--stdout'], { from: 'user' });
+      return JSON.parse(testSetup.consoleLogSpy.mock.calls[0][0]).map(t => t.id);
+    };
+
+    expect(await exportIds()).toEqual(['TASK-100']);
+
+    const originalCwd = process.cwd();
+    await fs.mkdir(path.join(tempDir, '.taskwerk'));
+    await fs.writeFile(
+      path.join(tempDir, '.taskwerk', 'config.yml'),
+      'export:\n  includeDeleted: true\n'
+    );
+    process.chdir(tempDir);
+    try {
+      expect((await exportIds()).sort()).toEqual(['TASK-100', 'TASK-101']);
+    } finally {
+      process.chdir(originalCwd);
+    }
+  });
+
   it('should filter by status', async () => {
     const command = exportCommand();
     await command.parseAsync(['--status', 'in-progress'], { from: 'user' });
@@ -201,6 +227,23 @@ describe('export command', () => {
     await fs.unlink(filename);
   });
 
+  it('should export the whole project as a bundle', async () => {
+    const output = path.join(tempDir, 'backup.json');
+    const command = exportCommand();
+    await command.parseAsync(['--format', 'bundle', '-s', 'todo', '-o', output], {
+      from: 'user',
+    });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith(
+      `✅ Exported bundle with 3 tasks to ${output}`
+    );
+    const bundle = JSON.parse(await fs.readFile(output, 'utf8'));
+    expect(bundle.format).toBe('taskwerk-bundle');
+    expect(bundle.tables.tasks.map(t => t.id)).toEqual(['TASK-100', 'TASK-101', 'TASK-102']);
+    expect(bundle.tables.task_tags.map(t => t.tag)).toEqual(['feature', 'urgent']);
+    expect(bundle.tables.task_notes[0].note).toBe('This needs review');
+  });
+
   it('should export to CSV format', async () => {
     const command = exportCommand();
     await command.parseAsync(['--format', 'csv'], { from: 'user' });
@@ -401,4 +444,57 @@ describe('export command', () => {
     // Clean up
     await fs.unlink(filename);
   });
+
+  it('should export to HTML format', async () => {
+    const command = exportCommand();
+    await command.parseAsync(['--format', 'html', '--stdout'], { from: 'user' });
+
+    const output = testSetup.consoleLogSpy.mock.calls.find(call =>
+      call[0].startsWith('<!DOCTYPE html>')
+    )?.[0];
+
+    expect(output).toBeTruthy();
+    expect(output).toContain('<h2>In Progress</h2>');
+    expect(output).toContain('Active task');
+    expect(output).toContain('Todo task');
+  });
+
+  it('should export only tasks with due dates to iCalendar', async () => {
+    const { TaskwerkAPI } = await import('../../src/api/taskwerk-api.js');
+    const api = new TaskwerkAPI();
+    await api.updateTask('TASK-101', { due_date: '2025-03-01' });
+
+    const output = path.join(tempDir, 'tasks.ics');
+    const command = exportCommand();
+    await command.parseAsync(['--format', 'ics', '-o', output], { from: 'user' });
+
+    const content = await fs.readFile(output, 'utf8');
+    expect(content).toContain('UID:TASK-101@taskwerk');
+    expect(content).not.toContain('TASK-100');
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith(`✅ Exported 1 tasks to ${output}`);
+  });
+
+  it('should export to todo.txt format', async () => {
+    const output = path.join(tempDir, 'todo.txt');
+    const command = exportCommand();
+    await command.parseAsync(['--format', 'todotxt', '-o', output], { from: 'user' });
+
+    const lines = (await fs.readFile(output, 'utf8')).trim().split('\n');
+    expect(lines).toHaveLength(2);
+    expect(lines.find(line => line.includes('id:TASK-100'))).toMatch(
+      /^\(B\) \d{4}-\d{2}-\d{2} Active task @feature @urgent id:TASK-100/
+    );
+    expect(lines.find(line => line.includes('id:TASK-101'))).toContain('Todo task +backend');
+  });
+
+  it('should reject unknown formats', async () => {
+    const command = exportCommand();
+    await command.parseAsync(['--format', 'pdf'], { from: 'user' });
+
+    expect(testSetup.consoleErrorSpy).toHaveBeenCalledWith(
+      '❌ Export failed:',
+      'Unsupported format: pdf. Available formats: markdown, json, csv, html, ics, todotxt'
+    );
+    expect(testSetup.processExitSpy).toHaveBeenCalledWith(1);
+  });
 });
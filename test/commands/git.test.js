@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync, existsSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { gitCommand } from '../../src/commands/git/index.js';
+import { taskStatusCommand } from '../../src/commands/task/status.js';
+import { taskCurrentCommand } from '../../src/commands/task/current.js';
+import { taskShowCommand } from '../../src/commands/task/show.js';
+import { setupCommandTest } from '../helpers/command-test-helper.js';
+import { TaskwerkAPI } from '../../src/api/taskwerk-api.js';
+import { git } from '../../src/utils/git.js';
+
+describe('git integration commands', () => {
+  let testSetup;
+  let repo;
+  let originalCwd;
+  let api;
+
+  const hookPath = () => join(repo, '.git', 'hooks', 'prepare-commit-msg');
+  const commit = message =>
+    git([
+      '-c',
+      'user.name=Alice',
+      '-c',
+      'user.email=alice@example.com',
+      'commit',
+      '-q',
+      '--allow-empty',
+      '-m',
+      message,
+    ]);
+
+  beforeEach(async () => {
+    testSetup = setupCommandTest(true);
+    // Ignore git config injected through the environment
+    vi.stubEnv('GIT_CONFIG_COUNT', '0');
+
+    repo = mkdtempSync(join(tmpdir(), 'taskwerk-git-test-'));
+    git(['init', '-q', '-b', 'main'], repo);
+    git(
+      [
+        '-c',
+        'user.name=Test',
+        '-c',
+        'user.email=test@example.com',
+        'commit',
+        '-q',
+        '--allow-empty',
+        '-m',
+        'init',
+      ],
+      repo
+    );
+    originalCwd = process.cwd();
+    process.chdir(repo);
+
+    api = new TaskwerkAPI();
+    await api.createTask({ name: 'Fix login bug' });
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    vi.unstubAllEnvs();
+    testSetup.cleanup();
+    rmSync(repo, { recursive: true, force: true });
+  });
+
+  it('should start a task on a new branch and record it', async () => {
+    await taskStatusCommand().parseAsync(['1', 'in-progress', '--branch'], { from: 'user' });
+
+    expect(git(['branch', '--show-current'])).toBe('task-001-fix-login-bug');
+    const task = api.getTask('TASK-001');
+    expect(task.status).toBe('in-progress');
+    expect(task.branch_name).toBe('task-001-fix-login-bug');
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith(
+      '🌿 Created and checked out branch task-001-fix-login-bug'
+    );
+  });
+
+  it('should reuse the recorded branch after a rename', async () => {
+    await taskStatusCommand().parseAsync(['1', 'in-progress', '--branch'], { from: 'user' });
+    git(['checkout', '-q', 'main']);
+    await api.updateTask('TASK-001', { name: 'Fix login and signup', status: 'todo' });
+
+    await taskStatusCommand().parseAsync(['1', 'in-progress', '--branch'], { from: 'user' });
+
+    expect(git(['branch', '--show-current'])).toBe('task-001-fix-login-bug');
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith(
+      '🌿 Checked out branch task-001-fix-login-bug'
+    );
+  });
+
+  it('should resolve the current task from the branch', async () => {
+    await api.updateTask('TASK-001', { branch_name: 'my-login-work' });
+    git(['checkout', '-q', '-b', 'my-login-work']);
+
+    await taskCurrentCommand().parseAsync([], { from: 'user' });
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('📌 TASK-001: Fix login bug');
+
+    // Falls back to the ID in the branch name
+    git(['checkout', '-q', '-b', 'feature/TASK-001-other']);
+    testSetup.consoleLogSpy.mockClear();
+    await taskCurrentCommand().parseAsync(['--id'], { from: 'user' });
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('TASK-001');
+  });
+
+  it('should exit with status 1 when the branch has no task', async () => {
+    await taskCurrentCommand().parseAsync([], { from: 'user' });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('ℹ️  No task for branch main');
+    expect(testSetup.processExitSpy).toHaveBeenCalledWith(1);
+  });
+
+  it('should install and remove the prepare-commit-msg hook', async () => {
+    await gitCommand().parseAsync(['install-hook'], { from: 'user' });
+
+    const script = readFileSync(hookPath(), 'utf8');
+    expect(script).toContain('# taskwerk prepare-commit-msg hook');
+    expect(script).toContain('task current --id');
+
+    await gitCommand().parseAsync(['uninstall-hook'], { from: 'user' });
+    expect(existsSync(hookPath())).toBe(false);
+  });
+
+  it('should not replace a hook it did not install without --force', async () => {
+    writeFileSync(hookPath(), '#!/bin/sh\necho custom\n');
+
+    await gitCommand().parseAsync(['install-hook'], { from: 'user' });
+    expect(readFileSync(hookPath(), 'utf8')).toContain('echo custom');
+    expect(testSetup.processExitSpy).toHaveBeenCalledWith(1);
+
+    await gitCommand().parseAsync(['install-hook', '--force'], { from: 'user' });
+    expect(readFileSync(hookPath(), 'utf8')).toContain('# taskwerk prepare-commit-msg hook');
+  });
+
+  it('should link commits to tasks and close fixed tasks', async () => {
+    commit('Start on TASK-001');
+    commit('Fixes TASK-001 (#12)');
+    commit('Unrelated TASK-099');
+
+    await gitCommand().parseAsync(['scan', '--close'], { from: 'user' });
+
+    const links = api.getTaskLinks('TASK-001');
+    expect(links.map(link => link.type).sort()).toEqual(['commit', 'commit', 'pull_request']);
+    expect(api.getTask('TASK-001').status).toBe('done');
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith(
+      '\n📊 Scanned 4 commits: 3 new links, 1 tasks closed'
+    );
+
+    testSetup.consoleLogSpy.mockClear();
+    await taskShowCommand().parseAsync(['1'], { from: 'user' });
+    const output = testSetup.consoleLogSpy.mock.calls.map(call => call[0]).join('\n');
+    expect(output).toContain('🔗 Commits:');
+    expect(output).toMatch(/ {2}[0-9a-f]{7} Fixes TASK-001 \(#12\) \(Alice\)/);
+    expect(output).toContain('🔀 Pull requests:');
+  });
+
+  it('should only preview links with --dry-run', async () => {
+    commit('Fixes TASK-001');
+
+    await gitCommand().parseAsync(['scan', '--close', '--dry-run'], { from: 'user' });
+
+    expect(api.getTaskLinks('TASK-001')).toEqual([]);
+    expect(api.getTask('TASK-001').status).toBe('todo');
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith(
+      expect.stringMatching(/^✅ Would close TASK-001: Fix login bug \([0-9a-f]{7}\)$/)
+    );
+  });
+});
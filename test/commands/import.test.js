@@ -39,6 +39,8 @@ describe('import command', () => {
 
     expect(optionNames).toContain('--format');
     expect(optionNames).toContain('--update');
+    expect(optionNames).toContain('--merge');
+    expect(optionNames).toContain('--strategy');
     expect(optionNames).toContain('--prefix');
     expect(optionNames).toContain('--dry-run');
   });
@@ -244,6 +246,82 @@ Duplicate test task.`;
     expect(skipMessage[0]).toContain('TASK-300');
   });
 
+  it('should show a field diff when previewing a merge', async () => {
+    const { TaskwerkAPI } = await import('../../src/api/taskwerk-api.js');
+    const api = new TaskwerkAPI();
+    await api.createTask({ id: 'TASK-001', name: 'Existing', priority: 'high' });
+    await api.createTask({ id: 'TASK-002', name: 'Same' });
+
+    const jsonFile = path.join(tempDir, 'tasks.json');
+    await fs.writeFile(
+      jsonFile,
+      JSON.stringify([
+        { id: 'TASK-001', name: 'Existing', priority: 'low', assignee: 'bob' },
+        { id: 'TASK-002', name: 'Same' },
+        { id: 'TASK-003', name: 'Brand new' },
+      ])
+    );
+
+    const command = importCommand();
+    await command.parseAsync(
+      [jsonFile, '-f', 'json', '--merge', '--strategy', 'ours', '--dry-run'],
+      {
+        from: 'user',
+      }
+    );
+
+    const output = testSetup.consoleLogSpy.mock.calls.map(call => call[0]).join('\n');
+    expect(output).toContain('📋 Merge Preview (3 tasks, strategy: ours):');
+    expect(output).toContain('~ TASK-001: Existing');
+    expect(output).toContain('     priority: high → low (keeping database value)');
+    expect(output).toContain('     assignee: (empty) → bob\n');
+    expect(output).toContain('= TASK-002: Same (no changes)');
+    expect(output).toContain('+ TASK-003: Brand new (new)');
+    expect(api.getTask('TASK-001').priority).toBe('high');
+    expect(() => api.getTask('TASK-003')).toThrow();
+  });
+
+  it('should merge changed fields and leave unchanged tasks alone', async () => {
+    const { TaskwerkAPI } = await import('../../src/api/taskwerk-api.js');
+    const api = new TaskwerkAPI();
+    await api.createTask({ id: 'TASK-001', name: 'Existing', priority: 'high', assignee: 'alice' });
+
+    const jsonFile = path.join(tempDir, 'tasks.json');
+    await fs.writeFile(jsonFile, JSON.stringify([{ id: 'TASK-001', priority: 'low' }]));
+
+    const command = importCommand();
+    await command.parseAsync([jsonFile, '-f', 'json', '--merge'], { from: 'user' });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith(
+      '✅ Merged: TASK-001 - Existing (priority)'
+    );
+    const task = api.getTask('TASK-001');
+    expect(task.priority).toBe('low');
+    expect(task.assignee).toBe('alice');
+    const updated = api.getTaskTimeline('TASK-001').find(event => event.action === 'updated');
+    expect(updated.user).toBe('import:tasks.json');
+
+    testSetup.consoleLogSpy.mockClear();
+    await importCommand().parseAsync([jsonFile, '-f', 'json', '--merge'], { from: 'user' });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('➖ Unchanged: TASK-001 - Existing');
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('   Unchanged: 1');
+  });
+
+  it('should reject an unknown merge strategy', async () => {
+    const jsonFile = path.join(tempDir, 'tasks.json');
+    await fs.writeFile(jsonFile, '[]');
+
+    const command = importCommand();
+    await command.parseAsync([jsonFile, '--merge', '--strategy', 'mine'], { from: 'user' });
+
+    expect(testSetup.consoleErrorSpy).toHaveBeenCalledWith(
+      '❌ Import failed:',
+      'Unknown merge strategy: mine. Use ours, theirs, newest'
+    );
+    expect(testSetup.processExitSpy).toHaveBeenCalledWith(1);
+  });
+
   it('should add prefix to task IDs', async () => {
     const markdownFile = path.join(tempDir, 'prefix.md');
     const markdownContent = `## TASK-400: Prefix task
@@ -291,6 +369,120 @@ Task for prefix testing.`;
     );
   });
 
+  it('should import a bundle, renumbering taken IDs', async () => {
+    const { TaskwerkAPI } = await import('../../src/api/taskwerk-api.js');
+    const api = new TaskwerkAPI();
+    const task = await api.createTask({ name: 'Existing task' });
+    await api.addTaskNote(task.id, 'Keep me');
+    const bundleFile = path.join(tempDir, 'bundle.json');
+    await fs.writeFile(bundleFile, JSON.stringify(api.exportBundle()));
+
+    const command = importCommand();
+    await command.parseAsync([bundleFile, '-f', 'bundle'], { from: 'user' });
+
+    const output = testSetup.consoleLogSpy.mock.calls.map(call => call[0]).join('\n');
+    expect(output).toContain('📊 Import Summary:');
+    expect(output).toContain('   Notes: 1');
+    expect(output).toContain(`   ${task.id} → TASK-002`);
+    expect(api.getTaskNotes('TASK-002').map(n => n.note)).toEqual(['Keep me']);
+  });
+
+  it('should reject a bundle file that is not a bundle', async () => {
+    const bundleFile = path.join(tempDir, 'tasks.json');
+    await fs.writeFile(bundleFile, JSON.stringify([{ name: 'Task' }]));
+
+    const command = importCommand();
+    await command.parseAsync([bundleFile, '-f', 'bundle'], { from: 'user' });
+
+    expect(testSetup.consoleErrorSpy).toHaveBeenCalledWith(
+      '❌ Import failed:',
+      'Not a taskwerk bundle. Create one with: twrk export -f bundle'
+    );
+    expect(testSetup.processExitSpy).toHaveBeenCalledWith(1);
+  });
+
+  it('should import GitHub issues with subtasks, tags and notes', async () => {
+    const file = path.join(tempDir, 'issues.json');
+    await fs.writeFile(
+      file,
+      JSON.stringify([
+        {
+          number: 7,
+          title: 'Dark mode',
+          state: 'OPEN',
+          labels: [{ name: 'P1' }, { name: 'ui' }],
+          assignees: [{ login: 'alice' }],
+          comments: [{ author: { login: 'bob' }, body: '+1' }],
+          url: 'https://github.com/acme/app/issues/7',
+        },
+      ])
+    );
+
+    const command = importCommand();
+    await command.parseAsync([file, '-f', 'github'], { from: 'user' });
+
+    const { TaskwerkAPI } = await import('../../src/api/taskwerk-api.js');
+    const api = new TaskwerkAPI();
+    const task = api.findImportedTask('github', '#7');
+    expect(task).toMatchObject({ name: 'Dark mode', priority: 'high', assignee: 'alice' });
+    expect(task.metadata.import.url).toBe('https://github.com/acme/app/issues/7');
+    expect(api.getTaskTags(task.id)).toEqual(['ui']);
+    expect(api.getTaskNotes(task.id).map(n => n.note)).toEqual(['+1']);
+
+    // Importing the same file again skips what is already there
+    testSetup.consoleLogSpy.mockClear();
+    await importCommand().parseAsync([file, '-f', 'github'], { from: 'user' });
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith(
+      `⏭️  Skipped: #7 - Dark mode (already imported as ${task.id})`
+    );
+  });
+
+  it('should link Jira subtasks to their parent', async () => {
+    const file = path.join(tempDir, 'jira.csv');
+    await fs.writeFile(
+      file,
+      'Summary,Issue key,Issue id,Parent,Status,Created,Resolved\n' +
+        'Card form,SHOP-2,2,1,Done,2024-01-10T09:00:00Z,2024-01-12T16:00:00Z\n' +
+        'Checkout,SHOP-1,1,,To Do,,\n'
+    );
+
+    const command = importCommand();
+    await command.parseAsync([file, '-f', 'jira'], { from: 'user' });
+
+    const { TaskwerkAPI } = await import('../../src/api/taskwerk-api.js');
+    const api = new TaskwerkAPI();
+    const parent = api.findImportedTask('jira', 'SHOP-1');
+    const child = api.findImportedTask('jira', 'SHOP-2');
+    expect(child.parent_id).toBe(parent.id);
+    expect(child.status).toBe('done');
+
+    // Closed issues keep their own dates rather than looking finished at import time
+    expect(child.created_at).toBe('2024-01-10T09:00:00.000Z');
+    expect(child.completed_at).toBe('2024-01-12T16:00:00.000Z');
+    expect(parent.completed_at).toBeNull();
+  });
+
+  it('should list unmapped fields on a dry run', async () => {
+    const file = path.join(tempDir, 'issues.json');
+    await fs.writeFile(
+      file,
+      JSON.stringify([
+        { number: 1, title: 'One', state: 'OPEN', isPinned: true },
+        { number: 2, title: 'Two', state: 'OPEN' },
+      ])
+    );
+
+    const command = importCommand();
+    await command.parseAsync([file, '-f', 'github', '--dry-run'], { from: 'user' });
+
+    const output = testSetup.consoleLogSpy.mock.calls.map(call => call[0]).join('\n');
+    expect(output).toContain('📋 Import Preview (2 tasks from GitHub Issues):');
+    expect(output).toContain('1. #1: One');
+    expect(output).toContain('⚠️  Unmapped fields (will not be imported):');
+    expect(output).toContain('   isPinned: set in 1 of 2');
+    expect(output).not.toContain('✅ Imported');
+  });
+
   it('should handle CSV with special characters', async () => {
     const csvFile = path.join(tempDir, 'special.csv');
     const csvContent = `ID,Name,Description
@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { nextCommand } from '../../src/commands/next.js';
+import { setupCommandTest } from '../helpers/command-test-helper.js';
+import { createTestTask } from '../helpers/database-test-helper.js';
+
+describe('next command', () => {
+  let testSetup;
+
+  beforeEach(() => {
+    testSetup = setupCommandTest(true); // Enable database
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should create command with correct name and description', () => {
+    const command = nextCommand();
+    expect(command.name()).toBe('next');
+    expect(command.description()).toBe('Show the next actionable task');
+  });
+
+  it('should show the highest ranked task', async () => {
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-001', name: 'Low', priority: 'low' });
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-002', name: 'High', priority: 'high' });
+
+    const command = nextCommand();
+    await command.parseAsync([], { from: 'user' });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('👉 Next: TASK-002 - High');
+  });
+
+  it('should output JSON for agents', async () => {
+    createTestTask(testSetup.dbSetup.db, {
+      id: 'TASK-001',
+      name: 'Agent work',
+      assignee: '@ai-agent',
+    });
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-002', name: 'Bob work', assignee: '@bob' });
+
+    const command = nextCommand();
+    await command.parseAsync(['--assignee', '@ai-agent', '--format', 'json'], { from: 'user' });
+
+    const output = JSON.parse(testSetup.consoleLogSpy.mock.calls[0][0]);
+    expect(output).toHaveLength(1);
+    expect(output[0].id).toBe('TASK-001');
+    expect(output[0].reasons).toContain('assigned to @ai-agent');
+  });
+
+  it('should say when nothing is actionable', async () => {
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-001', name: 'Done', status: 'done' });
+
+    const command = nextCommand();
+    await command.parseAsync([], { from: 'user' });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('🎉 Nothing actionable right now');
+  });
+});
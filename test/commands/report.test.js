@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { reportCommand } from '../../src/commands/report.js';
+import { setupCommandTest } from '../helpers/command-test-helper.js';
+import { TaskwerkAPI } from '../../src/api/taskwerk-api.js';
+import { formatLocalDate } from '../../src/utils/date-parser.js';
+
+describe('report command', () => {
+  let testSetup;
+  let api;
+
+  beforeEach(async () => {
+    testSetup = setupCommandTest(true);
+    api = new TaskwerkAPI();
+
+    await api.createTask({ name: 'Write docs', priority: 'high', estimate: 1 });
+    await api.createTask({ name: 'Fix bug' });
+    await api.updateTask('TASK-001', { status: 'in-progress' });
+    await api.updateTask('TASK-001', { status: 'done' });
+    testSetup.consoleLogSpy.mockClear();
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  const output = () => testSetup.consoleLogSpy.mock.calls.map(call => call[0]).join('\n');
+
+  it('should render every report as text', async () => {
+    await reportCommand().parseAsync([], { from: 'user' });
+
+    const text = output();
+    expect(text).toContain('🔥 Burndown (open tasks at the end of each day)');
+    expect(text).toMatch(/│█+ +1 \(ideal 1\)$/m);
+    expect(text).toContain('🚀 Throughput (tasks completed per week)');
+    expect(text).toMatch(/high +1 tasks {2}lead 0h {2}cycle 0h/);
+    expect(text).toContain('No completed tasks with both an estimate and tracked time');
+  });
+
+  it('should output a single report as JSON', async () => {
+    await reportCommand().parseAsync(['cycle-time', '--format', 'json', '--from', '-1w'], {
+      from: 'user',
+    });
+
+    const report = JSON.parse(testSetup.consoleLogSpy.mock.calls[0][0]);
+    expect(Object.keys(report)).toEqual(['range', 'cycle_time']);
+    expect(report.cycle_time.by_assignee).toEqual([
+      { group: 'unassigned', count: 1, lead_hours: 0, cycle_hours: 0 },
+    ]);
+  });
+
+  it('should start a range at the last weekday of that name', async () => {
+    await reportCommand().parseAsync(['burndown', '--format', 'json', '--from', 'monday'], {
+      from: 'user',
+    });
+
+    const { range } = JSON.parse(testSetup.consoleLogSpy.mock.calls[0][0]);
+    const today = new Date();
+    const monday = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    monday.setDate(monday.getDate() - ((today.getDay() + 6) % 7));
+    expect(range.from).toBe(formatLocalDate(monday));
+    expect(range.to).toBe(formatLocalDate(today));
+  });
+
+  it('should reject unknown reports and bad dates', async () => {
+    await reportCommand().parseAsync(['velocity'], { from: 'user' });
+    expect(testSetup.consoleErrorSpy).toHaveBeenCalledWith(
+      '❌ Failed to build report:',
+      'Unknown report: velocity. Use burndown, throughput, cycle-time, estimates'
+    );
+
+    await reportCommand().parseAsync(['--from', 'someday'], { from: 'user' });
+    expect(testSetup.consoleErrorSpy).toHaveBeenCalledWith(
+      '❌ Failed to build report:',
+      expect.stringContaining('Invalid date: someday')
+    );
+    expect(testSetup.processExitSpy).toHaveBeenCalledWith(1);
+  });
+});
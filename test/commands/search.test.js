@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { searchCommand } from '../../src/commands/search.js';
+import { setupCommandTest } from '../helpers/command-test-helper.js';
+import { createTestTask } from '../helpers/database-test-helper.js';
+
+describe('search command', () => {
+  let testSetup;
+
+  beforeEach(() => {
+    testSetup = setupCommandTest(true); // Enable database
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should create command with correct name and description', () => {
+    const command = searchCommand();
+    expect(command.name()).toBe('search');
+    expect(command.description()).toBe('Full-text search across tasks, notes and tags');
+  });
+
+  it('should list matching tasks', async () => {
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-001', name: 'Fix login bug' });
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-002', name: 'Write docs' });
+
+    const command = searchCommand();
+    await command.parseAsync(['login'], { from: 'user' });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('🔍 1 result for "login"\n');
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('TASK-001 [todo] Fix login bug');
+  });
+
+  it('should output JSON with snippets', async () => {
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-001', name: 'Fix login bug' });
+
+    const command = searchCommand();
+    await command.parseAsync(['login', '--format', 'json'], { from: 'user' });
+
+    const output = JSON.parse(testSetup.consoleLogSpy.mock.calls[0][0]);
+    expect(output).toHaveLength(1);
+    expect(output[0].snippet).toBe('Fix **login** bug');
+  });
+
+  it('should report when nothing matches', async () => {
+    const command = searchCommand();
+    await command.parseAsync(['nothing'], { from: 'user' });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('🔍 No tasks match "nothing"');
+  });
+
+  it('should require a query', async () => {
+    const command = searchCommand();
+
+    try {
+      await command.parseAsync([], { from: 'user' });
+    } catch (error) {
+      // process.exit is mocked
+    }
+
+    expect(testSetup.consoleErrorSpy).toHaveBeenCalledWith('❌ Please provide a search query');
+    expect(testSetup.processExitSpy).toHaveBeenCalledWith(1);
+  });
+});
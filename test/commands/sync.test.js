@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { syncCommand } from '../../src/commands/sync/index.js';
+import { setupCommandTest } from '../helpers/command-test-helper.js';
+import { TaskwerkAPI } from '../../src/api/taskwerk-api.js';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+describe('sync command', () => {
+  let testSetup;
+  let tempDir;
+  let file;
+  let api;
+
+  const sync = (...args) => syncCommand().parseAsync(['markdown', file, ...args], { from: 'user' });
+  const output = () => testSetup.consoleLogSpy.mock.calls.map(call => call[0]).join('\n');
+
+  beforeEach(async () => {
+    testSetup = setupCommandTest(true);
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'taskwerk-test-'));
+    file = path.join(tempDir, 'tasks.md');
+    api = new TaskwerkAPI();
+    await api.createTask({ name: 'Ship release', priority: 'high' });
+    await api.createTask({ name: 'Write changelog', parent_id: 'TASK-001' });
+  });
+
+  afterEach(async () => {
+    testSetup.cleanup();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should write the task tree on the first run', async () => {
+    await sync();
+
+    const content = await fs.readFile(file, 'utf8');
+    expect(content).toContain('- [ ] TASK-001: Ship release !high\n');
+    expect(content).toContain('  - [ ] TASK-001.1: Write changelog\n');
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith(`📝 Wrote 2 tasks to ${file}`);
+  });
+
+  it('should apply edits from the file and add new bullets as tasks', async () => {
+    await sync();
+    const content = await fs.readFile(file, 'utf8');
+    await fs.writeFile(
+      file,
+      content.replace('- [ ] TASK-001.1', '- [x] TASK-001.1') +
+        '  - [ ] Announce it !low\n- Plan next release\n'
+    );
+
+    await sync();
+
+    expect(api.getTask('TASK-001.1').status).toBe('done');
+    expect(api.getTask('TASK-001.2')).toMatchObject({ name: 'Announce it', priority: 'low' });
+    expect(api.getTask('TASK-002').name).toBe('Plan next release');
+    expect(output()).toContain('✅ Updated TASK-001.1: status → done');
+    expect(output()).toContain('➕ Created TASK-001.2: Announce it');
+
+    const synced = await fs.readFile(file, 'utf8');
+    expect(synced).toContain('  - [ ] TASK-001.2: Announce it !low\n');
+    expect(synced).toContain('- [ ] TASK-002: Plan next release\n');
+  });
+
+  it('should keep CLI changes made since the last sync', async () => {
+    await sync();
+    const content = await fs.readFile(file, 'utf8');
+    await api.updateTask('TASK-001', { priority: 'critical', status: 'in-progress' });
+    await fs.writeFile(file, content.replace('Ship release !high', 'Ship release !low'));
+
+    await sync();
+
+    const task = api.getTask('TASK-001');
+    expect(task.priority).toBe('critical');
+    expect(task.status).toBe('in-progress');
+    expect(output()).toContain(
+      '⚠️  Conflict on TASK-001 priority: file has "low", taskwerk has "critical" (kept taskwerk)'
+    );
+    expect(await fs.readFile(file, 'utf8')).toContain('- [~] TASK-001: Ship release !critical\n');
+  });
+
+  it('should leave out closed tasks and drop lines of tasks closed since', async () => {
+    await api.createTask({ name: 'Old release', status: 'done' });
+    await api.createTask({ name: 'Dropped idea', status: 'cancelled' });
+    await sync();
+    const content = await fs.readFile(file, 'utf8');
+    expect(content).not.toContain('Old release');
+    expect(content).not.toContain('Dropped idea');
+
+    await fs.writeFile(file, content.replace('- [ ] TASK-001.1', '- [x] TASK-001.1'));
+    await api.updateTask('TASK-001', { status: 'cancelled' });
+    await sync();
+
+    const synced = await fs.readFile(file, 'utf8');
+    expect(api.getTask('TASK-001.1').status).toBe('done');
+    expect(output()).toContain('⚠️  TASK-001 is not an open task; its line will be removed');
+    expect(synced).not.toContain('TASK-001');
+  });
+
+  it('should change nothing on a dry run', async () => {
+    await sync();
+    const content = await fs.readFile(file, 'utf8');
+    const edited = content.replace('- [ ] TASK-001:', '- [x] TASK-001:') + '- New idea\n';
+    await fs.writeFile(file, edited);
+
+    await sync('--dry-run');
+
+    expect(output()).toContain('✅ Would update TASK-001: status → done');
+    expect(output()).toContain('➕ Would create: New idea');
+    expect(api.getTask('TASK-001').status).toBe('todo');
+    expect(await fs.readFile(file, 'utf8')).toBe(edited);
+  });
+});
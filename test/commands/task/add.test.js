@@ -38,6 +38,8 @@ describe('task add command', () => {
     expect(optionNames).toContain('--parent');
     expect(optionNames).toContain('--tags');
     expect(optionNames).toContain('--description');
+    expect(optionNames).toContain('--due');
+    expect(optionNames).toContain('--recur');
   });
 
   it('should set default priority to medium', () => {
@@ -58,6 +60,20 @@ describe('task add command', () => {
     );
   });
 
+  it('should parse natural-language due dates', async () => {
+    const command = taskAddCommand();
+    await command.parseAsync(['Release', '--due', '2999-01-01'], { from: 'user' });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('  Due: 2999-01-01');
+
+    await taskAddCommand().parseAsync(['Later', '--due', 'someday'], { from: 'user' });
+    expect(testSetup.consoleErrorSpy).toHaveBeenCalledWith(
+      '❌ Failed to create task:',
+      expect.stringContaining('Invalid due date: someday')
+    );
+    expect(testSetup.processExitSpy).toHaveBeenCalledWith(1);
+  });
+
   it('should handle all options', async () => {
     // Create parent task first
     createTestTask(testSetup.dbSetup.db, { id: 'TASK-123', name: 'Parent task' });
@@ -2,6 +2,7 @@ import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { taskDeleteCommand } from '../../../src/commands/task/delete.js';
 import { setupCommandTest } from '../../helpers/command-test-helper.js';
 import { createTestTask } from '../../helpers/database-test-helper.js';
+import { TaskwerkAPI } from '../../../src/api/taskwerk-api.js';
 
 describe('task delete command', () => {
   let testSetup;
@@ -32,4 +33,24 @@ describe('task delete command', () => {
       expect.stringContaining('✅ Deleted task TASK-123')
     );
   });
+
+  it('should list and count every level of subtasks it moves to the trash', async () => {
+    const api = new TaskwerkAPI();
+    const parent = await api.createTask({ name: 'Release' });
+    const child = await api.createTask({ name: 'Docs', parent_id: parent.id });
+    // createTask nests one level only, so add the grandchild directly
+    createTestTask(testSetup.dbSetup.db, {
+      id: 'TASK-001.1.1',
+      name: 'Changelog',
+      parent_id: child.id,
+    });
+
+    await taskDeleteCommand().parseAsync([parent.id, '--force', '--cascade'], { from: 'user' });
+
+    const output = testSetup.consoleLogSpy.mock.calls.map(call => call[0]).join('\n');
+    expect(output).toContain('🗑️  Deleting 2 subtask(s)...');
+    expect(output).toContain('✅ Deleted subtask TASK-001.1.1: Changelog');
+    expect(output).toContain('📊 Summary: Deleted 3 task(s) total');
+    expect(api.listTrash().map(task => task.id)).toHaveLength(3);
+  });
 });
@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { taskDependCommand } from '../../../src/commands/task/depend.js';
+import { taskShowCommand } from '../../../src/commands/task/show.js';
+import { setupCommandTest } from '../../helpers/command-test-helper.js';
+import { createTestTask, addTaskDependency } from '../../helpers/database-test-helper.js';
+
+describe('task depend command', () => {
+  let testSetup;
+
+  beforeEach(() => {
+    testSetup = setupCommandTest(true); // Enable database
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should create command with correct name and description', () => {
+    const command = taskDependCommand();
+    expect(command.name()).toBe('depend');
+    expect(command.description()).toBe('Manage task dependencies (blockers)');
+  });
+
+  it('should add a dependency', async () => {
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-001', name: 'Blocker' });
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-002', name: 'Blocked' });
+
+    const command = taskDependCommand();
+    await command.parseAsync(['TASK-002', '--on', 'TASK-001'], { from: 'user' });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith(
+      expect.stringContaining('TASK-002 is now blocked by TASK-001')
+    );
+    const rows = testSetup.dbSetup.db.prepare('SELECT * FROM task_dependencies').all();
+    expect(rows).toHaveLength(1);
+  });
+
+  it('should remove a dependency', async () => {
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-001', name: 'Blocker' });
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-002', name: 'Blocked' });
+    addTaskDependency(testSetup.dbSetup.db, 'TASK-002', 'TASK-001');
+
+    const command = taskDependCommand();
+    await command.parseAsync(['TASK-002', '--remove', 'TASK-001'], { from: 'user' });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith(
+      expect.stringContaining('TASK-002 is no longer blocked by TASK-001')
+    );
+  });
+
+  it('should report circular dependencies', async () => {
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-001', name: 'First' });
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-002', name: 'Second' });
+    addTaskDependency(testSetup.dbSetup.db, 'TASK-002', 'TASK-001');
+
+    const command = taskDependCommand();
+    await command.parseAsync(['TASK-001', '--on', 'TASK-002'], { from: 'user' });
+
+    expect(testSetup.consoleErrorSpy).toHaveBeenCalledWith(
+      '❌ Failed to update task dependencies:',
+      expect.stringContaining('Circular dependency')
+    );
+    expect(testSetup.processExitSpy).toHaveBeenCalledWith(1);
+  });
+
+  it('should list blockers and blocked tasks in task show', () => {
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-001', name: 'Blocker' });
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-002', name: 'Middle' });
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-003', name: 'Blocked' });
+    addTaskDependency(testSetup.dbSetup.db, 'TASK-002', 'TASK-001');
+    addTaskDependency(testSetup.dbSetup.db, 'TASK-003', 'TASK-002');
+
+    const command = taskShowCommand();
+    command.parse(['TASK-002'], { from: 'user' });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Blocked by:'));
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith(
+      expect.stringContaining('TASK-001 - Blocker')
+    );
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Blocking:'));
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith(
+      expect.stringContaining('TASK-003 - Blocked')
+    );
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { taskListCommand } from '../../../src/commands/task/list.js';
+import { setupCommandTest } from '../../helpers/command-test-helper.js';
+import { createTestTask } from '../../helpers/database-test-helper.js';
+
+describe('task list command - due date filters', () => {
+  let testSetup;
+
+  beforeEach(() => {
+    testSetup = setupCommandTest(true); // Enable database
+
+    createTestTask(testSetup.dbSetup.db, {
+      id: 'TASK-001',
+      name: 'Overdue',
+      due_date: '2020-01-01',
+    });
+    createTestTask(testSetup.dbSetup.db, {
+      id: 'TASK-002',
+      name: 'Far future',
+      due_date: '2999-06-01T12:00:00.000Z',
+    });
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-003', name: 'No due date' });
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  const listIds = async args => {
+    await taskListCommand().parseAsync([...args, '--format', 'json'], { from: 'user' });
+    return JSON.parse(testSetup.consoleLogSpy.mock.calls[0][0]).map(t => t.id);
+  };
+
+  it('should filter with --due-before', async () => {
+    expect(await listIds(['--due-before', 'today'])).toEqual(['TASK-001']);
+  });
+
+  it('should filter with --due-after', async () => {
+    expect(await listIds(['--due-after', 'next week'])).toEqual(['TASK-002']);
+  });
+
+  it('should include the whole day of a calendar date bound', async () => {
+    expect(await listIds(['--due-after', '2999-06-01', '--due-before', '2999-06-01'])).toEqual([
+      'TASK-002',
+    ]);
+  });
+
+  it('should reject unknown dates', async () => {
+    await taskListCommand().parseAsync(['--due-before', 'soon'], { from: 'user' });
+
+    expect(testSetup.consoleErrorSpy).toHaveBeenCalledWith(
+      '❌ Failed to list tasks:',
+      expect.stringContaining('Invalid date: soon')
+    );
+    expect(testSetup.processExitSpy).toHaveBeenCalledWith(1);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { taskListCommand } from '../../../src/commands/task/list.js';
+import { setupCommandTest } from '../../helpers/command-test-helper.js';
+import { createTestTask } from '../../helpers/database-test-helper.js';
+
+describe('task list command - query expressions', () => {
+  let testSetup;
+
+  beforeEach(() => {
+    testSetup = setupCommandTest(true); // Enable database
+
+    createTestTask(testSetup.dbSetup.db, {
+      id: 'TASK-001',
+      name: 'Ship release',
+      priority: 'critical',
+      assignee: '@alice',
+    });
+    createTestTask(testSetup.dbSetup.db, {
+      id: 'TASK-002',
+      name: 'Tidy README',
+      priority: 'low',
+      assignee: '@bob',
+    });
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should filter tasks with --query', async () => {
+    const command = taskListCommand();
+    await command.parseAsync(['--query', 'priority>=high', '--format', 'json'], { from: 'user' });
+
+    const output = JSON.parse(testSetup.consoleLogSpy.mock.calls[0][0]);
+    expect(output.map(t => t.id)).toEqual(['TASK-001']);
+  });
+
+  it('should accept negated terms', async () => {
+    const command = taskListCommand();
+    await command.parseAsync(['-q', '-assignee:@alice', '--format', 'json'], { from: 'user' });
+
+    const output = JSON.parse(testSetup.consoleLogSpy.mock.calls[0][0]);
+    expect(output.map(t => t.id)).toEqual(['TASK-002']);
+  });
+
+  it('should report parse errors', async () => {
+    const command = taskListCommand();
+    await command.parseAsync(['--query', 'prio:high'], { from: 'user' });
+
+    expect(testSetup.consoleErrorSpy).toHaveBeenCalledWith(
+      expect.stringContaining('❌ Invalid query: Unknown field "prio" (did you mean "priority"?)')
+    );
+    expect(testSetup.processExitSpy).toHaveBeenCalledWith(1);
+  });
+});
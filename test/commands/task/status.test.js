@@ -2,6 +2,7 @@ import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { taskStatusCommand } from '../../../src/commands/task/status.js';
 import { setupCommandTest } from '../../helpers/command-test-helper.js';
 import { createTestTask } from '../../helpers/database-test-helper.js';
+import { TaskwerkAPI } from '../../../src/api/taskwerk-api.js';
 
 describe('task status command', () => {
   let testSetup;
@@ -72,4 +73,30 @@ describe('task status command', () => {
       '✅ Updated status of TASK-123 to blocked'
     );
   });
+
+  it('should report tasks unblocked by the status change', async () => {
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-001', name: 'Blocker' });
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-002', name: 'Waiting task' });
+    await new TaskwerkAPI().addTaskDependency('TASK-002', 'TASK-001');
+
+    const command = taskStatusCommand();
+    await command.parseAsync(['TASK-001', 'done'], { from: 'user' });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('🔓 Unblocked TASK-002: Waiting task');
+  });
+
+  it('should report the next occurrence of a recurring task', async () => {
+    await new TaskwerkAPI().createTask({
+      name: 'Weekly report',
+      recurrence: 'weekly',
+      due_date: '2999-01-04',
+    });
+
+    const command = taskStatusCommand();
+    await command.parseAsync(['TASK-001', 'done'], { from: 'user' });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith(
+      '🔁 Next occurrence: TASK-002 (due 2999-01-11)'
+    );
+  });
 });
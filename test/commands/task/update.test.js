@@ -31,6 +31,8 @@ describe('task update command', () => {
     expect(optionNames).toContain('--add-tags');
     expect(optionNames).toContain('--remove-tags');
     expect(optionNames).toContain('--note');
+    expect(optionNames).toContain('--due');
+    expect(optionNames).toContain('--recur');
   });
 
   it('should handle updating task with valid task ID', async () => {
@@ -46,6 +48,16 @@ describe('task update command', () => {
     );
   });
 
+  it('should set and clear the due date', async () => {
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-456', name: 'Task with deadline' });
+
+    await taskUpdateCommand().parseAsync(['TASK-456', '--due', '2999-02-03'], { from: 'user' });
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('  due_date: (none) → 2999-02-03');
+
+    await taskUpdateCommand().parseAsync(['TASK-456', '--due', 'none'], { from: 'user' });
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('  due_date: 2999-02-03 → (none)');
+  });
+
   it('should handle adding notes to a task', async () => {
     // Create a test task first
     createTestTask(testSetup.dbSetup.db, { id: 'TASK-789', name: 'Task for notes' });
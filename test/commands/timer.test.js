@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { timerCommand } from '../../src/commands/timer/index.js';
+import { taskShowCommand } from '../../src/commands/task/show.js';
+import { setupCommandTest } from '../helpers/command-test-helper.js';
+import { createTestTask } from '../helpers/database-test-helper.js';
+
+describe('timer command', () => {
+  let testSetup;
+
+  beforeEach(() => {
+    testSetup = setupCommandTest(true); // Enable database
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-001', name: 'Write docs', estimate: 2 });
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  const run = args => timerCommand().parseAsync(args, { from: 'user' });
+
+  it('should create command with correct name and description', () => {
+    const command = timerCommand();
+    expect(command.name()).toBe('timer');
+    expect(command.description()).toBe('Track time spent on tasks');
+    expect(command.commands.map(c => c.name())).toEqual(['start', 'stop', 'status']);
+  });
+
+  it('should start, report and stop a timer', async () => {
+    await run(['start', '1']);
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith(
+      '▶️  Started timer on TASK-001: Write docs'
+    );
+
+    await run(['status']);
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('▶️  TASK-001: Write docs');
+
+    await run(['stop']);
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith(
+      expect.stringMatching(/^⏹️ {2}Stopped timer on TASK-001 after \d+s$/)
+    );
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('   Total tracked: 0s of 2h estimated');
+  });
+
+  it('should report when no timer is running', async () => {
+    await run(['status']);
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('⏸️  No timer running');
+
+    await run(['stop']);
+    expect(testSetup.consoleErrorSpy).toHaveBeenCalledWith(
+      '❌ Failed to stop timer:',
+      'No timer is running'
+    );
+    expect(testSetup.processExitSpy).toHaveBeenCalledWith(1);
+  });
+
+  it('should show estimate vs actual in task show', async () => {
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-002', name: 'Part', parent_id: 'TASK-001' });
+    testSetup.dbSetup.db
+      .prepare(
+        `INSERT INTO task_time_entries (task_id, started_at, ended_at, duration)
+         VALUES ('TASK-001', '2025-03-10T09:00:00Z', '2025-03-10T10:00:00Z', 3600),
+                ('TASK-002', '2025-03-10T10:00:00Z', '2025-03-10T10:30:00Z', 1800)`
+      )
+      .run();
+
+    await taskShowCommand().parseAsync(['TASK-001'], { from: 'user' });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('⌛ Actual: 1h 30m (75% of estimate)');
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('   Subtasks: 30m tracked');
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { trashCommand } from '../../src/commands/trash/index.js';
+import { taskDeleteCommand } from '../../src/commands/task/delete.js';
+import { setupCommandTest } from '../helpers/command-test-helper.js';
+import { createTestTask } from '../helpers/database-test-helper.js';
+
+describe('trash command', () => {
+  let testSetup;
+
+  beforeEach(() => {
+    testSetup = setupCommandTest(true); // Enable database
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-001', name: 'Write docs' });
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  const run = args => trashCommand().parseAsync(args, { from: 'user' });
+  const deleteTask = args => taskDeleteCommand().parseAsync(args, { from: 'user' });
+  const getTask = () =>
+    testSetup.dbSetup.db.prepare('SELECT * FROM tasks WHERE id = ?').get('TASK-001');
+
+  it('should create command with correct name and subcommands', () => {
+    const command = trashCommand();
+    expect(command.name()).toBe('trash');
+    expect(command.commands.map(c => c.name())).toEqual(['list', 'restore', 'purge']);
+  });
+
+  it('should move deleted tasks to the trash and restore them', async () => {
+    await deleteTask(['1', '--force']);
+    expect(getTask().deleted_at).toBeTruthy();
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith(
+      '\n💡 Moved to the trash. Restore with: twrk trash restore TASK-001'
+    );
+
+    await run(['list']);
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('  TASK-001  Write docs');
+
+    await run(['restore', '1']);
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('♻️  Restored TASK-001: Write docs');
+    expect(getTask().deleted_at).toBeNull();
+  });
+
+  it('should delete permanently with --permanent', async () => {
+    await deleteTask(['1', '--force', '--permanent']);
+
+    expect(getTask()).toBeUndefined();
+  });
+
+  it('should purge the trash', async () => {
+    await deleteTask(['1', '--force']);
+
+    await run(['purge', '--older-than', '30d', '--force']);
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('🗑️  Nothing to purge');
+    expect(getTask()).toBeTruthy();
+
+    await run(['purge', '--force']);
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('🔥 Permanently deleted 1 task(s)');
+    expect(getTask()).toBeUndefined();
+  });
+
+  it('should reject an invalid age', async () => {
+    await run(['purge', '--older-than', 'a while']);
+
+    expect(testSetup.consoleErrorSpy).toHaveBeenCalledWith(
+      '❌ Failed to purge trash:',
+      expect.stringContaining('Invalid age: a while')
+    );
+    expect(testSetup.processExitSpy).toHaveBeenCalledWith(1);
+  });
+
+  it('should report an empty trash', async () => {
+    await run(['list']);
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('🗑️  Trash is empty');
+  });
+});
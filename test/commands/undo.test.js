@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { undoCommand } from '../../src/commands/undo.js';
+import { redoCommand } from '../../src/commands/redo.js';
+import { taskUpdateCommand } from '../../src/commands/task/update.js';
+import { taskDeleteCommand } from '../../src/commands/task/delete.js';
+import { setupCommandTest } from '../helpers/command-test-helper.js';
+import { createTestTask } from '../helpers/database-test-helper.js';
+
+describe('undo and redo commands', () => {
+  let testSetup;
+
+  beforeEach(() => {
+    testSetup = setupCommandTest(true); // Enable database
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-001', name: 'Write docs' });
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  const getTask = () =>
+    testSetup.dbSetup.db.prepare('SELECT * FROM tasks WHERE id = ?').get('TASK-001');
+
+  it('should create commands with correct names', () => {
+    expect(undoCommand().name()).toBe('undo');
+    expect(redoCommand().name()).toBe('redo');
+  });
+
+  it('should undo and redo an update', async () => {
+    await taskUpdateCommand().parseAsync(['1', '--priority', 'high'], { from: 'user' });
+
+    await undoCommand().parseAsync([], { from: 'user' });
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('↩️  Undid update of TASK-001 (priority)');
+    expect(getTask().priority).toBe('medium');
+
+    await redoCommand().parseAsync([], { from: 'user' });
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('↪️  Redid update of TASK-001 (priority)');
+    expect(getTask().priority).toBe('high');
+  });
+
+  it('should restore a deleted task', async () => {
+    await taskDeleteCommand().parseAsync(['1', '--force'], { from: 'user' });
+    expect(getTask().deleted_at).toBeTruthy();
+
+    await undoCommand().parseAsync([], { from: 'user' });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('↩️  Undid deletion of TASK-001');
+    expect(getTask().deleted_at).toBeNull();
+
+    await taskDeleteCommand().parseAsync(['1', '--force', '--permanent'], { from: 'user' });
+    expect(getTask()).toBeUndefined();
+
+    await undoCommand().parseAsync([], { from: 'user' });
+    expect(getTask().name).toBe('Write docs');
+  });
+
+  it('should report when there is nothing to undo', async () => {
+    await undoCommand().parseAsync([], { from: 'user' });
+    await redoCommand().parseAsync([], { from: 'user' });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('ℹ️  Nothing to undo');
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('ℹ️  Nothing to redo');
+  });
+
+  it('should list the change history', async () => {
+    await taskUpdateCommand().parseAsync(['1', '--status', 'in-progress'], { from: 'user' });
+
+    await undoCommand().parseAsync(['--list'], { from: 'user' });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith(
+      expect.stringContaining('update of TASK-001 (status) by user')
+    );
+  });
+
+  it('should reject an invalid count', async () => {
+    await undoCommand().parseAsync(['zero'], { from: 'user' });
+
+    expect(testSetup.consoleErrorSpy).toHaveBeenCalledWith('❌ Count must be a positive number');
+    expect(testSetup.processExitSpy).toHaveBeenCalledWith(1);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { viewCommand } from '../../src/commands/view/index.js';
+import { setupCommandTest } from '../helpers/command-test-helper.js';
+import { createTestTask } from '../helpers/database-test-helper.js';
+
+describe('view command', () => {
+  let testSetup;
+  let tempDir;
+  let originalCwd;
+  let originalXdg;
+
+  beforeEach(() => {
+    testSetup = setupCommandTest(true); // Enable database
+
+    originalCwd = process.cwd();
+    originalXdg = process.env.XDG_CONFIG_HOME;
+    tempDir = mkdtempSync(join(tmpdir(), 'taskwerk-view-cmd-'));
+    mkdirSync(join(tempDir, '.taskwerk'));
+    process.chdir(tempDir);
+    process.env.XDG_CONFIG_HOME = join(tempDir, 'xdg');
+
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-001', name: 'Urgent fix', priority: 'high' });
+    createTestTask(testSetup.dbSetup.db, { id: 'TASK-002', name: 'Someday', priority: 'low' });
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    if (originalXdg === undefined) {
+      delete process.env.XDG_CONFIG_HOME;
+    } else {
+      process.env.XDG_CONFIG_HOME = originalXdg;
+    }
+    rmSync(tempDir, { recursive: true, force: true });
+    testSetup.cleanup();
+  });
+
+  it('should create command with correct name and description', () => {
+    const command = viewCommand();
+    expect(command.name()).toBe('view');
+    expect(command.description()).toBe('Run and manage saved views (named filters)');
+  });
+
+  it('should save and run a view with list output formats', async () => {
+    await viewCommand().parseAsync(['save', 'urgent', 'priority>=high'], { from: 'user' });
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith(
+      '💾 Saved project view "urgent": priority>=high'
+    );
+
+    testSetup.consoleLogSpy.mockClear();
+    await viewCommand().parseAsync(['urgent', '--format', 'json'], { from: 'user' });
+
+    const output = JSON.parse(testSetup.consoleLogSpy.mock.calls[0][0]);
+    expect(output.map(t => t.id)).toEqual(['TASK-001']);
+  });
+
+  it('should show the view in the table header', async () => {
+    await viewCommand().parseAsync(['save', 'urgent', 'priority>=high'], { from: 'user' });
+    await viewCommand().parseAsync(['urgent'], { from: 'user' });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('📋 Tasks (view: urgent)');
+  });
+
+  it('should list saved views', async () => {
+    await viewCommand().parseAsync(['save', 'urgent', 'priority>=high', '--global'], {
+      from: 'user',
+    });
+    testSetup.consoleLogSpy.mockClear();
+
+    await viewCommand().parseAsync(['list'], { from: 'user' });
+
+    expect(testSetup.consoleLogSpy).toHaveBeenCalledWith('  urgent  priority>=high (global)');
+  });
+
+  it('should report unknown views', async () => {
+    await viewCommand().parseAsync(['missing'], { from: 'user' });
+
+    expect(testSetup.consoleErrorSpy).toHaveBeenCalledWith(
+      '❌ Failed to list tasks:',
+      "View not found: missing. Run 'twrk view list' to see saved views"
+    );
+    expect(testSetup.processExitSpy).toHaveBeenCalledWith(1);
+  });
+
+  it('should reject invalid queries when saving', async () => {
+    await viewCommand().parseAsync(['save', 'bad', 'prio:high'], { from: 'user' });
+
+    expect(testSetup.consoleErrorSpy).toHaveBeenCalledWith(
+      expect.stringContaining('❌ Invalid query: Unknown field "prio"')
+    );
+    expect(testSetup.processExitSpy).toHaveBeenCalledWith(1);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parse as parseYaml } from 'yaml';
+import { ViewManager } from '../../src/config/view-manager.js';
+import { GlobalConfigManager } from '../../src/config/index.js';
+
+describe('ViewManager', () => {
+  let tempDir;
+  let localPath;
+  let globalPath;
+  let originalXdg;
+
+  const createManager = () => new ViewManager(new GlobalConfigManager(localPath));
+
+  beforeEach(() => {
+    originalXdg = process.env.XDG_CONFIG_HOME;
+    tempDir = mkdtempSync(join(tmpdir(), 'taskwerk-views-test-'));
+    process.env.XDG_CONFIG_HOME = join(tempDir, 'xdg');
+
+    mkdirSync(join(tempDir, '.taskwerk'));
+    localPath = join(tempDir, '.taskwerk', 'config.yml');
+    globalPath = join(tempDir, 'xdg', 'taskwerk', 'config.yml');
+  });
+
+  afterEach(() => {
+    if (originalXdg === undefined) {
+      delete process.env.XDG_CONFIG_HOME;
+    } else {
+      process.env.XDG_CONFIG_HOME = originalXdg;
+    }
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should save project views to the local config', () => {
+    const view = createManager().save('mine', 'assignee:@me status:in-progress');
+
+    expect(view).toEqual({
+      name: 'mine',
+      query: 'assignee:@me status:in-progress',
+      scope: 'project',
+    });
+    const saved = parseYaml(readFileSync(localPath, 'utf8'));
+    expect(saved.views.mine.query).toBe('assignee:@me status:in-progress');
+  });
+
+  it('should save global views to the global config', () => {
+    createManager().save('urgent', 'priority>=high', { global: true, description: 'Hot' });
+
+    const saved = parseYaml(readFileSync(globalPath, 'utf8'));
+    expect(saved.views.urgent).toEqual({ query: 'priority>=high', description: 'Hot' });
+    expect(createManager().get('urgent').scope).toBe('global');
+  });
+
+  it('should let project views shadow global views', () => {
+    createManager().save('mine', 'status:todo', { global: true });
+    createManager().save('mine', 'status:blocked');
+    createManager().save('all', 'priority>=low', { global: true });
+
+    const views = createManager().list();
+    expect(views.map(v => [v.name, v.scope, v.query])).toEqual([
+      ['all', 'global', 'priority>=low'],
+      ['mine', 'project', 'status:blocked'],
+    ]);
+  });
+
+  it('should reject invalid names and queries', () => {
+    const manager = createManager();
+
+    expect(() => manager.save('my view', 'status:todo')).toThrow('Invalid view name');
+    expect(() => manager.save('list', 'status:todo')).toThrow('reserved');
+    expect(() => manager.save('mine', 'stauts:todo')).toThrow('Unknown field "stauts"');
+  });
+
+  it('should require a project for project views', () => {
+    rmSync(join(tempDir, '.taskwerk'), { recursive: true });
+
+    expect(() => createManager().save('mine', 'status:todo')).toThrow('Not in a taskwerk project');
+  });
+
+  it('should delete views', () => {
+    createManager().save('mine', 'status:todo');
+    createManager().delete('mine');
+
+    expect(createManager().list()).toEqual([]);
+    expect(() => createManager().get('mine')).toThrow('View not found: mine');
+    expect(() => createManager().delete('mine', { global: true })).toThrow(
+      'No global view named mine'
+    );
+  });
+});
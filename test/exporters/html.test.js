@@ -0,0 +1,52 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createTestDatabase } from '../helpers/database-test-helper.js';
+import { TaskwerkAPI } from '../../src/api/taskwerk-api.js';
+import { HtmlExporter } from '../../src/exporters/html.js';
+
+describe('HtmlExporter', () => {
+  let testSetup;
+  let api;
+
+  beforeEach(() => {
+    testSetup = createTestDatabase();
+    api = new TaskwerkAPI(testSetup.database);
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should group tasks by status and nest subtasks', async () => {
+    const parent = await api.createTask({ name: 'Release <v2>', status: 'in-progress' });
+    await api.createTask({ name: 'Changelog', parent_id: parent.id, status: 'done' });
+    const other = await api.createTask({ name: 'Docs', assignee: 'alice', due_date: '2025-03-01' });
+    await api.addTaskTags(other.id, ['writing']);
+
+    const html = await new HtmlExporter().export(api.listTasks(), { api });
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('Release &lt;v2&gt;');
+    expect(html).toContain(
+      '<li>In Progress <b>1</b></li><li>To Do <b>1</b></li><li>Done <b>1</b></li>'
+    );
+    expect(html).toContain('@alice · Due 2025-03-01 · #writing');
+
+    // The done subtask sits under its parent rather than in a Done section
+    const inProgress = html.slice(
+      html.indexOf('<h2>In Progress</h2>'),
+      html.indexOf('<h2>To Do</h2>')
+    );
+    expect(inProgress).toContain('<ul class="subtasks">');
+    expect(inProgress).toContain('Changelog');
+    expect(html).not.toContain('<h2>Done</h2>');
+  });
+
+  it('should not double the @ of assignees stored with one', async () => {
+    await api.createTask({ name: 'Review', assignee: '@bob' });
+
+    const html = await new HtmlExporter().export(api.listTasks(), { api });
+
+    expect(html).toContain('@bob');
+    expect(html).not.toContain('@@bob');
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { IcsExporter } from '../../src/exporters/ics.js';
+
+describe('IcsExporter', () => {
+  const task = fields => ({ status: 'todo', priority: 'medium', ...fields });
+
+  it('should only accept tasks with a due date', () => {
+    const exporter = new IcsExporter();
+
+    expect(exporter.accepts(task({ due_date: '2025-03-01' }))).toBe(true);
+    expect(exporter.accepts(task({ due_date: null }))).toBe(false);
+  });
+
+  it('should write all-day and timed events', async () => {
+    const ics = await new IcsExporter().export([
+      task({ id: 'TASK-001', name: 'Ship, finally; really', due_date: '2025-03-31' }),
+      task({
+        id: 'TASK-002',
+        name: 'Call',
+        due_date: '2025-03-01T09:30:00.000Z',
+        status: 'cancelled',
+      }),
+      task({ id: 'TASK-003', name: 'Someday' }),
+    ]);
+    const lines = ics.split('\r\n');
+
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('UID:TASK-001@taskwerk');
+    expect(lines).toContain('DTSTART;VALUE=DATE:20250331');
+    expect(lines).toContain('DTEND;VALUE=DATE:20250401');
+    expect(lines).toContain('SUMMARY:TASK-001: Ship\\, finally\\; really');
+    expect(lines).toContain('DTSTART:20250301T093000Z');
+    expect(lines).toContain('STATUS:CANCELLED');
+    expect(ics).not.toContain('TASK-003');
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+
+  it('should fold long lines at 75 octets', async () => {
+    const ics = await new IcsExporter().export([
+      task({ id: 'TASK-001', name: 'ü'.repeat(100), due_date: '2025-03-01' }),
+    ]);
+
+    const summary = ics.slice(ics.indexOf('SUMMARY:'), ics.indexOf('DESCRIPTION:'));
+    const lines = summary.split('\r\n').filter(Boolean);
+    expect(lines.length).toBeGreaterThan(1);
+    expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(lines.slice(1).every(line => line.startsWith(' '))).toBe(true);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createExporterRegistry, loadExporterPlugins } from '../../src/exporters/index.js';
+
+describe('ExporterRegistry', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'taskwerk-exporters-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should ship the built-in formats', () => {
+    const registry = createExporterRegistry();
+
+    expect(registry.getAll().map(e => [e.name, e.extension])).toEqual([
+      ['markdown', 'md'],
+      ['json', 'json'],
+      ['csv', 'csv'],
+      ['html', 'html'],
+      ['ics', 'ics'],
+      ['todotxt', 'txt'],
+    ]);
+    expect(() => registry.get('pdf')).toThrow(
+      'Unsupported format: pdf. Available formats: markdown, json, csv, html, ics, todotxt'
+    );
+  });
+
+  it('should load exporters from plugin modules', async () => {
+    writeFileSync(
+      join(tempDir, 'names.mjs'),
+      `export default {
+        name: 'names',
+        extension: 'txt',
+        accepts: () => true,
+        export: async tasks => tasks.map(t => t.name).join('\\n'),
+      };`
+    );
+    const registry = createExporterRegistry();
+
+    await loadExporterPlugins(registry, ['./names.mjs'], tempDir);
+
+    expect(await registry.get('names').export([{ name: 'A' }, { name: 'B' }])).toBe('A\nB');
+  });
+
+  it('should fill in defaults for plugins that leave them out', async () => {
+    writeFileSync(
+      join(tempDir, 'names.mjs'),
+      `export default {
+        name: 'names',
+        export: async tasks => tasks.map(t => t.name).join('\\n'),
+      };`
+    );
+    const registry = createExporterRegistry();
+
+    await loadExporterPlugins(registry, ['./names.mjs'], tempDir);
+
+    const exporter = registry.get('names');
+    expect(exporter.accepts({ name: 'A' })).toBe(true);
+    expect(exporter.extension).toBe('names');
+    expect(exporter.description).toBe('No description provided');
+    expect(await exporter.export([{ name: 'A' }, { name: 'B' }])).toBe('A\nB');
+  });
+
+  it('should reject plugins without an exporter', async () => {
+    writeFileSync(join(tempDir, 'empty.mjs'), 'export default {};');
+
+    await expect(
+      loadExporterPlugins(createExporterRegistry(), ['./empty.mjs'], tempDir)
+    ).rejects.toThrow('Export plugin ./empty.mjs has no usable default export');
+    await expect(
+      loadExporterPlugins(createExporterRegistry(), ['./missing.mjs'], tempDir)
+    ).rejects.toThrow('Failed to load export plugin ./missing.mjs');
+  });
+});
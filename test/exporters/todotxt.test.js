@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { TodoTxtExporter } from '../../src/exporters/todotxt.js';
+
+describe('TodoTxtExporter', () => {
+  it('should write one todo.txt line per task', async () => {
+    const api = { getTaskTags: id => (id === 'TASK-001' ? ['home office'] : []) };
+    const output = await new TodoTxtExporter().export(
+      [
+        {
+          id: 'TASK-001',
+          name: 'Buy  desk',
+          status: 'in-progress',
+          priority: 'high',
+          category: 'Setup',
+          assignee: 'alice',
+          due_date: '2025-03-01',
+          created_at: '2025-02-01',
+        },
+        {
+          id: 'TASK-001.1',
+          parent_id: 'TASK-001',
+          name: 'Measure room',
+          status: 'done',
+          priority: 'critical',
+          created_at: '2025-02-01',
+          completed_at: '2025-02-03',
+        },
+      ],
+      { api }
+    );
+
+    expect(output.split('\n')).toEqual([
+      '(B) 2025-02-01 Buy desk +Setup @home-office id:TASK-001 due:2025-03-01 assignee:alice status:in-progress',
+      'x 2025-02-03 2025-02-01 Measure room id:TASK-001.1 parent:TASK-001 pri:A',
+      '',
+    ]);
+  });
+});
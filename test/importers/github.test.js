@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { GitHubImporter } from '../../src/importers/github.js';
+
+describe('GitHubImporter', () => {
+  const issues = [
+    {
+      number: 12,
+      title: 'Fix login redirect',
+      body: 'Users land on a blank page',
+      state: 'OPEN',
+      labels: [{ name: 'bug' }, { name: 'priority: high' }, { name: 'good first issue' }],
+      assignees: [{ login: 'alice' }, { login: 'bob' }],
+      author: { login: 'carol' },
+      milestone: { title: 'v2.0' },
+      comments: [{ author: { login: 'bob' }, body: 'Seen on Safari too' }],
+      url: 'https://github.com/acme/app/issues/12',
+      reactionGroups: [{ content: 'THUMBS_UP' }],
+      isPinned: false,
+    },
+    { number: 13, title: 'Old idea', state: 'CLOSED', stateReason: 'NOT_PLANNED', labels: [] },
+    {
+      number: 14,
+      title: 'Ship it',
+      state: 'closed',
+      labels: ['P0'],
+      created_at: '2025-01-02T09:00:00Z',
+      closed_at: '2025-01-06T17:30:00Z',
+    },
+  ];
+
+  it('should map issues to tasks', () => {
+    const { tasks } = new GitHubImporter().parse(JSON.stringify(issues));
+
+    expect(tasks[0]).toMatchObject({
+      ref: '#12',
+      name: 'Fix login redirect',
+      content: 'Users land on a blank page',
+      status: 'todo',
+      priority: 'high',
+      assignee: 'alice',
+      created_by: 'carol',
+      tags: ['bug', 'good-first-issue'],
+      notes: [{ note: 'Seen on Safari too', user: 'bob' }],
+      category: 'v2.0',
+      url: 'https://github.com/acme/app/issues/12',
+    });
+    expect(tasks.slice(1).map(t => [t.status, t.priority])).toEqual([
+      ['cancelled', 'medium'],
+      ['done', 'critical'],
+    ]);
+    expect(tasks[2]).toMatchObject({
+      created_at: '2025-01-02T09:00:00.000Z',
+      completed_at: '2025-01-06T17:30:00.000Z',
+    });
+    expect(tasks[0].completed_at).toBeNull();
+  });
+
+  it('should report fields it does not map', () => {
+    const { unmapped } = new GitHubImporter().parse(JSON.stringify(issues));
+
+    expect(unmapped).toEqual({ reactionGroups: 1 });
+  });
+
+  it('should skip pull requests and reject invalid JSON', () => {
+    const importer = new GitHubImporter();
+    const { tasks } = importer.parse(
+      JSON.stringify([{ number: 1, title: 'PR', pull_request: { url: 'x' } }])
+    );
+
+    expect(tasks).toEqual([]);
+    expect(() => importer.parse('not json')).toThrow('Invalid GitHub issues JSON');
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { JiraImporter } from '../../src/importers/jira.js';
+
+describe('JiraImporter', () => {
+  const csv = [
+    'Summary,Issue key,Issue id,Parent,Status,Priority,Assignee,Reporter,Labels,Labels,Due Date,Original Estimate,Comment,Sprint,Description,Created,Resolved',
+    'Checkout revamp,SHOP-1,10001,,In Progress,Highest,Alice,Bob,payments,web,15/Jan/24 12:00 AM,7200,"14/Jan/24 9:00 AM;bob;Kickoff, see doc",Sprint 4,"Line 1',
+    'Line 2",10/Jan/24 9:15 AM,',
+    "Card form,SHOP-2,10002,10001,Won't Do,Minor,,Bob,,,,,,Sprint 4,,11/Jan/24 10:00 AM,12/Jan/24 2:30 PM",
+    'Receipt email,SHOP-3,10003,,Waiting,,,,,,,,,,,,',
+  ].join('\n');
+
+  it('should map issues to tasks', () => {
+    const { tasks } = new JiraImporter().parse(csv);
+
+    expect(tasks[0]).toMatchObject({
+      key: 'SHOP-1',
+      ref: 'SHOP-1',
+      parent_key: null,
+      name: 'Checkout revamp',
+      content: 'Line 1\nLine 2',
+      status: 'in-progress',
+      priority: 'critical',
+      assignee: 'Alice',
+      created_by: 'Bob',
+      tags: ['payments', 'web'],
+      notes: [{ note: 'Kickoff, see doc', user: 'bob' }],
+      due_date: '2024-01-15',
+      estimate: 2,
+    });
+    expect(tasks[0]).toMatchObject({
+      created_at: new Date(2024, 0, 10, 9, 15).toISOString(),
+      completed_at: null,
+    });
+    expect(tasks[1]).toMatchObject({
+      parent_key: 'SHOP-1',
+      status: 'cancelled',
+      priority: 'low',
+      completed_at: new Date(2024, 0, 12, 14, 30).toISOString(),
+    });
+    expect(tasks[2]).toMatchObject({ status: 'todo', priority: 'medium' });
+  });
+
+  it('should report columns it does not map', () => {
+    expect(new JiraImporter().parse(csv).unmapped).toEqual({ Sprint: 2 });
+  });
+
+  it('should reject files without a Summary column', () => {
+    expect(() => new JiraImporter().parse('Name,Status\nTask,Open')).toThrow(
+      'Not a Jira CSV export'
+    );
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { TodoistImporter } from '../../src/importers/todoist.js';
+
+describe('TodoistImporter', () => {
+  it('should map a sync backup', () => {
+    const backup = {
+      projects: [{ id: 'p1', name: 'Home' }],
+      items: [
+        { id: '2', content: 'Paint fence', parent_id: '1', priority: 1, project_id: 'p1' },
+        {
+          id: '1',
+          content: 'Garden',
+          description: 'Before summer',
+          priority: 4,
+          labels: ['outdoor'],
+          due: { date: '2025-05-01', is_recurring: false },
+          checked: true,
+          added_at: '2025-04-01T08:00:00Z',
+          completed_at: '2025-04-20T18:00:00Z',
+          project_id: 'p1',
+          section_id: 's9',
+        },
+      ],
+      notes: [{ item_id: '1', content: 'Buy seeds', posted_uid: 42 }],
+    };
+
+    const { tasks, unmapped } = new TodoistImporter().parse(JSON.stringify(backup));
+
+    expect(tasks[1]).toMatchObject({
+      ref: '1',
+      name: 'Garden',
+      content: 'Before summer',
+      status: 'done',
+      priority: 'critical',
+      tags: ['outdoor'],
+      notes: [{ note: 'Buy seeds', user: '42' }],
+      due_date: '2025-05-01',
+      category: 'Home',
+      created_at: '2025-04-01T08:00:00.000Z',
+      completed_at: '2025-04-20T18:00:00.000Z',
+    });
+    expect(tasks[0]).toMatchObject({ parent_key: '1', priority: 'low', status: 'todo' });
+    expect(unmapped).toEqual({ section_id: 1 });
+  });
+
+  it('should map a CSV backup with sections, indents and notes', () => {
+    const csv = [
+      'TYPE,CONTENT,DESCRIPTION,PRIORITY,INDENT,AUTHOR,RESPONSIBLE,DATE,DATE_LANG,TIMEZONE,DURATION',
+      'section,Errands,,,,,,,,,',
+      'task,Groceries @shopping,,1,1,Sam (123),Alex (456),2025-03-01,en,UTC,',
+      'note,Oat milk,,,,Sam (123),,,,,',
+      'task,Milk,,4,2,Sam (123),,every monday,en,UTC,15',
+      'task,Bank,,2,1,Sam (123),,,en,UTC,',
+    ].join('\n');
+
+    const { tasks, unmapped } = new TodoistImporter().parse(csv);
+
+    expect(tasks.map(t => [t.name, t.priority, t.category])).toEqual([
+      ['Groceries', 'critical', 'Errands'],
+      ['Milk', 'low', 'Errands'],
+      ['Bank', 'high', 'Errands'],
+    ]);
+    expect(tasks[0]).toMatchObject({
+      ref: null,
+      assignee: 'Alex',
+      created_by: 'Sam',
+      tags: ['shopping'],
+      notes: [{ note: 'Oat milk', user: 'Sam' }],
+      due_date: '2025-03-01',
+    });
+    expect(tasks[1].parent_key).toBe(tasks[0].key);
+    expect(tasks[2].parent_key).toBeNull();
+    expect(unmapped).toEqual({ DATE: 1, DURATION: 1 });
+  });
+
+  it('should reject other CSV files', () => {
+    expect(() => new TodoistImporter().parse('Name,Status\nTask,Open')).toThrow(
+      'Not a Todoist export'
+    );
+  });
+});
@@ -0,0 +1,217 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join, resolve } from 'path';
+import { tmpdir } from 'os';
+import { pathToFileURL } from 'url';
+import { McpClient } from '../../src/mcp/client.js';
+import { McpTool, mcpToolName } from '../../src/ai/tools/mcp/mcp-tool.js';
+import { ToolExecutor } from '../../src/ai/tool-executor.js';
+
+// A small MCP server: tools/list comes in two pages, FAKE_MCP_CRASH makes it
+// exit at once and FAKE_MCP_SILENT makes it never answer
+const connectionUrl = pathToFileURL(resolve('src/mcp/connection.js')).href;
+const FAKE_SERVER = `
+import { JsonRpcConnection } from '${connectionUrl}';
+
+if (process.env.FAKE_MCP_CRASH) {
+  console.error('missing token');
+  process.exit(3);
+}
+
+const pages = {
+  '': {
+    tools: [{ name: 'echo', description: 'Echo a message', inputSchema: { type: 'object', properties: { message: { type: 'string' } } } }],
+    nextCursor: 'page-2',
+  },
+  'page-2': { tools: [{ name: 'fail' }, { name: 'stats' }] },
+};
+
+if (process.env.FAKE_MCP_SILENT) {
+  process.stdin.resume();
+} else {
+  new JsonRpcConnection(process.stdin, process.stdout, {
+    onRequest: (method, params) => {
+      switch (method) {
+        case 'initialize':
+          return { protocolVersion: params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'fake', version: '1.0.0' } };
+        case 'tools/list':
+          return pages[params.cursor || ''];
+        case 'tools/call':
+          if (params.name === 'echo') {
+            return { content: [{ type: 'text', text: params.arguments.message }] };
+          }
+          if (params.name === 'stats') {
+            return { content: [{ type: 'text', text: '{"count":2}' }], structuredContent: { count: 2 } };
+          }
+          return { content: [{ type: 'text', text: 'Something broke' }], isError: true };
+      }
+    },
+  });
+}
+`;
+
+describe('MCP client', () => {
+  let workDir;
+  let server;
+  const clients = [];
+
+  const connect = async (env = {}, options = {}) => {
+    const client = new McpClient({ ...server, env }, options);
+    clients.push(client);
+    await client.connect();
+    return client;
+  };
+
+  beforeAll(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'taskwerk-mcp-client-'));
+    writeFileSync(join(workDir, 'server.mjs'), FAKE_SERVER);
+    server = { name: 'fake', command: process.execPath, args: ['server.mjs'], cwd: workDir };
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.splice(0).map(client => client.close()));
+  });
+
+  afterAll(() => {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe('McpClient', () => {
+    it('completes the handshake and lists tools across pages', async () => {
+      const client = await connect();
+
+      expect(client.serverInfo).toEqual({ name: 'fake', version: '1.0.0' });
+      const tools = await client.listTools();
+      expect(tools.map(tool => tool.name)).toEqual(['echo', 'fail', 'stats']);
+    });
+
+    it('calls tools', async () => {
+      const client = await connect();
+
+      const result = await client.callTool('echo', { message: 'hello' });
+      expect(result.content).toEqual([{ type: 'text', text: 'hello' }]);
+    });
+
+    it('reports the output of a server that exits', async () => {
+      await expect(connect({ FAKE_MCP_CRASH: '1' })).rejects.toThrow(
+        'fake exited with code 3: missing token'
+      );
+    });
+
+    it('reports commands that cannot be started', async () => {
+      const client = new McpClient({ ...server, command: 'taskwerk-no-such-command' });
+      clients.push(client);
+      await expect(client.connect()).rejects.toThrow('Cannot start fake');
+    });
+
+    it('gives up on servers that do not answer', async () => {
+      await expect(connect({ FAKE_MCP_SILENT: '1' }, { timeout: 300 })).rejects.toThrow(
+        'fake did not answer initialize within 300ms'
+      );
+    });
+  });
+
+  describe('McpTool', () => {
+    it('namespaces tool names within the limits LLM providers accept', () => {
+      expect(mcpToolName('github', 'create_issue')).toBe('mcp__github__create_issue');
+      expect(mcpToolName('web', 'fetch.url')).toBe('mcp__web__fetch_url');
+      expect(mcpToolName('server', 'x'.repeat(80))).toHaveLength(64);
+    });
+
+    it('returns text, structured content or the error of a call', async () => {
+      const client = await connect();
+      const tool = name => new McpTool(client, { name, description: `${name} tool` });
+
+      expect(tool('echo').description).toBe('[fake] echo tool');
+      expect(tool('echo').requiresPermission({})).toBe('Run echo on MCP server "fake"');
+      await expect(tool('echo').execute({ message: 'hi' })).resolves.toBe('hi');
+      await expect(tool('stats').execute({})).resolves.toEqual({ count: 2 });
+      await expect(tool('fail').execute({})).rejects.toThrow('Something broke');
+    });
+  });
+
+  describe('ToolExecutor', () => {
+    let projectDir;
+    let executor;
+
+    const createExecutor = (mode, confirmPermission) => {
+      executor = new ToolExecutor({ mode, workDir: projectDir, confirmPermission });
+      return executor;
+    };
+
+    const writeConfig = servers => {
+      mkdirSync(join(projectDir, '.taskwerk'), { recursive: true });
+      writeFileSync(join(projectDir, '.taskwerk', 'mcp-config.yml'), JSON.stringify({ servers }));
+    };
+
+    beforeAll(() => {
+      projectDir = mkdtempSync(join(tmpdir(), 'taskwerk-mcp-project-'));
+    });
+
+    afterEach(async () => {
+      await executor?.close();
+      executor = null;
+    });
+
+    afterAll(() => {
+      rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    it('registers the tools of configured servers and confirms each call', async () => {
+      writeConfig({
+        fake: { command: process.execPath, args: [join(workDir, 'server.mjs')] },
+        broken: {
+          command: process.execPath,
+          args: [join(workDir, 'server.mjs')],
+          env: { FAKE_MCP_CRASH: '1' },
+        },
+      });
+      const confirmPermission = vi.fn().mockResolvedValue(true);
+      createExecutor('agent', confirmPermission);
+
+      const servers = await executor.connectMcpServers();
+
+      expect(servers).toEqual([
+        { name: 'fake', tools: 3 },
+        { name: 'broken', error: 'broken exited with code 3: missing token' },
+      ]);
+      const names = executor.getToolSpecs().map(spec => spec.function.name);
+      expect(names).toEqual(
+        expect.arrayContaining(['mcp__fake__echo', 'mcp__fake__fail', 'mcp__fake__stats'])
+      );
+
+      const [result] = await executor.executeTools([
+        { id: 'call-1', function: { name: 'mcp__fake__echo', arguments: '{"message":"hi"}' } },
+      ]);
+      expect(JSON.parse(result.content)).toEqual({ success: true, result: 'hi' });
+      expect(confirmPermission).toHaveBeenCalledWith(
+        'mcp__fake__echo',
+        'Run echo on MCP server "fake"',
+        { message: 'hi' },
+        null
+      );
+    });
+
+    it('does not run tools the user declines', async () => {
+      writeConfig({ fake: { command: process.execPath, args: [join(workDir, 'server.mjs')] } });
+      createExecutor('agent', vi.fn().mockResolvedValue(false));
+      await executor.connectMcpServers();
+
+      const [result] = await executor.executeTools([
+        { id: 'call-1', function: { name: 'mcp__fake__echo', arguments: '{"message":"hi"}' } },
+      ]);
+      expect(JSON.parse(result.content)).toEqual({
+        success: false,
+        error: 'Permission denied by user',
+      });
+    });
+
+    it('does not start servers in ask mode', async () => {
+      writeConfig({ fake: { command: process.execPath, args: [join(workDir, 'server.mjs')] } });
+      createExecutor('ask');
+
+      expect(await executor.connectMcpServers()).toEqual([]);
+      expect(executor.mcpClients).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { loadMcpServers, expandVariables } from '../../src/mcp/config.js';
+import { ConfigurationError } from '../../src/errors/index.js';
+
+describe('loadMcpServers', () => {
+  let workDir;
+
+  const writeConfig = content => {
+    mkdirSync(join(workDir, '.taskwerk'), { recursive: true });
+    writeFileSync(join(workDir, '.taskwerk', 'mcp-config.yml'), content);
+  };
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'taskwerk-mcp-config-'));
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('returns no servers without a config file', () => {
+    expect(loadMcpServers(workDir)).toEqual([]);
+  });
+
+  it('reads enabled servers with their command, args, env and cwd', () => {
+    vi.stubEnv('TEST_MCP_TOKEN', 'secret');
+    writeConfig(`
+servers:
+  github:
+    command: npx
+    args: ["-y", "server-github", "--token=\${TEST_MCP_TOKEN}"]
+    env:
+      TOKEN: \${TEST_MCP_TOKEN}
+  local:
+    command: node
+    cwd: tools
+  old:
+    command: old-server
+    disabled: true
+`);
+
+    expect(loadMcpServers(workDir)).toEqual([
+      {
+        name: 'github',
+        command: 'npx',
+        args: ['-y', 'server-github', '--token=secret'],
+        env: { TOKEN: 'secret' },
+        cwd: workDir,
+      },
+      { name: 'local', command: 'node', args: [], env: {}, cwd: join(workDir, 'tools') },
+    ]);
+  });
+
+  it('rejects servers without a command', () => {
+    writeConfig('servers:\n  broken:\n    args: [a]\n');
+    expect(() => loadMcpServers(workDir)).toThrow('server "broken" needs a command');
+  });
+
+  it('rejects server names that cannot be part of a tool name', () => {
+    writeConfig('servers:\n  "my server":\n    command: node\n');
+    expect(() => loadMcpServers(workDir)).toThrow(ConfigurationError);
+  });
+
+  it('rejects args that are not a list', () => {
+    writeConfig('servers:\n  local:\n    command: node\n    args: server.js\n');
+    expect(() => loadMcpServers(workDir)).toThrow('args of "local" must be a list');
+  });
+
+  it('rejects invalid YAML', () => {
+    writeConfig('servers: [unclosed\n');
+    expect(() => loadMcpServers(workDir)).toThrow('Invalid mcp-config.yml');
+  });
+});
+
+describe('expandVariables', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('replaces set variables and empties unset ones', () => {
+    vi.stubEnv('TEST_MCP_HOST', 'example.com');
+    delete process.env.TEST_MCP_MISSING;
+    expect(expandVariables('https://${TEST_MCP_HOST}/${TEST_MCP_MISSING}x')).toBe(
+      'https://example.com/x'
+    );
+    expect(expandVariables('$HOME stays')).toBe('$HOME stays');
+  });
+});
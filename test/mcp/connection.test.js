@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { PassThrough } from 'stream';
+import { JsonRpcConnection, JsonRpcError } from '../../src/mcp/connection.js';
+
+// Two connections wired back to back
+function connectPair(serverHandlers, clientHandlers = {}) {
+  const toServer = new PassThrough();
+  const toClient = new PassThrough();
+  const server = new JsonRpcConnection(toServer, toClient, serverHandlers);
+  const client = new JsonRpcConnection(toClient, toServer, clientHandlers);
+  return { server, client, toServer, toClient };
+}
+
+describe('JsonRpcConnection', () => {
+  let pair;
+
+  afterEach(() => {
+    pair.client.close();
+    pair.server.close();
+  });
+
+  describe('requests', () => {
+    beforeEach(() => {
+      pair = connectPair({
+        onRequest: async (method, params) => {
+          if (method === 'add') {
+            return { sum: params.a + params.b };
+          }
+          if (method === 'ask') {
+            // Requests back to the client while answering
+            return pair.server.request('confirm', { question: params.question });
+          }
+          throw new JsonRpcError(-32601, `Method not found: ${method}`);
+        },
+      });
+    });
+
+    it('should answer requests', async () => {
+      await expect(pair.client.request('add', { a: 1, b: 2 })).resolves.toEqual({ sum: 3 });
+    });
+
+    it('should turn error responses into JsonRpcErrors', async () => {
+      const error = await pair.client.request('nope').catch(e => e);
+
+      expect(error).toBeInstanceOf(JsonRpcError);
+      expect(error.code).toBe(-32601);
+      expect(error.message).toBe('Method not found: nope');
+    });
+
+    it('should let a handler wait for a request of its own', async () => {
+      pair.client.onRequest = async (method, params) => ({ method, yes: params.question });
+
+      await expect(pair.client.request('ask', { question: 'ok?' })).resolves.toEqual({
+        method: 'confirm',
+        yes: 'ok?',
+      });
+    });
+
+    it('should fail pending requests when the connection closes', async () => {
+      pair.client.onRequest = () => new Promise(() => {});
+      const pending = pair.server.request('wait');
+
+      pair.server.close();
+
+      await expect(pending).rejects.toThrow('Connection closed');
+    });
+  });
+
+  it('should handle requests one at a time in order', async () => {
+    const order = [];
+    pair = connectPair({
+      onRequest: async method => {
+        order.push(`start ${method}`);
+        await new Promise(resolve => setTimeout(resolve, method === 'slow' ? 20 : 0));
+        order.push(`end ${method}`);
+        return {};
+      },
+    });
+
+    await Promise.all([pair.client.request('slow'), pair.client.request('fast')]);
+
+    expect(order).toEqual(['start slow', 'end slow', 'start fast', 'end fast']);
+  });
+
+  it('should report unparsable lines and messages split across chunks', async () => {
+    const received = [];
+    pair = connectPair({ onNotification: (method, params) => received.push([method, params]) });
+    const responses = [];
+    pair.toClient.on('data', chunk => responses.push(String(chunk)));
+
+    pair.toServer.write('{"jsonrpc":"2.0","method":"hel');
+    pair.toServer.write('lo","params":{"n":1}}\nnot json\n');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(received).toEqual([['hello', { n: 1 }]]);
+    expect(JSON.parse(responses.join(''))).toEqual({
+      jsonrpc: '2.0',
+      id: null,
+      error: { code: -32700, message: 'Parse error' },
+    });
+  });
+});
@@ -0,0 +1,187 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { PassThrough } from 'stream';
+import { McpServer } from '../../src/mcp/server.js';
+import { JsonRpcConnection } from '../../src/mcp/connection.js';
+import { setupCommandTest } from '../helpers/command-test-helper.js';
+import { TaskwerkAPI } from '../../src/api/taskwerk-api.js';
+
+describe('McpServer', () => {
+  let testSetup;
+  let api;
+  let client;
+
+  // Start a server and an initialized client talking to it over streams
+  async function connect(mode, capabilities = {}, onRequest = undefined) {
+    const toServer = new PassThrough();
+    const toClient = new PassThrough();
+    new McpServer({ mode }).connect(toServer, toClient);
+    client = new JsonRpcConnection(toClient, toServer, { onRequest });
+    return client.request('initialize', {
+      protocolVersion: '2025-03-26',
+      capabilities,
+      clientInfo: { name: 'test' },
+    });
+  }
+
+  const callTool = async (name, args) => {
+    const result = await client.request('tools/call', { name, arguments: args });
+    return { ...result, data: result.isError ? null : JSON.parse(result.content[0].text) };
+  };
+
+  beforeEach(async () => {
+    testSetup = setupCommandTest(true);
+    api = new TaskwerkAPI();
+    await api.createTask({ name: 'Write docs', priority: 'high' });
+    await api.createTask({ name: 'Review docs', parent_id: 'TASK-001' });
+  });
+
+  afterEach(() => {
+    client?.close();
+    testSetup.cleanup();
+  });
+
+  it('should negotiate the protocol version', async () => {
+    const result = await connect('ask');
+
+    expect(result.protocolVersion).toBe('2025-03-26');
+    expect(result.serverInfo.name).toBe('taskwerk');
+    expect(result.capabilities).toEqual({ tools: {}, resources: {} });
+  });
+
+  it('should list the task tools', async () => {
+    await connect('ask');
+
+    const { tools } = await client.request('tools/list');
+
+    expect(tools.map(tool => tool.name)).toEqual([
+      'list_tasks',
+      'search_tasks',
+      'show_task',
+      'add_task',
+      'update_task',
+      'add_note',
+      'tag_task',
+      'split_task',
+      'add_dependency',
+      'remove_dependency',
+    ]);
+    const showTask = tools.find(tool => tool.name === 'show_task');
+    expect(showTask.inputSchema.required).toEqual(['id']);
+    expect(showTask.annotations).toEqual({ readOnlyHint: true });
+  });
+
+  it('should create, change and show tasks', async () => {
+    await connect('ask');
+
+    const created = await callTool('add_task', { name: 'Ship it', tags: ['release'] });
+    expect(created.data).toMatchObject({ id: 'TASK-002', created: true });
+
+    await callTool('update_task', { id: '2', status: 'in-progress', add_note: 'Started' });
+    await callTool('add_dependency', { id: '2', depends_on: '1' });
+
+    const shown = await callTool('show_task', { id: 'TASK-002' });
+    expect(shown.data).toMatchObject({
+      name: 'Ship it',
+      status: 'blocked',
+      tags: ['release'],
+      blocked_by: [{ id: 'TASK-001', name: 'Write docs' }],
+    });
+    expect(shown.data.notes[0].note).toBe('Started');
+
+    const found = await callTool('search_tasks', { query: 'docs' });
+    expect(found.data.map(task => task.id)).toEqual(['TASK-001', 'TASK-001.1']);
+  });
+
+  it('should report tool failures as tool errors', async () => {
+    await connect('ask');
+
+    const result = await callTool('show_task', { id: 'TASK-099' });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/^Error: Task not found/);
+    await expect(client.request('tools/call', { name: 'rm_rf' })).rejects.toThrow(
+      'Unknown tool: rm_rf'
+    );
+  });
+
+  it('should reject arguments the tool does not declare', async () => {
+    await connect('ask');
+
+    const crafted = 'name = (SELECT group_concat(name) FROM tasks), priority';
+    await expect(
+      client.request('tools/call', {
+        name: 'update_task',
+        arguments: { id: '1', [crafted]: 'low' },
+      })
+    ).rejects.toThrow(`Unknown argument for update_task: ${crafted}`);
+    await expect(
+      client.request('tools/call', { name: 'update_task', arguments: { id: '1', due_date: 'x' } })
+    ).rejects.toThrow('Unknown argument for update_task: due_date');
+    await expect(
+      client.request('tools/call', { name: 'show_task', arguments: {} })
+    ).rejects.toThrow('Missing argument for show_task: id');
+
+    expect(api.getTask('TASK-001')).toMatchObject({ name: 'Write docs', priority: 'high' });
+  });
+
+  it('should serve the task tree and single tasks as resources', async () => {
+    await connect('ask');
+
+    const { resources } = await client.request('resources/list');
+    expect(resources.map(resource => resource.uri)).toEqual([
+      'taskwerk://tree',
+      'taskwerk://tasks/TASK-001',
+      'taskwerk://tasks/TASK-001.1',
+    ]);
+
+    const tree = await client.request('resources/read', { uri: 'taskwerk://tree' });
+    const roots = JSON.parse(tree.contents[0].text);
+    expect(roots).toHaveLength(1);
+    expect(roots[0].subtasks[0]).toMatchObject({ id: 'TASK-001.1', name: 'Review docs' });
+
+    const task = await client.request('resources/read', { uri: 'taskwerk://tasks/TASK-001' });
+    expect(JSON.parse(task.contents[0].text).subtasks).toEqual([
+      { id: 'TASK-001.1', name: 'Review docs', status: 'todo' },
+    ]);
+
+    const missing = await client
+      .request('resources/read', { uri: 'taskwerk://tasks/TASK-099' })
+      .catch(error => error);
+    expect(missing.code).toBe(-32002);
+    expect(missing.message).toBe('Resource not found: taskwerk://tasks/TASK-099');
+  });
+
+  describe('agent mode', () => {
+    it('should confirm changes through the client', async () => {
+      const prompts = [];
+      await connect('agent', { elicitation: {} }, async (method, params) => {
+        prompts.push(params.message);
+        return { action: prompts.length === 1 ? 'accept' : 'decline' };
+      });
+
+      const accepted = await callTool('add_task', { name: 'Allowed' });
+      const declined = await callTool('add_task', { name: 'Refused' });
+
+      expect(prompts[0]).toBe('Allow taskwerk to run add_task? Create task: "Allowed"');
+      expect(accepted.isError).toBe(false);
+      expect(declined.content[0].text).toBe('Error: Permission denied by user');
+      expect(api.listTasks().map(task => task.name)).not.toContain('Refused');
+    });
+
+    it('should refuse changes when the client cannot confirm them', async () => {
+      await connect('agent');
+
+      const result = await callTool('add_task', { name: 'Refused' });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('needs confirmation');
+      expect((await callTool('list_tasks', {})).data).toHaveLength(2);
+    });
+  });
+
+  it('should reject unknown modes', () => {
+    expect(() => new McpServer({ mode: 'admin' })).toThrow(
+      'Unknown mode: admin. Use ask, agent, yolo'
+    );
+  });
+});
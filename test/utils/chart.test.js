@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { bar, barChart } from '../../src/utils/chart.js';
+
+describe('Chart utilities', () => {
+  it('should draw bars in eighths of a character', () => {
+    expect(bar(4, 4, 4)).toBe('████');
+    expect(bar(1, 4, 4)).toBe('█   ');
+    expect(bar(1, 8, 2)).toBe('▎ ');
+    expect(bar(3, 0, 2)).toBe('  ');
+  });
+
+  it('should align labels and scale to the largest value', () => {
+    const lines = barChart(
+      [
+        { label: 'Mon', value: 2 },
+        { label: 'Tuesday', value: 4, text: '4 tasks' },
+        { label: 'Wed', value: 0 },
+      ],
+      { width: 4 }
+    );
+
+    expect(lines).toEqual(['  Mon     │██   2', '  Tuesday │████ 4 tasks', '  Wed     │     0']);
+  });
+});
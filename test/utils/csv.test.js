@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsvRows, parseCsvRecords } from '../../src/utils/csv.js';
+
+describe('CSV parsing', () => {
+  it('should handle quoted commas, quotes and line breaks', () => {
+    const rows = parseCsvRows('a,b,c\r\n"x, y","say ""hi""","line 1\nline 2"\n\n1,,3\n');
+
+    expect(rows).toEqual([
+      ['a', 'b', 'c'],
+      ['x, y', 'say "hi"', 'line 1\nline 2'],
+      ['1', '', '3'],
+    ]);
+  });
+
+  it('should skip a byte order mark', () => {
+    expect(parseCsvRows('\uFEFFName\nTask')).toEqual([['Name'], ['Task']]);
+  });
+
+  it('should collect repeated columns into arrays', () => {
+    const { headers, records } = parseCsvRecords('Summary,Labels,Labels,Owner\nFix,ui,,\n');
+
+    expect(headers).toEqual(['Summary', 'Labels', 'Labels', 'Owner']);
+    expect(records).toEqual([{ Summary: 'Fix', Labels: ['ui'] }]);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { parseDate, parseDueDate, parseAge, formatLocalDate } from '../../src/utils/date-parser.js';
+
+describe('Date Parser', () => {
+  // Wednesday 2025-03-12, 10:30 local time
+  const now = new Date(2025, 2, 12, 10, 30);
+  const parse = text => parseDate(text, { now });
+
+  describe('parseDate', () => {
+    it('should parse ISO dates and timestamps', () => {
+      expect(parse('2025-07-01')).toEqual({ value: '2025-07-01', day: true });
+      expect(parse('2025-07-01T09:00:00Z')).toEqual({
+        value: '2025-07-01T09:00:00.000Z',
+        day: false,
+      });
+    });
+
+    it('should parse relative days', () => {
+      expect(parse('today').value).toBe('2025-03-12');
+      expect(parse('Tomorrow').value).toBe('2025-03-13');
+      expect(parse('yesterday').value).toBe('2025-03-11');
+      expect(parse('now')).toEqual({ value: now.toISOString(), day: false });
+    });
+
+    it('should resolve weekday names to the coming day', () => {
+      expect(parse('friday').value).toBe('2025-03-14');
+      expect(parse('next friday').value).toBe('2025-03-14');
+      expect(parse('mon').value).toBe('2025-03-17');
+      expect(parse('wednesday').value).toBe('2025-03-19');
+      expect(parse('this wednesday').value).toBe('2025-03-12');
+    });
+
+    it('should resolve weekday names to the last such day when asked', () => {
+      const past = text => parseDate(text, { now, past: true });
+      expect(past('monday').value).toBe('2025-03-10');
+      expect(past('wed').value).toBe('2025-03-12');
+      expect(past('friday').value).toBe('2025-03-07');
+      expect(past('next friday').value).toBe('2025-03-14');
+    });
+
+    it('should parse week and month phrases', () => {
+      expect(parse('next week').value).toBe('2025-03-17');
+      expect(parse('end of week').value).toBe('2025-03-16');
+      expect(parse('next month').value).toBe('2025-04-01');
+      expect(parse('eom').value).toBe('2025-03-31');
+    });
+
+    it('should parse offsets as instants', () => {
+      expect(parse('+3d')).toEqual({
+        value: new Date(2025, 2, 15, 10, 30).toISOString(),
+        day: false,
+        unit: 'd',
+      });
+      expect(parse('-2w').value).toBe(new Date(2025, 1, 26, 10, 30).toISOString());
+      expect(parse('12h').value).toBe(new Date(2025, 2, 12, 22, 30).toISOString());
+      expect(parse('in 2 weeks').value).toBe(new Date(2025, 2, 26, 10, 30).toISOString());
+      expect(parse('3 days ago').value).toBe(new Date(2025, 2, 9, 10, 30).toISOString());
+      expect(parse('in 1 month').value).toBe(new Date(2025, 3, 12, 10, 30).toISOString());
+    });
+
+    it('should return null for unknown input', () => {
+      expect(parse('soon')).toBeNull();
+      expect(parse('fr')).toBeNull();
+      expect(parse('2025-13-45')).toBeNull();
+      expect(parse('')).toBeNull();
+    });
+  });
+
+  describe('parseDueDate', () => {
+    it('should keep day-sized offsets as calendar dates', () => {
+      expect(parseDueDate('+3d', { now })).toBe('2025-03-15');
+      expect(parseDueDate('in 2 weeks', { now })).toBe('2025-03-26');
+      expect(parseDueDate('next friday', { now })).toBe('2025-03-14');
+    });
+
+    it('should keep the time for hour offsets', () => {
+      expect(parseDueDate('+2h', { now })).toBe(new Date(2025, 2, 12, 12, 30).toISOString());
+    });
+
+    it('should reject unknown input', () => {
+      expect(() => parseDueDate('someday', { now })).toThrow('Invalid due date: someday');
+    });
+  });
+
+  describe('parseAge', () => {
+    it('should resolve ages to a time in the past', () => {
+      expect(parseAge('30d', { now })).toBe(new Date(2025, 1, 10, 10, 30).toISOString());
+      expect(parseAge('12h', { now })).toBe(new Date(2025, 2, 11, 22, 30).toISOString());
+    });
+
+    it('should reject anything but hours, days or weeks', () => {
+      expect(() => parseAge('+3d', { now })).toThrow('Invalid age: +3d');
+      expect(() => parseAge('a month', { now })).toThrow('Invalid age');
+    });
+  });
+
+  it('should format local calendar dates', () => {
+    expect(formatLocalDate(new Date(2025, 0, 5, 23, 59))).toBe('2025-01-05');
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+  applyHunks,
+  createUnifiedDiff,
+  diffLines,
+  parseUnifiedDiff,
+  splitLines,
+} from '../../src/utils/diff.js';
+
+describe('diff', () => {
+  const numbered = count => Array.from({ length: count }, (_, i) => `line ${i + 1}`);
+  const text = lines => `${lines.join('\n')}\n`;
+
+  it('splits lines without the empty line after a final newline', () => {
+    expect(splitLines('a\r\nb\n')).toEqual(['a', 'b']);
+    expect(splitLines('a\nb')).toEqual(['a', 'b']);
+    expect(splitLines('')).toEqual([]);
+  });
+
+  it('diffs lines through the longest common subsequence', () => {
+    const operations = diffLines(['a', 'b', 'c', 'd'], ['a', 'c', 'x', 'd']);
+
+    expect(operations.map(operation => `${operation.type}${operation.line}`)).toEqual([
+      ' a',
+      '-b',
+      ' c',
+      '+x',
+      ' d',
+    ]);
+  });
+
+  it('creates unified diffs with separate hunks for distant changes', () => {
+    const before = numbered(20);
+    const after = [...before];
+    after[1] = 'changed 2';
+    after.splice(15, 1);
+
+    expect(createUnifiedDiff(text(before), text(after), { path: 'notes.txt' })).toBe(
+      [
+        '--- a/notes.txt',
+        '+++ b/notes.txt',
+        '@@ -1,5 +1,5 @@',
+        ' line 1',
+        '-line 2',
+        '+changed 2',
+        ' line 3',
+        ' line 4',
+        ' line 5',
+        '@@ -13,7 +13,6 @@',
+        ' line 13',
+        ' line 14',
+        ' line 15',
+        '-line 16',
+        ' line 17',
+        ' line 18',
+        ' line 19',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('numbers an empty side by the line before it', () => {
+    expect(createUnifiedDiff('', 'new\n', { path: 'a' })).toContain('@@ -0,0 +1,1 @@');
+    expect(createUnifiedDiff('same\n', 'same\n')).toBe('');
+  });
+
+  it('applies its own diffs', () => {
+    const before = text(numbered(30));
+    const after = before.replace('line 4\n', 'line 4\nnew line\n').replace('line 25\n', '');
+
+    const hunks = parseUnifiedDiff(createUnifiedDiff(before, after));
+    expect(hunks).toHaveLength(2);
+    expect(applyHunks(before, hunks)).toBe(after);
+  });
+
+  it('finds hunks that moved, keeping line endings', () => {
+    const patch = ['@@ -2,2 +2,2 @@', ' line 2', '-line 3', '+line three'].join('\n');
+    const moved = ['intro', ...numbered(4)].join('\r\n');
+
+    expect(applyHunks(moved, parseUnifiedDiff(patch))).toBe(
+      ['intro', 'line 1', 'line 2', 'line three', 'line 4'].join('\r\n')
+    );
+  });
+
+  it('fails when a hunk does not match', () => {
+    const patch = '--- a/x\n+++ b/x\n@@ -1,2 +1,2 @@\n line 1\n-line 9\n+line nine\n';
+
+    expect(() => applyHunks(text(numbered(3)), parseUnifiedDiff(patch))).toThrow(
+      'Hunk 1 (@@ -1,2 +1,2 @@) does not match the file'
+    );
+  });
+
+  it('rejects patches without hunks or with malformed lines', () => {
+    expect(() => parseUnifiedDiff('just text')).toThrow('Patch has no @@ hunks');
+    expect(() => parseUnifiedDiff('@@ -1 +1 @@\n*oops')).toThrow('Invalid line in @@ -1 +1 @@');
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  git,
+  branchExists,
+  branchNameForTask,
+  checkoutBranch,
+  getCurrentBranch,
+  getGitHubUrl,
+  isGitRepository,
+  readCommits,
+  taskIdFromBranch,
+} from '../../src/utils/git.js';
+
+describe('Git utilities', () => {
+  describe('branchNameForTask', () => {
+    it('should combine the lowercased ID with a slug of the name', () => {
+      expect(branchNameForTask({ id: 'TASK-001', name: 'Fix the login bug!' })).toBe(
+        'task-001-fix-the-login-bug'
+      );
+      expect(branchNameForTask({ id: 'TASK-001.2', name: 'Café déjà vu' })).toBe(
+        'task-001.2-cafe-deja-vu'
+      );
+      expect(branchNameForTask({ id: 'TASK-003', name: '???' })).toBe('task-003');
+    });
+
+    it('should keep the slug short without a trailing dash', () => {
+      const branch = branchNameForTask({
+        id: 'TASK-004',
+        name: 'Refactor the authentication middleware to support refresh tokens',
+      });
+
+      expect(branch).toBe('task-004-refactor-the-authentication-middleware');
+    });
+  });
+
+  describe('taskIdFromBranch', () => {
+    it('should find task IDs in common branch names', () => {
+      expect(taskIdFromBranch('task-001-fix-login')).toBe('TASK-001');
+      expect(taskIdFromBranch('feature/TASK-042')).toBe('TASK-042');
+      expect(taskIdFromBranch('task-001.2-subtask')).toBe('TASK-001.2');
+      expect(taskIdFromBranch('bugfix/add-login-task-007')).toBe('TASK-007');
+      expect(taskIdFromBranch('main')).toBeNull();
+    });
+  });
+
+  describe('repository commands', () => {
+    let repo;
+
+    beforeEach(() => {
+      // Ignore git config injected through the environment
+      vi.stubEnv('GIT_CONFIG_COUNT', '0');
+      repo = mkdtempSync(join(tmpdir(), 'taskwerk-git-test-'));
+      git(['init', '-q', '-b', 'main'], repo);
+      const identity = ['-c', 'user.name=Test', '-c', 'user.email=test@example.com'];
+      git([...identity, 'commit', '-q', '--allow-empty', '-m', 'init'], repo);
+    });
+
+    afterEach(() => {
+      vi.unstubAllEnvs();
+      rmSync(repo, { recursive: true, force: true });
+    });
+
+    it('should create, check out and report branches', () => {
+      expect(isGitRepository(repo)).toBe(true);
+      expect(isGitRepository(tmpdir())).toBe(false);
+      expect(getCurrentBranch(repo)).toBe('main');
+
+      expect(checkoutBranch('task-001-fix', repo)).toBe(true);
+      expect(getCurrentBranch(repo)).toBe('task-001-fix');
+      expect(branchExists('task-001-fix', repo)).toBe(true);
+
+      git(['checkout', '-q', 'main'], repo);
+      expect(checkoutBranch('task-001-fix', repo)).toBe(false);
+      expect(getCurrentBranch(repo)).toBe('task-001-fix');
+    });
+
+    it('should read commits newest first', () => {
+      const identity = ['-c', 'user.name=Alice', '-c', 'user.email=alice@example.com'];
+      git([...identity, 'commit', '-q', '--allow-empty', '-m', 'Fix TASK-001\n\nDetails'], repo);
+
+      const commits = readCommits({}, repo);
+
+      expect(commits).toHaveLength(2);
+      expect(commits[0]).toMatchObject({
+        author: 'Alice',
+        subject: 'Fix TASK-001',
+        body: 'Details',
+      });
+      expect(commits[0].sha).toMatch(/^[0-9a-f]{40}$/);
+      expect(commits[1]).toMatchObject({ author: 'Test', subject: 'init', body: '' });
+      expect(readCommits({ limit: 1 }, repo)).toHaveLength(1);
+    });
+
+    it('should build GitHub addresses from the origin remote', () => {
+      expect(getGitHubUrl(repo)).toBeNull();
+
+      git(['remote', 'add', 'origin', 'git@github.com:acme/app.git'], repo);
+      expect(getGitHubUrl(repo)).toBe('https://github.com/acme/app');
+
+      git(['remote', 'set-url', 'origin', 'https://gitlab.com/acme/app.git'], repo);
+      expect(getGitHubUrl(repo)).toBeNull();
+    });
+
+    it('should report git failures as errors', () => {
+      expect(() => git(['checkout', 'no-such-branch'], repo)).toThrow(/no-such-branch/);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { parseGitignore, isIgnored, globToRegex } from '../../src/utils/gitignore.js';
+
+describe('gitignore', () => {
+  const ignored = (content, path, isDirectory = false) =>
+    isIgnored(parseGitignore(content), path, isDirectory);
+
+  it('matches names at any depth unless the pattern has a slash', () => {
+    expect(ignored('*.log', 'debug.log')).toBe(true);
+    expect(ignored('*.log', 'logs/deep/debug.log')).toBe(true);
+    expect(ignored('/build', 'build', true)).toBe(true);
+    expect(ignored('/build', 'src/build', true)).toBe(false);
+    expect(ignored('docs/*.md', 'docs/a.md')).toBe(true);
+    expect(ignored('docs/*.md', 'docs/api/a.md')).toBe(false);
+  });
+
+  it('skips comments and blank lines', () => {
+    expect(parseGitignore('# comment\n\n   \n*.tmp\n')).toHaveLength(1);
+    expect(ignored('\\#notes', '#notes')).toBe(true);
+  });
+
+  it('applies directory-only patterns to directories', () => {
+    expect(ignored('dist/', 'dist', true)).toBe(true);
+    expect(ignored('dist/', 'dist')).toBe(false);
+  });
+
+  it('lets later negations re-include paths', () => {
+    const content = '*.env\n!example.env\n';
+    expect(ignored(content, 'prod.env')).toBe(true);
+    expect(ignored(content, 'config/example.env')).toBe(false);
+  });
+
+  it('supports ** across directories', () => {
+    expect(ignored('**/cache', 'a/b/cache', true)).toBe(true);
+    expect(ignored('**/cache', 'cache', true)).toBe(true);
+    expect(ignored('logs/**', 'logs/2025/jan.txt')).toBe(true);
+    expect(ignored('a/**/z.txt', 'a/z.txt')).toBe(true);
+    expect(ignored('a/**/z.txt', 'a/b/c/z.txt')).toBe(true);
+  });
+
+  it('anchors rules of nested files to their directory', () => {
+    const rules = [...parseGitignore('*.log'), ...parseGitignore('/out\n!keep.log', 'pkg')];
+
+    expect(isIgnored(rules, 'pkg/out', true)).toBe(true);
+    expect(isIgnored(rules, 'out', true)).toBe(false);
+    expect(isIgnored(rules, 'pkg/keep.log')).toBe(false);
+    expect(isIgnored(rules, 'keep.log')).toBe(true);
+  });
+
+  it('converts wildcards and character classes', () => {
+    const matches = (glob, text) => new RegExp(`^${globToRegex(glob)}$`).test(text);
+
+    expect(matches('file?.js', 'file1.js')).toBe(true);
+    expect(matches('file?.js', 'file10.js')).toBe(false);
+    expect(matches('[abc].txt', 'b.txt')).toBe(true);
+    expect(matches('[!abc].txt', 'b.txt')).toBe(false);
+    expect(matches('*.js', 'src/a.js')).toBe(false);
+    expect(matches('a+b(1).txt', 'a+b(1).txt')).toBe(true);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { parseRecurrence, nextOccurrence, describeRecurrence } from '../../src/utils/recurrence.js';
+
+// Local-time dates, matching how rules are evaluated
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+describe('Recurrence rules', () => {
+  describe('parseRecurrence', () => {
+    it('should parse interval aliases and counts', () => {
+      expect(parseRecurrence('Daily')).toMatchObject({ type: 'interval', unit: 'day', count: 1 });
+      expect(parseRecurrence('every 2 weeks')).toMatchObject({ unit: 'week', count: 2 });
+      expect(parseRecurrence('every 1 month')).toMatchObject({ unit: 'month', count: 1 });
+    });
+
+    it('should parse day lists', () => {
+      expect(parseRecurrence('every thursday, mon').days).toEqual([1, 4]);
+      expect(parseRecurrence('weekdays').days).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should reject unknown rules', () => {
+      expect(() => parseRecurrence('sometimes')).toThrow('Invalid recurrence rule: sometimes');
+      expect(() => parseRecurrence('every 0 days')).toThrow('Invalid recurrence rule');
+      expect(() => parseRecurrence('every funday')).toThrow('Invalid recurrence rule');
+    });
+
+    it('should reject malformed cron rules', () => {
+      expect(() => parseRecurrence('cron:0 9 * *')).toThrow('Expected 5 fields');
+      expect(() => parseRecurrence('cron:60 9 * * *')).toThrow('Bad minute field "60"');
+      expect(() => parseRecurrence('cron:0 9 * * mon')).toThrow('Bad day of week field');
+    });
+
+    it('should reject cron rules that never match', () => {
+      expect(() => parseRecurrence('cron:0 9 31 2 *')).toThrow('It never matches');
+      expect(() => parseRecurrence('cron:0 9 31 4,6 *')).toThrow('It never matches');
+      expect(parseRecurrence('cron:0 9 29 2 *').type).toBe('cron');
+      expect(parseRecurrence('cron:0 9 31 2 1').type).toBe('cron');
+    });
+  });
+
+  describe('nextOccurrence', () => {
+    it('should add intervals', () => {
+      expect(nextOccurrence('daily', at(2025, 3, 10))).toEqual(at(2025, 3, 11));
+      expect(nextOccurrence('every 2 weeks', at(2025, 3, 10))).toEqual(at(2025, 3, 24));
+      expect(nextOccurrence('yearly', at(2024, 2, 29))).toEqual(at(2025, 2, 28));
+    });
+
+    it('should clamp monthly rules to the end of shorter months', () => {
+      expect(nextOccurrence('monthly', at(2025, 1, 31))).toEqual(at(2025, 2, 28));
+    });
+
+    it('should move to the next listed weekday', () => {
+      // 2025-03-10 is a Monday
+      expect(nextOccurrence('every mon,thu', at(2025, 3, 10))).toEqual(at(2025, 3, 13));
+      expect(nextOccurrence('weekdays', at(2025, 3, 14))).toEqual(at(2025, 3, 17));
+    });
+
+    it('should skip occurrences missed before now', () => {
+      expect(nextOccurrence('weekly', at(2025, 3, 3), at(2025, 3, 20))).toEqual(at(2025, 3, 24));
+    });
+
+    it('should find the next cron match', () => {
+      expect(nextOccurrence('cron:0 9 * * 1', at(2025, 3, 10, 9))).toEqual(at(2025, 3, 17, 9));
+      expect(nextOccurrence('cron:*/15 * * * *', at(2025, 3, 10, 9, 7))).toEqual(
+        at(2025, 3, 10, 9, 15)
+      );
+      expect(nextOccurrence('cron:30 8 1 */3 *', at(2025, 3, 10))).toEqual(at(2025, 4, 1, 8, 30));
+    });
+
+    it('should match either day field when both are restricted', () => {
+      // The 15th or any Friday; 2025-03-14 is a Friday
+      expect(nextOccurrence('cron:0 0 15 * 5', at(2025, 3, 10))).toEqual(at(2025, 3, 14));
+      expect(nextOccurrence('cron:0 0 15 * 5', at(2025, 3, 14))).toEqual(at(2025, 3, 15));
+    });
+  });
+
+  describe('describeRecurrence', () => {
+    it('should describe rules', () => {
+      expect(describeRecurrence('daily')).toBe('every day');
+      expect(describeRecurrence('every 3 months')).toBe('every 3 months');
+      expect(describeRecurrence('weekdays')).toBe('every weekday');
+      expect(describeRecurrence('every fri,mon')).toBe('every mon, fri');
+      expect(describeRecurrence('cron:0 9 * * 1')).toBe('cron 0 9 * * 1');
+    });
+  });
+});